@@ -1,22 +1,37 @@
 // Astrocyte module for Experiment 021.
 //
-// 8 astrocytes total (4 per cluster), each with:
-//   - Fixed 2D territory (x-y plane, radius 3.0)
+// astrocytesPerCluster astrocytes per cluster (default 4, any cluster count), each with:
+//   - Territory: by default a fixed 2D disc (x-y plane, radius 3.0) at a fixed
+//     position; see TERRITORIES, RADIUS_SCHEDULES and MOBILITY_RULES
 //   - Activity-dependent activation (sense previous-step neuron firing)
 //   - Self-adapting activation threshold (meta-learning)
 //
-// Territory distance uses 2D Euclidean (x-y only), matching the {x, y} position spec.
-// Pre-computes owned neurons and synapses at initialisation for efficiency.
+// Pre-computes owned neurons and synapses at initialisation for efficiency, and
+// again whenever a radius schedule (RADIUS_SCHEDULES), a move (MOBILITY_RULES) or
+// a population event (updatePopulation) changes a territory. Optional calcium
+// waves (COUPLING_GRAPHS) couple neighbouring astrocytes' activations.
+//
+// Tunable constants come from the experiment config through astrocyteParams();
+// ASTROCYTE_DEFAULTS reproduces experiments 021–024.
 
-const TERRITORY_RADIUS  = 3.0;
 const INITIAL_THRESHOLD = 0.5;
-const REWARD_HISTORY_SIZE = 20;
-const ADAPT_INTERVAL    = 50;   // steps (= 5 episodes at 10 steps/ep)
-const SUCCESS_HIGH      = 0.15; // lower threshold if recent success > this
-const SUCCESS_LOW       = 0.05; // raise threshold if recent success < this
-const THRESHOLD_MIN     = 0.1;
-const THRESHOLD_MAX     = 0.9;
-const MAX_ACTIVE        = 3;
+
+// Placement strategies (params.placement), per cluster, within the x-y bounding
+// box of the cluster's neurons:
+//   'grid'    — cols × rows cell centres, cols = ⌈√count⌉, filled row by row
+//               (count 4: the 2×2 quartile grid of experiments 021–024)
+//   'poisson' — Poisson-disc-like spread by best-candidate sampling: each astrocyte
+//               takes the farthest of POISSON_CANDIDATES random points from those
+//               already placed (draws from the placement RNG stream)
+//   'kmeans'  — centroids of k-means (Lloyd) over the cluster's neuron positions,
+//               seeded with the grid
+//   'voronoi' — grid positions; each astrocyte owns its Voronoi cell (every neuron
+//               of the cluster nearest to it) instead of a territory of its own
+//               size, so every neuron, input or not, has exactly one astrocyte
+export const PLACEMENTS = ['grid', 'poisson', 'kmeans', 'voronoi'];
+
+const POISSON_CANDIDATES = 20;
+const KMEANS_MAX_ITERATIONS = 100;
 
 // Flat epsilon (experiment 023 baseline): constant probability of spontaneous activation.
 export const EPSILON = 0.01;
@@ -27,75 +42,770 @@ export const EPSILON = 0.01;
 export const BASE_EPSILON     = 0.30;
 export const MATURITY_HORIZON = 2000;
 
+// Experiment 025 candidates (see EXPLORATION_SCHEDULES): epsilon decayed over
+// training, linearly to zero or by half every EPSILON_HALF_LIFE episodes.
+export const EPSILON_DECAY_EPISODES = 5000;
+export const EPSILON_HALF_LIFE      = 2500;
+// UCB-style bonus scale: rate = UCB_SCALE · √(ln(totalSteps + 1) / (activationCount + 1))
+export const UCB_SCALE              = 0.05;
+
+// Developmental annealing (see RADIUS_SCHEDULES): territories start at
+// TERRITORY_RADIUS_START and narrow to territoryRadius, linearly over
+// RADIUS_ANNEAL_EPISODES or halving the gap every RADIUS_HALF_LIFE episodes.
+export const TERRITORY_RADIUS_START = 4.5;
+export const RADIUS_ANNEAL_EPISODES = 5000;
+export const RADIUS_HALF_LIFE       = 1250;
+
+// Mobility (see MOBILITY_RULES): every MOBILITY_INTERVAL steps an astrocyte whose
+// keep rate is below MOBILITY_KEEP_RATE moves up to MOBILITY_STEP towards its target.
+export const MOBILITY_INTERVAL  = 100;
+export const MOBILITY_KEEP_RATE = 0.3;
+export const MOBILITY_STEP      = 0.5;
+
+// Population dynamics (see updatePopulation): checked every POPULATION_INTERVAL
+// episodes; a condition must hold for POPULATION_PATIENCE checks in a row.
+export const POPULATION_INTERVAL = 100;
+export const POPULATION_PATIENCE = 3;
+export const SPLIT_SUCCESS       = 0.4;    // keep rate above which an astrocyte may split
+export const SPLIT_MIN_NEURONS   = 12;     // …if its territory has at least this many neurons
+export const MERGE_USEFULNESS    = 0.5;    // kept perturbations per episode below which it may merge
+export const MAX_ASTROCYTES_PER_CLUSTER = 12;
+
+// Calcium waves (see COUPLING_GRAPHS): an active astrocyte's calcium jumps to 1
+// and decays by CALCIUM_DECAY per step; a dormant one fires with the extra
+// probability CALCIUM_COUPLING × its neighbours' summed calcium.
+export const CALCIUM_COUPLING = 0.2;
+export const CALCIUM_DECAY    = 0.5;
+export const COUPLING_OVERLAP = 0.2;    // shared synapse fraction of an 'overlap' gap junction
+export const COUPLING_RANGE   = 6.0;    // centre distance of a 'distance' gap junction
+
+export const ASTROCYTE_DEFAULTS = {
+  astrocytesPerCluster:   4,
+  placement:              'grid',
+  territory:              'disc',
+  territoryRadius:        3.0,
+  territoryAxes:          [1, 1, 1],   // ellipsoid semi-axes, in territoryRadius units
+  territoryNeighbours:    12,          // knearest territory size
+  adaptInterval:          50,     // steps (= 5 episodes at 10 steps/ep)
+  successHigh:            0.15,   // lower threshold if recent success > this
+  successLow:             0.05,   // raise threshold if recent success < this
+  maxActive:              3,
+  historySize:            20,     // recent keep/revert outcomes behind the success rate
+  activationThresholdMin: 0.1,    // adapted thresholds stay within these bounds
+  activationThresholdMax: 0.9,
+  epsilon:                EPSILON,
+  baseEpsilon:            BASE_EPSILON,
+  maturityHorizon:        MATURITY_HORIZON,
+  epsilonDecayEpisodes:   EPSILON_DECAY_EPISODES,
+  epsilonHalfLife:        EPSILON_HALF_LIFE,
+  ucbScale:               UCB_SCALE,
+  radiusSchedule:         'fixed',
+  territoryRadiusStart:   TERRITORY_RADIUS_START,
+  radiusAnnealEpisodes:   RADIUS_ANNEAL_EPISODES,
+  radiusHalfLife:         RADIUS_HALF_LIFE,
+  mobility:               'none',
+  mobilityInterval:       MOBILITY_INTERVAL,   // steps
+  mobilityKeepRate:       MOBILITY_KEEP_RATE,
+  mobilityStep:           MOBILITY_STEP,       // position units per move
+  populationDynamics:     false,
+  populationInterval:     POPULATION_INTERVAL, // episodes
+  populationPatience:     POPULATION_PATIENCE, // checks
+  splitSuccess:           SPLIT_SUCCESS,
+  splitMinNeurons:        SPLIT_MIN_NEURONS,
+  mergeUsefulness:        MERGE_USEFULNESS,
+  maxAstrocytesPerCluster: MAX_ASTROCYTES_PER_CLUSTER,
+  coupling:               'none',
+  couplingStrength:       CALCIUM_COUPLING,
+  calciumDecay:           CALCIUM_DECAY,       // calcium kept per step
+  couplingOverlap:        COUPLING_OVERLAP,
+  couplingRange:          COUPLING_RANGE,      // position units
+  clusterGatedWaves:      false,               // gap junctions only within a cluster
+};
+
+// Only astrocyte keys are read; the rest of an experiment config is ignored
+export function astrocyteParams(config = {}) {
+  const params = {};
+  for (const key of Object.keys(ASTROCYTE_DEFAULTS)) params[key] = config[key] ?? ASTROCYTE_DEFAULTS[key];
+
+  if (!PLACEMENTS.includes(params.placement))
+    throw new Error(`Unknown placement "${params.placement}" (known: ${PLACEMENTS.join(', ')})`);
+  if (!TERRITORIES.includes(params.territory))
+    throw new Error(`Unknown territory "${params.territory}" (known: ${TERRITORIES.join(', ')})`);
+  if (!MOBILITY_RULES.includes(params.mobility))
+    throw new Error(`Unknown mobility rule "${params.mobility}" (known: ${MOBILITY_RULES.join(', ')})`);
+  if (!COUPLING_GRAPHS.includes(params.coupling))
+    throw new Error(`Unknown coupling "${params.coupling}" (known: ${COUPLING_GRAPHS.join(', ')})`);
+  if (!Object.hasOwn(RADIUS_SCHEDULES, params.radiusSchedule))
+    throw new Error(`Unknown radius schedule "${params.radiusSchedule}" (known: ${Object.keys(RADIUS_SCHEDULES).join(', ')})`);
+  for (const key of ['territoryRadius', 'territoryRadiusStart']) {
+    if (!(params[key] > 0)) throw new Error(`${key} must be positive, got ${params[key]}`);
+  }
+  if (!Array.isArray(params.territoryAxes) || params.territoryAxes.length !== 3 || !params.territoryAxes.every(a => a > 0))
+    throw new Error(`territoryAxes must be three positive numbers, got ${JSON.stringify(params.territoryAxes)}`);
+  for (const key of ['astrocytesPerCluster', 'territoryNeighbours', 'adaptInterval', 'maxActive', 'historySize',
+                     'mobilityInterval', 'populationInterval', 'populationPatience', 'maxAstrocytesPerCluster']) {
+    if (!Number.isInteger(params[key]) || params[key] < 1)
+      throw new Error(`${key} must be a positive integer, got ${params[key]}`);
+  }
+  for (const key of ['successHigh', 'successLow', 'epsilon', 'baseEpsilon', 'mobilityKeepRate', 'splitSuccess',
+                     'couplingStrength', 'calciumDecay', 'couplingOverlap']) {
+    if (!(params[key] >= 0 && params[key] <= 1))
+      throw new Error(`${key} must be in [0, 1], got ${params[key]}`);
+  }
+  if (!(params.activationThresholdMin <= params.activationThresholdMax))
+    throw new Error(`activationThresholdMin (${params.activationThresholdMin}) exceeds ` +
+      `activationThresholdMax (${params.activationThresholdMax})`);
+  for (const key of ['maturityHorizon', 'epsilonDecayEpisodes', 'epsilonHalfLife', 'radiusAnnealEpisodes', 'radiusHalfLife',
+                     'mobilityStep', 'couplingRange']) {
+    if (!(params[key] > 0)) throw new Error(`${key} must be positive, got ${params[key]}`);
+  }
+  if (!(params.ucbScale >= 0)) throw new Error(`ucbScale must be non-negative, got ${params.ucbScale}`);
+  if (!Number.isInteger(params.splitMinNeurons) || params.splitMinNeurons < 2)
+    throw new Error(`splitMinNeurons must be an integer of at least 2, got ${params.splitMinNeurons}`);
+  if (!(params.mergeUsefulness >= 0))
+    throw new Error(`mergeUsefulness must be non-negative, got ${params.mergeUsefulness}`);
+  return params;
+}
+
 // ─── Placement ────────────────────────────────────────────────────────────────
 
-export function createAstrocytes(network, numPatterns) {
-  const { neurons, synapses } = network;
+// params: astrocyteParams(config); rng: the placement stream ('poisson' only)
+export function createAstrocytes(network, numPatterns, params = ASTROCYTE_DEFAULTS, rng = Math) {
   const astrocytes = [];
 
-  for (let c = 0; c < 2; c++) {
-    const clusterNeurons = neurons.filter(n => n.cluster === c);
-
-    // Actual x/y bounds of this cluster's neurons
-    const xs = clusterNeurons.map(n => n.x);
-    const ys = clusterNeurons.map(n => n.y);
-    const minX = Math.min(...xs), maxX = Math.max(...xs);
-    const minY = Math.min(...ys), maxY = Math.max(...ys);
-    const midX = (minX + maxX) / 2;
-    const midY = (minY + maxY) / 2;
-    const qx   = (maxX - minX) / 4;  // quarter-range offset
-    const qy   = (maxY - minY) / 4;
-
-    // 2×2 grid at quartile positions
-    const positions = [
-      { x: midX - qx, y: midY - qy },
-      { x: midX + qx, y: midY - qy },
-      { x: midX - qx, y: midY + qy },
-      { x: midX + qx, y: midY + qy },
-    ];
-
-    for (let i = 0; i < 4; i++) {
-      const pos = positions[i];
-
-      // Neurons within territory (2D distance, z ignored)
-      const neuronIds = clusterNeurons
-        .filter(n => {
-          const dx = n.x - pos.x, dy = n.y - pos.y;
-          return Math.sqrt(dx * dx + dy * dy) <= TERRITORY_RADIUS;
-        })
-        .map(n => n.id);
-
-      // Pre-compute owned synapses (pre OR post neuron in territory)
-      const inTerritory = new Set(neuronIds);
-      const ownedSynapses = synapses.filter(
+  for (let c = 0; c < network.clusterCount; c++) {
+    const clusterNeurons = network.neurons.filter(n => n.cluster === c);
+    for (const pos of placeAstrocytes(clusterNeurons, params, rng)) {
+      astrocytes.push(newAstrocyte(astrocytes.length, c, pos, numPatterns, params));
+    }
+  }
+
+  assignTerritories(astrocytes, network, params);
+  return astrocytes;
+}
+
+// A fresh astrocyte without a territory (assignTerritories fills it in)
+function newAstrocyte(id, cluster, pos, numPatterns, params, radiusScale = 1) {
+  return {
+    id,
+    cluster,
+    position: { x: pos.x, y: pos.y, z: pos.z },
+    territoryRadius: params.territoryRadius * radiusScale,
+    radiusScale,        // territory size relative to the params (population dynamics)
+    activationThreshold: Math.min(params.activationThresholdMax,
+      Math.max(params.activationThresholdMin, INITIAL_THRESHOLD)),
+    rewardHistory: [],
+    activationCount: 0,
+    successCount: 0,
+    epsilonCount: 0,    // activations that were epsilon-driven (not score-driven)
+    neuronIds: [],
+    ownedSynapses: [],
+    territoryVolume: 0,
+    moveCount: 0,
+    distanceMoved: 0,
+    gapJunctions: [],   // ids of the astrocytes it is coupled to (calcium waves)
+    calcium: 0,
+    waveCount: 0,       // activations that were wave-driven
+    activationsByPattern: Array(numPatterns).fill(0),
+  };
+}
+
+// params.astrocytesPerCluster positions ({ x, y, z }) for one cluster
+export function placeAstrocytes(clusterNeurons, params = ASTROCYTE_DEFAULTS, rng = Math) {
+  const count = params.astrocytesPerCluster;
+  if (params.placement === 'poisson') return poissonPositions(clusterNeurons, count, rng);
+  if (params.placement === 'kmeans')  return kmeansPositions(clusterNeurons, count);
+  return gridPositions(clusterNeurons, count);
+}
+
+// Actual bounds of a cluster's neurons
+function bounds(clusterNeurons) {
+  const xs = clusterNeurons.map(n => n.x);
+  const ys = clusterNeurons.map(n => n.y);
+  const zs = clusterNeurons.map(n => n.z);
+  const minX = Math.min(...xs), maxX = Math.max(...xs);
+  const minY = Math.min(...ys), maxY = Math.max(...ys);
+  const minZ = Math.min(...zs), maxZ = Math.max(...zs);
+  return {
+    minX, maxX, minY, maxY, minZ, maxZ,
+    midX: (minX + maxX) / 2, midY: (minY + maxY) / 2, midZ: (minZ + maxZ) / 2,
+  };
+}
+
+// Placement works in the x-y plane; astrocytes sit at the cluster's mid depth
+function gridPositions(clusterNeurons, count) {
+  const { minX, maxX, minY, maxY, midX, midY, midZ } = bounds(clusterNeurons);
+  const cols = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const positions = [];
+  for (let r = 0; r < rows; r++) {
+    for (let col = 0; col < cols && positions.length < count; col++) {
+      // Cell centres, offset from the midpoint (2×2: mid ∓ a quarter of the range)
+      positions.push({
+        x: midX + (col + 0.5 - cols / 2) * ((maxX - minX) / cols),
+        y: midY + (r + 0.5 - rows / 2) * ((maxY - minY) / rows),
+        z: midZ,
+      });
+    }
+  }
+  return positions;
+}
+
+function poissonPositions(clusterNeurons, count, rng) {
+  const { minX, maxX, minY, maxY, midZ } = bounds(clusterNeurons);
+  const positions = [];
+  while (positions.length < count) {
+    let best = null, bestDist = -1;
+    for (let k = 0; k < POISSON_CANDIDATES; k++) {
+      const p = { x: minX + rng.random() * (maxX - minX), y: minY + rng.random() * (maxY - minY), z: midZ };
+      const d = Math.min(...positions.map(q => Math.hypot(p.x - q.x, p.y - q.y)));
+      if (d > bestDist) { best = p; bestDist = d; }
+    }
+    positions.push(best);
+  }
+  return positions;
+}
+
+// Lloyd in x-y; a centre's depth is its members' mean depth
+function kmeansPositions(clusterNeurons, count) {
+  const centres = gridPositions(clusterNeurons, count);
+  let assignment = null;
+  for (let iter = 0; iter < KMEANS_MAX_ITERATIONS; iter++) {
+    const next = clusterNeurons.map(n => nearest(centres, n, planarDistance));
+    if (assignment && next.every((a, i) => a === assignment[i])) break;
+    assignment = next;
+    for (let k = 0; k < centres.length; k++) {
+      const members = clusterNeurons.filter((_, i) => assignment[i] === k);
+      if (members.length === 0) continue;   // an empty centre keeps its place
+      centres[k] = {
+        x: members.reduce((s, n) => s + n.x, 0) / members.length,
+        y: members.reduce((s, n) => s + n.y, 0) / members.length,
+        z: members.reduce((s, n) => s + n.z, 0) / members.length,
+      };
+    }
+  }
+  return centres;
+}
+
+// Index of the position nearest to point p; ties go to the lower index
+function nearest(positions, p, distance) {
+  let best = 0, bestDist = Infinity;
+  positions.forEach((q, i) => {
+    const d = distance(q, p);
+    if (d < bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+// Squared x-y distance: only ever compared
+function planarDistance(a, b) {
+  return (a.x - b.x) ** 2 + (a.y - b.y) ** 2;
+}
+
+// ─── Territories ──────────────────────────────────────────────────────────────
+
+// Territory geometry (params.territory); a territory never leaves its cluster:
+//   'disc'      — x-y distance <= territoryRadius, z ignored (experiments 021–024)
+//   'sphere'    — 3D distance <= territoryRadius (the cursor's metric)
+//   'ellipsoid' — 3D, semi-axes territoryRadius × territoryAxes [ax, ay, az]
+//   'knearest'  — the territoryNeighbours nearest neurons of the cluster (3D),
+//                 i.e. a sphere reaching the k-th nearest
+// With Voronoi placement each neuron instead goes to the astrocyte nearest to it
+// under the same metric.
+export const TERRITORIES = ['disc', 'sphere', 'ellipsoid', 'knearest'];
+
+// Territory volume is measured on a VOLUME_GRID³ lattice over the cluster's
+// bounding box (a disc is a cylinder through the cluster's depth). Neurons do
+// not move, so each network's lattices are built once.
+const VOLUME_GRID = 16;
+const lattices    = new WeakMap();   // network → lattice per cluster
+
+// Distance from astrocyte position `pos` to point p under params.territory,
+// in territoryRadius units for the ellipsoid
+export function territoryDistance(pos, p, params = ASTROCYTE_DEFAULTS) {
+  const dx = p.x - pos.x, dy = p.y - pos.y;
+  if (params.territory === 'disc') return Math.sqrt(dx * dx + dy * dy);
+  const dz = p.z - pos.z;
+  if (params.territory === 'ellipsoid') {
+    const [ax, ay, az] = params.territoryAxes;
+    return Math.sqrt((dx / ax) ** 2 + (dy / ay) ** 2 + (dz / az) ** 2);
+  }
+  return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+// Recomputes every astrocyte's neuronIds, ownedSynapses and territoryVolume
+// from its position and territoryRadius; call again after either changes
+export function assignTerritories(astrocytes, network, params = ASTROCYTE_DEFAULTS) {
+  const dist = (ast, p) => territoryDistance(ast.position, p, params);
+
+  for (let c = 0; c < network.clusterCount; c++) {
+    const members = astrocytes.filter(a => a.cluster === c);
+    if (members.length === 0) continue;
+    const clusterNeurons = network.neurons.filter(n => n.cluster === c);
+    const lattice        = clusterLattice(network, c, clusterNeurons);
+
+    // inside(ast, points)[i]: points[i] belongs to ast's territory
+    let inside;
+    if (params.placement === 'voronoi') {
+      // Each point's owner once, not once per astrocyte
+      const positions = members.map(a => a.position);
+      const owner  = p => members[nearest(positions, p, (q, r) => territoryDistance(q, r, params))];
+      const owners = new Map([clusterNeurons, lattice.points].map(points => [points, points.map(owner)]));
+      inside = (ast, points) => owners.get(points).map(o => o === ast);
+    } else {
+      const reach = new Map(members.map(ast => [ast, territoryReach(ast, clusterNeurons, params)]));
+      inside = (ast, points) => points.map(p => dist(ast, p) <= reach.get(ast));
+    }
+
+    for (const ast of members) {
+      const owned = inside(ast, clusterNeurons);
+      ast.neuronIds = clusterNeurons.filter((n, i) => owned[i]).map(n => n.id);
+
+      // Owned synapses: pre OR post neuron in territory
+      const inTerritory = new Set(ast.neuronIds);
+      ast.ownedSynapses = network.synapses.filter(
         s => inTerritory.has(s.pre) || inTerritory.has(s.post)
       );
+      ast.territoryVolume = inside(ast, lattice.points).filter(Boolean).length * lattice.cellVolume;
+    }
+  }
+  coupleAstrocytes(astrocytes, params);
+}
 
-      astrocytes.push({
-        id: astrocytes.length,
-        cluster: c,
-        position: { x: pos.x, y: pos.y },
-        territoryRadius: TERRITORY_RADIUS,
-        activationThreshold: INITIAL_THRESHOLD,
-        rewardHistory: [],
-        activationCount: 0,
-        successCount: 0,
-        epsilonCount: 0,    // activations that were epsilon-driven (not score-driven)
-        neuronIds,
-        ownedSynapses,
-        activationsByPattern: Array(numPatterns).fill(0),
-      });
+// Distance within which an astrocyte owns neurons; a knearest territory scales
+// its neuron count with the area, radiusScale²
+function territoryReach(ast, clusterNeurons, params) {
+  if (params.territory !== 'knearest') return ast.territoryRadius;
+  const k = Math.max(1, Math.round(params.territoryNeighbours * (ast.radiusScale ?? 1) ** 2));
+  const d = clusterNeurons.map(n => territoryDistance(ast.position, n, params)).sort((a, b) => a - b);
+  return d[Math.min(k, d.length) - 1];
+}
+
+function clusterLattice(network, cluster, clusterNeurons) {
+  if (!lattices.has(network)) lattices.set(network, []);
+  const perCluster = lattices.get(network);
+  perCluster[cluster] ??= volumeLattice(clusterNeurons);
+  return perCluster[cluster];
+}
+
+function volumeLattice(clusterNeurons) {
+  const { minX, maxX, minY, maxY, minZ, maxZ } = bounds(clusterNeurons);
+  const step = [(maxX - minX) / VOLUME_GRID, (maxY - minY) / VOLUME_GRID, (maxZ - minZ) / VOLUME_GRID];
+  const points = [];
+  for (let i = 0; i < VOLUME_GRID; i++) {
+    for (let j = 0; j < VOLUME_GRID; j++) {
+      for (let k = 0; k < VOLUME_GRID; k++) {
+        points.push({ x: minX + (i + 0.5) * step[0], y: minY + (j + 0.5) * step[1], z: minZ + (k + 0.5) * step[2] });
+      }
     }
   }
+  return { points, cellVolume: step[0] * step[1] * step[2] };
+}
 
-  return astrocytes;
+// Per astrocyte: territoryVolume, nonInputNeuronCount and sharedNeuronCount
+// (owned neurons that another astrocyte owns too)
+export function territoryStats(astrocytes, network) {
+  const owners = new Map();
+  for (const ast of astrocytes) {
+    for (const id of ast.neuronIds) owners.set(id, (owners.get(id) ?? 0) + 1);
+  }
+  return astrocytes.map(ast => ({
+    territoryVolume:     ast.territoryVolume ?? null,   // null: checkpoint from before volumes
+    nonInputNeuronCount: ast.neuronIds.filter(id => network.neurons[id].type !== 'input').length,
+    sharedNeuronCount:   ast.neuronIds.filter(id => owners.get(id) > 1).length,
+  }));
+}
+
+// ─── Territory annealing ──────────────────────────────────────────────────────
+
+// A radius schedule maps (astrocyte, ctx, params) to the astrocyte's territory
+// radius; ctx as for EXPLORATION_SCHEDULES. Early territories are broad and
+// narrow as training (or the astrocyte) matures, territoryRadiusStart →
+// territoryRadius (params.radiusSchedule):
+//
+//   'fixed'       — territoryRadius throughout (experiments 021–024)
+//   'linear'      — linearly over radiusAnnealEpisodes, then territoryRadius
+//   'exponential' — the gap to territoryRadius halves every radiusHalfLife episodes
+//   'maturity'    — per astrocyte, the gap shrinks as 1 / (1 + activationCount /
+//                   maturityHorizon), like maturity-scaled exploration
+//
+// Radii are rounded to 1/RADIUS_RESOLUTION, so territories are recomputed only
+// when the radius moves by a step, not every episode.
+export const RADIUS_SCHEDULES = {
+  fixed:       (ast, ctx, params) => params.territoryRadius,
+  linear:      (ast, ctx, params) => annealed(params, Math.max(0, 1 - ctx.episode / params.radiusAnnealEpisodes)),
+  exponential: (ast, ctx, params) => annealed(params, 0.5 ** (ctx.episode / params.radiusHalfLife)),
+  maturity:    (ast, ctx, params) => annealed(params, 1 / (1 + ast.activationCount / params.maturityHorizon)),
+};
+
+const RADIUS_RESOLUTION = 20;
+
+// territoryRadius plus `remaining` of the way back to territoryRadiusStart
+function annealed(params, remaining) {
+  const r = params.territoryRadius + (params.territoryRadiusStart - params.territoryRadius) * remaining;
+  return Math.round(r * RADIUS_RESOLUTION) / RADIUS_RESOLUTION;
 }
 
-// Log territorial coverage for diagnostics
+// Sets every astrocyte's territoryRadius from params.radiusSchedule (times its
+// radiusScale) and reassigns territories if any changed. Returns whether one did.
+export function annealTerritories(astrocytes, network, params = ASTROCYTE_DEFAULTS, ctx = START_CONTEXT) {
+  const schedule = RADIUS_SCHEDULES[params.radiusSchedule];
+  let changed = false;
+  for (const ast of astrocytes) {
+    const radius = schedule(ast, ctx, params) * (ast.radiusScale ?? 1);
+    if (radius !== ast.territoryRadius) {
+      ast.territoryRadius = radius;
+      changed = true;
+    }
+  }
+  if (changed) assignTerritories(astrocytes, network, params);
+  return changed;
+}
+
+// Territory size across astrocytes, for trajectories
+export function territorySize(astrocytes) {
+  const mean = values => values.reduce((s, v) => s + v, 0) / (values.length || 1);
+  return {
+    astrocyteCount:   astrocytes.length,
+    meanRadius:       mean(astrocytes.map(a => a.territoryRadius)),
+    meanNeuronCount:  mean(astrocytes.map(a => a.neuronIds.length)),
+    meanSynapseCount: mean(astrocytes.map(a => a.ownedSynapses.length)),
+  };
+}
+
+// Territorial coverage for diagnostics: neurons owned by at least one astrocyte
 export function logCoverage(astrocytes, network) {
   const covered = new Set(astrocytes.flatMap(a => a.neuronIds));
   const nonInput = network.neurons.filter(n => n.type !== 'input');
-  return { covered: covered.size, total: network.neurons.length, nonInputTotal: nonInput.length };
+  return {
+    covered:         covered.size,
+    total:           network.neurons.length,
+    nonInputCovered: nonInput.filter(n => covered.has(n.id)).length,
+    nonInputTotal:   nonInput.length,
+  };
+}
+
+// ─── Mobility ─────────────────────────────────────────────────────────────────
+
+// Mobility rules (params.mobility) combine the roaming cursor (cursor.mjs) with
+// the astrocytes' own keep rates. Every mobilityInterval steps, each astrocyte
+// whose keep rate (successCount / activationCount, after MOBILITY_MIN_ACTIVATIONS
+// activations) is below mobilityKeepRate moves up to mobilityStep towards:
+//   'none'     — nothing: positions are fixed (the default)
+//   'accepted' — the centroid of its neighbourhood (cluster neurons within
+//                MOBILITY_NEIGHBOURHOOD territory radii) weighted by the acceptance
+//                trace: neurons in the territories of astrocytes whose perturbations
+//                were kept, decayed by MOBILITY_TRACE_DECAY per interval
+//   'leader'   — the best-keeping astrocyte of its cluster, stopping LEADER_SEPARATION
+//                of its own territory radius short so repeated moves never bring
+//                the two together
+// Positions stay inside the cluster's bounding box and territories are reassigned
+// after every interval with a move. Rules draw no random numbers.
+export const MOBILITY_RULES = ['none', 'accepted', 'leader'];
+
+const MOBILITY_MIN_ACTIVATIONS = 20;
+const MOBILITY_TRACE_DECAY     = 0.5;
+const MOBILITY_NEIGHBOURHOOD   = 2;
+export const LEADER_SEPARATION = 0.5;   // territory radii
+
+// Per-neuron acceptance trace for the 'accepted' rule
+export function createAcceptanceTrace(network) {
+  return new Float64Array(network.neurons.length);
+}
+
+// A kept perturbation credits every neuron in the active astrocytes' territories
+export function markAccepted(trace, activeAstrocytes) {
+  for (const ast of activeAstrocytes) {
+    for (const id of ast.neuronIds) trace[id] += 1;
+  }
+}
+
+function keepRate(ast) {
+  return ast.activationCount > 0 ? ast.successCount / ast.activationCount : 0;
+}
+
+// Moves the astrocytes due to move, reassigns territories if any did and decays
+// the trace. Returns the astrocytes that moved.
+export function migrateAstrocytes(astrocytes, network, trace, params = ASTROCYTE_DEFAULTS) {
+  const moved = [];
+  for (let c = 0; c < network.clusterCount; c++) {
+    const members = astrocytes.filter(a => a.cluster === c);
+    const clusterNeurons = network.neurons.filter(n => n.cluster === c);
+    const box = bounds(clusterNeurons);
+    const experienced = members.filter(a => a.activationCount >= MOBILITY_MIN_ACTIVATIONS);
+    const leader = experienced.reduce((best, a) => (best && keepRate(best) >= keepRate(a) ? best : a), null);
+
+    for (const ast of experienced) {
+      if (keepRate(ast) >= params.mobilityKeepRate || ast === leader) continue;
+      const target = params.mobility === 'leader'
+        ? { ...leader.position, stop: LEADER_SEPARATION * ast.territoryRadius }
+        : acceptedCentroid(ast, clusterNeurons, trace, params);
+      if (!target) continue;
+      if (moveTowards(ast, target, params.mobilityStep, box)) moved.push(ast);
+    }
+  }
+  for (let i = 0; i < trace.length; i++) trace[i] *= MOBILITY_TRACE_DECAY;
+  if (moved.length > 0) assignTerritories(astrocytes, network, params);
+  return moved;
+}
+
+// Trace-weighted centroid of the neighbourhood; null when nothing in it was kept
+function acceptedCentroid(ast, clusterNeurons, trace, params) {
+  const reach = MOBILITY_NEIGHBOURHOOD * ast.territoryRadius;
+  let w = 0, x = 0, y = 0, z = 0;
+  for (const n of clusterNeurons) {
+    if (territoryDistance(ast.position, n, params) > reach) continue;
+    const t = trace[n.id];
+    w += t; x += t * n.x; y += t * n.y; z += t * n.z;
+  }
+  return w > 0 ? { x: x / w, y: y / w, z: z / w, stop: 0 } : null;
+}
+
+// Up to `step` along the line to target, ending no closer than target.stop,
+// clamped to the box. Returns whether the astrocyte moved.
+function moveTowards(ast, target, step, box) {
+  const dx = target.x - ast.position.x, dy = target.y - ast.position.y, dz = target.z - ast.position.z;
+  const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  const travel = Math.min(step, dist - target.stop);
+  if (!(travel > 0)) return false;
+  const from = ast.position;
+  const to = {
+    x: Math.max(box.minX, Math.min(box.maxX, from.x + dx / dist * travel)),
+    y: Math.max(box.minY, Math.min(box.maxY, from.y + dy / dist * travel)),
+    z: Math.max(box.minZ, Math.min(box.maxZ, from.z + dz / dist * travel)),
+  };
+  ast.position = to;
+  ast.moveCount = (ast.moveCount ?? 0) + 1;
+  ast.distanceMoved = (ast.distanceMoved ?? 0) + Math.hypot(to.x - from.x, to.y - from.y, to.z - from.z);
+  return true;
+}
+
+// ─── Population dynamics ──────────────────────────────────────────────────────
+
+// With params.populationDynamics, the population learns its own granularity.
+// Every populationInterval episodes each astrocyte is checked, and a condition
+// that has held for populationPatience checks in a row triggers, at most one
+// event per astrocyte per check, in this order:
+//   death — threshold pinned at activationThresholdMax: the astrocyte is removed
+//           and the nearest astrocyte of its cluster absorbs its area
+//   merge — kept perturbations per episode below mergeUsefulness: two such
+//           astrocytes that are each other's nearest in the cluster become one at
+//           their midpoint, with their areas added
+//   split — keep rate since the last check above splitSuccess and at least
+//           splitMinNeurons neurons: two astrocytes at the centroids of the halves
+//           of its territory (split at the median of its widest axis), each with
+//           half its area
+// Area is tracked as radiusScale² (territoryRadius = schedule radius ×
+// radiusScale; knearest territories scale their neuron count instead). A cluster
+// keeps at least one and at most maxAstrocytesPerCluster astrocytes. Newborns
+// start fresh but for the parent's threshold (mean of the two for a merge).
+// Ids are never reused: the lineage holds every astrocyte that ever lived.
+
+// Lineage entry per astrocyte: { id, cluster, parents, born, died, cause }
+export function createLineage(astrocytes) {
+  return astrocytes.map(ast =>
+    ({ id: ast.id, cluster: ast.cluster, parents: [], born: 0, died: null, cause: null }));
+}
+
+// Runs one check after `episode`; replaces the contents of `astrocytes`, extends
+// `lineage` and returns the events ({ episode, type, from, to }, ids)
+export function updatePopulation(astrocytes, network, lineage, params = ASTROCYTE_DEFAULTS, episode = 0) {
+  for (const ast of astrocytes) {
+    const kept       = ast.successCount - (ast.successAtCheck ?? 0);
+    const activated  = ast.activationCount - (ast.activationAtCheck ?? 0);
+    const usefulness = kept / params.populationInterval;
+    const recent     = activated > 0 ? kept / activated : 0;
+    ast.successAtCheck    = ast.successCount;
+    ast.activationAtCheck = ast.activationCount;
+    ast.pinnedChecks = ast.activationThreshold >= params.activationThresholdMax ? (ast.pinnedChecks ?? 0) + 1 : 0;
+    ast.idleChecks   = usefulness < params.mergeUsefulness ? (ast.idleChecks ?? 0) + 1 : 0;
+    ast.splitChecks  = recent > params.splitSuccess && ast.neuronIds.length >= params.splitMinNeurons
+      ? (ast.splitChecks ?? 0) + 1 : 0;
+  }
+
+  const events     = [];
+  const due        = key => ast => ast[key] >= params.populationPatience;
+  const retire     = (ast, cause) => Object.assign(lineage[ast.id], { died: episode, cause });
+  const baseRadius = ast => ast.territoryRadius / (ast.radiusScale ?? 1);   // the schedule's radius
+  const born       = (cluster, pos, parents, scale, threshold) => {
+    const ast = newAstrocyte(lineage.length, cluster, pos, parents[0].activationsByPattern.length, params, scale);
+    ast.territoryRadius     = baseRadius(parents[0]) * scale;
+    ast.activationThreshold = threshold;
+    lineage.push({ id: ast.id, cluster, parents: parents.map(p => p.id), born: episode, died: null, cause: null });
+    return ast;
+  };
+
+  let next = astrocytes.slice();
+  for (let c = 0; c < network.clusterCount; c++) {
+    const inCluster = () => next.filter(a => a.cluster === c);
+    const nearestTo = (ast, among) => among[nearest(among.map(a => a.position), ast.position,
+      (q, r) => territoryDistance(q, r, params))];
+
+    for (const ast of inCluster().filter(due('pinnedChecks'))) {
+      const others = inCluster().filter(a => a !== ast);
+      if (others.length === 0) break;
+      const heir = nearestTo(ast, others);
+      const base = baseRadius(heir);
+      heir.radiusScale     = Math.hypot(heir.radiusScale ?? 1, ast.radiusScale ?? 1);
+      heir.territoryRadius = base * heir.radiusScale;
+      next = next.filter(a => a !== ast);
+      retire(ast, 'death');
+      events.push({ episode, type: 'death', from: [ast.id], to: [heir.id] });
+    }
+
+    const idle = inCluster().filter(due('idleChecks'));
+    for (const a of idle) {
+      if (!next.includes(a)) continue;
+      const others = inCluster().filter(o => o !== a);
+      if (others.length === 0) break;
+      const b = nearestTo(a, others);
+      if (!idle.includes(b) || nearestTo(b, inCluster().filter(o => o !== b)) !== a) continue;
+      const mid = { x: (a.position.x + b.position.x) / 2, y: (a.position.y + b.position.y) / 2,
+                    z: (a.position.z + b.position.z) / 2 };
+      const merged = born(c, mid, [a, b], Math.hypot(a.radiusScale ?? 1, b.radiusScale ?? 1),
+        (a.activationThreshold + b.activationThreshold) / 2);
+      next = next.filter(o => o !== a && o !== b).concat(merged);
+      retire(a, 'merge'); retire(b, 'merge');
+      events.push({ episode, type: 'merge', from: [a.id, b.id], to: [merged.id] });
+    }
+
+    for (const ast of inCluster().filter(due('splitChecks'))) {
+      if (inCluster().length >= params.maxAstrocytesPerCluster) break;
+      const halves = splitTerritory(ast, network, params);
+      const scale  = (ast.radiusScale ?? 1) / Math.SQRT2;
+      const kids   = halves.map(pos => born(c, pos, [ast], scale, ast.activationThreshold));
+      next = next.filter(a => a !== ast).concat(kids);
+      retire(ast, 'split');
+      events.push({ episode, type: 'split', from: [ast.id], to: kids.map(k => k.id) });
+    }
+  }
+
+  if (events.length > 0) {
+    astrocytes.splice(0, astrocytes.length, ...next);
+    assignTerritories(astrocytes, network, params);
+  }
+  return events;
+}
+
+// Centroids of the two halves of a territory, split at the median of the axis
+// along which its neurons spread most (x-y only for a disc)
+function splitTerritory(ast, network, params) {
+  const members = ast.neuronIds.map(id => network.neurons[id]);
+  const axes    = params.territory === 'disc' ? ['x', 'y'] : ['x', 'y', 'z'];
+  const spread  = axis => Math.max(...members.map(n => n[axis])) - Math.min(...members.map(n => n[axis]));
+  const axis    = axes.reduce((best, a) => (spread(a) > spread(best) ? a : best));
+  const sorted  = members.slice().sort((a, b) => a[axis] - b[axis] || a.id - b.id);
+  const half    = Math.floor(sorted.length / 2);
+  const centroid = group => ({
+    x: group.reduce((s, n) => s + n.x, 0) / group.length,
+    y: group.reduce((s, n) => s + n.y, 0) / group.length,
+    z: params.territory === 'disc' ? ast.position.z : group.reduce((s, n) => s + n.z, 0) / group.length,
+  });
+  return [centroid(sorted.slice(0, half)), centroid(sorted.slice(half))];
+}
+
+// ─── Calcium waves ────────────────────────────────────────────────────────────
+
+// Gap-junction graphs (params.coupling): with one, an activation spreads to the
+// neighbours as a calcium wave. Each step an active astrocyte's calcium is set to
+// 1 and every astrocyte's decays by calciumDecay (updateCalcium); a dormant
+// astrocyte below its threshold then also fires with probability
+// min(1, couplingStrength × its neighbours' summed calcium), on top of its
+// exploration rate and from the same draw. Two astrocytes are neighbours under:
+//   'none'     — no coupling: astrocytes activate independently (the default)
+//   'overlap'  — territories sharing at least couplingOverlap of the smaller one's
+//                synapses; inter-cluster synapses let territories of different
+//                clusters overlap
+//   'distance' — positions (3D) at most couplingRange apart
+// With clusterGatedWaves, only astrocytes of the same cluster are coupled.
+// assignTerritories rebuilds the graph whenever territories change.
+export const COUPLING_GRAPHS = ['none', 'overlap', 'distance'];
+
+// Sets every astrocyte's gapJunctions under params.coupling
+export function coupleAstrocytes(astrocytes, params = ASTROCYTE_DEFAULTS) {
+  const owned  = params.coupling === 'overlap' ? astrocytes.map(a => new Set(a.ownedSynapses.map(s => s.id))) : null;
+  const joined = (i, j) => {
+    const a = astrocytes[i], b = astrocytes[j];
+    if (params.clusterGatedWaves && a.cluster !== b.cluster) return false;
+    if (params.coupling === 'distance') {
+      return Math.hypot(a.position.x - b.position.x, a.position.y - b.position.y,
+        a.position.z - b.position.z) <= params.couplingRange;
+    }
+    if (params.coupling === 'overlap') {
+      const smaller = Math.min(owned[i].size, owned[j].size);
+      if (smaller === 0) return false;
+      let shared = 0;
+      for (const id of owned[i]) if (owned[j].has(id)) shared++;
+      return shared / smaller >= params.couplingOverlap;
+    }
+    return false;
+  };
+  astrocytes.forEach((ast, i) => {
+    ast.gapJunctions = astrocytes.filter((_, j) => j !== i && joined(i, j)).map(b => b.id);
+  });
+}
+
+// Per astrocyte: drive, the probability of joining a wave, and source, the
+// neighbour with the most calcium (null without calcium around)
+function calciumDrive(astrocytes, params) {
+  const byId = new Map(astrocytes.map(a => [a.id, a]));
+  return astrocytes.map(ast => {
+    let sum = 0, source = null;
+    for (const id of ast.gapJunctions ?? []) {
+      const n = byId.get(id);
+      if (!n || !(n.calcium > 0)) continue;
+      sum += n.calcium;
+      if (!source || n.calcium > source.calcium) source = n;
+    }
+    return { drive: Math.min(1, params.couplingStrength * sum), source };
+  });
+}
+
+// After selection: calcium decays everywhere and spikes in the active astrocytes
+export function updateCalcium(astrocytes, activeAstrocytes, params = ASTROCYTE_DEFAULTS) {
+  for (const ast of astrocytes) ast.calcium = (ast.calcium ?? 0) * params.calciumDecay;
+  for (const ast of activeAstrocytes) ast.calcium = 1;
+}
+
+// Wave statistics over a run. activations: wave-driven activations, crossCluster
+// of them set off by a neighbour in another cluster; a wave is a run of
+// consecutive steps with at least one (current: the open run's length so far).
+export function createWaveLog() {
+  return { activations: 0, crossCluster: 0, waves: 0, totalLength: 0, maxLength: 0, current: 0 };
+}
+
+function logWaves(log, joined) {
+  log.activations  += joined.length;
+  log.crossCluster += joined.filter(c => c.wave.source.cluster !== c.ast.cluster).length;
+  if (joined.length > 0) log.current++;
+  else endWave(log);
+}
+
+function endWave(log) {
+  if (log.current === 0) return;
+  log.waves++;
+  log.totalLength += log.current;
+  log.maxLength    = Math.max(log.maxLength, log.current);
+  log.current      = 0;
+}
+
+// The graph (undirected edges, crossClusterEdges between clusters, meanDegree)
+// and the log, with a wave still running counted as ended
+export function waveSummary(log, astrocytes) {
+  const cluster = new Map(astrocytes.map(a => [a.id, a.cluster]));
+  const edges   = astrocytes.flatMap(a => (a.gapJunctions ?? []).filter(id => id > a.id).map(id => [a, id]));
+  const closed  = { ...log };
+  endWave(closed);
+  return {
+    edges:             edges.length,
+    crossClusterEdges: edges.filter(([a, id]) => cluster.get(id) !== a.cluster).length,
+    meanDegree:        2 * edges.length / (astrocytes.length || 1),
+    activations:       closed.activations,
+    crossCluster:      closed.crossCluster,
+    waves:             closed.waves,
+    meanLength:        closed.waves > 0 ? closed.totalLength / closed.waves : 0,
+    maxLength:         closed.maxLength,
+  };
 }
 
 // ─── Per-step sensing ─────────────────────────────────────────────────────────
@@ -129,28 +839,80 @@ export function computeTrafficScores(astrocytes, prevFiredState) {
   });
 }
 
+// ─── Exploration schedules ────────────────────────────────────────────────────
+
+// A schedule maps (astrocyte, ctx, params) to the probability that the
+// astrocyte fires spontaneously this step when its score does not clear its
+// threshold. ctx is the training position and global stats:
+//   { episode, step, totalSteps, totalAccepted, totalRejected }
+// train() picks one by name: config.exploration, else the condition's own.
+//
+//   'none'        — no exploration (baseline)
+//   'flat'        — constant epsilon (experiment 023)
+//   'maturity'    — baseEpsilon / (1 + activationCount / maturityHorizon) (experiment 024)
+//   'threshold'   — option A: epsilon scaled by how far the astrocyte's threshold is
+//                   above activationThresholdMin, relative to the initial threshold;
+//                   an astrocyte that has earned a low threshold stops exploring
+//   'linear'      — option B: epsilon · max(0, 1 − episode / epsilonDecayEpisodes)
+//   'hybrid'      — option C: the smaller of 'threshold' and 'linear'
+//   'exponential' — epsilon halved every epsilonHalfLife episodes
+//   'ucb'         — ucbScale · √(ln(totalSteps + 1) / (activationCount + 1)):
+//                   a bonus for rarely activated astrocytes that fades as they are used
+export const EXPLORATION_SCHEDULES = {
+  none:        () => 0,
+  flat:        (ast, ctx, params) => params.epsilon,
+  maturity:    (ast, ctx, params) => params.baseEpsilon / (1 + ast.activationCount / params.maturityHorizon),
+  threshold:   (ast, ctx, params) => {
+    const span = INITIAL_THRESHOLD - params.activationThresholdMin;
+    const earned = span > 0 ? (ast.activationThreshold - params.activationThresholdMin) / span : 1;
+    return params.epsilon * Math.min(1, Math.max(0, earned));
+  },
+  linear:      (ast, ctx, params) => params.epsilon * Math.max(0, 1 - ctx.episode / params.epsilonDecayEpisodes),
+  hybrid:      (ast, ctx, params) => Math.min(EXPLORATION_SCHEDULES.threshold(ast, ctx, params),
+                                              EXPLORATION_SCHEDULES.linear(ast, ctx, params)),
+  exponential: (ast, ctx, params) => params.epsilon * 0.5 ** (ctx.episode / params.epsilonHalfLife),
+  ucb:         (ast, ctx, params) =>
+    Math.min(1, params.ucbScale * Math.sqrt(Math.log(ctx.totalSteps + 1) / (ast.activationCount + 1))),
+};
+
+export function explorationSchedule(name) {
+  if (!Object.hasOwn(EXPLORATION_SCHEDULES, name))
+    throw new Error(`Unknown exploration schedule "${name}" (known: ${Object.keys(EXPLORATION_SCHEDULES).join(', ')})`);
+  return EXPLORATION_SCHEDULES[name];
+}
+
+const START_CONTEXT = { episode: 0, step: 0, totalSteps: 0, totalAccepted: 0, totalRejected: 0 };
+
 // ─── Activation selection ─────────────────────────────────────────────────────
 
-// explorationMode: 'none' | 'flat' | 'maturity'
-//   'none'     — no epsilon exploration (baseline)
-//   'flat'     — constant EPSILON per astrocyte per step (experiment 023)
-//   'maturity' — per-astrocyte decaying rate: BASE_EPSILON / (1 + activationCount / MATURITY_HORIZON)
-export function selectActiveAstrocytes(astrocytes, scores, explorationMode = 'none') {
+// schedule: an EXPLORATION_SCHEDULES name or a schedule function; ctx as above.
+// Astrocytes whose score is below threshold fire with the schedule's rate, or
+// with a coupling, that rate plus their calcium drive (no draw when both are 0).
+// At most params.maxActive astrocytes are returned. waveLog (createWaveLog)
+// records the wave-driven activations.
+export function selectActiveAstrocytes(astrocytes, scores, schedule = 'none', rng = Math,
+                                       params = ASTROCYTE_DEFAULTS, ctx = START_CONTEXT, waveLog = null) {
+  const rateOf = typeof schedule === 'function' ? schedule : explorationSchedule(schedule);
+  const waves  = params.coupling === 'none' ? null : calciumDrive(astrocytes, params);
+
   // Pair each astrocyte with its score, sort descending
   const candidates = scores
-    .map((score, i) => ({ ast: astrocytes[i], score, byEpsilon: false }))
+    .map((score, i) => ({ ast: astrocytes[i], score, byEpsilon: false, byWave: false, wave: waves?.[i] }))
     .sort((a, b) => b.score - a.score);
 
-  // Determine which are active
+  // Determine which are active; one draw decides exploration, then the wave
   for (const c of candidates) {
     const byScore = c.score > c.ast.activationThreshold;
-    if (!byScore && explorationMode !== 'none') {
-      const rate = explorationMode === 'maturity'
-        ? BASE_EPSILON / (1 + c.ast.activationCount / MATURITY_HORIZON)
-        : EPSILON;
-      if (Math.random() < rate) c.byEpsilon = true;
+    if (!byScore) {
+      const rate  = rateOf(c.ast, ctx, params);
+      const drive = c.wave?.drive ?? 0;
+      if (rate > 0 || drive > 0) {
+        const r = rng.random();
+        if (r < rate)                             c.byEpsilon = true;
+        else if (r < rate + (1 - rate) * drive)   c.byWave    = true;
+      }
     }
-    c.active = byScore || c.byEpsilon;
+    c.active = byScore || c.byEpsilon || c.byWave;
   }
 
   let active = candidates.filter(c => c.active);
@@ -158,21 +920,24 @@ export function selectActiveAstrocytes(astrocytes, scores, explorationMode = 'no
   // Minimum 1 always active (force top scorer; not counted as epsilon)
   if (active.length === 0) active = [candidates[0]];
 
-  // Maximum MAX_ACTIVE (already sorted by score descending)
-  if (active.length > MAX_ACTIVE) active = active.slice(0, MAX_ACTIVE);
+  // Maximum maxActive (already sorted by score descending)
+  if (active.length > params.maxActive) active = active.slice(0, params.maxActive);
 
-  // Track epsilon activations only for astrocytes actually selected
+  // Track epsilon and wave activations only for astrocytes actually selected
   for (const c of active) {
     if (c.byEpsilon) c.ast.epsilonCount++;
+    if (c.byWave)    c.ast.waveCount = (c.ast.waveCount ?? 0) + 1;
   }
+  if (waveLog) logWaves(waveLog, active.filter(c => c.byWave));
 
   return active.map(c => c.ast);
 }
 
 // ─── Exploration rate query (for diagnostics) ────────────────────────────────
 
-export function getExplorationRate(ast) {
-  return BASE_EPSILON / (1 + ast.activationCount / MATURITY_HORIZON);
+// Maturity-scaled rate (experiment 024); train() reports its schedule's own rate
+export function getExplorationRate(ast, params = ASTROCYTE_DEFAULTS) {
+  return EXPLORATION_SCHEDULES.maturity(ast, START_CONTEXT, params);
 }
 
 // ─── Eligible synapse collection ──────────────────────────────────────────────
@@ -191,26 +956,42 @@ export function getEligibleSynapsesFromAstrocytes(activeAstrocytes) {
   return eligible;
 }
 
+// Thresholds in play when threshold perturbation is on: union of territory
+// neurons, deduplicated. Input neurons are skipped (they never threshold).
+export function getEligibleNeuronsFromAstrocytes(activeAstrocytes, network) {
+  const seen = new Set();
+  const eligible = [];
+  for (const ast of activeAstrocytes) {
+    for (const id of ast.neuronIds) {
+      const n = network.neurons[id];
+      if (n.type === 'input' || seen.has(id)) continue;
+      seen.add(id);
+      eligible.push(n);
+    }
+  }
+  return eligible;
+}
+
 // ─── Threshold adaptation ─────────────────────────────────────────────────────
 
-export function adaptAstrocytes(astrocytes, activeAstrocytes, kept, totalSteps) {
+export function adaptAstrocytes(astrocytes, activeAstrocytes, kept, totalSteps, params = ASTROCYTE_DEFAULTS) {
   // Update each active astrocyte's history and counters
   for (const ast of activeAstrocytes) {
     ast.rewardHistory.push(kept ? 1 : 0);
-    if (ast.rewardHistory.length > REWARD_HISTORY_SIZE) ast.rewardHistory.shift();
+    while (ast.rewardHistory.length > params.historySize) ast.rewardHistory.shift();
     ast.activationCount++;
     if (kept) ast.successCount++;
   }
 
-  // Every ADAPT_INTERVAL steps, adjust all astrocyte thresholds
-  if (totalSteps % ADAPT_INTERVAL === 0) {
+  // Every adaptInterval steps, adjust all astrocyte thresholds
+  if (totalSteps % params.adaptInterval === 0) {
     for (const ast of astrocytes) {
       if (ast.rewardHistory.length === 0) continue;
       const rate = ast.rewardHistory.reduce((s, v) => s + v, 0) / ast.rewardHistory.length;
-      if (rate > SUCCESS_HIGH) {
-        ast.activationThreshold = Math.max(THRESHOLD_MIN, ast.activationThreshold - 0.01);
-      } else if (rate < SUCCESS_LOW) {
-        ast.activationThreshold = Math.min(THRESHOLD_MAX, ast.activationThreshold + 0.01);
+      if (rate > params.successHigh) {
+        ast.activationThreshold = Math.max(params.activationThresholdMin, ast.activationThreshold - 0.01);
+      } else if (rate < params.successLow) {
+        ast.activationThreshold = Math.min(params.activationThresholdMax, ast.activationThreshold + 0.01);
       }
     }
   }
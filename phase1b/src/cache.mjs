@@ -0,0 +1,87 @@
+// Result cache: a finished (seed, condition) run stored under a key that
+// covers everything its result depends on, so an unchanged baseline or control
+// condition is reloaded instead of retrained in the next experiment.
+//
+// key = SHA-256 of { seed, condition, config, source }
+//   condition — the train() condition (not the report name: 'control' in
+//               experiment 020 and 024 is the same run)
+//   config    — the training config with condition overrides applied and
+//               run-only keys and the experiment id left out (runner.mjs)
+//   source    — trainingSourceHash(): runner.mjs (runCondition() itself),
+//               spec.mjs (condition resolution) and everything they import.
+//               Editing report.mjs or the CLI keeps the cache; editing
+//               train.mjs or runner.mjs clears it.
+//
+// Entry file <cacheDir>/<key>.json (CACHE_VERSION 1):
+//   { version, key, savedAt, seed, condition, config, source, result }
+// result is runCondition()'s { ...train() result, inference }. Unreadable or
+// mismatched entries count as misses and are overwritten by the fresh run.
+
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { threadId } from 'worker_threads';
+import { configHash } from './registry.mjs';
+
+export const CACHE_VERSION = 1;
+
+// runCondition() and the condition resolution it relies on; their imports
+// bring in network, training and inference
+const ENTRY_MODULES = ['runner.mjs', 'spec.mjs'];
+
+const SRC_DIR = fileURLToPath(new URL('.', import.meta.url));
+
+export function cacheKey({ seed, condition, config }) {
+  return configHash({ seed, condition, config, source: trainingSourceHash() });
+}
+
+export function cachePath(cacheDir, key) {
+  return join(cacheDir, `${key}.json`);
+}
+
+// Cached result for key, or null
+export function loadCachedResult(cacheDir, key) {
+  const path = cachePath(cacheDir, key);
+  if (!existsSync(path)) return null;
+  try {
+    const entry = JSON.parse(readFileSync(path, 'utf8'));
+    return entry.version === CACHE_VERSION && entry.key === key ? entry.result : null;
+  } catch {
+    return null;
+  }
+}
+
+// Temp file + rename, as checkpoints: parallel workers never see a torn entry
+export function saveCachedResult(cacheDir, key, { seed, condition, config, result }) {
+  mkdirSync(cacheDir, { recursive: true });
+  const path = cachePath(cacheDir, key);
+  const tmp  = `${path}.${process.pid}-${threadId}.tmp`;
+  writeFileSync(tmp, JSON.stringify({
+    version: CACHE_VERSION, key, savedAt: new Date().toISOString(),
+    seed, condition, config, source: trainingSourceHash(), result,
+  }));
+  renameSync(tmp, path);
+}
+
+// ─── Source hash ──────────────────────────────────────────────────────────────
+
+let sourceHash = null;
+
+// Hash of ENTRY_MODULES and their transitive './x.mjs' imports, once per process
+export function trainingSourceHash() {
+  if (sourceHash === null) sourceHash = hashSources(SRC_DIR);
+  return sourceHash;
+}
+
+// Hash of entries in srcDir and their transitive './x.mjs' imports
+export function hashSources(srcDir, entries = ENTRY_MODULES) {
+  const files = {};
+  const queue = entries.slice();
+  while (queue.length > 0) {
+    const name = queue.shift();
+    if (name in files) continue;
+    files[name] = readFileSync(join(srcDir, name), 'utf8');
+    for (const [, dep] of files[name].matchAll(/from\s+'\.\/([\w.-]+\.mjs)'/g)) queue.push(dep);
+  }
+  return configHash(files);
+}
@@ -0,0 +1,141 @@
+// Network checkpoints: serialise a (trained) network plus its astrocytes to JSON
+// and load them back for inference or continued training.
+//
+// File layout (CHECKPOINT_VERSION 2):
+//   { version, savedAt, network, astrocytes, training, meta }
+//   network    — { neurons, synapses, inputIds, outputIds, biasIds, clusterCount, config }
+//                neurons keep position, threshold and fire-rate counters;
+//                synapses keep { id, pre, post, weight }
+//   astrocytes — createAstrocytes() state, ownedSynapses stored as synapse ids
+//                (null when the condition has no astrocytes)
+//   training   — train()'s onCheckpoint state for resuming a run (episode,
+//                counters, trajectory, samples, RNG stream states), or null
+//   meta       — free-form (seed, condition, experiment, ...)
+//
+// Weights round-trip exactly: JSON numbers print the shortest string that
+// parses back to the same double.
+//
+// Schema changes bump CHECKPOINT_VERSION and add MIGRATIONS[oldVersion], a
+// function that upgrades data from oldVersion to oldVersion + 1. Older files
+// are migrated step by step on load; newer files are rejected.
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync } from 'fs';
+import { dirname } from 'path';
+
+export const CHECKPOINT_VERSION = 2;
+
+const MIGRATIONS = {
+  // v1 → v2: resumable training state
+  1: data => ({ ...data, training: null }),
+};
+
+// ─── Network ──────────────────────────────────────────────────────────────────
+
+export function serializeNetwork(network) {
+  return {
+    neurons: network.neurons.map(n => {
+      const out = {
+        id: n.id, type: n.type, cluster: n.cluster,
+        x: n.x, y: n.y, z: n.z,
+        threshold: n.threshold,
+        fireCount: n.fireCount, stepCount: n.stepCount,
+      };
+      if (n.bias) out.bias = true;
+      return out;
+    }),
+    synapses:     network.synapses.map(s => ({ id: s.id, pre: s.pre, post: s.post, weight: s.weight })),
+    inputIds:     network.inputIds.slice(),
+    outputIds:    network.outputIds.slice(),
+    biasIds:      network.biasIds.slice(),
+    clusterCount: network.clusterCount,
+    config:       network.config,
+  };
+}
+
+export function deserializeNetwork(data) {
+  return {
+    neurons:      data.neurons.map(n => ({ ...n, fired: false })),
+    synapses:     data.synapses.map(s => ({ ...s })),
+    inputIds:     data.inputIds.slice(),
+    outputIds:    data.outputIds.slice(),
+    biasIds:      data.biasIds.slice(),
+    clusterCount: data.clusterCount,
+    config:       { ...data.config },
+  };
+}
+
+// ─── Astrocytes ───────────────────────────────────────────────────────────────
+
+export function serializeAstrocytes(astrocytes) {
+  return astrocytes.map(ast => ({
+    ...ast,
+    position:             { ...ast.position },
+    rewardHistory:        ast.rewardHistory.slice(),
+    neuronIds:            ast.neuronIds.slice(),
+    ownedSynapses:        ast.ownedSynapses.map(s => s.id),
+    activationsByPattern: ast.activationsByPattern.slice(),
+  }));
+}
+
+// Re-links ownedSynapses to the synapse objects of `network`
+export function deserializeAstrocytes(data, network) {
+  const byId = new Map(network.synapses.map(s => [s.id, s]));
+  return data.map(ast => ({
+    ...ast,
+    position:             { ...ast.position },
+    rewardHistory:        ast.rewardHistory.slice(),
+    neuronIds:            ast.neuronIds.slice(),
+    ownedSynapses:        ast.ownedSynapses.map(id => {
+      const s = byId.get(id);
+      if (!s) throw new Error(`Astrocyte ${ast.id} owns unknown synapse ${id}`);
+      return s;
+    }),
+    activationsByPattern: ast.activationsByPattern.slice(),
+  }));
+}
+
+// ─── Files ────────────────────────────────────────────────────────────────────
+
+export function buildCheckpoint(network, astrocytes = null, meta = {}, training = null) {
+  return {
+    version:    CHECKPOINT_VERSION,
+    savedAt:    new Date().toISOString(),
+    network:    serializeNetwork(network),
+    astrocytes: astrocytes ? serializeAstrocytes(astrocytes) : null,
+    training,
+    meta,
+  };
+}
+
+export function restoreCheckpoint(data) {
+  const migrated = migrateCheckpoint(data);
+  const network  = deserializeNetwork(migrated.network);
+  const astrocytes = migrated.astrocytes ? deserializeAstrocytes(migrated.astrocytes, network) : null;
+  return { network, astrocytes, training: migrated.training, meta: migrated.meta ?? {}, data: migrated };
+}
+
+export function migrateCheckpoint(data) {
+  if (typeof data.version !== 'number')
+    throw new Error('Not a phase1b checkpoint (missing version)');
+  if (data.version > CHECKPOINT_VERSION)
+    throw new Error(`Checkpoint version ${data.version} is newer than supported (${CHECKPOINT_VERSION})`);
+  let out = data;
+  while (out.version < CHECKPOINT_VERSION) {
+    const migrate = MIGRATIONS[out.version];
+    if (!migrate) throw new Error(`No migration from checkpoint version ${out.version}`);
+    out = { ...migrate(out), version: out.version + 1 };
+  }
+  return out;
+}
+
+// Writes via a temp file + rename so an interrupted write never leaves a torn checkpoint
+export function saveCheckpoint(path, network, astrocytes = null, meta = {}, training = null) {
+  mkdirSync(dirname(path), { recursive: true });
+  const tmp = `${path}.tmp`;
+  writeFileSync(tmp, JSON.stringify(buildCheckpoint(network, astrocytes, meta, training)));
+  renameSync(tmp, path);
+}
+
+export function loadCheckpoint(path) {
+  return restoreCheckpoint(JSON.parse(readFileSync(path, 'utf8')));
+}
@@ -0,0 +1,123 @@
+// Command-line options for the experiment runner (main.mjs).
+//
+//   --spec experiments/experiment-024.json  experiment spec (spec.mjs); the
+//                                           options below override it
+//   --conditions maturity,epsilon,control   condition names (train() conditions or
+//                                           the spec's names), in report order
+//   --seeds 42,137,271                      one network per seed
+//   --episodes 20000                        episodes per condition
+//   --steps-per-episode 10
+//   --out reports/                          report directory
+//   --concurrency 8                         worker threads (1 = serial, in-process)
+//   --set key=value                         config override, repeatable. Values
+//                                           are read as JSON when they parse
+//                                           (4, true, null, [0.6,0.5]), else as
+//                                           strings; a.b=1 sets a nested key.
+//                                           Keys training does not read yet
+//                                           (config.mjs UNWIRED_KEYS) are rejected
+//   --resume                                continue from checkpoints
+//   --force                                 retrain every run, ignoring (and
+//                                           replacing) cached results
+//   --target-ci-width 0.02                  add seeds until the 95% CI of the
+//                                           paired difference is this narrow
+//   --max-seeds 40                          ... or this many seeds have run
+//                                           (only with --target-ci-width)
+//
+// parseCli(argv, defaults, { spec }) → { config, resume, force }. `spec` is the spec
+// path used when --spec is not given; defaults are not modified.
+
+import { parseArgs } from 'util';
+import { CONDITIONS } from './train.mjs';
+import { loadSpec, specToConfig, resolveCondition } from './spec.mjs';
+import { UNWIRED_KEYS } from './config.mjs';
+
+const OPTIONS = {
+  spec:                { type: 'string' },
+  conditions:          { type: 'string' },
+  seeds:               { type: 'string' },
+  episodes:            { type: 'string' },
+  'steps-per-episode': { type: 'string' },
+  out:                 { type: 'string' },
+  concurrency:         { type: 'string' },
+  set:                 { type: 'string', multiple: true },
+  resume:              { type: 'boolean' },
+  force:               { type: 'boolean' },
+  'target-ci-width':   { type: 'string' },
+  'max-seeds':         { type: 'string' },
+};
+
+export function parseCli(argv, defaults, { spec = null } = {}) {
+  const { values } = parseArgs({ args: argv, options: OPTIONS, strict: true });
+  const specPath = values.spec ?? spec;
+  const config = specPath
+    ? specToConfig(loadSpec(specPath), structuredClone(defaults))
+    : structuredClone(defaults);
+
+  for (const assignment of values.set ?? []) applySet(config, assignment);
+
+  if (values.conditions !== undefined) config.conditions = splitList(values.conditions);
+  if (values.seeds !== undefined)      config.seeds      = splitList(values.seeds).map(v => toInteger(v, '--seeds'));
+  if (values.episodes !== undefined)   config.episodes   = toInteger(values.episodes, '--episodes');
+  if (values['steps-per-episode'] !== undefined)
+    config.stepsPerEpisode = toInteger(values['steps-per-episode'], '--steps-per-episode');
+  if (values.out !== undefined)        config.outDir     = values.out.replace(/\/+$/, '') || '.';
+  if (values.concurrency !== undefined) {
+    config.concurrency = toInteger(values.concurrency, '--concurrency');
+    if (config.concurrency < 1) throw new Error('--concurrency must be at least 1');
+  }
+
+  if (values['target-ci-width'] !== undefined) {
+    config.targetCiWidth = Number(values['target-ci-width']);
+    if (!(config.targetCiWidth > 0)) throw new Error('--target-ci-width expects a positive number');
+  }
+  if (values['max-seeds'] !== undefined) {
+    if (config.targetCiWidth == null) throw new Error('--max-seeds needs --target-ci-width');
+    config.maxSeeds = toInteger(values['max-seeds'], '--max-seeds');
+  }
+
+  for (const name of config.conditions) {
+    if (!CONDITIONS.includes(resolveCondition(config, name).condition))
+      throw new Error(`Unknown condition "${name}" (known: ${CONDITIONS.join(', ')})`);
+  }
+  if (config.seeds.length === 0) throw new Error('--seeds needs at least one seed');
+
+  return { config, resume: values.resume ?? false, force: values.force ?? false };
+}
+
+// 'a.b=4' → config.a.b = 4
+export function applySet(config, assignment, defaults = config) {
+  const eq = assignment.indexOf('=');
+  if (eq <= 0) throw new Error(`--set expects key=value, got "${assignment}"`);
+  const path  = assignment.slice(0, eq).split('.');
+  const value = parseValue(assignment.slice(eq + 1));
+
+  if (UNWIRED_KEYS.includes(path[0]))
+    throw new Error(`--set ${path[0]}: training does not read this key yet`);
+  if (!(path[0] in defaults))
+    console.warn(`Warning: --set ${path[0]} is not a key of the experiment config`);
+
+  let target = config;
+  for (const key of path.slice(0, -1)) {
+    if (typeof target[key] !== 'object' || target[key] === null) target[key] = {};
+    target = target[key];
+  }
+  target[path[path.length - 1]] = value;
+}
+
+export function parseValue(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+function splitList(text) {
+  return text.split(',').map(s => s.trim()).filter(s => s !== '');
+}
+
+function toInteger(text, flag) {
+  const n = Number(text);
+  if (!Number.isInteger(n)) throw new Error(`${flag} expects integers, got "${text}"`);
+  return n;
+}
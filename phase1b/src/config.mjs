@@ -0,0 +1,104 @@
+// Experiment config defaults: the value of every key an experiment spec
+// (spec.mjs), sweep spec (sweep.mjs) or evolution spec (evolve.mjs) leaves out.
+// main.mjs, run-sweep.mjs and run-evolve.mjs start from BASE_CONFIG;
+// command-line options override both.
+//
+// The astrocyte and perturbation constants (territoryRadius … maturityHorizon,
+// perturbStd, maxWeight) reproduce experiments 021–024; see astrocyteParams()
+// in astrocyte.mjs and perturb() in perturb.mjs.
+
+import { EPISODES, STEPS_PER_EPISODE } from './train.mjs';
+import { trainingPatterns }        from './task.mjs';
+import {
+  EPSILON, BASE_EPSILON, MATURITY_HORIZON, EPSILON_DECAY_EPISODES, EPSILON_HALF_LIFE, UCB_SCALE,
+  TERRITORY_RADIUS_START, RADIUS_ANNEAL_EPISODES, RADIUS_HALF_LIFE,
+  MOBILITY_INTERVAL, MOBILITY_KEEP_RATE, MOBILITY_STEP,
+  POPULATION_INTERVAL, POPULATION_PATIENCE, SPLIT_SUCCESS, SPLIT_MIN_NEURONS, MERGE_USEFULNESS,
+  MAX_ASTROCYTES_PER_CLUSTER, CALCIUM_COUPLING, CALCIUM_DECAY, COUPLING_OVERLAP, COUPLING_RANGE,
+} from './astrocyte.mjs';
+import { MAX_WEIGHT }              from './perturb.mjs';
+import { availableParallelism }    from 'os';
+
+export const BASE_CONFIG = {
+  clusters: 2,
+  neuronsPerCluster: 35,   // 5 input, 5 output, 2 modulatory, 23 regular
+  intraProb: 0.6,
+  interProb: 0.5,
+  biasCount: 0,
+  propagationMode: 'single',
+  propagationCycles: 3,
+  astrocytesPerCluster: 4,
+  placement: 'grid',       // grid | poisson | kmeans | voronoi (astrocyte.mjs PLACEMENTS)
+  territory: 'disc',       // disc | sphere | ellipsoid | knearest (astrocyte.mjs TERRITORIES)
+  territoryRadius: 3.0,
+  territoryAxes: [1, 1, 1],  // ellipsoid semi-axes, in territoryRadius units
+  territoryNeighbours: 12, // knearest territory size
+  adaptInterval: 50,       // steps between astrocyte threshold adjustments
+  successHigh: 0.15,
+  successLow: 0.05,
+  maxActive: 3,            // astrocytes active per step
+  historySize: 20,         // keep/revert outcomes per astrocyte success rate
+  activationThresholdMin: 0.1,
+  activationThresholdMax: 0.9,
+  perturbStd: 0.1,
+  maxWeight: MAX_WEIGHT,
+  perturbThresholds: false,
+  thresholdPerturbStd: 0.05,
+  epsilon: EPSILON,
+  baseEpsilon: BASE_EPSILON,
+  maturityHorizon: MATURITY_HORIZON,
+  exploration: null,       // EXPLORATION_SCHEDULES name; null: the condition's own
+  epsilonDecayEpisodes: EPSILON_DECAY_EPISODES,
+  epsilonHalfLife: EPSILON_HALF_LIFE,
+  ucbScale: UCB_SCALE,
+  radiusSchedule: 'fixed', // fixed | linear | exponential | maturity (astrocyte.mjs RADIUS_SCHEDULES)
+  territoryRadiusStart: TERRITORY_RADIUS_START,
+  radiusAnnealEpisodes: RADIUS_ANNEAL_EPISODES,
+  radiusHalfLife: RADIUS_HALF_LIFE,
+  mobility: 'none',        // none | accepted | leader (astrocyte.mjs MOBILITY_RULES)
+  mobilityInterval: MOBILITY_INTERVAL,
+  mobilityKeepRate: MOBILITY_KEEP_RATE,
+  mobilityStep: MOBILITY_STEP,
+  populationDynamics: false,   // astrocytes split, merge and die (astrocyte.mjs updatePopulation)
+  populationInterval: POPULATION_INTERVAL,
+  populationPatience: POPULATION_PATIENCE,
+  splitSuccess: SPLIT_SUCCESS,
+  splitMinNeurons: SPLIT_MIN_NEURONS,
+  mergeUsefulness: MERGE_USEFULNESS,
+  maxAstrocytesPerCluster: MAX_ASTROCYTES_PER_CLUSTER,
+  coupling: 'none',        // none | overlap | distance (astrocyte.mjs COUPLING_GRAPHS)
+  couplingStrength: CALCIUM_COUPLING,
+  calciumDecay: CALCIUM_DECAY,
+  couplingOverlap: COUPLING_OVERLAP,
+  couplingRange: COUPLING_RANGE,
+  clusterGatedWaves: false,   // calcium waves stay within a cluster
+  episodes: EPISODES,
+  stepsPerEpisode: STEPS_PER_EPISODE,
+  homeostasis: false,
+  numPatterns: trainingPatterns.length,
+  outDir: './reports',
+  checkpointDir: './checkpoints',   // latest state per seed/condition; null to skip
+  checkpointEvery: 1000,            // episodes
+  cacheDir: './cache',              // finished results by config/seed/source hash; null to skip
+  registryPath: './runs/registry.jsonl',   // every finished run; null to skip
+  concurrency: availableParallelism(),
+  targetCiWidth: null,              // null: run exactly config.seeds
+  maxSeeds: 40,
+  seedBatch: 2,
+  ciPair: null,                     // [a, b]; default the first two conditions
+};
+
+// Config keys the report prints but training ignores: createNetwork() sizes
+// clusters from clusterRoles and train() uses every training pattern.
+// Overriding one would report a setting that was never used, so --set
+// (cli.mjs) and spec files (spec.mjs) reject them.
+export const UNWIRED_KEYS = ['neuronsPerCluster', 'numPatterns'];
+
+// Keys that choose what to run or where output goes, not how a run trains:
+// runner.mjs leaves them out of checkpoint and cache keys, and sweeps
+// (sweep.mjs) cannot vary them
+export const RUN_KEYS = [
+  'seeds', 'conditions', 'conditionSpecs', 'successCriteria', 'title', 'description',
+  'outDir', 'checkpointDir', 'checkpointEvery', 'cacheDir', 'concurrency',
+  'targetCiWidth', 'maxSeeds', 'seedBatch', 'ciPair', 'registryPath', 'sweep',
+];
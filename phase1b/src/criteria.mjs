@@ -0,0 +1,103 @@
+// Declarative success criteria, as listed in an experiment spec's successCriteria.
+// Each criterion is { type, label, ...params }; condition names refer to the
+// spec's named conditions (keys of each allResults entry).
+//
+//   meanAccuracyGreater  { a, b, margin = 0, alpha? }
+//       mean inference accuracy of a > mean of b + margin; with alpha, the
+//       paired t-test over seeds (stats.mjs) must also give p < alpha
+//   meanAccuracyAtLeast  { condition, value }
+//       mean inference accuracy >= value
+//   winsAtLeast          { a, b, count }
+//       a beats b on at least `count` seeds
+//   astrocyteFraction    { condition, field, below, minFraction, cluster? }
+//       share of astrocytes (optionally of one cluster, pooled over seeds)
+//       whose astrocyteStats[field] < below is >= minFraction (and non-zero)
+//   noLateDegradation    { condition, tolerance = 0.01 }
+//       seed-averaged reward over the last quarter of the trajectory
+//       >= the reward at its midpoint - tolerance
+//
+// evaluateCriteria(criteria, allResults) → [{ label, type, measured, pass }]
+
+import { pairedTTest } from './stats.mjs';
+
+export const CRITERION_TYPES = [
+  'meanAccuracyGreater', 'meanAccuracyAtLeast', 'winsAtLeast',
+  'astrocyteFraction', 'noLateDegradation',
+];
+
+export function validateCriterion(criterion) {
+  if (!CRITERION_TYPES.includes(criterion.type))
+    throw new Error(`Unknown criterion type "${criterion.type}" (known: ${CRITERION_TYPES.join(', ')})`);
+  if (typeof criterion.label !== 'string')
+    throw new Error(`Criterion of type ${criterion.type} needs a label`);
+}
+
+// Condition names a criterion reads
+export function criterionConditions(criterion) {
+  return 'condition' in criterion ? [criterion.condition] : [criterion.a, criterion.b];
+}
+
+export function evaluateCriteria(criteria, allResults) {
+  return criteria.map(criterion => {
+    validateCriterion(criterion);
+    const { measured, pass } = EVALUATORS[criterion.type](criterion, allResults);
+    return { label: criterion.label, type: criterion.type, measured, pass };
+  });
+}
+
+const EVALUATORS = {
+  meanAccuracyGreater({ a, b, margin = 0, alpha }, results) {
+    const ma = meanAccuracy(results, a), mb = meanAccuracy(results, b);
+    const measured = `${ma.toFixed(3)} vs ${mb.toFixed(3)}`;
+    if (alpha === undefined) return { measured, pass: ma > mb + margin };
+
+    const { p } = pairedTTest(accuracies(results, a), accuracies(results, b));
+    return { measured: `${measured}, paired t p=${Number.isNaN(p) ? '—' : p.toFixed(3)}`, pass: ma > mb + margin && p < alpha };
+  },
+
+  meanAccuracyAtLeast({ condition, value }, results) {
+    const m = meanAccuracy(results, condition);
+    return { measured: m.toFixed(3), pass: m >= value };
+  },
+
+  winsAtLeast({ a, b, count }, results) {
+    const wins = results.filter(r => r[a].inference.meanAccuracy > r[b].inference.meanAccuracy).length;
+    return { measured: `${wins}/${results.length} seeds`, pass: wins >= count };
+  },
+
+  astrocyteFraction({ condition, field, below, minFraction, cluster }, results) {
+    let hits = 0, total = 0;
+    for (const r of results) {
+      for (const a of r[condition].astrocyteStats ?? []) {
+        if (cluster !== undefined && a.cluster !== cluster) continue;
+        total++;
+        if (a[field] < below) hits++;
+      }
+    }
+    return { measured: `${hits}/${total} astrocytes`, pass: hits > 0 && hits / total >= minFraction };
+  },
+
+  noLateDegradation({ condition, tolerance = 0.01 }, results) {
+    const rewards = averageRewards(results.map(r => r[condition].trajectory));
+    if (rewards.length < 2) return { measured: '—', pass: true };
+    const mid  = rewards[Math.floor(rewards.length * 0.5)];
+    const tail = rewards.slice(Math.floor(rewards.length * 0.75));
+    const late = tail.reduce((s, v) => s + v, 0) / tail.length;
+    return { measured: `late ${late.toFixed(3)} vs mid ${mid.toFixed(3)}`, pass: late >= mid - tolerance };
+  },
+};
+
+function meanAccuracy(results, condition) {
+  return results.reduce((s, r) => s + r[condition].inference.meanAccuracy, 0) / results.length;
+}
+
+function accuracies(results, condition) {
+  return results.map(r => r[condition].inference.meanAccuracy);
+}
+
+// Per trajectory point, avgReward averaged over seeds (control has no trajectory)
+function averageRewards(trajectories) {
+  const valid = trajectories.filter(t => t.length > 0);
+  if (valid.length === 0) return [];
+  return valid[0].map((_, i) => valid.reduce((s, t) => s + t[i].avgReward, 0) / valid.length);
+}
@@ -33,17 +33,17 @@ export function createCursor(network) {
   };
 }
 
-export function moveCursor(cursor) {
+export function moveCursor(cursor, rng = Math) {
   const { bounds } = cursor;
 
-  if (Math.random() < JUMP_PROBABILITY) {
-    cursor.x = bounds.minX + Math.random() * (bounds.maxX - bounds.minX);
-    cursor.y = bounds.minY + Math.random() * (bounds.maxY - bounds.minY);
-    cursor.z = bounds.minZ + Math.random() * (bounds.maxZ - bounds.minZ);
+  if (rng.random() < JUMP_PROBABILITY) {
+    cursor.x = bounds.minX + rng.random() * (bounds.maxX - bounds.minX);
+    cursor.y = bounds.minY + rng.random() * (bounds.maxY - bounds.minY);
+    cursor.z = bounds.minZ + rng.random() * (bounds.maxZ - bounds.minZ);
   } else {
-    cursor.x += (Math.random() - 0.5) * 2 * WALK_STEP;
-    cursor.y += (Math.random() - 0.5) * 2 * WALK_STEP;
-    cursor.z += (Math.random() - 0.5) * 2 * WALK_STEP;
+    cursor.x += (rng.random() - 0.5) * 2 * WALK_STEP;
+    cursor.y += (rng.random() - 0.5) * 2 * WALK_STEP;
+    cursor.z += (rng.random() - 0.5) * 2 * WALK_STEP;
 
     cursor.x = Math.max(bounds.minX, Math.min(bounds.maxX, cursor.x));
     cursor.y = Math.max(bounds.minY, Math.min(bounds.maxY, cursor.y));
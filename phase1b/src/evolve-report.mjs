@@ -0,0 +1,233 @@
+// Evolution report — Markdown + HTML for an evolutionary search (evolve.mjs).
+//
+// generateEvolveReport(evolution, config, state, lineage, startTime) writes
+//   <config.outDir>/evolve-<id>.{md,html}
+// Sections: search settings, parameter ranges with the start and best values,
+// progress per generation (best, mean and median score, mean step size), the
+// best vector's ancestry, the validation on fresh seeds (when the spec has
+// validationSeeds) and a conclusion. The HTML adds a progress chart.
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { ancestry, startIndividual } from './evolve.mjs';
+import { pairedTTest } from './stats.mjs';
+
+export function generateEvolveReport(evolution, config, state, lineage, startTime) {
+  const outDir = config.outDir ?? './reports';
+  const base   = `${outDir}/${config.experiment}`;
+  mkdirSync(outDir, { recursive: true });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const ctx = { evolution, config, state, lineage, duration, start: startIndividual(evolution, config) };
+
+  writeFileSync(`${base}.md`,   buildMarkdown(ctx));
+  writeFileSync(`${base}.html`, buildHtml(ctx));
+
+  console.log(`\nEvolution report written to ${base}.md and ${base}.html`);
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+function fmtValue(v) {
+  return Number.isInteger(v) ? String(v) : String(Number(v.toPrecision(4)));
+}
+
+function fmtSigned(v, digits = 4) {
+  if (Number.isNaN(v)) return '—';
+  return `${v >= 0 ? '+' : ''}${v.toFixed(digits)}`;
+}
+
+function describeSearch({ evolution, config, state }) {
+  return `(${evolution.mu},${evolution.lambda})-ES, ${state.generation} generations ` +
+    `(search seed ${evolution.searchSeed ?? 0}, σ₀ ${evolution.sigma ?? 0.15}), train() condition ` +
+    `${evolution.condition}, ${config.seeds.length} seeds × ${config.episodes} episodes per vector`;
+}
+
+function parameterRows({ evolution, state, start }) {
+  return Object.entries(evolution.parameters).map(([name, p]) => [
+    name,
+    p.values ? p.values.map(fmtValue).join(', ') : `${fmtValue(p.min)} – ${fmtValue(p.max)}`,
+    p.values ? 'values' : `${p.scale ?? 'linear'}${p.integer ? ', integer' : ''}`,
+    fmtValue(start.params[name]),
+    fmtValue(state.best.params[name]),
+  ]);
+}
+
+function progressRows({ state }) {
+  return state.history.map(h => [
+    h.generation, h.bestId, h.best.toFixed(4), h.mean.toFixed(4), h.median.toFixed(4),
+    h.meanSigma.toFixed(3), h.bestSoFar.toFixed(4),
+  ]);
+}
+
+const PROGRESS_HEADER = ['Gen', 'Best vector', 'Best', 'Mean', 'Median', 'Mean σ', 'Best so far'];
+
+function ancestryRows({ evolution, state, lineage }) {
+  const names = Object.keys(evolution.parameters);
+  return ancestry(lineage, state.best.id).map(row =>
+    [row.id, row.score.toFixed(4), ...names.map(n => fmtValue(row.params[n]))]);
+}
+
+function ancestryHeader({ evolution }) {
+  return ['Vector', 'Score', ...Object.keys(evolution.parameters)];
+}
+
+function validationRows({ state }) {
+  const { start, best } = state.validation;
+  return [
+    ['start', ...start.accs.map(a => a.toFixed(3)), start.score.toFixed(4)],
+    [`best (${state.best.id})`, ...best.accs.map(a => a.toFixed(3)), best.score.toFixed(4)],
+  ];
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function buildMarkdown(ctx) {
+  const { evolution, config, state, duration } = ctx;
+  const row   = cells => `| ${cells.join(' | ')} |`;
+  const table = (header, rows) =>
+    [row(header), row(header.map(() => '---')), ...rows.map(row)].join('\n');
+
+  return `# ${config.title}
+
+**Date:** ${new Date().toISOString().slice(0, 10)}
+**Duration:** ${duration}s
+**Search:** ${describeSearch(ctx)}
+**Seeds:** ${config.seeds.join(', ')}
+${evolution.base ? `**Base experiment:** ${evolution.base}\n` : ''}${config.description ? `\n## Description\n\n${config.description}\n` : ''}
+## Parameters
+
+${table(['Parameter', 'Range', 'Scale', 'Start', 'Best'], parameterRows(ctx))}
+
+## Progress
+
+Score is the mean inference accuracy over the seeds; σ is a vector's step size
+averaged over coordinates (unit scale).
+
+${table(PROGRESS_HEADER, progressRows(ctx))}
+
+## Lineage of the Best Vector
+
+${table(ancestryHeader(ctx), ancestryRows(ctx))}
+${state.validation ? `
+## Validation
+
+Start and best vectors retrained on seeds none of the search used.
+
+${table(['Vector', ...state.validation.seeds.map(s => `Seed ${s}`), 'Mean'], validationRows(ctx))}
+` : ''}
+## Conclusion
+
+${buildConclusion(ctx)}
+`;
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildHtml(ctx) {
+  const { config, state, duration } = ctx;
+  const tr = (cells, tag = 'td') =>
+    `<tr>${cells.map(v => `<${tag}>${escapeHtml(v)}</${tag}>`).join('')}</tr>`;
+  const table = (header, rows) =>
+    `<table>\n  ${tr(header, 'th')}\n  ${rows.map(r => tr(r)).join('\n  ')}\n</table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(config.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 1000px; margin: 40px auto; padding: 0 24px; color: #222; }
+  h1 { border-bottom: 2px solid #333; padding-bottom: 8px; }
+  h2 { margin-top: 2em; color: #444; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 0.88em; }
+  th, td { border: 1px solid #ccc; padding: 4px 9px; text-align: left; }
+  th { background: #f0f0f0; }
+  .meta { color: #666; font-size: 0.9em; }
+  .conclusion { background: #f8f8f8; border-left: 4px solid #555; padding: 12px 16px; white-space: pre-line; }
+  svg text { font-family: system-ui, sans-serif; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(config.title)}</h1>
+<p class="meta">Date: ${new Date().toISOString().slice(0, 10)} &nbsp;|&nbsp; Duration: ${duration}s &nbsp;|&nbsp; ${escapeHtml(describeSearch(ctx))}</p>
+${config.description ? `<p>${escapeHtml(config.description)}</p>` : ''}
+<h2>Parameters</h2>
+${table(['Parameter', 'Range', 'Scale', 'Start', 'Best'], parameterRows(ctx))}
+
+<h2>Progress</h2>
+<p>Blue: best of the generation; grey: generation mean; orange: best so far.</p>
+${progressChart(state.history)}
+${table(PROGRESS_HEADER, progressRows(ctx))}
+
+<h2>Lineage of the Best Vector</h2>
+${table(ancestryHeader(ctx), ancestryRows(ctx))}
+${state.validation ? `
+<h2>Validation</h2>
+<p>Start and best vectors retrained on seeds none of the search used.</p>
+${table(['Vector', ...state.validation.seeds.map(s => `Seed ${s}`), 'Mean'], validationRows(ctx))}
+` : ''}
+<h2>Conclusion</h2>
+<div class="conclusion">${escapeHtml(buildConclusion(ctx))}</div>
+
+</body>
+</html>`;
+}
+
+// ─── Chart ────────────────────────────────────────────────────────────────────
+
+function progressChart(history) {
+  const W = 700, H = 260, PAD_L = 50, PAD_R = 14, PAD_T = 14, PAD_B = 30;
+  const w = W - PAD_L - PAD_R, h = H - PAD_T - PAD_B;
+  const values = history.flatMap(g => [g.best, g.mean, g.bestSoFar]);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const x  = i => PAD_L + (history.length > 1 ? (i / (history.length - 1)) * w : w / 2);
+  const y  = v => PAD_T + (1 - (v - lo) / (hi - lo || 1)) * h;
+  const line = (key, colour) =>
+    `  <polyline fill="none" stroke="${colour}" stroke-width="2" points="${history.map((g, i) => `${x(i).toFixed(1)},${y(g[key]).toFixed(1)}`).join(' ')}"/>`;
+
+  return `<svg width="${W}" height="${H}" style="border:1px solid #ddd;background:#fafafa">
+  <line x1="${PAD_L}" y1="${PAD_T + h}" x2="${PAD_L + w}" y2="${PAD_T + h}" stroke="#999"/>
+  <line x1="${PAD_L}" y1="${PAD_T}" x2="${PAD_L}" y2="${PAD_T + h}" stroke="#999"/>
+  <text x="${PAD_L - 4}" y="${PAD_T + 4}" text-anchor="end">${hi.toFixed(3)}</text>
+  <text x="${PAD_L - 4}" y="${PAD_T + h + 4}" text-anchor="end">${lo.toFixed(3)}</text>
+  <text x="${PAD_L}" y="${PAD_T + h + 15}" text-anchor="start">0</text>
+  <text x="${PAD_L + w}" y="${PAD_T + h + 15}" text-anchor="end">${history.length - 1}</text>
+  <text x="${PAD_L + w / 2}" y="${H - 4}" text-anchor="middle" fill="#666">generation</text>
+${line('mean', '#999999')}
+${line('best', '#2255cc')}
+${line('bestSoFar', '#cc5522')}
+</svg>`;
+}
+
+// ─── Conclusion ───────────────────────────────────────────────────────────────
+
+function buildConclusion({ evolution, state, lineage, start }) {
+  const { best, history, validation } = state;
+  const first = lineage.find(row => row.id === start.id);
+  const lines = [];
+
+  const changed = Object.keys(evolution.parameters)
+    .filter(name => best.params[name] !== start.params[name])
+    .map(name => `${name} ${fmtValue(start.params[name])} → ${fmtValue(best.params[name])}`);
+  lines.push(`Best vector: ${best.id} (generation ${best.generation}) at ${best.score.toFixed(4)} mean accuracy ` +
+    `over ${best.accs.length} seeds${first ? `; the start vector scored ${first.score.toFixed(4)}` : ''}.`);
+  lines.push(changed.length > 0 ? `Changes from the start: ${changed.join(', ')}.` : 'The start vector was never beaten.');
+
+  const last = history[history.length - 1];
+  lines.push(`Final generation: best ${last.best.toFixed(4)}, mean ${last.mean.toFixed(4)}, mean σ ${last.meanSigma.toFixed(3)}.`);
+
+  if (validation) {
+    const t = pairedTTest(validation.best.accs, validation.start.accs);
+    lines.push(`On ${validation.seeds.length} fresh seeds: best ${validation.best.score.toFixed(4)} vs start ` +
+      `${validation.start.score.toFixed(4)} (${fmtSigned(validation.best.score - validation.start.score)}, ` +
+      `paired t p=${Number.isNaN(t.p) ? '—' : t.p.toFixed(3)}).`);
+  } else {
+    lines.push(`The search score of the best of ${history.length} generations is optimistic: confirm it on fresh ` +
+      `seeds (validationSeeds) before adopting it.`);
+  }
+  return lines.join('\n');
+}
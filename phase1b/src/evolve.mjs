@@ -0,0 +1,316 @@
+// Evolutionary meta-optimisation: a (μ,λ)-ES with self-adaptive step sizes
+// searches the astrocyte hyperparameters in an outer loop, scoring each vector
+// by its mean runInference() accuracy over a fixed set of seeds. The "GA
+// outside the GA": the inner loop is still train()'s perturb/keep/revert.
+//
+// Evolution spec (experiments/evolve-NNN.json):
+//
+//   {
+//     "id":              "001",
+//     "title":           "...",
+//     "description":     "...",                     (optional)
+//     "base":            "experiment-024.json",     (optional) as in a sweep spec
+//     "condition":       "maturity",                train() condition every vector runs
+//     "seeds":           [42, 137, 271],            scoring seeds, shared by every vector
+//     "validationSeeds": [314, 500, 618],           (optional) fresh seeds for the final
+//                                                  start-vs-best comparison
+//     "training":        { "episodes": 5000 },
+//     "mu": 3, "lambda": 9, "generations": 15,
+//     "sigma":           0.15,                      initial step size (unit coordinates)
+//     "searchSeed":      1,
+//     "start":           { "<key>": value },        (optional) first vector; other
+//                                                  parameters start at their config value
+//     "parameters":      { ... }                    ranges as in a sweep spec (sweep.mjs)
+//   }
+//
+// Vectors live in unit coordinates u ∈ [0, 1]ⁿ (log-scaled where the range is;
+// sweep.mjs unitToValue maps them to config values). Generation 0 is the start
+// vector plus λ mutants of it; every later generation is λ mutants of the μ best
+// of the previous one (comma selection: parents do not survive), parent k mod μ
+// for child k. Each child first mutates its parent's per-coordinate step sizes,
+//   σᵢ' = σᵢ · exp(τ'·N(0,1) + τ·Nᵢ(0,1)),  τ' = 1/√(2n),  τ = 1/√(2√n)
+// then its position, uᵢ' = uᵢ + σᵢ'·Nᵢ(0,1), reflected into [0, 1].
+//
+// A generation is one runner experiment (id evolve-<id>) whose named conditions
+// are the vectors, so evaluations go through the result cache and the registry.
+// After every generation the search state (parents, best so far, RNG state,
+// history) is written to statePath and one lineage line per vector to
+// lineagePath: { generation, id, parent, params, u, sigma, accs, score, selected }.
+// runEvolution(..., { resume: true }) continues from the state file; lineage
+// lines of an unfinished generation are dropped first.
+
+import { existsSync, readFileSync, writeFileSync, appendFileSync, mkdirSync, renameSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { createRng } from './rng.mjs';
+import { CONDITIONS } from './train.mjs';
+import { loadSpec } from './spec.mjs';
+import { validateParameters, unitToValue, valueToUnit } from './sweep.mjs';
+import { configHash } from './registry.mjs';
+import { UNWIRED_KEYS, RUN_KEYS } from './config.mjs';
+import { runExperiment, runExperimentParallel } from './runner.mjs';
+
+export const EVOLVE_VERSION = 1;
+
+const EVOLVE_KEYS = [
+  'id', 'title', 'description', 'base', 'condition', 'seeds', 'validationSeeds', 'training',
+  'mu', 'lambda', 'generations', 'sigma', 'searchSeed', 'start', 'parameters',
+];
+const SIGMA_MIN = 1e-3;
+const SIGMA_MAX = 0.5;
+
+// ─── Spec ─────────────────────────────────────────────────────────────────────
+
+// → { evolution, baseSpec }
+export function loadEvolution(path) {
+  let evolution;
+  try {
+    evolution = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read evolution spec ${path}: ${err.message}`);
+  }
+  validateEvolution(evolution, path);
+  const baseSpec = evolution.base ? loadSpec(resolve(dirname(path), evolution.base)) : null;
+  return { evolution, baseSpec };
+}
+
+export function validateEvolution(evolution, source = 'evolution') {
+  const fail = msg => { throw new Error(`${source}: ${msg}`); };
+  const positiveInt = v => Number.isInteger(v) && v > 0;
+  const seedList = v => Array.isArray(v) && v.length > 0 && v.every(Number.isInteger);
+
+  for (const key of Object.keys(evolution)) {
+    if (!EVOLVE_KEYS.includes(key)) fail(`unknown key "${key}" (allowed: ${EVOLVE_KEYS.join(', ')})`);
+  }
+  if (typeof evolution.id !== 'string' || evolution.id === '') fail('"id" must be a non-empty string');
+  if (!CONDITIONS.includes(evolution.condition))
+    fail(`"condition" must be a train() condition (${CONDITIONS.join(', ')}), got "${evolution.condition}"`);
+  if (!seedList(evolution.seeds)) fail('"seeds" must be a non-empty array of integers');
+  if (evolution.validationSeeds !== undefined && !seedList(evolution.validationSeeds))
+    fail('"validationSeeds" must be a non-empty array of integers');
+  for (const key of ['mu', 'lambda', 'generations']) {
+    if (!positiveInt(evolution[key])) fail(`"${key}" must be a positive integer`);
+  }
+  if (evolution.mu > evolution.lambda) fail('"mu" must not exceed "lambda"');
+  if (evolution.sigma !== undefined && !(evolution.sigma > 0 && evolution.sigma <= SIGMA_MAX))
+    fail(`"sigma" must be in (0, ${SIGMA_MAX}]`);
+  validateParameters(evolution.parameters, fail);
+  for (const key of Object.keys(evolution.start ?? {})) {
+    if (!(key in evolution.parameters)) fail(`"start" sets "${key}", which is not a parameter`);
+  }
+}
+
+// Training config shared by every vector: defaults + base spec + training
+export function evolutionToConfig(evolution, defaults = {}, baseSpec = null) {
+  for (const name of Object.keys(evolution.parameters)) {
+    if (!(name in defaults)) throw new Error(`Evolution parameter "${name}" is not a key of the experiment config`);
+    if (UNWIRED_KEYS.includes(name) || RUN_KEYS.includes(name))
+      throw new Error(`Evolution parameter "${name}" does not affect training`);
+  }
+  return {
+    ...defaults,
+    ...baseSpec?.architecture,
+    ...baseSpec?.training,
+    ...evolution.training,
+    experiment:      `evolve-${evolution.id}`,
+    title:           evolution.title ?? `Evolution ${evolution.id}`,
+    description:     evolution.description ?? '',
+    seeds:           evolution.seeds.slice(),
+    conditions:      [],
+    conditionSpecs:  {},
+    successCriteria: [],
+  };
+}
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+
+// What a saved state must match to be resumed; generations may grow
+export function searchHash(evolution, config) {
+  const { generations, validationSeeds, title, description, ...search } = evolution;
+  return configHash({ search, episodes: config.episodes, stepsPerEpisode: config.stepsPerEpisode });
+}
+
+export function startIndividual(evolution, config) {
+  const names = Object.keys(evolution.parameters);
+  const u     = names.map(name => valueToUnit(evolution.parameters[name], evolution.start?.[name] ?? config[name]));
+  return individual(evolution, 0, 'g00-00', null, u, names.map(() => evolution.sigma ?? 0.15));
+}
+
+// Child `index` of `parent` in `generation`
+export function mutate(evolution, parent, generation, index, rng) {
+  const n         = parent.u.length;
+  const tauGlobal = 1 / Math.sqrt(2 * n);
+  const tauLocal  = 1 / Math.sqrt(2 * Math.sqrt(n));
+  const global    = tauGlobal * gaussian(rng);
+  const sigma = parent.sigma.map(s =>
+    Math.min(SIGMA_MAX, Math.max(SIGMA_MIN, s * Math.exp(global + tauLocal * gaussian(rng)))));
+  const u = parent.u.map((x, i) => reflect(x + sigma[i] * gaussian(rng)));
+  return individual(evolution, generation, individualId(generation, index), parent.id, u, sigma);
+}
+
+export function individualId(generation, index) {
+  return `g${String(generation).padStart(2, '0')}-${String(index).padStart(2, '0')}`;
+}
+
+function individual(evolution, generation, id, parent, u, sigma) {
+  const names  = Object.keys(evolution.parameters);
+  const params = Object.fromEntries(names.map((name, i) => [name, unitToValue(evolution.parameters[name], u[i])]));
+  return { generation, id, parent, params, u, sigma, accs: null, score: null };
+}
+
+// The vectors of generation `state.generation`
+export function breed(evolution, config, state, rng) {
+  const g = state.generation;
+  if (g === 0) {
+    const start = startIndividual(evolution, config);
+    return [start, ...Array.from({ length: evolution.lambda }, (_, k) => mutate(evolution, start, 0, k + 1, rng))];
+  }
+  return Array.from({ length: evolution.lambda }, (_, k) =>
+    mutate(evolution, state.parents[k % state.parents.length], g, k, rng));
+}
+
+// Best first; ties keep breeding order
+export function rankPool(pool) {
+  return pool.map((ind, i) => [ind, i]).sort((a, b) => b[0].score - a[0].score || a[1] - b[1]).map(([ind]) => ind);
+}
+
+// Box-Muller, as perturb.mjs
+function gaussian(rng) {
+  const u1 = rng.random();
+  const u2 = rng.random();
+  return Math.sqrt(-2 * Math.log(u1 + 1e-12)) * Math.cos(2 * Math.PI * u2);
+}
+
+// Mirror back into [0, 1]
+function reflect(x) {
+  let v = Math.abs(x) % 2;
+  if (v > 1) v = 2 - v;
+  return v;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+// Scores every vector over config.seeds (or `seeds`): mean inference accuracy
+export async function evaluate(config, condition, pool, { seeds = config.seeds, force = false, concurrency = 1 } = {}) {
+  const run = {
+    ...config,
+    seeds,
+    conditions:     pool.map(ind => ind.id),
+    conditionSpecs: Object.fromEntries(pool.map(ind => [ind.id, { condition, overrides: ind.params }])),
+  };
+  const results = concurrency > 1
+    ? await runExperimentParallel(run, { force, concurrency })
+    : runExperiment(run, { force });
+  for (const ind of pool) {
+    ind.accs  = results.map(r => r[ind.id].inference.meanAccuracy);
+    ind.score = ind.accs.reduce((s, v) => s + v, 0) / ind.accs.length;
+  }
+  return pool;
+}
+
+// ─── Driver ───────────────────────────────────────────────────────────────────
+
+// Runs generations until evolution.generations, then (with validationSeeds)
+// re-scores the start and best vectors on fresh seeds → final state
+export async function runEvolution(evolution, config, {
+  statePath, lineagePath, resume = false, force = false, concurrency = 1, onGeneration = () => {},
+} = {}) {
+  const hash = searchHash(evolution, config);
+  let state  = resume && existsSync(statePath) ? loadState(statePath) : null;
+  if (state && state.searchHash !== hash)
+    throw new Error(`${statePath} belongs to a different search (spec, seeds or episodes changed); run without --resume to start over`);
+
+  if (state) {
+    const kept = readLineage(lineagePath).filter(row => row.generation < state.generation);
+    writeLines(lineagePath, kept, false);
+  } else {
+    state = {
+      version: EVOLVE_VERSION, searchHash: hash, generation: 0,
+      rngState: createRng(evolution.searchSeed ?? 0).getState(),
+      parents: [], best: null, history: [], validation: null,
+    };
+    writeLines(lineagePath, [], false);
+  }
+
+  const rng = createRng(0);
+  rng.setState(state.rngState);
+
+  while (state.generation < evolution.generations) {
+    const pool   = await evaluate(config, evolution.condition, breed(evolution, config, state, rng), { force, concurrency });
+    const ranked = rankPool(pool);
+    const parents = ranked.slice(0, evolution.mu);
+    if (!state.best || ranked[0].score > state.best.score) state.best = ranked[0];
+
+    writeLines(lineagePath, pool.map(ind => ({ ...ind, selected: parents.includes(ind) })), true);
+    const scores = pool.map(ind => ind.score).sort((a, b) => a - b);
+    state.history.push({
+      generation: state.generation,
+      best:       ranked[0].score,
+      bestId:     ranked[0].id,
+      mean:       scores.reduce((s, v) => s + v, 0) / scores.length,
+      median:     scores[Math.floor((scores.length - 1) / 2)] / 2 + scores[Math.ceil((scores.length - 1) / 2)] / 2,
+      meanSigma:  pool.reduce((s, ind) => s + ind.sigma.reduce((t, v) => t + v, 0) / ind.sigma.length, 0) / pool.length,
+      bestSoFar:  state.best.score,
+    });
+    state.parents    = parents;
+    state.generation += 1;
+    state.rngState   = rng.getState();
+    state.validation = null;
+    saveState(statePath, state);
+    onGeneration(state);
+  }
+
+  if (evolution.validationSeeds && !state.validation) {
+    const start = { ...startIndividual(evolution, config), id: 'start' };
+    const best  = { ...state.best, id: 'best' };
+    await evaluate(config, evolution.condition, [start, best], { seeds: evolution.validationSeeds, force, concurrency });
+    state.validation = {
+      seeds: evolution.validationSeeds.slice(),
+      start: { accs: start.accs, score: start.score },
+      best:  { accs: best.accs,  score: best.score },
+    };
+    saveState(statePath, state);
+  }
+  return state;
+}
+
+// ─── Files ────────────────────────────────────────────────────────────────────
+
+export function loadState(path) {
+  const state = JSON.parse(readFileSync(path, 'utf8'));
+  if (state.version !== EVOLVE_VERSION)
+    throw new Error(`${path}: evolution state version ${state.version}, expected ${EVOLVE_VERSION}`);
+  return state;
+}
+
+// Temp file + rename, as checkpoints
+function saveState(path, state) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(`${path}.tmp`, JSON.stringify(state));
+  renameSync(`${path}.tmp`, path);
+}
+
+export function readLineage(path) {
+  if (!existsSync(path)) return [];
+  return readFileSync(path, 'utf8').split('\n').filter(line => line.trim() !== '').map((line, i) => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${path}:${i + 1}: ${err.message}`);
+    }
+  });
+}
+
+function writeLines(path, rows, append) {
+  mkdirSync(dirname(path), { recursive: true });
+  const text = rows.map(r => JSON.stringify(r) + '\n').join('');
+  if (append) appendFileSync(path, text);
+  else writeFileSync(path, text);
+}
+
+// Ancestors of `id`, oldest first, from lineage rows
+export function ancestry(lineage, id) {
+  const byId  = new Map(lineage.map(row => [row.id, row]));
+  const chain = [];
+  for (let row = byId.get(id); row; row = row.parent === null ? null : byId.get(row.parent)) chain.unshift(row);
+  return chain;
+}
@@ -1,92 +1,74 @@
-// Experiment 024 — Maturity-Scaled Exploration
-// Three conditions per seed: maturity | epsilon (flat) | control
+// Experiment runner entry point. An experiment is a spec file in experiments/
+// (see spec.mjs); without --spec this runs experiments/experiment-024.json —
+// Maturity-Scaled Exploration:
+//
+//   node src/main.mjs --spec experiments/experiment-024.json --out reports/
 //
 // maturity: per-astrocyte exploration rate decays with activation count
 //           explorationRate = 0.30 / (1 + activationCount / 2000)
 // epsilon:  flat 1% exploration (experiment 023 baseline)
 // control:  no training, random init, fixed thresholds
+//
+// Command-line options override the spec (see cli.mjs), e.g.
+// --seeds 42,137 --episodes 5000 --set territoryRadius=4 --set biasCount=2.
+// BASE_CONFIG (config.mjs) holds the defaults for keys a spec leaves out.
+//
+// Every condition checkpoints to config.checkpointDir every config.checkpointEvery
+// episodes; --resume continues each (seed, condition) from its latest checkpoint.
+//
+// (seed, condition) jobs run on config.concurrency worker threads (default: one
+// per core; --concurrency 1 runs serially in-process). Results are identical.
+//
+// Finished runs are cached in config.cacheDir under a hash of their training
+// config, seed and training sources (cache.mjs); an unchanged condition, such
+// as control, is reloaded in the next experiment instead of retrained. --force
+// retrains everything.
+//
+// Each finished (seed, condition) is appended to the run registry
+// (config.registryPath); src/query-runs.mjs filters and aggregates it.
+//
+// --target-ci-width w keeps adding seeds (seedBatch at a time, up to maxSeeds)
+// until the 95% CI of the first two conditions' paired accuracy difference is
+// at most w wide. src/plan-seeds.mjs estimates seed counts from earlier reports.
 
-import { seedRandom }              from './rng.mjs';
-import { createNetwork }           from './network.mjs';
-import { train, EPISODES, STEPS_PER_EPISODE } from './train.mjs';
-import { runInference }            from './inference.mjs';
+import { parseCli }                from './cli.mjs';
+import { runExperiment, runExperimentParallel, runAdaptive } from './runner.mjs';
+import { BASE_CONFIG }             from './config.mjs';
 import { generateReport }          from './report.mjs';
-import { trainingPatterns }        from './task.mjs';
-import { EPSILON, BASE_EPSILON, MATURITY_HORIZON } from './astrocyte.mjs';
+import { fileURLToPath }           from 'url';
 
-const SEEDS = [42, 137, 271, 314, 500, 618, 777, 888, 999, 1234];
+const DEFAULT_SPEC = fileURLToPath(new URL('../experiments/experiment-024.json', import.meta.url));
 
-const config = {
-  experiment: '024',
-  clusters: 2,
-  neuronsPerCluster: 30,
-  intraProb: 0.6,
-  interProb: 0.5,
-  astrocytesPerCluster: 4,
-  territoryRadius: 3.0,
-  perturbStd: 0.1,
-  epsilon: EPSILON,
-  baseEpsilon: BASE_EPSILON,
-  maturityHorizon: MATURITY_HORIZON,
-  episodes: EPISODES,
-  stepsPerEpisode: STEPS_PER_EPISODE,
-  homeostasis: false,
-  seeds: SEEDS,
-  numPatterns: trainingPatterns.length,
-};
+let cli;
+try {
+  cli = parseCli(process.argv.slice(2), BASE_CONFIG, { spec: DEFAULT_SPEC });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const { config, resume, force } = cli;
 
-console.log('=== Experiment 024: Maturity-Scaled Exploration ===');
+console.log(`=== Experiment ${config.experiment}${config.title ? `: ${config.title}` : ''} ===`);
 console.log(`Architecture: ${config.clusters} clusters × ${config.neuronsPerCluster} neurons`);
+console.log(`Propagation: ${config.propagationMode}` +
+  (config.propagationMode === 'settle' ? ` (${config.propagationCycles} cycles)` : ''));
 console.log(`Training: ${config.episodes} ep × ${config.stepsPerEpisode} steps`);
-console.log(`Maturity: baseEpsilon=${BASE_EPSILON}, horizon=${MATURITY_HORIZON}`);
-console.log(`Flat epsilon: ${(EPSILON * 100).toFixed(0)}% per astrocyte per step`);
-console.log(`Conditions: maturity | epsilon | control`);
-console.log(`Seeds: ${SEEDS.join(', ')}\n`);
+console.log(`Maturity: baseEpsilon=${config.baseEpsilon}, horizon=${config.maturityHorizon}`);
+console.log(`Flat epsilon: ${(config.epsilon * 100).toFixed(0)}% per astrocyte per step`);
+console.log(`Conditions: ${config.conditions.join(' | ')}`);
+console.log(`Seeds: ${config.seeds.join(', ')}`);
+console.log(`Workers: ${config.concurrency > 1 ? config.concurrency : 'serial'}\n`);
 
 const startTime = Date.now();
-const allResults = [];
-
-for (const seed of SEEDS) {
-  console.log(`\n[Seed ${seed}]`);
-
-  // ── Maturity condition (firing scoring + maturity-scaled exploration) ─────
-  seedRandom(seed);
-  const maturityNet = createNetwork();
-  console.log(`  Training maturity...`);
-  const maturityResult = train(maturityNet, 'maturity');
-  const maturityInf    = runInference(maturityNet);
-
-  // ── Epsilon condition (firing scoring + flat epsilon — exp023 baseline) ───
-  seedRandom(seed);
-  const epsilonNet = createNetwork();
-  console.log(`  Training epsilon...`);
-  const epsilonResult = train(epsilonNet, 'epsilon');
-  const epsilonInf    = runInference(epsilonNet);
-
-  // ── Control condition (no training) ──────────────────────────────────────
-  seedRandom(seed);
-  const controlNet    = createNetwork();
-  const controlResult = train(controlNet, 'control');
-  const controlInf    = runInference(controlNet);
-
-  console.log(
-    `  maturity acc=${maturityInf.meanAccuracy.toFixed(3)}  distinct=${maturityInf.distinctOutputs}  ` +
-    `accepted=${maturityResult.totalAccepted}  reverted=${maturityResult.totalRejected}`
-  );
-  console.log(
-    `  epsilon  acc=${epsilonInf.meanAccuracy.toFixed(3)}  distinct=${epsilonInf.distinctOutputs}  ` +
-    `accepted=${epsilonResult.totalAccepted}  reverted=${epsilonResult.totalRejected}`
-  );
-  console.log(
-    `  control  acc=${controlInf.meanAccuracy.toFixed(3)}  distinct=${controlInf.distinctOutputs}`
-  );
-
-  allResults.push({
-    seed,
-    maturity: { ...maturityResult, inference: maturityInf },
-    epsilon:  { ...epsilonResult,  inference: epsilonInf },
-    control:  { ...controlResult,  inference: controlInf },
-  });
+let allResults;
+if (config.targetCiWidth !== null) {
+  const adaptive = await runAdaptive(config, { resume, force, concurrency: config.concurrency });
+  allResults   = adaptive.allResults;
+  config.seeds = adaptive.seeds;
+} else {
+  allResults = config.concurrency > 1
+    ? await runExperimentParallel(config, { resume, force, concurrency: config.concurrency })
+    : runExperiment(config, { resume, force });
 }
 
 const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
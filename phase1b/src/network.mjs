@@ -1,53 +1,123 @@
-// Network creation: 2 clusters × 30 neurons
-// Per cluster: 5 input, 5 output, 2 modulatory, 23 regular
-// Intra-cluster connectivity: 60%, Inter-cluster: 50%
-
-const NEURONS_PER_CLUSTER = 30;
-const CLUSTERS = 2;
-const INPUT_COUNT = 5;
-const OUTPUT_COUNT = 5;
-const MODULATORY_COUNT = 2;
-const REGULAR_COUNT = 23;
-
-const CLUSTER_SPREAD = 5;
-const CLUSTER_SPACING = 15;
-const INITIAL_THRESHOLD = 0.5;
-const INTRA_PROB = 0.6;
-const INTER_PROB = 0.5;
-
-function randomInRange(min, max) {
-  return min + Math.random() * (max - min);
+// Network creation from config.
+// Defaults reproduce the experiment 020–024 architecture:
+//   2 clusters × 35 neurons
+//   Per cluster: 5 input, 5 output, 2 modulatory, 23 regular
+//   Intra-cluster connectivity: 60%, Inter-cluster: 50%
+//
+// Config keys (all optional):
+//   clusters          — number of clusters
+//   clusterRoles      — { input, output, modulatory, regular } for every cluster,
+//                       or an array of those (one per cluster)
+//   clusterSpacing    — x-offset between cluster centres
+//   clusterSpread     — ± placement range around each centre
+//   intraProb / interProb — connection probabilities when no matrix is given
+//   connectionMatrix  — N×N array, [preCluster][postCluster] → probability
+//   inputCluster      — cluster whose input neurons are driven by the pattern
+//   outputCluster     — cluster whose output neurons are read as the result
+//   biasCount         — always-on bias neurons (type 'input', bias: true)
+//   biasCluster       — cluster holding the bias neurons (null → inputCluster)
+//   propagationMode   — 'single' | 'settle' | 'layered' (see propagate.mjs)
+//   propagationCycles — passes per propagate() call in 'settle' mode
+//
+// Neuron ids equal array indices, contiguous per cluster, in role order:
+// input, bias, output, modulatory, regular. (Before this was config-driven, ids were
+// based at cluster × 30 while 35 neurons were created per cluster, so ids 30–34
+// were duplicated; the RNG draws and therefore the topology are unchanged.)
+
+import { PROPAGATION_MODES } from './propagate.mjs';
+
+export const NETWORK_DEFAULTS = {
+  clusters:          2,
+  clusterRoles:      { input: 5, output: 5, modulatory: 2, regular: 23 },
+  clusterSpacing:    15,
+  clusterSpread:     5,
+  initialThreshold:  0.5,
+  intraProb:         0.6,
+  interProb:         0.5,
+  connectionMatrix:  null,   // null → built from intraProb / interProb
+  inputCluster:      0,
+  outputCluster:     0,
+  biasCount:         0,
+  biasCluster:       null,
+  propagationMode:   'single',
+  propagationCycles: 3,      // used by 'settle' only
+};
+
+function randomInRange(min, max, rng) {
+  return min + rng.random() * (max - min);
 }
 
-function createNeuron(id, type, cluster) {
-  const cx = cluster * CLUSTER_SPACING;
+function createNeuron(id, type, cluster, cfg, rng) {
+  const cx     = cluster * cfg.clusterSpacing;
+  const spread = cfg.clusterSpread;
   return {
     id,
     type,
     cluster,
-    x: cx + randomInRange(-CLUSTER_SPREAD, CLUSTER_SPREAD),
-    y: randomInRange(-CLUSTER_SPREAD, CLUSTER_SPREAD),
-    z: randomInRange(-CLUSTER_SPREAD, CLUSTER_SPREAD),
-    threshold: INITIAL_THRESHOLD,
+    x: cx + randomInRange(-spread, spread, rng),
+    y: randomInRange(-spread, spread, rng),
+    z: randomInRange(-spread, spread, rng),
+    threshold: cfg.initialThreshold,
     fired: false,
     fireCount: 0,
     stepCount: 0,
   };
 }
 
-export function createNetwork() {
+// Role counts for cluster c
+function rolesFor(cfg, c) {
+  return Array.isArray(cfg.clusterRoles) ? cfg.clusterRoles[c] : cfg.clusterRoles;
+}
+
+function buildConnectionMatrix(cfg) {
+  if (cfg.connectionMatrix) return cfg.connectionMatrix;
+  return Array.from({ length: cfg.clusters }, (_, i) =>
+    Array.from({ length: cfg.clusters }, (_, j) => (i === j ? cfg.intraProb : cfg.interProb))
+  );
+}
+
+function validate(cfg, matrix) {
+  if (!Number.isInteger(cfg.clusters) || cfg.clusters < 1)
+    throw new Error(`clusters must be a positive integer, got ${cfg.clusters}`);
+  if (Array.isArray(cfg.clusterRoles) && cfg.clusterRoles.length !== cfg.clusters)
+    throw new Error(`clusterRoles has ${cfg.clusterRoles.length} entries for ${cfg.clusters} clusters`);
+  if (matrix.length !== cfg.clusters || matrix.some(row => row.length !== cfg.clusters))
+    throw new Error(`connectionMatrix must be ${cfg.clusters}×${cfg.clusters}`);
+  for (const key of ['inputCluster', 'outputCluster', 'biasCluster']) {
+    if (cfg[key] < 0 || cfg[key] >= cfg.clusters)
+      throw new Error(`${key}=${cfg[key]} is outside 0..${cfg.clusters - 1}`);
+  }
+  if (!PROPAGATION_MODES.includes(cfg.propagationMode))
+    throw new Error(`Unknown propagationMode: ${cfg.propagationMode}`);
+  if (!Number.isInteger(cfg.propagationCycles) || cfg.propagationCycles < 1)
+    throw new Error(`propagationCycles must be a positive integer, got ${cfg.propagationCycles}`);
+}
+
+// rng: any object with random() (see rng.mjs); defaults to Math
+export function createNetwork(config = {}, rng = Math) {
+  // Only network keys are read; the rest of an experiment config is ignored
+  const cfg = {};
+  for (const key of Object.keys(NETWORK_DEFAULTS)) cfg[key] = config[key] ?? NETWORK_DEFAULTS[key];
+  cfg.biasCluster ??= cfg.inputCluster;
+  const matrix = buildConnectionMatrix(cfg);
+  validate(cfg, matrix);
+
   const neurons = [];
 
-  for (let c = 0; c < CLUSTERS; c++) {
-    const base = c * NEURONS_PER_CLUSTER;
-    for (let i = 0; i < INPUT_COUNT; i++)
-      neurons.push(createNeuron(base + i, 'input', c));
-    for (let i = 0; i < OUTPUT_COUNT; i++)
-      neurons.push(createNeuron(base + INPUT_COUNT + i, 'output', c));
-    for (let i = 0; i < MODULATORY_COUNT; i++)
-      neurons.push(createNeuron(base + INPUT_COUNT + OUTPUT_COUNT + i, 'modulatory', c));
-    for (let i = 0; i < REGULAR_COUNT; i++)
-      neurons.push(createNeuron(base + INPUT_COUNT + OUTPUT_COUNT + MODULATORY_COUNT + i, 'regular', c));
+  for (let c = 0; c < cfg.clusters; c++) {
+    const roles = rolesFor(cfg, c);
+    for (const type of ['input', 'output', 'modulatory', 'regular']) {
+      for (let i = 0; i < (roles[type] || 0); i++)
+        neurons.push(createNeuron(neurons.length, type, c, cfg, rng));
+      // Bias neurons follow the inputs: input type (no incoming synapses), always fired
+      if (type === 'input' && c === cfg.biasCluster) {
+        for (let i = 0; i < cfg.biasCount; i++) {
+          const n = createNeuron(neurons.length, 'input', c, cfg, rng);
+          n.bias = true;
+          neurons.push(n);
+        }
+      }
+    }
   }
 
   const synapses = [];
@@ -59,19 +129,31 @@ export function createNetwork() {
       // Input neurons are driven externally — skip connections to them
       if (neurons[post].type === 'input') continue;
 
-      const sameCluster = neurons[pre].cluster === neurons[post].cluster;
-      const prob = sameCluster ? INTRA_PROB : INTER_PROB;
+      const prob = matrix[neurons[pre].cluster][neurons[post].cluster];
 
-      if (Math.random() < prob) {
+      if (rng.random() < prob) {
         synapses.push({
           id: synapses.length,
           pre,
           post,
-          weight: (Math.random() - 0.5) * 0.2,
+          weight: (rng.random() - 0.5) * 0.2,
         });
       }
     }
   }
 
-  return { neurons, synapses };
+  // Task-facing neurons: patterns drive inputIds[i], results are read from outputIds[i]
+  const inputIds  = neurons.filter(n => n.type === 'input'  && !n.bias && n.cluster === cfg.inputCluster).map(n => n.id);
+  const outputIds = neurons.filter(n => n.type === 'output' && n.cluster === cfg.outputCluster).map(n => n.id);
+  const biasIds   = neurons.filter(n => n.bias).map(n => n.id);
+
+  return {
+    neurons,
+    synapses,
+    inputIds,
+    outputIds,
+    biasIds,
+    clusterCount: cfg.clusters,
+    config: { ...cfg, connectionMatrix: matrix },
+  };
 }
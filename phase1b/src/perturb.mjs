@@ -1,30 +1,47 @@
-// Perturbation: add Gaussian noise to eligible synapses.
-// Save weights before perturbation so they can be reverted if reward drops.
+// Perturbation: add Gaussian noise to eligible synapses (and, optionally, to the
+// thresholds of eligible neurons).
+// Save weights/thresholds before perturbation so they can be reverted if reward drops.
 
-const PERTURBATION_STD = 0.1;
-const MAX_WEIGHT = 2.0;
+export const PERTURBATION_STD           = 0.1;
+export const THRESHOLD_PERTURBATION_STD = 0.05;
+export const MAX_WEIGHT                 = 2.0;
+const MAX_THRESHOLD              = 2.0;   // thresholds are clamped to [-MAX, MAX]
 
 // Box-Muller transform: uniform → standard normal
-function gaussianRandom() {
-  const u1 = Math.random();
-  const u2 = Math.random();
+function gaussianRandom(rng) {
+  const u1 = rng.random();
+  const u2 = rng.random();
   return Math.sqrt(-2 * Math.log(u1 + 1e-12)) * Math.cos(2 * Math.PI * u2);
 }
 
-// Returns an array of { synapse, savedWeight } for later reverting
-export function saveWeights(eligibleSynapses) {
-  return eligibleSynapses.map(s => ({ synapse: s, savedWeight: s.weight }));
+// Returns an array of { synapse, savedWeight } / { neuron, savedThreshold } for later reverting
+export function saveWeights(eligibleSynapses, eligibleNeurons = []) {
+  const saved = eligibleSynapses.map(s => ({ synapse: s, savedWeight: s.weight }));
+  for (const n of eligibleNeurons) saved.push({ neuron: n, savedThreshold: n.threshold });
+  return saved;
 }
 
-export function perturb(eligibleSynapses) {
+// params (all optional):
+//   std          — std of weight noise (default PERTURBATION_STD)
+//   maxWeight    — weights are clamped to [-maxWeight, maxWeight] (default MAX_WEIGHT)
+//   thresholdStd — std of threshold noise (default THRESHOLD_PERTURBATION_STD)
+export function perturb(eligibleSynapses, eligibleNeurons = [], params = {}, rng = Math) {
+  const std       = params.std       ?? PERTURBATION_STD;
+  const maxWeight = params.maxWeight ?? MAX_WEIGHT;
   for (const s of eligibleSynapses) {
-    s.weight += gaussianRandom() * PERTURBATION_STD;
-    s.weight = Math.max(-MAX_WEIGHT, Math.min(MAX_WEIGHT, s.weight));
+    s.weight += gaussianRandom(rng) * std;
+    s.weight = Math.max(-maxWeight, Math.min(maxWeight, s.weight));
+  }
+  const thresholdStd = params.thresholdStd ?? THRESHOLD_PERTURBATION_STD;
+  for (const n of eligibleNeurons) {
+    n.threshold += gaussianRandom(rng) * thresholdStd;
+    n.threshold = Math.max(-MAX_THRESHOLD, Math.min(MAX_THRESHOLD, n.threshold));
   }
 }
 
 export function revertWeights(saved) {
-  for (const { synapse, savedWeight } of saved) {
-    synapse.weight = savedWeight;
+  for (const entry of saved) {
+    if (entry.synapse) entry.synapse.weight = entry.savedWeight;
+    else entry.neuron.threshold = entry.savedThreshold;
   }
 }
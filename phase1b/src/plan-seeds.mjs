@@ -0,0 +1,99 @@
+// Seed-count planner. Reads the per-seed accuracies of earlier reports and
+// estimates how many seeds a comparison needs (power.mjs):
+//
+//   node src/plan-seeds.mjs reports/experiment-024.md
+//   node src/plan-seeds.mjs reports/experiment-023.md --pair epsilon,baseline \
+//     --delta 0.01 --alpha 0.05 --power 0.8 --ci-width 0.02
+//
+//   --pair a,b      conditions to compare (default: every pair in the table)
+//   --delta 0.01    accuracy difference to detect
+//   --alpha 0.05    two-tailed significance level
+//   --power 0.8     chance of detecting delta when it is real
+//   --ci-width w    also: seeds for a 95% CI on the difference at most w wide
+//
+// To keep adding seeds until the interval is that narrow, run main.mjs with
+// --target-ci-width w (runner.mjs runAdaptive).
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+import { readPerSeedAccuracies, planSeeds, DEFAULT_DELTA, DEFAULT_ALPHA, DEFAULT_POWER } from './power.mjs';
+
+const OPTIONS = {
+  pair:       { type: 'string' },
+  delta:      { type: 'string' },
+  alpha:      { type: 'string' },
+  power:      { type: 'string' },
+  'ci-width': { type: 'string' },
+};
+
+let args;
+try {
+  args = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true, strict: true });
+  if (args.positionals.length === 0) throw new Error('Usage: node src/plan-seeds.mjs <report.md> [...] [--pair a,b] ' +
+    '[--delta d] [--alpha a] [--power p] [--ci-width w]');
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const { values, positionals } = args;
+
+const opts = {
+  delta:   toNumber(values.delta, DEFAULT_DELTA, '--delta'),
+  alpha:   toNumber(values.alpha, DEFAULT_ALPHA, '--alpha'),
+  power:   toNumber(values.power, DEFAULT_POWER, '--power'),
+  ciWidth: toNumber(values['ci-width'], null, '--ci-width'),
+};
+
+for (const path of positionals) {
+  let table;
+  try {
+    table = readPerSeedAccuracies(readFileSync(path, 'utf8'));
+  } catch (err) {
+    console.error(`${path}: ${err.message}`);
+    process.exit(1);
+  }
+  const { seeds, conditions } = table;
+  const names = Object.keys(conditions);
+  const pairs = values.pair
+    ? [values.pair.split(',').map(s => s.trim().toLowerCase())]
+    : names.flatMap((a, i) => names.slice(i + 1).map(b => [a, b]));
+
+  console.log(`\n${path}: ${seeds.length} seeds, conditions ${names.join(', ')}`);
+  console.log(`  delta=${opts.delta}  alpha=${opts.alpha}  power=${opts.power}` +
+    (opts.ciWidth === null ? '' : `  ci-width=${opts.ciWidth}`));
+
+  for (const [a, b] of pairs) {
+    if (!conditions[a] || !conditions[b]) {
+      console.error(`  ${a} − ${b}: not in the report (known: ${names.join(', ')})`);
+      process.exitCode = 1;
+      continue;
+    }
+    const plan = planSeeds(conditions[a], conditions[b], opts);
+    console.log(`\n  ${a} − ${b}`);
+    if (plan.error) {
+      console.error(`    ${plan.error}`);
+      process.exitCode = 1;
+      continue;
+    }
+    console.log(`    observed diff ${plan.meanDiff.toFixed(4)}, SD of per-seed diff ${plan.sdDiff.toFixed(4)}`);
+    console.log(`    power to detect ${opts.delta} with ${plan.n} seeds: ${(plan.currentPower * 100).toFixed(1)}%`);
+    console.log(`    seeds for ${(opts.power * 100).toFixed(0)}% power at delta ${opts.delta}: ${fmtSeeds(plan.seedsForDelta)}`);
+    console.log(`    seeds for ${(opts.power * 100).toFixed(0)}% power at the observed diff: ${fmtSeeds(plan.seedsForObserved)}`);
+    if (plan.seedsForCiWidth !== null)
+      console.log(`    seeds for a 95% CI narrower than ${opts.ciWidth}: ${fmtSeeds(plan.seedsForCiWidth)}`);
+  }
+}
+
+function toNumber(text, fallback, flag) {
+  if (text === undefined) return fallback;
+  const n = Number(text);
+  if (!Number.isFinite(n)) {
+    console.error(`${flag} expects a number, got "${text}"`);
+    process.exit(1);
+  }
+  return n;
+}
+
+function fmtSeeds(n) {
+  return Number.isFinite(n) ? String(n) : 'not reachable';
+}
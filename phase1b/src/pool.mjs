@@ -0,0 +1,67 @@
+// Fixed-size worker_threads pool.
+//
+// runPool(workerUrl, tasks, { concurrency, onResult }) starts min(concurrency,
+// tasks.length) workers from workerUrl and feeds them tasks one at a time.
+// The worker protocol:
+//   in:  { id, task }
+//   out: { id, result } or { id, error }   (error: message/stack string)
+// Resolves with the results in task order, whatever order they finish in.
+// onResult(index, result) fires as each task completes. The first error
+// terminates every worker and rejects.
+
+import { Worker } from 'worker_threads';
+
+export function runPool(workerUrl, tasks, { concurrency = 1, onResult = () => {} } = {}) {
+  const size = Math.max(1, Math.min(concurrency, tasks.length));
+  const results = new Array(tasks.length);
+  if (tasks.length === 0) return Promise.resolve(results);
+
+  return new Promise((resolve, reject) => {
+    const workers = [];
+    const retired = new Set();   // terminated for lack of work, not crashed
+    let next = 0, done = 0, failed = false;
+
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      for (const w of workers) w.terminate();
+      reject(err);
+    };
+
+    const feed = worker => {
+      if (next >= tasks.length) {
+        retired.add(worker);
+        worker.terminate();
+        return;
+      }
+      const id = next++;
+      worker.postMessage({ id, task: tasks[id] });
+    };
+
+    for (let i = 0; i < size; i++) {
+      const worker = new Worker(workerUrl);
+      workers.push(worker);
+      worker.on('message', msg => {
+        if (failed) return;
+        if (msg.error !== undefined) {
+          fail(new Error(`Task ${msg.id} failed in worker: ${msg.error}`));
+          return;
+        }
+        results[msg.id] = msg.result;
+        onResult(msg.id, msg.result);
+        if (++done === tasks.length) {
+          for (const w of workers) w.terminate();
+          resolve(results);
+        } else {
+          feed(worker);
+        }
+      });
+      worker.on('error', fail);
+      worker.on('exit', code => {
+        if (code !== 0 && !retired.has(worker) && !failed && done < tasks.length)
+          fail(new Error(`Worker exited with code ${code}`));
+      });
+      feed(worker);
+    }
+  });
+}
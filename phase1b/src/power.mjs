@@ -0,0 +1,160 @@
+// Seed-count planning: how many seeds an experiment needs to tell two
+// conditions apart, and which seeds to add when it needs more.
+//
+// Every comparison is paired over seeds (stats.mjs), so what matters is the
+// spread of the per-seed difference a − b, not of either condition alone.
+//
+//   readPerSeedAccuracies(markdown)   per-seed accuracy columns of a report's
+//                                     "| Seed | <name> acc ... |" table, in any
+//                                     report format since experiment 020
+//   pairedPower(sdDiff, n, opts)      power of the two-tailed paired t-test to
+//                                     detect a mean difference of opts.delta
+//   requiredSeeds(sdDiff, opts)       smallest n reaching opts.power
+//   seedsForCiWidth(sdDiff, width)    smallest n whose t-interval on the mean
+//                                     difference is at most `width` wide
+//   planSeeds(a, b, opts)             all of the above for one condition pair;
+//                                     with fewer than two seeds there is no
+//                                     spread estimate and the counts are null
+//   ciWidth(allResults, a, b?)        width of the bootstrap CI the adaptive
+//                                     runner (runner.mjs runAdaptive) narrows
+//   nextSeeds(seeds, count)           new seeds, deterministic given `seeds`
+//
+// Power uses the shifted central t approximation to the noncentral t:
+//   power ≈ P(T > t_crit − δ√n/σ) + P(T < −t_crit − δ√n/σ),  T ~ t(n − 1)
+// which gives the exact noncentral-t sample sizes for effect sizes
+// δ/σ = 0.2, 0.5, 0.8 at α = 0.05, 80% power (199, 34 and 15 seeds).
+
+import { studentTwoTailed, studentCritical, sampleVariance, bootstrapCI, CONFIDENCE_LEVEL } from './stats.mjs';
+import { createRng, deriveSeed } from './rng.mjs';
+
+export const DEFAULT_DELTA = 0.01;   // accuracy difference worth detecting
+export const DEFAULT_ALPHA = 0.05;
+export const DEFAULT_POWER = 0.8;
+
+const MAX_SEEDS = 1e6;   // search limit for requiredSeeds / seedsForCiWidth
+
+// ─── Prior results ────────────────────────────────────────────────────────────
+
+// → { seeds: [..], conditions: { name: [acc per seed] } }; names are lower-cased
+// ("Maturity acc (d)" → maturity). Throws when the report has no such table.
+export function readPerSeedAccuracies(markdown) {
+  const lines = markdown.split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    const header = cells(lines[i]);
+    if (header?.[0] !== 'Seed') continue;
+    const columns = header
+      .map((text, col) => ({ col, match: /^(.+?) acc( \(d\))?$/i.exec(text) }))
+      .filter(c => c.match);
+    if (columns.length === 0) continue;
+
+    const seeds = [], conditions = {};
+    for (const { match } of columns) conditions[match[1].toLowerCase()] = [];
+    for (let j = i + 2; j < lines.length; j++) {
+      const row = cells(lines[j]);
+      if (!row || !/^\d+$/.test(row[0])) break;
+      seeds.push(Number(row[0]));
+      for (const { col, match } of columns)
+        conditions[match[1].toLowerCase()].push(parseFloat(row[col]));
+    }
+    return { seeds, conditions };
+  }
+  throw new Error('No per-seed accuracy table ("| Seed | <condition> acc |") found');
+}
+
+function cells(line) {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('|')) return null;
+  return trimmed.slice(1, trimmed.endsWith('|') ? -1 : undefined).split('|').map(c => c.trim());
+}
+
+// ─── Power ────────────────────────────────────────────────────────────────────
+
+export function pairedPower(sdDiff, n, { delta = DEFAULT_DELTA, alpha = DEFAULT_ALPHA } = {}) {
+  if (n < 2) return 0;
+  if (sdDiff === 0) return delta === 0 ? alpha : 1;
+  const df    = n - 1;
+  const tCrit = studentCritical(alpha, df);
+  const shift = Math.abs(delta) * Math.sqrt(n) / sdDiff;
+  return upperTail(tCrit - shift, df) + upperTail(tCrit + shift, df);
+}
+
+// P(T > x)
+function upperTail(x, df) {
+  const tails = studentTwoTailed(x, df) / 2;
+  return x >= 0 ? tails : 1 - tails;
+}
+
+// Infinity when delta is 0 or no n up to MAX_SEEDS gets there
+export function requiredSeeds(sdDiff, { delta = DEFAULT_DELTA, alpha = DEFAULT_ALPHA, power = DEFAULT_POWER } = {}) {
+  if (delta === 0) return Infinity;
+  return smallestN(n => pairedPower(sdDiff, n, { delta, alpha }) >= power);
+}
+
+export function seedsForCiWidth(sdDiff, width, level = CONFIDENCE_LEVEL) {
+  return smallestN(n => 2 * studentCritical(1 - level, n - 1) * sdDiff / Math.sqrt(n) <= width);
+}
+
+// Binary search over n ≥ 2 for a condition that stays true once reached
+function smallestN(reached) {
+  if (reached(2)) return 2;
+  let lo = 2, hi = 4;
+  while (!reached(hi)) {
+    if (hi >= MAX_SEEDS) return Infinity;
+    lo = hi;
+    hi = Math.min(hi * 2, MAX_SEEDS);
+  }
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (reached(mid)) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+}
+
+// a, b: per-seed accuracies of two conditions, same seed order
+export function planSeeds(a, b, { delta = DEFAULT_DELTA, alpha = DEFAULT_ALPHA, power = DEFAULT_POWER, ciWidth = null } = {}) {
+  const diffs  = a.map((v, i) => v - b[i]);
+  const n      = diffs.length;
+  const meanDiff = diffs.reduce((s, v) => s + v, 0) / n;
+  // One seed has no spread: sampleVariance's 0 would read as a certain result
+  if (n < 2) {
+    return {
+      n, meanDiff, sdDiff: NaN, delta, alpha, power, error: `need ≥2 seeds to estimate the spread, have ${n}`,
+      currentPower: NaN, seedsForDelta: null, seedsForObserved: null, seedsForCiWidth: null,
+    };
+  }
+  const sdDiff = Math.sqrt(sampleVariance(diffs));
+  return {
+    n, meanDiff, sdDiff, delta, alpha, power,
+    currentPower:    pairedPower(sdDiff, n, { delta, alpha }),
+    seedsForDelta:   requiredSeeds(sdDiff, { delta, alpha, power }),
+    // The same, if the observed difference is the real one
+    seedsForObserved: requiredSeeds(sdDiff, { delta: meanDiff, alpha, power }),
+    seedsForCiWidth: ciWidth === null ? null : seedsForCiWidth(sdDiff, ciWidth),
+  };
+}
+
+// ─── Adaptive seeding ─────────────────────────────────────────────────────────
+
+// Bootstrap CI width of the paired difference a − b, or of a's mean accuracy
+// when no b is given
+export function ciWidth(allResults, a, b = null) {
+  const values = allResults.map(r => r[a].inference.meanAccuracy - (b ? r[b].inference.meanAccuracy : 0));
+  const { lo, hi } = bootstrapCI(values);
+  return hi - lo;
+}
+
+// `count` seeds not already in `seeds`, drawn from a generator keyed on the
+// existing list, so a rerun of the same adaptive experiment picks the same seeds
+export function nextSeeds(seeds, count) {
+  const rng   = createRng(deriveSeed(seeds.length, `seeds:${seeds.join(',')}`));
+  const taken = new Set(seeds);
+  const out   = [];
+  while (out.length < count) {
+    const seed = 1 + Math.floor(rng.random() * 99999);
+    if (taken.has(seed)) continue;
+    taken.add(seed);
+    out.push(seed);
+  }
+  return out;
+}
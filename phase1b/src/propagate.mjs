@@ -1,42 +1,145 @@
-// Single propagation pass
-// Cluster 0 input neurons (ids 0–4) are set from the input pattern.
+// Propagation pass
+// The network's input neurons (network.inputIds) are set from the input pattern;
+// bias neurons (network.biasIds) fire on every pass.
 // All other neurons compute weighted sum from fired pre-synaptic neurons,
 // then fire if sum > threshold.
 //
+// network.config.propagationMode selects how far activity travels per call:
+//   'single'  — one pass from the neurons fired at the start (inputs and bias).
+//               Hidden neurons never influence outputs. (Experiments 020–024.)
+//   'settle'  — network.config.propagationCycles synchronous passes; each pass
+//               accumulates from the neurons fired in the previous one, so
+//               activity reaches outputs through up to that many hops.
+//               (Same scheme as phase1a's config.propagationCycles.)
+//   'layered' — one pass in order of hop distance from the input neurons;
+//               a neuron sums only from neurons in earlier layers.
+//
 // Returns { binaryOutput, activations }:
-//   binaryOutput  — array of 0/1 for cluster 0 output neurons (ids 5–9)
+//   binaryOutput  — array of 0/1 for the network's output neurons (network.outputIds)
 //   activations   — raw weighted sums for those same neurons (before thresholding)
+//
+// Fire-rate counters are updated once per call, after the final pass.
+
+export const PROPAGATION_MODES = ['single', 'settle', 'layered'];
+
+// network → { layers, synapsesByLayer } (topology is fixed after creation)
+const layerCache = new WeakMap();
 
 export function propagate(network, inputPattern) {
-  const { neurons, synapses } = network;
+  const { neurons, inputIds, outputIds, biasIds } = network;
+  const mode = network.config?.propagationMode ?? 'single';
 
   // Reset fired state for all neurons
   for (const n of neurons) n.fired = false;
 
-  // Drive cluster 0 input neurons from the pattern
-  for (let i = 0; i < 5; i++) {
-    neurons[i].fired = inputPattern[i] === 1;
+  // Drive input neurons from the pattern
+  for (let i = 0; i < inputIds.length; i++) {
+    neurons[inputIds[i]].fired = inputPattern[i] === 1;
   }
+  for (const id of biasIds) neurons[id].fired = true;
 
-  // Accumulate activations (single pass — no recurrence)
-  const activation = new Float64Array(neurons.length);
-  for (const syn of synapses) {
-    if (neurons[syn.pre].fired) {
-      activation[syn.post] += syn.weight;
+  let activation;
+  if (mode === 'layered') {
+    activation = propagateLayered(network);
+  } else if (mode === 'settle' || mode === 'single') {
+    const cycles = mode === 'settle' ? (network.config.propagationCycles ?? 1) : 1;
+    for (let cycle = 0; cycle < cycles; cycle++) {
+      activation = accumulate(network);
+      for (const n of neurons) {
+        if (n.type === 'input') continue;
+        n.fired = activation[n.id] > n.threshold;
+      }
     }
+  } else {
+    throw new Error(`Unknown propagationMode: ${mode}`);
   }
 
-  // Fire non-input neurons; update fire rate counters
+  // Update fire rate counters
   for (const n of neurons) {
     if (n.type === 'input') continue;
-    n.fired = activation[n.id] > n.threshold;
     n.stepCount++;
     if (n.fired) n.fireCount++;
   }
 
-  const outputIds = [5, 6, 7, 8, 9];
   return {
     binaryOutput: outputIds.map(i => (neurons[i].fired ? 1 : 0)),
     activations:  outputIds.map(i => activation[i]),
   };
 }
+
+// Weighted sum into every neuron from the currently fired pre-synaptic neurons
+function accumulate(network) {
+  const { neurons, synapses } = network;
+  const activation = new Float64Array(neurons.length);
+  for (const syn of synapses) {
+    if (neurons[syn.pre].fired) {
+      activation[syn.post] += syn.weight;
+    }
+  }
+  return activation;
+}
+
+function propagateLayered(network) {
+  const { neurons } = network;
+  const { layers, synapsesByLayer } = getLayers(network);
+  const activation = new Float64Array(neurons.length);
+
+  for (let d = 0; d < layers.length; d++) {
+    for (const syn of synapsesByLayer[d]) {
+      if (neurons[syn.pre].fired) activation[syn.post] += syn.weight;
+    }
+    for (const id of layers[d]) {
+      neurons[id].fired = activation[id] > neurons[id].threshold;
+    }
+  }
+  return activation;
+}
+
+// Hop distance from any input neuron (bias neurons included), grouped into layers.
+// layers[d] holds the non-input neurons at distance d + 1; neurons no input can
+// reach form a final layer with no incoming synapses (activation stays 0).
+// Only synapses from an earlier layer into a later one carry signal.
+export function getLayers(network) {
+  const cached = layerCache.get(network);
+  if (cached) return cached;
+
+  const { neurons, synapses } = network;
+  const depth = new Array(neurons.length).fill(Infinity);
+  const outgoing = neurons.map(() => []);
+  for (const syn of synapses) outgoing[syn.pre].push(syn.post);
+
+  let frontier = neurons.filter(n => n.type === 'input').map(n => n.id);
+  for (const id of frontier) depth[id] = 0;
+  for (let d = 1; frontier.length > 0; d++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const post of outgoing[id]) {
+        if (depth[post] === Infinity) {
+          depth[post] = d;
+          next.push(post);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  const maxDepth = Math.max(0, ...depth.filter(Number.isFinite));
+  const layers = Array.from({ length: maxDepth }, () => []);
+  const unreached = [];
+  for (const n of neurons) {
+    if (n.type === 'input') continue;
+    if (depth[n.id] === Infinity) unreached.push(n.id);
+    else layers[depth[n.id] - 1].push(n.id);
+  }
+  if (unreached.length > 0) layers.push(unreached);
+
+  const synapsesByLayer = layers.map(() => []);
+  for (const syn of synapses) {
+    const dPost = depth[syn.post];
+    if (dPost !== Infinity && depth[syn.pre] < dPost) synapsesByLayer[dPost - 1].push(syn);
+  }
+
+  const result = { layers, synapsesByLayer, depth };
+  layerCache.set(network, result);
+  return result;
+}
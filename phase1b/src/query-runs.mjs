@@ -0,0 +1,113 @@
+// Query the run registry (registry.mjs):
+//
+//   node src/query-runs.mjs                                 mean accuracy per experiment × condition
+//   node src/query-runs.mjs --experiment 024 --condition maturity --list
+//   node src/query-runs.mjs --where config.territoryRadius>=3 --group-by condition,config.territoryRadius
+//   node src/query-runs.mjs --metric metrics.acceptRate --latest
+//   node src/query-runs.mjs --import reports/experiment-023.md   (legacy per-seed results)
+//
+//   --registry path        default ./runs/registry.jsonl
+//   --experiment id        shorthand for --where experiment=id (also --condition,
+//                          --seed, --config-hash, --source)
+//   --where f<op>v         filter on any dotted field; op = != < <= > >=;
+//                          repeatable, all must hold
+//   --since / --until      ISO timestamps (or dates) bounding the run time
+//   --latest               only the newest record per experiment/condition/seed/config
+//   --group-by a,b         aggregate by these fields (default experiment,condition)
+//   --metric field         number to aggregate (default metrics.meanAccuracy)
+//   --list                 one line per record instead of aggregates
+//   --json                 matching records as JSON lines
+//   --import report.md     append a rendered report's per-seed accuracies, then exit
+
+import { parseArgs } from 'util';
+import {
+  readRegistry, appendRecords, importReport, parseCondition, filterRecords,
+  latestRecords, aggregate, getField,
+} from './registry.mjs';
+
+const OPTIONS = {
+  registry:      { type: 'string', default: './runs/registry.jsonl' },
+  experiment:    { type: 'string' },
+  condition:     { type: 'string' },
+  seed:          { type: 'string' },
+  'config-hash': { type: 'string' },
+  source:        { type: 'string' },
+  where:         { type: 'string', multiple: true },
+  since:         { type: 'string' },
+  until:         { type: 'string' },
+  latest:        { type: 'boolean' },
+  'group-by':    { type: 'string', default: 'experiment,condition' },
+  metric:        { type: 'string', default: 'metrics.meanAccuracy' },
+  list:          { type: 'boolean' },
+  json:          { type: 'boolean' },
+  import:        { type: 'string', multiple: true },
+};
+
+try {
+  main(parseArgs({ args: process.argv.slice(2), options: OPTIONS, strict: true }).values);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+function main(values) {
+  if (values.import) {
+    for (const path of values.import) {
+      const records = importReport(path);
+      appendRecords(values.registry, records);
+      console.log(`Imported ${records.length} records from ${path} into ${values.registry}`);
+    }
+    return;
+  }
+
+  const filters = (values.where ?? []).map(parseCondition);
+  const shorthand = {
+    experiment: 'experiment', condition: 'condition', seed: 'seed',
+    'config-hash': 'configHash', source: 'sourceFingerprint',
+  };
+  for (const [option, field] of Object.entries(shorthand)) {
+    if (values[option] !== undefined) filters.push(parseCondition(`${field}=${values[option]}`));
+  }
+  if (values.since) filters.push({ path: 'timestamp', op: '>=', value: new Date(values.since).toISOString() });
+  if (values.until) filters.push({ path: 'timestamp', op: '<=', value: new Date(values.until).toISOString() });
+
+  let records = filterRecords(readRegistry(values.registry), filters);
+  if (values.latest) records = latestRecords(records);
+
+  if (values.json) {
+    for (const r of records) console.log(JSON.stringify(r));
+    return;
+  }
+  if (records.length === 0) {
+    console.log(`No matching runs in ${values.registry}`);
+    return;
+  }
+
+  if (values.list) {
+    printTable(['Timestamp', 'Experiment', 'Condition', 'Seed', 'Config', 'Source', values.metric],
+      records.map(r => [
+        r.timestamp.slice(0, 19), r.experiment, r.condition, r.seed,
+        r.configHash ?? 'imported', r.sourceFingerprint ?? '—', fmt(getField(r, values.metric)),
+      ]));
+    return;
+  }
+
+  const groupBy = values['group-by'].split(',').map(s => s.trim()).filter(Boolean);
+  const rows = aggregate(records, groupBy, values.metric);
+  console.log(`${values.metric} over ${records.length} runs\n`);
+  printTable([...groupBy, 'n', 'mean', 'sd', 'min', 'max'],
+    rows.map(g => [...groupBy.map(f => g.key[f] ?? '—'), g.n, fmt(g.mean), fmt(g.sd), fmt(g.min), fmt(g.max)]));
+}
+
+function fmt(v) {
+  return typeof v === 'number' ? (Number.isInteger(v) ? String(v) : v.toFixed(4)) : String(v ?? '—');
+}
+
+function printTable(header, rows) {
+  const text   = [header, ...rows].map(row => row.map(String));
+  const widths = header.map((_, i) => Math.max(...text.map(row => row[i].length)));
+  const line   = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(text[0]));
+  console.log(widths.map(w => '-'.repeat(w)).join('  '));
+  for (const row of text.slice(1)) console.log(line(row));
+}
@@ -0,0 +1,150 @@
+// Reachability and attainable-accuracy analysis for a built network.
+//
+// Answers two questions before any training is spent:
+//   1. Which synapses lie on some input → output path that the current
+//      propagation mode can actually carry? (Perturbing anything else cannot
+//      change the reward.)
+//   2. For each output bit, can the target mapping over the training patterns
+//      be produced at all?
+//
+// Path length limits per propagation mode (see propagate.mjs):
+//   'single'  — 1 hop: only input → output synapses matter
+//   'settle'  — up to propagationCycles hops
+//   'layered' — any length, but only along synapses into a later layer
+//
+// Achievability: an output's value is a function of the driven input neurons that
+// can reach it (bias neurons count as inputs that are active in every pattern).
+// Patterns that activate the same subset of those inputs must
+// therefore produce the same value for that output, so within each such group
+// at most max(#target=1, #target=0) bits can be right. A group with no reaching
+// active input sees zero activation and fires only if the output threshold is
+// negative — fixed at the current threshold unless thresholds are learnable.
+// Summing the best case per group gives an upper bound on mean accuracy (it
+// ignores weight-sharing constraints between groups, so it is not tight).
+
+import { getLayers } from './propagate.mjs';
+
+export function analyzeReachability(network, patterns, options = {}) {
+  const { neurons, synapses, inputIds, outputIds, biasIds } = network;
+  const sources = [...inputIds, ...biasIds];
+  const thresholdsMutable = options.thresholdsMutable ?? false;
+  const mode = network.config?.propagationMode ?? 'single';
+
+  const maxHops = mode === 'single' ? 1
+    : mode === 'settle' ? network.config.propagationCycles
+    : Infinity;
+  const usable = mode === 'layered'
+    ? new Set(getLayers(network).synapsesByLayer.flat())
+    : new Set(synapses);
+
+  const outgoing = neurons.map(() => []);
+  const incoming = neurons.map(() => []);
+  for (const syn of usable) {
+    outgoing[syn.pre].push(syn.post);
+    incoming[syn.post].push(syn.pre);
+  }
+
+  // Hop distances from each driven input / bias neuron, and back from each output
+  const fromInput  = inputIds.map(id => bfs([id], outgoing, maxHops));
+  const fromBias   = biasIds.map(id => bfs([id], outgoing, maxHops));
+  const fromAnyIn  = bfs(sources, outgoing, maxHops);
+  const toAnyOut   = bfs(outputIds, incoming, maxHops);
+
+  // Unreached neurons sit at Infinity, which must not pass an unbounded limit
+  const within = d => d !== Infinity && d <= maxHops;
+
+  const relevantSynapseIds = [];
+  for (const syn of usable) {
+    if (within(fromAnyIn[syn.pre] + 1 + toAnyOut[syn.post])) relevantSynapseIds.push(syn.id);
+  }
+  relevantSynapseIds.sort((a, b) => a - b);
+  const relevant = new Set(relevantSynapseIds);
+
+  const relevantByCluster = Array.from({ length: network.clusterCount }, (_, c) => {
+    const inCluster = synapses.filter(s => neurons[s.post].cluster === c);
+    return { cluster: c, relevant: inCluster.filter(s => relevant.has(s.id)).length, total: inCluster.length };
+  });
+
+  const outputs = outputIds.map((outId, bit) => {
+    const reachableInputs = inputIds
+      .map((_, i) => i)
+      .filter(i => within(fromInput[i][outId]));
+    const reachableBias = biasIds.filter((_, b) => within(fromBias[b][outId]));
+    const biasKey = reachableBias.map(id => `b${id}`);
+
+    // Group patterns by which reaching inputs they activate
+    const groups = new Map();
+    const perPattern = patterns.map((p, pi) => {
+      const key = [...reachableInputs.filter(i => p.input[i] === 1), ...biasKey].join(',');
+      if (!groups.has(key)) groups.set(key, { ones: 0, zeros: 0 });
+      const g = groups.get(key);
+      if (p.target[bit] === 1) g.ones++; else g.zeros++;
+      const driven = key !== '';
+      return {
+        label:      p.label ?? `P${pi + 1}`,
+        target:     p.target[bit],
+        driven,
+        achievable: p.target[bit] === 0 || driven || thresholdsMutable || neurons[outId].threshold < 0,
+      };
+    });
+
+    let maxCorrect = 0;
+    for (const [key, g] of groups) {
+      if (key === '' && !thresholdsMutable) {
+        maxCorrect += neurons[outId].threshold < 0 ? g.ones : g.zeros;
+      } else {
+        maxCorrect += Math.max(g.ones, g.zeros);
+      }
+    }
+
+    return {
+      bit,
+      neuronId: outId,
+      reachableInputs,
+      reachableBias,
+      maxCorrect,
+      mappingAchievable: maxCorrect === patterns.length,
+      patterns: perPattern,
+    };
+  });
+
+  const totalBits = patterns.length * outputIds.length;
+  const accuracyUpperBound = totalBits > 0
+    ? outputs.reduce((s, o) => s + o.maxCorrect, 0) / totalBits
+    : 0;
+
+  return {
+    mode,
+    maxHops,
+    thresholdsMutable,
+    totalSynapses:    synapses.length,
+    relevantSynapses: relevantSynapseIds.length,
+    relevantSynapseIds,
+    relevantByCluster,
+    outputs,
+    accuracyUpperBound,
+  };
+}
+
+// Multi-source BFS; returns hop distance per neuron (Infinity beyond maxHops)
+function bfs(sources, edges, maxHops) {
+  const dist = new Array(edges.length).fill(Infinity);
+  let frontier = [];
+  for (const id of sources) {
+    dist[id] = 0;
+    frontier.push(id);
+  }
+  for (let d = 1; d <= maxHops && frontier.length > 0; d++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const nb of edges[id]) {
+        if (dist[nb] === Infinity) {
+          dist[nb] = d;
+          next.push(nb);
+        }
+      }
+    }
+    frontier = next;
+  }
+  return dist;
+}
@@ -0,0 +1,204 @@
+// Run registry: one JSON line per finished (seed, condition) run, appended to
+// config.registryPath (default ./runs/registry.jsonl) by runner.mjs.
+//
+// Record (REGISTRY_VERSION 1):
+//   { version, timestamp, experiment, seed, condition, trainCondition,
+//     configHash, sourceFingerprint, config,
+//     metrics: { meanAccuracy, distinctOutputs, totalAccepted, totalRejected,
+//                acceptRate, weightStart, weightEnd, thresholdStart, thresholdEnd },
+//     trajectory, astrocyteStats }
+// config is the run's training config (condition overrides applied, run-only
+// keys such as seeds and outDir left out); configHash is its SHA-256 over
+// sorted keys, so the same settings hash alike across experiments.
+// sourceFingerprint hashes every src/*.mjs file: runs with equal fingerprints
+// ran the same code.
+//
+// Records imported from a rendered report (importReport) carry only
+// metrics.meanAccuracy, with `imported` naming the report and null hashes.
+//
+// readRegistry(path) → records; filterRecords / latestRecords / aggregate are
+// what src/query-runs.mjs builds on.
+
+import { createHash } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, readdirSync } from 'fs';
+import { dirname, join, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { readPerSeedAccuracies } from './power.mjs';
+
+export const REGISTRY_VERSION = 1;
+
+const SRC_DIR = dirname(fileURLToPath(import.meta.url));
+
+// ─── Hashes ───────────────────────────────────────────────────────────────────
+
+export function configHash(config) {
+  return sha256(canonicalJson(config)).slice(0, 16);
+}
+
+// JSON with object keys sorted at every level
+export function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+let fingerprint = null;
+
+// Hash of every .mjs file in src/ (names and contents), computed once per process
+export function sourceFingerprint() {
+  if (fingerprint === null) {
+    const hash = createHash('sha256');
+    for (const name of readdirSync(SRC_DIR).filter(f => f.endsWith('.mjs')).sort()) {
+      hash.update(name).update('\0').update(readFileSync(join(SRC_DIR, name))).update('\0');
+    }
+    fingerprint = hash.digest('hex').slice(0, 16);
+  }
+  return fingerprint;
+}
+
+function sha256(text) {
+  return createHash('sha256').update(text).digest('hex');
+}
+
+// ─── Writing ──────────────────────────────────────────────────────────────────
+
+// result: runCondition()'s { ...train() result, inference }
+export function buildRecord({ experiment, seed, condition, trainCondition, config, result }) {
+  const { inference } = result;
+  return {
+    version:           REGISTRY_VERSION,
+    timestamp:         new Date().toISOString(),
+    experiment,
+    seed,
+    condition,
+    trainCondition,
+    configHash:        configHash(config),
+    sourceFingerprint: sourceFingerprint(),
+    config,
+    metrics: {
+      meanAccuracy:    inference.meanAccuracy,
+      distinctOutputs: inference.distinctOutputs,
+      totalAccepted:   result.totalAccepted,
+      totalRejected:   result.totalRejected,
+      acceptRate:      result.totalAccepted / (result.totalAccepted + result.totalRejected || 1),
+      weightStart:     result.weightStart,
+      weightEnd:       result.weightEnd,
+      thresholdStart:  result.thresholdStart,
+      thresholdEnd:    result.thresholdEnd,
+    },
+    trajectory:        result.trajectory,
+    astrocyteStats:    result.astrocyteStats,
+  };
+}
+
+export function appendRecords(path, records) {
+  if (records.length === 0) return;
+  mkdirSync(dirname(path), { recursive: true });
+  appendFileSync(path, records.map(r => JSON.stringify(r) + '\n').join(''));
+}
+
+// Per-seed accuracies of a rendered report (power.mjs reader) as registry
+// records; the experiment id comes from the file name (experiment-NNN...)
+export function importReport(path) {
+  const name       = basename(path);
+  const experiment = /^experiment-(.+?)\.md$/.exec(name)?.[1] ?? name;
+  const { seeds, conditions } = readPerSeedAccuracies(readFileSync(path, 'utf8'));
+  const timestamp  = new Date().toISOString();
+  return Object.entries(conditions).flatMap(([condition, accs]) => seeds.map((seed, i) => ({
+    version: REGISTRY_VERSION, timestamp, experiment, seed, condition, trainCondition: null,
+    configHash: null, sourceFingerprint: null, config: null, imported: path,
+    metrics: { meanAccuracy: accs[i] },
+    trajectory: null, astrocyteStats: null,
+  })));
+}
+
+// ─── Reading and querying ─────────────────────────────────────────────────────
+
+export function readRegistry(path) {
+  if (!existsSync(path)) return [];
+  return readFileSync(path, 'utf8').split('\n').flatMap((line, i) => {
+    if (line.trim() === '') return [];
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw new Error(`${path}:${i + 1}: ${err.message}`);
+    }
+    if (record.version > REGISTRY_VERSION)
+      throw new Error(`${path}:${i + 1}: registry version ${record.version} is newer than this code (${REGISTRY_VERSION})`);
+    return [record];
+  });
+}
+
+// Dotted path into a record: 'metrics.meanAccuracy', 'config.territoryRadius'
+export function getField(record, path) {
+  return path.split('.').reduce((v, key) => (v === null || v === undefined ? undefined : v[key]), record);
+}
+
+const OPERATORS = {
+  '=':  (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+};
+
+// 'config.territoryRadius>=3' → { path, op, value }; value parsed as JSON when it parses
+export function parseCondition(text) {
+  const match = /^([\w.]+)\s*(!=|<=|>=|=|<|>)\s*(.*)$/.exec(text);
+  if (!match) throw new Error(`Expected <field><op><value> with op one of ${Object.keys(OPERATORS).join(' ')}, got "${text}"`);
+  let value;
+  try {
+    value = JSON.parse(match[3]);
+  } catch {
+    value = match[3];
+  }
+  return { path: match[1], op: match[2], value };
+}
+
+export function filterRecords(records, conditions) {
+  return records.filter(r => conditions.every(({ path, op, value }) => {
+    const field = getField(r, path);
+    // '024' and 24 both name experiment 024
+    const actual = typeof value === 'number' && typeof field === 'string' && field !== '' ? Number(field) : field;
+    return OPERATORS[op](actual, value);
+  }));
+}
+
+// Most recent record per (experiment, condition, seed, configHash), e.g. after
+// a resumed experiment registered finished runs a second time
+export function latestRecords(records) {
+  const latest = new Map();
+  for (const r of records) {
+    const key = JSON.stringify([r.experiment, r.condition, r.seed, r.configHash]);
+    if (!latest.has(key) || latest.get(key).timestamp <= r.timestamp) latest.set(key, r);
+  }
+  return records.filter(r => latest.get(JSON.stringify([r.experiment, r.condition, r.seed, r.configHash])) === r);
+}
+
+// Groups in first-seen order → [{ key: { field: value }, n, mean, sd, min, max }]
+export function aggregate(records, groupBy, metric = 'metrics.meanAccuracy') {
+  const groups = new Map();
+  for (const r of records) {
+    const value = getField(r, metric);
+    if (typeof value !== 'number') continue;
+    const key = JSON.stringify(groupBy.map(f => getField(r, f) ?? null));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(value);
+  }
+  return [...groups].map(([key, values]) => {
+    const n    = values.length;
+    const mean = values.reduce((s, v) => s + v, 0) / n;
+    const sd   = n > 1 ? Math.sqrt(values.reduce((s, v) => s + (v - mean) ** 2, 0) / (n - 1)) : 0;
+    const parts = JSON.parse(key);
+    return {
+      key: Object.fromEntries(groupBy.map((f, i) => [f, parts[i]])),
+      n, mean, sd, min: Math.min(...values), max: Math.max(...values),
+    };
+  });
+}
@@ -1,178 +1,126 @@
-// Experiment 024 report generator — Markdown + HTML
-// Three conditions: maturity | epsilon (flat) | control
-// Key diagnostics: per-astrocyte exploration rates, cluster maturation trajectories,
-// late-training stability comparison.
+// Experiment report generator — Markdown + HTML, for any set of named conditions.
+//
+// generateReport(allResults, config, startTime) writes
+//   <config.outDir>/experiment-<config.experiment>.{md,html}
+// allResults is runner.mjs's [{ seed, [name]: { ...train() result, inference } }];
+// config.conditions gives the names in column order. Title, description and
+// success criteria come from the experiment spec (spec.mjs).
+//
+// Every pair of conditions is compared with a paired t-test, a Wilcoxon
+// signed-rank test, a bootstrap interval of the mean difference and Cohen's d
+// (stats.mjs); each condition's mean accuracy gets a bootstrap interval.
+//
+// Conditions that trained get trajectory and keep/revert columns; conditions
+// with astrocytes get exploration-rate maturation, the cluster activation
+// breakdown and per-astrocyte diagnostics.
 
 import { writeFileSync, mkdirSync } from 'fs';
 import { trainingPatterns } from './task.mjs';
+import { evaluateCriteria, criterionConditions } from './criteria.mjs';
+import { bootstrapCI, compareConditions, CONFIDENCE_LEVEL } from './stats.mjs';
 
+// Chart colours, assigned in condition order
+const PALETTE = ['#2255cc', '#cc5522', '#228844', '#8833aa', '#aa8800', '#008888', '#cc2277', '#555555'];
+
+// Files go to config.outDir (default ./reports)
 export function generateReport(allResults, config, startTime) {
-  mkdirSync('./reports', { recursive: true });
+  const outDir = config.outDir ?? './reports';
+  const base   = `${outDir}/experiment-${config.experiment}`;
+  mkdirSync(outDir, { recursive: true });
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
   const stats    = computeStats(allResults, config);
 
-  writeFileSync('./reports/experiment-024.md',   buildMarkdown(allResults, config, stats, duration));
-  writeFileSync('./reports/experiment-024.html',  buildHtml(allResults, config, stats, duration));
+  writeFileSync(`${base}.md`,   buildMarkdown(allResults, config, stats, duration));
+  writeFileSync(`${base}.html`, buildHtml(allResults, config, stats, duration));
 
-  console.log('\nReports written to ./reports/experiment-024.md and ./reports/experiment-024.html');
+  console.log(`\nReports written to ${base}.md and ${base}.html`);
 }
 
 // ─── Statistics ───────────────────────────────────────────────────────────────
 
 function computeStats(results, config) {
-  const n = results.length;
-
-  const matAccs  = results.map(r => r.maturity.inference.meanAccuracy);
-  const epsAccs  = results.map(r => r.epsilon.inference.meanAccuracy);
-  const ctrlAccs = results.map(r => r.control.inference.meanAccuracy);
+  const n     = results.length;
+  const names = config.conditions;
+
+  const conditions = {};
+  for (const name of names) {
+    const runs    = results.map(r => r[name]);
+    const accs    = runs.map(r => r.inference.meanAccuracy);
+    const trained = runs.some(r => r.trajectory.length > 0);
+    const astro   = runs.some(r => r.astrocyteStats);
+
+    conditions[name] = {
+      name, trained, astro,
+      accs,
+      meanAcc:      mean(accs),
+      ci:           bootstrapCI(accs),
+      varAcc:       variance(accs),
+      minAcc:       Math.min(...accs),
+      maxAcc:       Math.max(...accs),
+      meanDistinct: mean(runs.map(r => r.inference.distinctOutputs)),
+      meanAccept:   trained ? mean(runs.map(acceptRate)) : null,
+      // Seeds on which this condition alone scored highest
+      wins: results.filter(r => names.every(other =>
+        other === name || r[name].inference.meanAccuracy > r[other].inference.meanAccuracy)).length,
+      trajectory:   trained ? averageTrajectory(runs.map(r => r.trajectory)) : [],
+      clusters:     astro ? clusterStats(runs, config.clusters) : [],
+      // Share of non-input neurons inside at least one territory
+      coverage:     astro ? mean(runs.filter(r => r.coverage)
+        .map(r => r.coverage.nonInputCovered / r.coverage.nonInputTotal)) : null,
+      territory:    astro ? averageTerritory(runs.map(r => r.territoryTrajectory ?? [])) : [],
+      dynamic:      runs.some(r => r.lineage),
+    };
+  }
 
-  const meanMat  = mean(matAccs);
-  const meanEps  = mean(epsAccs);
-  const meanCtrl = mean(ctrlAccs);
+  const ranked = names.slice().sort((a, b) => conditions[b].meanAcc - conditions[a].meanAcc);
 
-  const varMat = variance(matAccs);
-  const varEps = variance(epsAccs);
+  // Each pair once, in condition order: a is the earlier column
+  const comparisons = names.flatMap((a, i) => names.slice(i + 1).map(b =>
+    ({ a, b, ...compareConditions(conditions[a].accs, conditions[b].accs) })));
 
-  const matWinsEps = results.filter(
-    r => r.maturity.inference.meanAccuracy > r.epsilon.inference.meanAccuracy
-  ).length;
+  return { n, names, conditions, ranked, comparisons, criteria: evaluateSpecCriteria(results, config) };
+}
 
-  // Accept rates
-  const matAcceptRates = results.map(r => {
-    const t = r.maturity.totalAccepted + r.maturity.totalRejected;
-    return t > 0 ? r.maturity.totalAccepted / t : 0;
-  });
-  const epsAcceptRates = results.map(r => {
-    const t = r.epsilon.totalAccepted + r.epsilon.totalRejected;
-    return t > 0 ? r.epsilon.totalAccepted / t : 0;
+// Per cluster, pooled over seeds: mean exploration rate at each sample episode
+// (train() samples after episodes 5000 and 10000 and the last one)
+const RATE_SAMPLES = [['ep5000', 5000], ['ep10000', 10000], ['epFinal', Infinity]];
+
+function clusterStats(runs, clusterCount) {
+  const all = runs.flatMap(r => r.astrocyteStats ?? []);
+  return Array.from({ length: clusterCount }, (_, cluster) => {
+    const sampled = all.filter(a => a.cluster === cluster && a.explorationRateSamples);
+    const rates = Object.fromEntries(RATE_SAMPLES.map(([key]) =>
+      [key, sampled.length > 0 ? mean(sampled.map(a => a.explorationRateSamples[key])) : null]));
+    return { cluster, rates };
   });
-  const meanMatAccept = mean(matAcceptRates);
-  const meanEpsAccept = mean(epsAcceptRates);
-
-  // Cluster activation breakdown
-  const clusterStats = results.map(r => {
-    function clusterMeans(asts) {
-      if (!asts) return { c0MeanAct: 0, c1MeanAct: 0, c0SuccRate: 0, c1SuccRate: 0,
-                          c0EpsMean: 0, c1EpsMean: 0, c0Total: 0, c1Total: 0 };
-      const c0 = asts.filter(a => a.cluster === 0);
-      const c1 = asts.filter(a => a.cluster === 1);
-      const meanAct = arr => arr.length > 0
-        ? arr.reduce((s, a) => s + a.activationCount, 0) / arr.length : 0;
-      const meanEpsAct = arr => arr.length > 0
-        ? arr.reduce((s, a) => s + (a.epsilonCount || 0), 0) / arr.length : 0;
-      const meanSuccRate = arr => {
-        const totalAct  = arr.reduce((s, a) => s + a.activationCount, 0);
-        const totalSucc = arr.reduce((s, a) => s + a.successCount, 0);
-        return totalAct > 0 ? totalSucc / totalAct : 0;
-      };
-      return {
-        c0MeanAct:  meanAct(c0),      c1MeanAct:  meanAct(c1),
-        c0SuccRate: meanSuccRate(c0),  c1SuccRate: meanSuccRate(c1),
-        c0EpsMean:  meanEpsAct(c0),   c1EpsMean:  meanEpsAct(c1),
-        c0Total:    c0.reduce((s, a) => s + a.activationCount, 0),
-        c1Total:    c1.reduce((s, a) => s + a.activationCount, 0),
-      };
-    }
-    return {
-      seed: r.seed,
-      maturity: clusterMeans(r.maturity.astrocyteStats),
-      epsilon:  clusterMeans(r.epsilon.astrocyteStats),
-    };
+}
+
+// One seed's activations summed per cluster, with the pooled success rate
+function seedClusterTotals(asts, clusterCount) {
+  return Array.from({ length: clusterCount }, (_, cluster) => {
+    const inCluster = asts.filter(a => a.cluster === cluster);
+    const total     = inCluster.reduce((s, a) => s + a.activationCount, 0);
+    const successes = inCluster.reduce((s, a) => s + a.successCount, 0);
+    return { total, successRate: total > 0 ? successes / total : 0 };
   });
+}
 
-  // Success criterion 1: maturity beats flat epsilon on mean accuracy
-  const matBeatEps = meanMat > meanEps;
-
-  // Success criterion 2: C0 astrocytes reach explorationRate < 0.03 by end
-  let c0MatureCount = 0, c0TotalCount = 0;
-  for (const r of results) {
-    const asts = r.maturity.astrocyteStats || [];
-    for (const a of asts) {
-      if (a.cluster === 0) {
-        c0TotalCount++;
-        if (a.finalExplorationRate < 0.03) c0MatureCount++;
-      }
-    }
-  }
-  const c0Matured = c0MatureCount > 0 && c0MatureCount / c0TotalCount >= 0.5;
-
-  // Success criterion 3: C1 astrocytes reach explorationRate < 0.10 by end
-  let c1MatureCount = 0, c1TotalCount = 0;
-  for (const r of results) {
-    const asts = r.maturity.astrocyteStats || [];
-    for (const a of asts) {
-      if (a.cluster === 1) {
-        c1TotalCount++;
-        if (a.finalExplorationRate < 0.10) c1MatureCount++;
-      }
-    }
-  }
-  const c1Matured = c1MatureCount > 0 && c1MatureCount / c1TotalCount >= 0.5;
-
-  // Success criterion 4: no late-training degradation (accuracy at ep15000+ >= ep10000)
-  // Use trajectory to check: compare avg reward at episode ~10000 vs final
-  const matTraj = averageTrajectory(results.map(r => r.maturity.trajectory));
-  const epsTraj = averageTrajectory(results.map(r => r.epsilon.trajectory));
-
-  // Find trajectory points near ep10000 and ep15000+
-  let noLateDegradation = true;
-  if (matTraj.length >= 2) {
-    const halfIdx = Math.floor(matTraj.length * 0.5);  // ~ep10000
-    const lastQuarterIdx = Math.floor(matTraj.length * 0.75);  // ~ep15000
-    const midReward = matTraj[halfIdx].avgReward;
-    // Average of last quarter
-    let lateSum = 0, lateCount = 0;
-    for (let i = lastQuarterIdx; i < matTraj.length; i++) {
-      lateSum += matTraj[i].avgReward;
-      lateCount++;
-    }
-    const lateReward = lateCount > 0 ? lateSum / lateCount : midReward;
-    noLateDegradation = lateReward >= midReward - 0.01;  // allow tiny tolerance
-  }
+// Criteria on conditions that were not run (--conditions subset) are listed, not judged
+function evaluateSpecCriteria(results, config) {
+  const ran = config.conditions ?? [];
+  return (config.successCriteria ?? []).map(c =>
+    criterionConditions(c).every(name => ran.includes(name))
+      ? evaluateCriteria([c], results)[0]
+      : { label: c.label, type: c.type, measured: 'not run', pass: null });
+}
 
-  // Cluster mean exploration rates at checkpoints (maturity condition)
-  function clusterMeanExplorationRate(results, cluster, checkpoint) {
-    let sum = 0, count = 0;
-    for (const r of results) {
-      const asts = r.maturity.astrocyteStats || [];
-      for (const a of asts) {
-        if (a.cluster === cluster && a.explorationRateSamples) {
-          sum += a.explorationRateSamples[checkpoint];
-          count++;
-        }
-      }
-    }
-    return count > 0 ? sum / count : 0;
-  }
+function acceptRate(run) {
+  return run.totalAccepted / (run.totalAccepted + run.totalRejected || 1);
+}
 
-  const c0RateEp5k  = clusterMeanExplorationRate(results, 0, 'ep5000');
-  const c0RateEp10k = clusterMeanExplorationRate(results, 0, 'ep10000');
-  const c0RateFinal = clusterMeanExplorationRate(results, 0, 'epFinal');
-  const c1RateEp5k  = clusterMeanExplorationRate(results, 1, 'ep5000');
-  const c1RateEp10k = clusterMeanExplorationRate(results, 1, 'ep10000');
-  const c1RateFinal = clusterMeanExplorationRate(results, 1, 'epFinal');
-
-  const success = {
-    matBeatEps,
-    c0Matured,
-    c1Matured,
-    noLateDegradation,
-  };
-
-  return {
-    n, meanMat, meanEps, meanCtrl,
-    varMat, varEps,
-    matWinsEps,
-    meanMatAccept, meanEpsAccept,
-    clusterStats,
-    matTraj, epsTraj,
-    c0RateEp5k, c0RateEp10k, c0RateFinal,
-    c1RateEp5k, c1RateEp10k, c1RateFinal,
-    c0MatureCount, c0TotalCount,
-    c1MatureCount, c1TotalCount,
-    success,
-  };
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 function mean(arr) {
@@ -184,6 +132,11 @@ function variance(arr) {
   return mean(arr.map(v => (v - m) ** 2));
 }
 
+function describePropagation(config) {
+  const mode = config.propagationMode ?? 'single';
+  return mode === 'settle' ? `settle, ${config.propagationCycles} cycles` : mode;
+}
+
 function averageTrajectory(trajectories) {
   const valid = trajectories.filter(t => t.length > 0);
   if (valid.length === 0) return [];
@@ -195,180 +148,465 @@ function averageTrajectory(trajectories) {
   }));
 }
 
-// ─── Markdown ─────────────────────────────────────────────────────────────────
+function averageTerritory(trajectories) {
+  const valid = trajectories.filter(t => t.length > 0);
+  if (valid.length === 0) return [];
+  return valid[0].map((point, i) => ({
+    episode:          point.episode,
+    astrocyteCount:   mean(valid.map(t => t[i].astrocyteCount ?? NaN)),
+    meanRadius:       mean(valid.map(t => t[i].meanRadius)),
+    meanNeuronCount:  mean(valid.map(t => t[i].meanNeuronCount)),
+    meanSynapseCount: mean(valid.map(t => t[i].meanSynapseCount)),
+  }));
+}
 
-function buildMarkdown(allResults, config, stats, duration) {
-  const n  = stats.n;
-  const sc = stats.success;
+// ─── Shared rows ──────────────────────────────────────────────────────────────
+// Cells are plain text; buildHtml escapes them.
 
-  const perSeedRows = allResults.map(r => {
-    const mRate = (r.maturity.totalAccepted / (r.maturity.totalAccepted + r.maturity.totalRejected || 1) * 100).toFixed(1);
-    const eRate = (r.epsilon.totalAccepted  / (r.epsilon.totalAccepted  + r.epsilon.totalRejected  || 1) * 100).toFixed(1);
-    const beat  = r.maturity.inference.meanAccuracy > r.epsilon.inference.meanAccuracy ? '✅' : '—';
-    return `| ${r.seed} ` +
-      `| ${r.maturity.inference.meanAccuracy.toFixed(3)} (${r.maturity.inference.distinctOutputs}d) ` +
-      `| ${r.epsilon.inference.meanAccuracy.toFixed(3)} (${r.epsilon.inference.distinctOutputs}d) ` +
-      `| ${r.control.inference.meanAccuracy.toFixed(3)} ` +
-      `| ${beat} ` +
-      `| ${r.maturity.totalAccepted}/${r.maturity.totalRejected} (${mRate}%) ` +
-      `| ${r.epsilon.totalAccepted}/${r.epsilon.totalRejected} (${eRate}%) |`;
-  }).join('\n');
+function reportTitle(config) {
+  return `Experiment ${config.experiment}${config.title ? ` — ${config.title}` : ''}`;
+}
 
-  const trajRows = stats.matTraj.map((t, i) => {
-    const e = stats.epsTraj[i];
-    return `| ${t.episode} | ${t.avgReward.toFixed(3)} | ${(t.avgAcceptRate * 100).toFixed(1)}% ` +
-      `| ${e ? e.avgReward.toFixed(3) : '—'} | ${e ? (e.avgAcceptRate * 100).toFixed(1) + '%' : '—'} |`;
-  }).join('\n');
+function configRows(config) {
+  return [
+    ['Architecture',            `${config.clusters} clusters × ${config.neuronsPerCluster} neurons`],
+    ['Propagation',             describePropagation(config)],
+    ['Bias neurons',            `${config.biasCount ?? 0}`],
+    ['Astrocytes',              `${config.astrocytesPerCluster} per cluster (${config.astrocytesPerCluster * config.clusters} total), ` +
+                                describeTerritories(config)],
+    ['Perturbation std',        `${config.perturbStd}`],
+    ['Threshold perturbation',  config.perturbThresholds ? `ON, std ${config.thresholdPerturbStd}` : 'OFF'],
+    ['Maturity-scaled epsilon', `baseEpsilon=${config.baseEpsilon}, horizon=${config.maturityHorizon}`],
+    ['Flat epsilon',            `${(config.epsilon * 100).toFixed(0)}% per astrocyte per step`],
+    ['Acceptance',              'soft reward, strict >'],
+    ['Homeostasis',             config.homeostasis ? 'ON' : 'OFF'],
+    ['Episodes',                `${config.episodes} × ${config.stepsPerEpisode} steps`],
+    ['Seeds',                   config.seeds.join(', ')],
+  ];
+}
 
-  const clusterRows = stats.clusterStats.map(s => {
-    const m = s.maturity, e = s.epsilon;
-    return `| ${s.seed} ` +
-      `| ${m.c0Total.toLocaleString()} (${(m.c0SuccRate * 100).toFixed(0)}%) ` +
-      `| ${m.c1Total.toLocaleString()} (${(m.c1SuccRate * 100).toFixed(0)}%) ` +
-      `| ${e.c0Total.toLocaleString()} (${(e.c0SuccRate * 100).toFixed(0)}%) ` +
-      `| ${e.c1Total.toLocaleString()} (${(e.c1SuccRate * 100).toFixed(0)}%) |`;
-  }).join('\n');
+const GEOMETRIES = {
+  disc:      config => `radius ${config.territoryRadius} discs (2D x-y)`,
+  sphere:    config => `radius ${config.territoryRadius} spheres (3D)`,
+  ellipsoid: config => `radius ${config.territoryRadius} ellipsoids, axes ${(config.territoryAxes ?? [1, 1, 1]).join(' × ')} (3D)`,
+  knearest:  config => `${config.territoryNeighbours} nearest neurons (3D)`,
+};
+
+function describeTerritories(config) {
+  const placement = config.placement ?? 'grid';
+  const territory = config.territory ?? 'disc';
+  if (placement === 'voronoi') return `grid placement, Voronoi cell territories (${territory === 'disc' ? '2D x-y' : '3D'})`;
+  const schedule = config.radiusSchedule ?? 'fixed';
+  const annealed = schedule === 'fixed' ? '' : `, annealed from radius ${config.territoryRadiusStart} (${schedule})`;
+  return `${placement} placement, ${GEOMETRIES[territory](config)}${annealed}`;
+}
+
+// Per-astrocyte territory cell: neurons / synapses, then shared neurons and
+// volume where the results record them
+function describeTerritory(ast) {
+  const base = `${ast.neuronCount}n / ${ast.synapseCount}s`;
+  if (ast.sharedNeuronCount === undefined) return base;
+  const volume = ast.territoryVolume == null ? '' : `, vol ${ast.territoryVolume.toFixed(1)}`;
+  return `${base} (${ast.sharedNeuronCount} shared${volume})`;
+}
+
+// name → train() condition and the spec's config overrides
+// Score-driven + exploration (ε) activations, plus wave-driven (w) ones if any
+function describeActivations(ast) {
+  const waves = ast.waveCount || 0;
+  const reg   = ast.activationCount - (ast.epsilonCount || 0) - waves;
+  return `${reg} + ${ast.epsilonCount || 0}ε` + (waves > 0 ? ` + ${waves}w` : '');
+}
+
+function conditionRows(config) {
+  return config.conditions.map(name => {
+    const entry = config.conditionSpecs?.[name] ?? {};
+    const overrides = Object.entries(entry.overrides ?? {})
+      .map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(', ');
+    return [name, entry.condition ?? name, overrides || '—'];
+  });
+}
+
+function summaryRows(stats) {
+  const { n, names, conditions: c } = stats;
+  return [
+    ['Mean accuracy',         ...names.map(k => c[k].meanAcc.toFixed(3))],
+    ['Variance',              ...names.map(k => c[k].varAcc.toFixed(5))],
+    [`${ciLabel()} (bootstrap)`, ...names.map(k => fmtInterval(c[k].ci))],
+    ['Min / max',             ...names.map(k => `${c[k].minAcc.toFixed(3)} / ${c[k].maxAcc.toFixed(3)}`)],
+    ['Mean distinct outputs', ...names.map(k => c[k].meanDistinct.toFixed(1))],
+    ['Mean accept rate',      ...names.map(k => c[k].meanAccept === null ? '—' : `${(c[k].meanAccept * 100).toFixed(1)}%`)],
+    ['Non-input coverage',    ...names.map(k => c[k].coverage === null || Number.isNaN(c[k].coverage)
+      ? '—' : `${(c[k].coverage * 100).toFixed(1)}%`)],
+    ['Seeds best',            ...names.map(k => `${c[k].wins} / ${n}`)],
+  ];
+}
+
+function significanceHeader() {
+  return ['Pair', 'Mean diff', `${ciLabel()} of diff`, 'Paired t', 'Wilcoxon', "Cohen's d"];
+}
+
+function significanceRows(stats) {
+  return stats.comparisons.map(({ a, b, tTest, wilcoxon, diffCI, d }) => [
+    `${a} − ${b}`,
+    fmtSigned(tTest.meanDiff),
+    fmtInterval(diffCI),
+    Number.isNaN(tTest.p) ? '—' : `t(${tTest.df}) = ${fmtSigned(tTest.t, 2)}, p ${fmtP(tTest.p)}`,
+    `W+ = ${wilcoxon.wPlus}, n = ${wilcoxon.n}, p ${fmtP(wilcoxon.p)}`,
+    fmtSigned(d, 2),
+  ]);
+}
+
+function ciLabel() {
+  return `${Math.round(CONFIDENCE_LEVEL * 100)}% CI`;
+}
+
+function fmtInterval({ lo, hi }) {
+  return Number.isNaN(lo) ? '—' : `[${lo.toFixed(3)}, ${hi.toFixed(3)}]`;
+}
+
+function fmtSigned(v, digits = 3) {
+  if (!Number.isFinite(v)) return Number.isNaN(v) ? '—' : v > 0 ? '+∞' : '−∞';
+  return `${v >= 0 ? '+' : ''}${v.toFixed(digits)}`;
+}
 
-  const patLabels = trainingPatterns.map((_, i) => `P${i + 1}`).join(' | ');
+function fmtP(p) {
+  return p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`;
+}
+
+// The comparison of two conditions, whichever order they were listed in
+function comparison(stats, x, y) {
+  return stats.comparisons.find(c => (c.a === x && c.b === y) || (c.a === y && c.b === x));
+}
+
+function keepRevert(run) {
+  return `${run.totalAccepted}/${run.totalRejected} (${(acceptRate(run) * 100).toFixed(1)}%)`;
+}
+
+// Conditions with the highest accuracy on this seed
+function bestConditions(r, names) {
+  const best = Math.max(...names.map(c => r[c].inference.meanAccuracy));
+  return names.filter(c => r[c].inference.meanAccuracy === best);
+}
 
-  function astroSection(r, condKey, condLabel) {
-    const asts = r[condKey].astrocyteStats;
+// Sample episodes a run of config.episodes actually reached
+function rateSamples(config) {
+  return RATE_SAMPLES.filter(([, episode]) => episode < config.episodes || episode === Infinity);
+}
+
+function maturationHeader(config) {
+  return ['Cluster', ...rateSamples(config).map(([, episode]) =>
+    episode === Infinity ? `Ep ${config.episodes} (final)` : `Ep ${episode}`)];
+}
+
+function maturationRows(config, cond) {
+  const fmt = v => v === null ? '—' : v.toFixed(4);
+  return cond.clusters.map(s =>
+    [`C${s.cluster} mean`, ...rateSamples(config).map(([key]) => fmt(s.rates[key]))]);
+}
+
+// Territory size at TERRITORY_SAMPLES evenly spaced trajectory points
+const TERRITORY_SAMPLES = 5;
+
+function territoryHeader(astro) {
+  return ['Episode', ...astro.map(c => `${c} radius / neurons / synapses`)];
+}
+
+// Indices of TERRITORY_SAMPLES evenly spaced entries of a length-n series
+function samplePicks(n) {
+  if (n === 0) return [];
+  return [...new Set(Array.from({ length: TERRITORY_SAMPLES }, (_, k) =>
+    Math.round(k * (n - 1) / (TERRITORY_SAMPLES - 1))))];
+}
+
+function territoryRows(stats, astro) {
+  const points = stats.conditions[astro[0]].territory;
+  return samplePicks(points.length).map(i => [
+    points[i].episode,
+    ...astro.map(c => {
+      const t = stats.conditions[c].territory[i];
+      return t ? `${t.meanRadius.toFixed(2)} / ${t.meanNeuronCount.toFixed(1)} / ${t.meanSynapseCount.toFixed(1)}` : '—';
+    }),
+  ]);
+}
+
+// Population size at the territory sample points, for conditions with
+// population dynamics
+function populationHeader(dynamic) {
+  return ['Episode', ...dynamic.map(c => `${c} astrocytes`)];
+}
+
+function populationRows(stats, dynamic) {
+  const points = stats.conditions[dynamic[0]].territory;
+  return samplePicks(points.length).map(i => [
+    points[i].episode,
+    ...dynamic.map(c => {
+      const t = stats.conditions[c].territory[i];
+      return t ? t.astrocyteCount.toFixed(1) : '—';
+    }),
+  ]);
+}
+
+function lineageHeader() {
+  return ['Episode', 'Event', 'From', 'To'];
+}
+
+function lineageRows(run) {
+  return run.populationEvents.map(e => [e.episode, e.type, e.from.join(', '), e.to.join(', ')]);
+}
+
+// One line per run: start → final population and the event counts
+function describePopulation(run) {
+  const count = type => run.populationEvents.filter(e => e.type === type).length;
+  const start = run.lineage.filter(l => l.born === 0 && l.parents.length === 0).length;
+  return `${start} → ${run.astrocyteStats.length} astrocytes (${count('split')} splits, ` +
+    `${count('merge')} merges, ${count('death')} deaths; ${run.lineage.length} ever lived)`;
+}
+
+// Conditions whose astrocytes moved (a mobility rule recorded positions)
+function mobileConditions(allResults, astro) {
+  return astro.filter(c => allResults.some(r => r[c].astrocyteStats?.some(a => a.positionTrajectory)));
+}
+
+const fmtPos = p => `(${p.x.toFixed(1)}, ${p.y.toFixed(1)}, ${p.z.toFixed(1)})`;
+
+function movementHeader() {
+  return ['ID', 'Cl', 'Start', 'Path', 'End', 'Moves', 'Distance'];
+}
+
+// Path: the recorded positions at TERRITORY_SAMPLES evenly spaced episodes
+function movementRows(asts) {
+  return asts.map(ast => {
+    const path  = ast.positionTrajectory ?? [];
+    const picks = samplePicks(path.length);
+    return [
+      ast.id, `C${ast.cluster}`, path.length > 0 ? fmtPos(path[0]) : '—',
+      picks.slice(1, -1).map(i => fmtPos(path[i])).join(' → ') || '—',
+      fmtPos(ast.position), ast.moveCount ?? 0, (ast.distanceMoved ?? 0).toFixed(2),
+    ];
+  });
+}
+
+// Conditions with a gap-junction coupling (train() summarised calcium waves)
+function coupledConditions(allResults, astro) {
+  return astro.filter(c => allResults.some(r => r[c].calciumWaves));
+}
+
+function waveHeader() {
+  return ['Seed', 'Condition', 'Junctions (cross-cluster)', 'Mean degree', 'Wave activations',
+          'Cross-cluster', 'Waves', 'Mean length', 'Max length'];
+}
+
+function waveRows(allResults, coupled) {
+  return allResults.flatMap(r => coupled.filter(c => r[c].calciumWaves).map(c => {
+    const w = r[c].calciumWaves;
+    return [
+      r.seed, c, `${w.edges} (${w.crossClusterEdges})`, w.meanDegree.toFixed(2), w.activations,
+      w.activations > 0 ? `${w.crossCluster} (${(w.crossCluster / w.activations * 100).toFixed(0)}%)` : '0',
+      w.waves, w.meanLength.toFixed(2), w.maxLength,
+    ];
+  }));
+}
+
+function clusterHeader(stats, astro) {
+  return ['Seed', ...astro.flatMap(c => stats.conditions[c].clusters.map(s => `${c} C${s.cluster}`))];
+}
+
+function clusterRows(allResults, config, astro) {
+  return allResults.map(r => [
+    r.seed,
+    ...astro.flatMap(c => seedClusterTotals(r[c].astrocyteStats ?? [], config.clusters)
+      .map(s => `${s.total.toLocaleString()} (${(s.successRate * 100).toFixed(0)}%)`)),
+  ]);
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function buildMarkdown(allResults, config, stats, duration) {
+  const { n, names, conditions } = stats;
+  const trained = names.filter(c => conditions[c].trained);
+  const astro   = names.filter(c => conditions[c].astro);
+
+  const row   = cells => `| ${cells.join(' | ')} |`;
+  const table = (header, rows) =>
+    [row(header), row(header.map(() => '---')), ...rows.map(row)].join('\n');
+
+  const criteria = stats.criteria.length > 0
+    ? table(['Criterion', 'Result', 'Pass'], stats.criteria.map(c =>
+        [c.label, c.measured, c.pass === null ? '—' : c.pass ? '✅' : '❌']))
+    : '_No success criteria defined._';
+
+  const perSeed = table(
+    ['Seed', ...names.map(c => `${c} acc (d)`), 'Best', ...trained.map(c => `${c} keep/revert (%)`)],
+    allResults.map(r => [
+      r.seed,
+      ...names.map(c => `${r[c].inference.meanAccuracy.toFixed(3)} (${r[c].inference.distinctOutputs}d)`),
+      bestConditions(r, names).join(', '),
+      ...trained.map(c => keepRevert(r[c])),
+    ]));
+
+  const trajectory = trained.length === 0 ? '_No condition trained._' : table(
+    ['Episode', ...trained.flatMap(c => [`${c} reward`, `${c} accept%`])],
+    conditions[trained[0]].trajectory.map((t, i) => [
+      t.episode,
+      ...trained.flatMap(c => {
+        const p = conditions[c].trajectory[i];
+        return p ? [p.avgReward.toFixed(3), `${(p.avgAcceptRate * 100).toFixed(1)}%`] : ['—', '—'];
+      }),
+    ]));
+
+  const maturation = astro.map(c =>
+    `**${c}**\n\n${table(maturationHeader(config), maturationRows(config, conditions[c]))}`).join('\n\n');
+
+  const patLabels = trainingPatterns.map((_, i) => `P${i + 1}`);
+
+  function astroSection(r, name) {
+    const asts = r[name].astrocyteStats;
     if (!asts) return '';
     const rows = asts.map(ast => {
       const sr     = ast.activationCount > 0
         ? (ast.successCount / ast.activationCount * 100).toFixed(1) + '%' : '—';
-      const regAct = ast.activationCount - (ast.epsilonCount || 0);
       const er     = ast.finalExplorationRate !== undefined ? ast.finalExplorationRate.toFixed(4) : '—';
       const ers    = ast.explorationRateSamples;
       const ersFmt = ers
         ? `${ers.ep5000.toFixed(4)} / ${ers.ep10000.toFixed(4)} / ${ers.epFinal.toFixed(4)}`
         : '—';
-      const pCounts = ast.activationsByPattern.join(' | ');
-      return `| ${ast.id} | C${ast.cluster} | (${ast.position.x.toFixed(1)}, ${ast.position.y.toFixed(1)}) ` +
-        `| ${ast.neuronCount}n / ${ast.synapseCount}s ` +
-        `| ${regAct} + ${ast.epsilonCount || 0}ε | ${sr} | ${ast.finalThreshold.toFixed(3)} ` +
-        `| ${er} | ${ersFmt} | ${pCounts} |`;
-    }).join('\n');
-    return `\n**Seed ${r.seed} — ${condLabel}**\n\n` +
-      `| ID | Cl | Pos | Territory | Act (reg + ε) | Success% | Thresh | ExplRate | ExplRate 5k/10k/20k | ${patLabels} |\n` +
-      `|----|----|-----|-----------|---------------|----------|--------|----------|---------------------|${trainingPatterns.map(() => '---').join('|')}|\n` +
-      rows;
+      return [
+        ast.id, `C${ast.cluster}`, `(${ast.position.x.toFixed(1)}, ${ast.position.y.toFixed(1)})`,
+        describeTerritory(ast), describeActivations(ast), sr,
+        ast.finalThreshold.toFixed(3), er, ersFmt, ...ast.activationsByPattern,
+      ];
+    });
+    return `\n**Seed ${r.seed} — ${name}**\n\n` + table(
+      ['ID', 'Cl', 'Pos', 'Territory', 'Act (reg + ε)', 'Success%', 'Thresh', 'ExplRate',
+       'ExplRate 5k/10k/final', ...patLabels],
+      rows);
   }
 
-  const astroSections = allResults.map(r =>
-    astroSection(r, 'maturity', 'maturity') + astroSection(r, 'epsilon', 'epsilon')
-  ).join('\n');
+  const astroSections = allResults.map(r => astro.map(c => astroSection(r, c)).join('\n')).join('\n');
+
+  const dynamic    = astro.filter(c => conditions[c].dynamic);
+  const population = dynamic.length === 0 ? '' : `
+## Population
+
+Mean astrocyte count over seeds; the lineage lists each split, merge and death
+(astrocyte ids; a death's "To" is the astrocyte that absorbed its territory).
+
+${table(populationHeader(dynamic), populationRows(stats, dynamic))}
+${allResults.map(r => dynamic.map(c => `\n**Seed ${r.seed} — ${c}**: ${describePopulation(r[c])}\n\n` +
+    (r[c].populationEvents.length > 0 ? table(lineageHeader(), lineageRows(r[c])) : '_No events._')).join('\n')).join('\n')}
+`;
+
+  const mobile = mobileConditions(allResults, astro);
+  const movement = mobile.length === 0 ? '' : `
+## Astrocyte Movement
+
+Positions (x, y, z) at evenly spaced episodes for conditions with a mobility rule.
+${allResults.map(r => mobile.map(c => `\n**Seed ${r.seed} — ${c}**\n\n` +
+    table(movementHeader(), movementRows(r[c].astrocyteStats))).join('\n')).join('\n')}
+`;
 
   const inferenceDetail = allResults.map(r => {
-    const rows = r.maturity.inference.results.map((res, i) => {
-      const eps  = r.epsilon.inference.results[i];
-      const ctrl = r.control.inference.results[i];
-      return `| ${res.label} | [${res.input.join('')}] | [${res.target.join('')}] ` +
-        `| [${res.output.join('')}] ${res.accuracy.toFixed(2)} ` +
-        `| [${eps.output.join('')}] ${eps.accuracy.toFixed(2)} ` +
-        `| [${ctrl.output.join('')}] ${ctrl.accuracy.toFixed(2)} |`;
-    }).join('\n');
+    const rows = r[names[0]].inference.results.map((res, i) => [
+      res.label, `[${res.input.join('')}]`, `[${res.target.join('')}]`,
+      ...names.map(c => {
+        const out = r[c].inference.results[i];
+        return `[${out.output.join('')}] ${out.accuracy.toFixed(2)}`;
+      }),
+    ]);
     return `\n**Seed ${r.seed}**\n\n` +
-      `| Pat | Input | Target | Maturity out/acc | Epsilon out/acc | Control out/acc |\n` +
-      `|-----|-------|--------|------------------|-----------------|----------------|\n` + rows;
+      table(['Pat', 'Input', 'Target', ...names.map(c => `${c} out/acc`)], rows);
   }).join('\n');
 
-  return `# Experiment 024 — Maturity-Scaled Exploration
+  const coupled = coupledConditions(allResults, astro);
+  const waves   = coupled.length === 0 ? '' : `
+## Calcium Waves
 
-**Date:** ${new Date().toISOString().slice(0, 10)}
-**Duration:** ${duration}s
+Gap junctions at the end of training and wave-driven activations ("w" in the
+per-astrocyte activations); a wave is a run of consecutive steps with at least
+one, cross-cluster ones were set off by a neighbour in another cluster.
 
-## Hypothesis
+${table(waveHeader(), waveRows(allResults, coupled))}
+`;
 
-Experiment 023 showed epsilon exploration works to bootstrap cluster 1, but flat 1% epsilon
-becomes a drag over long training (20k episodes). Cluster 0 matures by episode 5000 but keeps
-perturbing, accumulating drift damage. Each astrocyte should mature at its own pace:
-explorationRate = ${config.baseEpsilon} / (1 + activationCount / ${config.maturityHorizon}).
+  const astroPart = astro.length === 0 ? '' : `
+## Exploration Rate Maturation
 
-Fresh astrocytes explore at ${(config.baseEpsilon * 100).toFixed(0)}%. After ${config.maturityHorizon} activations: ${(config.baseEpsilon / 2 * 100).toFixed(0)}%.
-After 40,000 activations: ~1.5%. Maturation is per-astrocyte, mirroring biological
-region-specific cortical maturation.
+${maturation}
 
-## Configuration
+## Territory Size
 
-| Parameter | Value |
-|---|---|
-| Clusters | ${config.clusters} × ${config.neuronsPerCluster} neurons |
-| Astrocytes | ${config.astrocytesPerCluster} per cluster (${config.astrocytesPerCluster * 2} total) |
-| Territory radius | ${config.territoryRadius} (2D x-y) |
-| Perturbation std | ${config.perturbStd} |
-| Maturity-scaled epsilon | baseEpsilon=${config.baseEpsilon}, horizon=${config.maturityHorizon} |
-| Flat epsilon (comparison) | ${(config.epsilon * 100).toFixed(0)}% per astrocyte per step |
-| Acceptance | soft reward, strict > |
-| Homeostasis | OFF |
-| Episodes | ${config.episodes} × ${config.stepsPerEpisode} steps |
-| Seeds | ${config.seeds.join(', ')} |
+Mean over astrocytes and seeds; territories change under a radius schedule.
 
-## Summary
+${table(territoryHeader(astro), territoryRows(stats, astro))}
 
-| Metric | Maturity | Epsilon (flat) | Control |
-|---|---|---|---|
-| Mean accuracy | ${stats.meanMat.toFixed(3)} | ${stats.meanEps.toFixed(3)} | ${stats.meanCtrl.toFixed(3)} |
-| Variance | ${stats.varMat.toFixed(5)} | ${stats.varEps.toFixed(5)} | — |
-| Mean accept rate | ${(stats.meanMatAccept * 100).toFixed(1)}% | ${(stats.meanEpsAccept * 100).toFixed(1)}% | — |
-| Seeds maturity > epsilon | ${stats.matWinsEps} / ${n} | — | — |
+## Cluster Activation Breakdown
 
-## Exploration Rate Maturation
+Activations summed over each cluster's astrocytes (success rate).
 
-| Cluster | Ep 5000 | Ep 10000 | Ep 20000 (final) |
-|---------|---------|----------|-------------------|
-| C0 mean | ${stats.c0RateEp5k.toFixed(4)} | ${stats.c0RateEp10k.toFixed(4)} | ${stats.c0RateFinal.toFixed(4)} |
-| C1 mean | ${stats.c1RateEp5k.toFixed(4)} | ${stats.c1RateEp10k.toFixed(4)} | ${stats.c1RateFinal.toFixed(4)} |
+${table(clusterHeader(stats, astro), clusterRows(allResults, config, astro))}
 
-C0 matured (rate < 0.03): ${stats.c0MatureCount}/${stats.c0TotalCount} astrocytes across all seeds.
-C1 matured (rate < 0.10): ${stats.c1MatureCount}/${stats.c1TotalCount} astrocytes across all seeds.
+## Per-Astrocyte Diagnostics
 
-## Success Criteria
+${astroSections}
+${population}${movement}${waves}`;
 
-| Criterion | Result | Pass |
-|---|---|---|
-| Maturity > Epsilon mean accuracy | ${stats.meanMat.toFixed(3)} vs ${stats.meanEps.toFixed(3)} | ${sc.matBeatEps ? '✅' : '❌'} |
-| C0 explorationRate < 0.03 by ep 20000 | ${stats.c0MatureCount}/${stats.c0TotalCount} matured | ${sc.c0Matured ? '✅' : '❌'} |
-| C1 explorationRate < 0.10 by ep 20000 | ${stats.c1MatureCount}/${stats.c1TotalCount} matured | ${sc.c1Matured ? '✅' : '❌'} |
-| No late-training degradation (ep15k+ >= ep10k) | see trajectory | ${sc.noLateDegradation ? '✅' : '❌'} |
+  return `# ${reportTitle(config)}
 
-## Per-Seed Results
+**Date:** ${new Date().toISOString().slice(0, 10)}
+**Duration:** ${duration}s
+${config.description ? `\n## Hypothesis\n\n${config.description}\n` : ''}
+## Configuration
 
-| Seed | Maturity acc (d) | Epsilon acc (d) | Control acc | M>E | Maturity keep/revert (%) | Epsilon keep/revert (%) |
-|------|------------------|-----------------|-------------|-----|--------------------------|-------------------------|
-${perSeedRows}
+${table(['Parameter', 'Value'], configRows(config))}
 
-## Trajectory (avg across ${n} seeds)
+${table(['Condition', 'train() condition', 'Overrides'], conditionRows(config))}
 
-| Episode | Maturity reward | Maturity accept% | Epsilon reward | Epsilon accept% |
-|---------|----------------|-------------------|----------------|-----------------|
-${trajRows}
+## Summary
 
-## Cluster Activation Breakdown
+${table(['Metric', ...names], summaryRows(stats))}
+${stats.comparisons.length > 0 ? `
+## Significance
 
-| Seed | Maturity C0 | Maturity C1 | Epsilon C0 | Epsilon C1 |
-|------|-------------|-------------|------------|------------|
-${clusterRows}
+Paired over seeds: a positive difference favours the first condition of the pair.
 
-## Per-Astrocyte Diagnostics
+${table(significanceHeader(), significanceRows(stats))}
+` : ''}
+## Success Criteria
 
-${astroSections}
+${criteria}
+
+## Per-Seed Results
 
+${perSeed}
+
+## Trajectory (avg across ${n} seeds)
+
+${trajectory}
+${astroPart}
 ## Inference Detail
 
 ${inferenceDetail}
 
 ## Conclusion
 
-${buildConclusion(stats, config)}
+${buildConclusion(stats)}
 `;
 }
 
 // ─── HTML ─────────────────────────────────────────────────────────────────────
 
 function buildHtml(allResults, config, stats, duration) {
-  const n  = stats.n;
-  const sc = stats.success;
+  const { n, names, conditions } = stats;
+  const trained = names.filter(c => conditions[c].trained);
+  const astro   = names.filter(c => conditions[c].astro);
+  const colour  = c => PALETTE[names.indexOf(c) % PALETTE.length];
+  const dashed  = c => trained.indexOf(c) > 0 ? ' stroke-dasharray="6,3"' : '';
+
+  const tr = (cells, tag = 'td') =>
+    `<tr>${cells.map(v => `<${tag}>${escapeHtml(v)}</${tag}>`).join('')}</tr>`;
+  const table = (header, rows) =>
+    `<table>\n  ${tr(header, 'th')}\n  ${rows.map(r => tr(r)).join('\n  ')}\n</table>`;
 
   const chartW = 720, chartH = 280;
   const padL = 55, padR = 20, padT = 20, padB = 35;
@@ -383,46 +621,47 @@ function buildHtml(allResults, config, stats, duration) {
     }).join(' ');
   }
 
-  const matReward  = toPoly(stats.matTraj,  'avgReward');
-  const epsReward  = toPoly(stats.epsTraj,  'avgReward');
-  const matAccept  = toPoly(stats.matTraj,  'avgAcceptRate');
-  const epsAccept  = toPoly(stats.epsTraj,  'avgAcceptRate');
-
-  const perSeedRows = allResults.map(r => {
-    const mRate = (r.maturity.totalAccepted / (r.maturity.totalAccepted + r.maturity.totalRejected || 1) * 100).toFixed(1);
-    const eRate = (r.epsilon.totalAccepted  / (r.epsilon.totalAccepted  + r.epsilon.totalRejected  || 1) * 100).toFixed(1);
-    const beat  = r.maturity.inference.meanAccuracy > r.epsilon.inference.meanAccuracy;
-    return `<tr>
-      <td>${r.seed}</td>
-      <td>${r.maturity.inference.meanAccuracy.toFixed(3)} (${r.maturity.inference.distinctOutputs}d)</td>
-      <td>${r.epsilon.inference.meanAccuracy.toFixed(3)} (${r.epsilon.inference.distinctOutputs}d)</td>
-      <td>${r.control.inference.meanAccuracy.toFixed(3)}</td>
-      <td>${beat ? '✅' : '—'}</td>
-      <td>${r.maturity.totalAccepted}/${r.maturity.totalRejected} (${mRate}%)</td>
-      <td>${r.epsilon.totalAccepted}/${r.epsilon.totalRejected} (${eRate}%)</td>
-    </tr>`;
+  const polylines = trained.map(c => {
+    const traj = conditions[c].trajectory;
+    return `  <polyline points="${toPoly(traj, 'avgReward')}" fill="none" stroke="${colour(c)}" stroke-width="2"${dashed(c)}/>\n` +
+      `  <polyline points="${toPoly(traj, 'avgAcceptRate')}" fill="none" stroke="${colour(c)}" stroke-width="1.5" opacity="0.4"${dashed(c)}/>`;
   }).join('\n');
 
-  const clusterRows = stats.clusterStats.map(s => {
-    const m = s.maturity, e = s.epsilon;
-    return `<tr>
-      <td>${s.seed}</td>
-      <td>${m.c0Total.toLocaleString()} (${(m.c0SuccRate * 100).toFixed(0)}%)</td>
-      <td>${m.c1Total.toLocaleString()} (${(m.c1SuccRate * 100).toFixed(0)}%)</td>
-      <td>${e.c0Total.toLocaleString()} (${(e.c0SuccRate * 100).toFixed(0)}%)</td>
-      <td>${e.c1Total.toLocaleString()} (${(e.c1SuccRate * 100).toFixed(0)}%)</td>
-    </tr>`;
-  }).join('\n');
+  const legend = trained.map(c =>
+    `<span><i style="background:${colour(c)}"></i>${escapeHtml(c)} reward / accept rate (faded)</span>`).join('\n  ');
+
+  const criteria = stats.criteria.length === 0 ? '<p><em>No success criteria defined.</em></p>' : `<table>
+  <tr><th>Criterion</th><th>Result</th><th>Pass</th></tr>
+${stats.criteria.map(c => `  <tr>
+    <td>${escapeHtml(c.label)}</td>
+    <td>${escapeHtml(c.measured)}</td>
+    <td class="${c.pass === null ? '' : c.pass ? 'pass' : 'fail'}">${c.pass === null ? '—' : c.pass ? '✅ Yes' : '❌ No'}</td>
+  </tr>`).join('\n')}
+</table>`;
+
+  const perSeedRows = allResults.map(r => {
+    const best  = bestConditions(r, names);
+    const cells = [
+      ...names.map(c => {
+        const text = escapeHtml(`${r[c].inference.meanAccuracy.toFixed(3)} (${r[c].inference.distinctOutputs}d)`);
+        return best.includes(c) ? `<strong>${text}</strong>` : text;
+      }),
+      ...trained.map(c => keepRevert(r[c])),
+    ];
+    return `<tr><td>${r.seed}</td>${cells.map(v => `<td>${v}</td>`).join('')}</tr>`;
+  }).join('\n  ');
+
+  const maturation = astro.map(c =>
+    `<h3>${escapeHtml(c)}</h3>\n${table(maturationHeader(config), maturationRows(config, conditions[c]))}`).join('\n');
 
   const patLabels = trainingPatterns.map((_, i) => `<th>P${i + 1}</th>`).join('');
 
-  function astroDetailHtml(r, condKey, condLabel) {
-    const asts = r[condKey].astrocyteStats;
+  function astroDetailHtml(r, name) {
+    const asts = r[name].astrocyteStats;
     if (!asts) return '';
     const rows = asts.map(ast => {
       const sr     = ast.activationCount > 0
         ? (ast.successCount / ast.activationCount * 100).toFixed(1) + '%' : '—';
-      const regAct = ast.activationCount - (ast.epsilonCount || 0);
       const er     = ast.finalExplorationRate !== undefined ? ast.finalExplorationRate.toFixed(4) : '—';
       const ers    = ast.explorationRateSamples;
       const threshDropped = ast.finalThreshold < 0.5;
@@ -435,8 +674,8 @@ function buildHtml(allResults, config, stats, duration) {
         <td>${ast.id}</td>
         <td>C${ast.cluster}</td>
         <td>(${ast.position.x.toFixed(1)}, ${ast.position.y.toFixed(1)})</td>
-        <td>${ast.neuronCount}n / ${ast.synapseCount}s</td>
-        <td>${regAct} + ${ast.epsilonCount || 0}ε</td>
+        <td>${describeTerritory(ast)}</td>
+        <td>${describeActivations(ast)}</td>
         <td>${sr}</td>
         <td${threshDropped ? ' style="color:#080;font-weight:bold"' : ''}>${ast.finalThreshold.toFixed(3)}</td>
         <td style="font-weight:bold">${er}</td>
@@ -447,49 +686,128 @@ function buildHtml(allResults, config, stats, duration) {
       </tr>`;
     }).join('\n');
     return `<details>
-      <summary><strong>Seed ${r.seed} — ${condLabel}</strong> acc=${r[condKey].inference.meanAccuracy.toFixed(3)}, distinct=${r[condKey].inference.distinctOutputs}</summary>
+      <summary><strong>Seed ${r.seed} — ${escapeHtml(name)}</strong> acc=${r[name].inference.meanAccuracy.toFixed(3)}, distinct=${r[name].inference.distinctOutputs}</summary>
       <table>
-        <tr><th>ID</th><th>Cl</th><th>Pos</th><th>Territory</th><th>Act (reg+ε)</th><th>Success%</th><th>Thresh</th><th>ExplRate</th><th>Rate 5k</th><th>Rate 10k</th><th>Rate 20k</th>${patLabels}</tr>
+        <tr><th>ID</th><th>Cl</th><th>Pos</th><th>Territory</th><th>Act (reg+ε)</th><th>Success%</th><th>Thresh</th><th>ExplRate</th><th>Rate 5k</th><th>Rate 10k</th><th>Rate final</th>${patLabels}</tr>
         ${rows}
       </table>
       <p style="font-size:0.82em;color:#666">
         Blue rows = cluster 1. Green rows = cluster 1 with threshold dropped below 0.5.
-        ExplRate = final exploration rate (maturity condition only).
       </p>
     </details>`;
   }
 
   const astroDiagnostics = allResults.map(r =>
-    astroDetailHtml(r, 'maturity', 'maturity') + '\n' + astroDetailHtml(r, 'epsilon', 'epsilon')
-  ).join('\n');
+    astro.map(c => astroDetailHtml(r, c)).join('\n')).join('\n');
+
+  // x-y paths of one run's astrocytes: a line per astrocyte, dot at the end
+  function pathsSvg(asts) {
+    const size = 320, pad = 16;
+    const points = asts.flatMap(a => a.positionTrajectory ?? []);
+    const xs = points.map(p => p.x), ys = points.map(p => p.y);
+    const minX = Math.min(...xs), minY = Math.min(...ys);
+    const span = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+    const px = p => (pad + (p.x - minX) / span * (size - 2 * pad)).toFixed(1);
+    const py = p => (size - pad - (p.y - minY) / span * (size - 2 * pad)).toFixed(1);
+    const paths = asts.filter(a => a.positionTrajectory?.length > 0).map(a => {
+      const path = a.positionTrajectory, end = path[path.length - 1], col = PALETTE[a.id % PALETTE.length];
+      return `  <polyline points="${path.map(p => `${px(p)},${py(p)}`).join(' ')}" fill="none" stroke="${col}" stroke-width="1.5"/>\n` +
+        `  <circle cx="${px(end)}" cy="${py(end)}" r="3" fill="${col}"><title>astrocyte ${a.id}</title></circle>`;
+    }).join('\n');
+    return `<svg width="${size}" height="${size}" style="border:1px solid #ddd;background:#fafafa;display:block;">\n${paths}\n</svg>`;
+  }
+
+  const dynamic    = astro.filter(c => conditions[c].dynamic);
+  const population = dynamic.length === 0 ? '' : `
+<h2>Population</h2>
+<p>Mean astrocyte count over seeds; the lineage lists each split, merge and death
+(astrocyte ids; a death's "To" is the astrocyte that absorbed its territory).</p>
+${table(populationHeader(dynamic), populationRows(stats, dynamic))}
+${allResults.map(r => dynamic.map(c => `<details>
+  <summary><strong>Seed ${r.seed} — ${escapeHtml(c)}</strong>: ${escapeHtml(describePopulation(r[c]))}</summary>
+  ${r[c].populationEvents.length > 0 ? table(lineageHeader(), lineageRows(r[c])) : '<p><em>No events.</em></p>'}
+</details>`).join('\n')).join('\n')}
+`;
+
+  const mobile = mobileConditions(allResults, astro);
+  const movement = mobile.length === 0 ? '' : `
+<h2>Astrocyte Movement</h2>
+<p>x-y paths (dot: final position) and positions (x, y, z) at evenly spaced episodes for conditions with a mobility rule.</p>
+${allResults.map(r => mobile.map(c => `<details>
+  <summary><strong>Seed ${r.seed} — ${escapeHtml(c)}</strong></summary>
+  ${pathsSvg(r[c].astrocyteStats)}
+  ${table(movementHeader(), movementRows(r[c].astrocyteStats))}
+</details>`).join('\n')).join('\n')}
+`;
 
   const inferenceDetail = allResults.map(r => {
-    const rows = r.maturity.inference.results.map((res, i) => {
-      const eps  = r.epsilon.inference.results[i];
-      const ctrl = r.control.inference.results[i];
-      return `<tr>
-        <td>${res.label}</td>
-        <td>[${res.input.join('')}]</td>
-        <td>[${res.target.join('')}]</td>
-        <td>[${res.output.join('')}] ${res.accuracy.toFixed(2)}</td>
-        <td>[${eps.output.join('')}] ${eps.accuracy.toFixed(2)}</td>
-        <td>[${ctrl.output.join('')}] ${ctrl.accuracy.toFixed(2)}</td>
-      </tr>`;
-    }).join('\n');
+    const rows = r[names[0]].inference.results.map((res, i) => [
+      res.label, `[${res.input.join('')}]`, `[${res.target.join('')}]`,
+      ...names.map(c => {
+        const out = r[c].inference.results[i];
+        return `[${out.output.join('')}] ${out.accuracy.toFixed(2)}`;
+      }),
+    ]);
+    const accs = names.map(c => `${c}=${r[c].inference.meanAccuracy.toFixed(3)}`).join(', ');
     return `<details>
-      <summary><strong>Seed ${r.seed}</strong> — maturity=${r.maturity.inference.meanAccuracy.toFixed(3)}, epsilon=${r.epsilon.inference.meanAccuracy.toFixed(3)}, control=${r.control.inference.meanAccuracy.toFixed(3)}</summary>
-      <table>
-        <tr><th>Pat</th><th>Input</th><th>Target</th><th>Maturity out/acc</th><th>Epsilon out/acc</th><th>Control out/acc</th></tr>
-        ${rows}
-      </table>
+      <summary><strong>Seed ${r.seed}</strong> — ${escapeHtml(accs)}</summary>
+      ${table(['Pat', 'Input', 'Target', ...names.map(c => `${c} out/acc`)], rows)}
     </details>`;
   }).join('\n');
 
+  const description = config.description
+    ? `\n<h2>Hypothesis</h2>\n<p>${escapeHtml(config.description)}</p>\n`
+    : '';
+
+  const chart = trained.length === 0 ? '' : `
+<h2>Reward &amp; Accept Rate Trajectories (avg across ${n} seeds)</h2>
+<svg width="${chartW}" height="${chartH}" style="border:1px solid #ddd;background:#fafafa;display:block;">
+  <line x1="${padL}" y1="${padT}" x2="${padL}" y2="${padT + h}" stroke="#999" stroke-width="1"/>
+  <line x1="${padL}" y1="${padT + h}" x2="${padL + w}" y2="${padT + h}" stroke="#999" stroke-width="1"/>
+  <line x1="${padL}" y1="${padT + h / 2}" x2="${padL + w}" y2="${padT + h / 2}" stroke="#eee" stroke-dasharray="4"/>
+  <text x="${padL - 5}" y="${padT + 4}"         text-anchor="end">1.0</text>
+  <text x="${padL - 5}" y="${padT + h / 2 + 4}" text-anchor="end">0.5</text>
+  <text x="${padL - 5}" y="${padT + h + 4}"      text-anchor="end">0.0</text>
+  <text x="${padL}"       y="${padT + h + 20}" text-anchor="middle">0</text>
+  <text x="${padL + w / 2}" y="${padT + h + 20}" text-anchor="middle">${Math.floor(config.episodes / 2)}</text>
+  <text x="${padL + w}"   y="${padT + h + 20}" text-anchor="middle">${config.episodes}</text>
+  <text x="${padL + w / 2}" y="${chartH}"       text-anchor="middle" fill="#666">Episode</text>
+${polylines}
+</svg>
+<div class="legend">
+  ${legend}
+</div>
+`;
+
+  const coupled = coupledConditions(allResults, astro);
+  const waves   = coupled.length === 0 ? '' : `
+<h2>Calcium Waves</h2>
+<p>Gap junctions at the end of training and wave-driven activations ("w" in the
+per-astrocyte activations); a wave is a run of consecutive steps with at least
+one, cross-cluster ones were set off by a neighbour in another cluster.</p>
+${table(waveHeader(), waveRows(allResults, coupled))}
+`;
+
+  const astroPart = astro.length === 0 ? '' : `
+<h2>Exploration Rate Maturation</h2>
+${maturation}
+
+<h2>Territory Size</h2>
+<p>Mean over astrocytes and seeds; territories change under a radius schedule.</p>
+${table(territoryHeader(astro), territoryRows(stats, astro))}
+
+<h2>Cluster Activation Breakdown</h2>
+${table(clusterHeader(stats, astro), clusterRows(allResults, config, astro))}
+
+<h2>Per-Astrocyte Diagnostics</h2>
+${astroDiagnostics}
+${population}${movement}${waves}`;
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
 <meta charset="UTF-8">
-<title>Experiment 024 — Maturity-Scaled Exploration</title>
+<title>${escapeHtml(reportTitle(config))}</title>
 <style>
   body { font-family: system-ui, sans-serif; max-width: 1000px; margin: 40px auto; padding: 0 24px; color: #222; }
   h1 { border-bottom: 2px solid #333; padding-bottom: 8px; }
@@ -504,127 +822,40 @@ function buildHtml(allResults, config, stats, duration) {
   details { margin: 0.4em 0; border: 1px solid #ddd; padding: 6px 12px; border-radius: 4px; }
   summary { cursor: pointer; }
   svg text { font-family: system-ui, sans-serif; font-size: 11px; }
-  .legend { display: flex; gap: 24px; font-size: 0.85em; margin-top: 4px; }
-  .legend span::before { content: ''; display: inline-block; width: 22px; height: 3px; margin-right: 6px; vertical-align: middle; }
-  .leg-mat::before  { background: #2255cc; }
-  .leg-eps::before  { background: #cc5522; }
+  .legend { display: flex; flex-wrap: wrap; gap: 4px 24px; font-size: 0.85em; margin-top: 4px; }
+  .legend i { display: inline-block; width: 22px; height: 3px; margin-right: 6px; vertical-align: middle; }
 </style>
 </head>
 <body>
-<h1>Experiment 024 — Maturity-Scaled Exploration</h1>
-<p class="meta">Date: ${new Date().toISOString().slice(0, 10)} &nbsp;|&nbsp; Duration: ${duration}s &nbsp;|&nbsp; baseEpsilon=${config.baseEpsilon}, horizon=${config.maturityHorizon}</p>
-
-<h2>Hypothesis</h2>
-<p>Flat epsilon (1%) works to bootstrap cluster 1 but becomes a drag over long training.
-Cluster 0 matures by episode 5000 but keeps perturbing, accumulating drift damage. Each astrocyte
-should mature at its own pace: explorationRate = ${config.baseEpsilon} / (1 + activationCount / ${config.maturityHorizon}).
-Fresh astrocytes explore at ${(config.baseEpsilon * 100).toFixed(0)}%, heavily-activated ones converge toward zero.
-Maturation is per-astrocyte, mirroring biological region-specific cortical development.</p>
-
+<h1>${escapeHtml(reportTitle(config))}</h1>
+<p class="meta">Date: ${new Date().toISOString().slice(0, 10)} &nbsp;|&nbsp; Duration: ${duration}s &nbsp;|&nbsp; Conditions: ${escapeHtml(names.join(', '))}</p>
+${description}
 <h2>Configuration</h2>
-<table>
-  <tr><th>Parameter</th><th>Value</th></tr>
-  <tr><td>Architecture</td><td>${config.clusters} clusters × ${config.neuronsPerCluster} neurons</td></tr>
-  <tr><td>Astrocytes</td><td>${config.astrocytesPerCluster} per cluster (${config.astrocytesPerCluster * 2} total), territory radius ${config.territoryRadius}</td></tr>
-  <tr><td>Maturity-scaled epsilon</td><td>baseEpsilon=${config.baseEpsilon}, maturityHorizon=${config.maturityHorizon}</td></tr>
-  <tr><td>Flat epsilon (comparison)</td><td>${(config.epsilon * 100).toFixed(0)}% per astrocyte per step</td></tr>
-  <tr><td>Perturbation std</td><td>${config.perturbStd}</td></tr>
-  <tr><td>Acceptance</td><td>soft reward, strict &gt;</td></tr>
-  <tr><td>Homeostasis</td><td>OFF</td></tr>
-  <tr><td>Episodes</td><td>${config.episodes} × ${config.stepsPerEpisode} steps</td></tr>
-  <tr><td>Seeds</td><td>${config.seeds.join(', ')}</td></tr>
-</table>
+${table(['Parameter', 'Value'], configRows(config))}
+${table(['Condition', 'train() condition', 'Overrides'], conditionRows(config))}
 
 <h2>Summary</h2>
-<table>
-  <tr><th>Metric</th><th>Maturity</th><th>Epsilon (flat)</th><th>Control</th></tr>
-  <tr><td>Mean accuracy</td><td>${stats.meanMat.toFixed(3)}</td><td>${stats.meanEps.toFixed(3)}</td><td>${stats.meanCtrl.toFixed(3)}</td></tr>
-  <tr><td>Variance</td><td>${stats.varMat.toFixed(5)}</td><td>${stats.varEps.toFixed(5)}</td><td>—</td></tr>
-  <tr><td>Mean accept rate</td><td>${(stats.meanMatAccept * 100).toFixed(1)}%</td><td>${(stats.meanEpsAccept * 100).toFixed(1)}%</td><td>—</td></tr>
-  <tr><td>Seeds maturity &gt; epsilon</td><td>${stats.matWinsEps} / ${n}</td><td>—</td><td>—</td></tr>
-</table>
-
-<h2>Exploration Rate Maturation</h2>
-<table>
-  <tr><th>Cluster</th><th>Ep 5000</th><th>Ep 10000</th><th>Ep 20000 (final)</th></tr>
-  <tr><td>C0 mean</td><td>${stats.c0RateEp5k.toFixed(4)}</td><td>${stats.c0RateEp10k.toFixed(4)}</td><td>${stats.c0RateFinal.toFixed(4)}</td></tr>
-  <tr><td>C1 mean</td><td>${stats.c1RateEp5k.toFixed(4)}</td><td>${stats.c1RateEp10k.toFixed(4)}</td><td>${stats.c1RateFinal.toFixed(4)}</td></tr>
-</table>
-<p>C0 matured (rate &lt; 0.03): ${stats.c0MatureCount}/${stats.c0TotalCount} astrocytes across all seeds.<br>
-C1 matured (rate &lt; 0.10): ${stats.c1MatureCount}/${stats.c1TotalCount} astrocytes across all seeds.</p>
-
+${table(['Metric', ...names], summaryRows(stats))}
+${stats.comparisons.length > 0 ? `
+<h2>Significance</h2>
+<p>Paired over seeds: a positive difference favours the first condition of the pair.</p>
+${table(significanceHeader(), significanceRows(stats))}
+` : ''}
 <h2>Success Criteria</h2>
-<table>
-  <tr><th>Criterion</th><th>Result</th><th>Pass</th></tr>
-  <tr>
-    <td>Maturity &gt; Epsilon mean accuracy</td>
-    <td>${stats.meanMat.toFixed(3)} vs ${stats.meanEps.toFixed(3)}</td>
-    <td class="${sc.matBeatEps ? 'pass' : 'fail'}">${sc.matBeatEps ? '✅ Yes' : '❌ No'}</td>
-  </tr>
-  <tr>
-    <td>C0 explorationRate &lt; 0.03 by ep 20000</td>
-    <td>${stats.c0MatureCount}/${stats.c0TotalCount} matured</td>
-    <td class="${sc.c0Matured ? 'pass' : 'fail'}">${sc.c0Matured ? '✅ Yes' : '❌ No'}</td>
-  </tr>
-  <tr>
-    <td>C1 explorationRate &lt; 0.10 by ep 20000</td>
-    <td>${stats.c1MatureCount}/${stats.c1TotalCount} matured</td>
-    <td class="${sc.c1Matured ? 'pass' : 'fail'}">${sc.c1Matured ? '✅ Yes' : '❌ No'}</td>
-  </tr>
-  <tr>
-    <td>No late-training degradation (ep15k+ &gt;= ep10k)</td>
-    <td>see trajectory</td>
-    <td class="${sc.noLateDegradation ? 'pass' : 'fail'}">${sc.noLateDegradation ? '✅ Yes' : '❌ No'}</td>
-  </tr>
-</table>
-
-<h2>Reward &amp; Accept Rate Trajectories (avg across ${n} seeds)</h2>
-<svg width="${chartW}" height="${chartH}" style="border:1px solid #ddd;background:#fafafa;display:block;">
-  <line x1="${padL}" y1="${padT}" x2="${padL}" y2="${padT + h}" stroke="#999" stroke-width="1"/>
-  <line x1="${padL}" y1="${padT + h}" x2="${padL + w}" y2="${padT + h}" stroke="#999" stroke-width="1"/>
-  <line x1="${padL}" y1="${padT + h / 2}" x2="${padL + w}" y2="${padT + h / 2}" stroke="#eee" stroke-dasharray="4"/>
-  <text x="${padL - 5}" y="${padT + 4}"         text-anchor="end">1.0</text>
-  <text x="${padL - 5}" y="${padT + h / 2 + 4}" text-anchor="end">0.5</text>
-  <text x="${padL - 5}" y="${padT + h + 4}"      text-anchor="end">0.0</text>
-  <text x="${padL}"       y="${padT + h + 20}" text-anchor="middle">0</text>
-  <text x="${padL + w / 2}" y="${padT + h + 20}" text-anchor="middle">${Math.floor(config.episodes / 2)}</text>
-  <text x="${padL + w}"   y="${padT + h + 20}" text-anchor="middle">${config.episodes}</text>
-  <text x="${padL + w / 2}" y="${chartH}"       text-anchor="middle" fill="#666">Episode</text>
-  ${matReward  ? `<polyline points="${matReward}"  fill="none" stroke="#2255cc" stroke-width="2"/>` : ''}
-  ${epsReward  ? `<polyline points="${epsReward}"  fill="none" stroke="#cc5522" stroke-width="1.5" stroke-dasharray="6,3"/>` : ''}
-  ${matAccept  ? `<polyline points="${matAccept}"  fill="none" stroke="#2255cc" stroke-width="1.5" opacity="0.4"/>` : ''}
-  ${epsAccept  ? `<polyline points="${epsAccept}"  fill="none" stroke="#cc5522" stroke-width="1"   opacity="0.4" stroke-dasharray="6,3"/>` : ''}
-</svg>
-<div class="legend">
-  <span class="leg-mat">Maturity reward (solid) / accept rate (faded)</span>
-  <span class="leg-eps">Epsilon reward (dashed) / accept rate (faded dashed)</span>
-</div>
-
+${criteria}
+${chart}
 <h2>Per-Seed Results</h2>
 <table>
-  <tr>
-    <th>Seed</th>
-    <th>Maturity acc (d)</th><th>Epsilon acc (d)</th><th>Control acc</th>
-    <th>M&gt;E</th>
-    <th>Maturity keep/revert (%)</th><th>Epsilon keep/revert (%)</th>
-  </tr>
+  ${tr(['Seed', ...names.map(c => `${c} acc (d)`), ...trained.map(c => `${c} keep/revert (%)`)], 'th')}
   ${perSeedRows}
 </table>
-
-<h2>Cluster Activation Breakdown</h2>
-<table>
-  <tr><th>Seed</th><th>Maturity C0</th><th>Maturity C1</th><th>Epsilon C0</th><th>Epsilon C1</th></tr>
-  ${clusterRows}
-</table>
-
-<h2>Per-Astrocyte Diagnostics</h2>
-${astroDiagnostics}
-
+<p style="font-size:0.82em;color:#666">Bold = best condition on that seed.</p>
+${astroPart}
 <h2>Inference Detail</h2>
 ${inferenceDetail}
 
 <h2>Conclusion</h2>
-<div class="conclusion">${buildConclusion(stats, config)}</div>
+<div class="conclusion">${escapeHtml(buildConclusion(stats))}</div>
 
 </body>
 </html>`;
@@ -632,50 +863,38 @@ ${inferenceDetail}
 
 // ─── Conclusion ───────────────────────────────────────────────────────────────
 
-function buildConclusion(stats, config) {
-  const sc     = stats.success;
-  const passed = Object.values(sc).filter(Boolean).length;
-  const total  = Object.values(sc).length;
-  const lines  = [];
-
-  if (sc.matBeatEps) {
-    lines.push(`Maturity-scaled exploration (${stats.meanMat.toFixed(3)}) outperformed flat epsilon ` +
-      `(${stats.meanEps.toFixed(3)}) in mean inference accuracy (${stats.matWinsEps}/${stats.n} seeds). ` +
-      `Per-astrocyte maturation successfully reduces late-training perturbation drift.`);
-  } else {
-    lines.push(`Maturity-scaled exploration (${stats.meanMat.toFixed(3)}) did not surpass flat epsilon ` +
-      `(${stats.meanEps.toFixed(3)}). The initial ${(config.baseEpsilon * 100).toFixed(0)}% exploration rate ` +
-      `may be too aggressive, or the maturity horizon (${config.maturityHorizon}) may need tuning.`);
-  }
-
-  if (sc.c0Matured) {
-    lines.push(`Cluster 0 matured as expected: ${stats.c0MatureCount}/${stats.c0TotalCount} astrocytes ` +
-      `reached explorationRate < 0.03 by episode ${config.episodes} (final C0 mean rate: ` +
-      `${stats.c0RateFinal.toFixed(4)}). Converged weights are protected from further drift.`);
-  } else {
-    lines.push(`Cluster 0 did not fully mature: only ${stats.c0MatureCount}/${stats.c0TotalCount} ` +
-      `astrocytes reached explorationRate < 0.03. Final C0 mean rate: ${stats.c0RateFinal.toFixed(4)}.`);
+function buildConclusion(stats) {
+  const { n, ranked, conditions } = stats;
+  const lines = [];
+
+  lines.push(`Mean inference accuracy over ${n} seed${n === 1 ? '' : 's'}: ` +
+    ranked.map(c => `${c} ${conditions[c].meanAcc.toFixed(3)}`).join(', ') + '.');
+
+  const best = conditions[ranked[0]];
+  if (ranked.length > 1) {
+    const second = conditions[ranked[1]];
+    const { tTest, wilcoxon } = comparison(stats, best.name, second.name);
+    lines.push(`${best.name} ranked first, ${(best.meanAcc - second.meanAcc).toFixed(3)} ahead of ` +
+      `${second.name}` + (Number.isNaN(tTest.p) ? '' :
+      ` (paired t p ${fmtP(tTest.p)}, Wilcoxon p ${fmtP(wilcoxon.p)})`) +
+      `, and was the single best condition on ${best.wins}/${n} seeds.`);
   }
 
-  if (sc.c1Matured) {
-    lines.push(`Cluster 1 caught up and matured: ${stats.c1MatureCount}/${stats.c1TotalCount} astrocytes ` +
-      `reached explorationRate < 0.10 by episode ${config.episodes} (final C1 mean rate: ` +
-      `${stats.c1RateFinal.toFixed(4)}). The output-side territory learned and stabilised.`);
-  } else {
-    lines.push(`Cluster 1 has not matured: only ${stats.c1MatureCount}/${stats.c1TotalCount} ` +
-      `astrocytes reached explorationRate < 0.10. Final C1 mean rate: ${stats.c1RateFinal.toFixed(4)}. ` +
-      `C1 may need more activations before the maturity horizon kicks in.`);
+  const untrained = ranked.filter(c => !conditions[c].trained);
+  if (best.trained && untrained.length > 0) {
+    const baseline = conditions[untrained[0]];
+    lines.push(`Against the untrained ${baseline.name} condition (${baseline.meanAcc.toFixed(3)}), ` +
+      `${best.name} gained ${(best.meanAcc - baseline.meanAcc).toFixed(3)}.`);
   }
 
-  if (sc.noLateDegradation) {
-    lines.push(`No late-training degradation observed: accuracy in the final quarter of training ` +
-      `remained stable relative to mid-training, confirming that maturity-scaling prevents ` +
-      `the drift damage seen in experiment 023 at 20k episodes.`);
-  } else {
-    lines.push(`Late-training degradation was detected: accuracy in the final quarter dropped below ` +
-      `mid-training levels. Maturity-scaling may not have decayed fast enough to prevent drift.`);
+  const judged = stats.criteria.filter(c => c.pass !== null);
+  if (judged.length > 0) {
+    const failed = judged.filter(c => !c.pass).map(c => c.label);
+    lines.push(`Overall: ${judged.length - failed.length}/${judged.length} success criteria passed` +
+      (failed.length > 0 ? ` (failed: ${failed.join('; ')}).` : '.'));
   }
+  const skipped = stats.criteria.length - judged.length;
+  if (skipped > 0) lines.push(`${skipped} criteria not judged: their conditions were not run.`);
 
-  lines.push(`Overall: ${passed}/${total} success criteria passed.`);
   return lines.join(' ');
 }
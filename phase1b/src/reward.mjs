@@ -12,7 +12,7 @@ export function computeBinaryReward(binaryOutput, target) {
 // Provides a continuous learning signal even when no bits have yet crossed threshold.
 // Used by the hill-climber to decide whether to accept a perturbation.
 export function computeSoftReward(activations, target, network) {
-  const outputIds = [5, 6, 7, 8, 9];
+  const { outputIds } = network;
   let reward = 0;
   for (let i = 0; i < target.length; i++) {
     const threshold = network.neurons[outputIds[i]].threshold;
@@ -1,12 +1,63 @@
-// Mulberry32 PRNG — patches Math.random() globally for reproducible runs.
-// Call seedRandom(seed) before any operation that must be reproducible.
+// Mulberry32 PRNG with explicit, per-instance state.
+//
+// createRng(seed) returns { random(), getState(), setState() }. Its random()
+// has the same contract as Math.random, so every function that draws random
+// numbers takes an `rng` argument defaulting to Math.
+//
+// createRngStreams(seed) derives one independent generator per component
+// (RNG_STREAMS), so extra draws in one component — e.g. a new exploration
+// rule — do not shift the network topology, pattern order or perturbation noise.
+//
+// seedRandom(seed) is the legacy entry point: it patches Math.random globally.
+// The state now wraps at 32 bits; the old closure let it grow as a float, which
+// lost precision after ~5M draws.
 
-export function seedRandom(seed) {
-  let s = (seed >>> 0) + 1; // +1 avoids degenerate 0-seed behaviour
-  Math.random = function () {
-    s += 0x6D2B79F5;
-    let t = Math.imul(s ^ (s >>> 15), 1 | s);
-    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
-    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+export const RNG_STREAMS = ['network', 'task', 'perturb', 'exploration', 'cursor', 'placement'];
+
+export function createRng(seed) {
+  let s = ((seed >>> 0) + 1) | 0; // +1 avoids degenerate 0-seed behaviour
+  return {
+    random() {
+      s = (s + 0x6D2B79F5) | 0;
+      let t = Math.imul(s ^ (s >>> 15), 1 | s);
+      t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+      return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    },
+    getState() { return s; },
+    setState(state) { s = state | 0; },
   };
 }
+
+// Stream seed = FNV-1a hash of the name, mixed with the run seed (murmur3 finaliser)
+export function deriveSeed(seed, name) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < name.length; i++) {
+    h ^= name.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= seed >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+  h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+export function createRngStreams(seed, names = RNG_STREAMS) {
+  const streams = {};
+  for (const name of names) streams[name] = createRng(deriveSeed(seed, name));
+  return streams;
+}
+
+export function getStreamStates(streams) {
+  const states = {};
+  for (const [name, rng] of Object.entries(streams)) states[name] = rng.getState();
+  return states;
+}
+
+export function setStreamStates(streams, states) {
+  for (const [name, state] of Object.entries(states)) streams[name].setState(state);
+}
+
+export function seedRandom(seed) {
+  const rng = createRng(seed);
+  Math.random = () => rng.random();
+}
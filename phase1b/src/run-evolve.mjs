@@ -0,0 +1,103 @@
+// Evolutionary search entry point (evolve.mjs, evolve-report.mjs):
+//
+//   node src/run-evolve.mjs experiments/evolve-001.json
+//   node src/run-evolve.mjs experiments/evolve-001.json --resume
+//   node src/run-evolve.mjs experiments/evolve-001.json --resume --generations 25
+//
+//   --resume                   continue from the saved search state
+//   --generations n            total generations (raise it to extend a finished search)
+//   --seeds 42,137             scoring seeds for every vector
+//   --episodes n               episodes per run
+//   --out reports/             report directory
+//   --state-dir runs/          where the search state and lineage log live
+//   --concurrency n            worker threads (1 = serial, in-process)
+//   --set key=value            config override for every vector (see cli.mjs)
+//   --force                    retrain vectors that are in the result cache
+//
+// The state (<state-dir>/evolve-<id>.state.json) is rewritten after every
+// generation and the lineage log (<state-dir>/evolve-<id>.lineage.jsonl) gains
+// one line per vector. Evaluations are cached (cache.mjs), so even a
+// generation interrupted halfway only retrains the vectors it had not finished.
+
+import { parseArgs } from 'util';
+import { BASE_CONFIG } from './config.mjs';
+import { applySet } from './cli.mjs';
+import { loadEvolution, validateEvolution, evolutionToConfig, runEvolution, readLineage } from './evolve.mjs';
+import { generateEvolveReport } from './evolve-report.mjs';
+
+const OPTIONS = {
+  resume:        { type: 'boolean' },
+  generations:   { type: 'string' },
+  seeds:         { type: 'string' },
+  episodes:      { type: 'string' },
+  out:           { type: 'string' },
+  'state-dir':   { type: 'string' },
+  concurrency:   { type: 'string' },
+  set:           { type: 'string', multiple: true },
+  force:         { type: 'boolean' },
+};
+
+let evolution, config, values;
+try {
+  const args = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true, strict: true });
+  values = args.values;
+  if (args.positionals.length !== 1) throw new Error('Usage: node src/run-evolve.mjs <evolve.json> [--resume] ' +
+    '[--generations n] [--seeds a,b] [--episodes n] [--out dir] [--state-dir dir] [--concurrency n] [--set k=v] [--force]');
+
+  let baseSpec;
+  ({ evolution, baseSpec } = loadEvolution(args.positionals[0]));
+  if (values.generations !== undefined) evolution.generations = toInteger(values.generations, '--generations');
+  if (values.seeds !== undefined)       evolution.seeds       = values.seeds.split(',').map(v => toInteger(v.trim(), '--seeds'));
+  if (values.episodes !== undefined)    evolution.training    = { ...evolution.training, episodes: toInteger(values.episodes, '--episodes') };
+  validateEvolution(evolution, args.positionals[0]);
+
+  config = evolutionToConfig(evolution, structuredClone(BASE_CONFIG), baseSpec);
+  for (const assignment of values.set ?? []) applySet(config, assignment, BASE_CONFIG);
+  if (values.out !== undefined) config.outDir = values.out.replace(/\/+$/, '') || '.';
+  if (values.concurrency !== undefined) {
+    config.concurrency = toInteger(values.concurrency, '--concurrency');
+    if (config.concurrency < 1) throw new Error('--concurrency must be at least 1');
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+const stateDir    = (values['state-dir'] ?? './runs').replace(/\/+$/, '') || '.';
+const statePath   = `${stateDir}/${config.experiment}.state.json`;
+const lineagePath = `${stateDir}/${config.experiment}.lineage.jsonl`;
+
+console.log(`=== ${config.title} ===`);
+console.log(`Search: (${evolution.mu},${evolution.lambda})-ES, ${evolution.generations} generations, ` +
+  `${Object.keys(evolution.parameters).length} parameters, condition ${evolution.condition}`);
+console.log(`Training: ${config.seeds.length} seeds × ${config.episodes} ep × ${config.stepsPerEpisode} steps per vector`);
+console.log(`Workers: ${config.concurrency > 1 ? config.concurrency : 'serial'}`);
+console.log(`State: ${statePath}${values.resume ? ' (resuming)' : ''}\n`);
+
+const startTime = Date.now();
+let state;
+try {
+  state = await runEvolution(evolution, config, {
+    statePath, lineagePath,
+    resume:      values.resume ?? false,
+    force:       values.force ?? false,
+    concurrency: config.concurrency ?? 1,
+    onGeneration: s => {
+      const h = s.history[s.history.length - 1];
+      console.log(`\nGeneration ${h.generation}: best ${h.best.toFixed(4)} (${h.bestId}), mean ${h.mean.toFixed(4)}, ` +
+        `σ ${h.meanSigma.toFixed(3)} — best so far ${s.best.score.toFixed(4)} (${s.best.id})\n`);
+    },
+  });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+console.log(`\nTotal time: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+generateEvolveReport(evolution, config, state, readLineage(lineagePath), startTime);
+
+function toInteger(text, flag) {
+  const n = Number(text);
+  if (!Number.isInteger(n)) throw new Error(`${flag} expects integers, got "${text}"`);
+  return n;
+}
@@ -0,0 +1,96 @@
+// Hyperparameter sweep entry point (sweep.mjs, sweep-report.mjs):
+//
+//   node src/run-sweep.mjs experiments/sweep-001.json
+//   node src/run-sweep.mjs experiments/sweep-001.json --method grid --seeds 42,137 --episodes 2000
+//   node src/run-sweep.mjs experiments/sweep-001.json --dry-run
+//
+//   --method grid|random|lhs   override the spec's sampling method
+//   --samples n                random / lhs point count
+//   --sample-seed s            random / lhs draws
+//   --seeds 42,137             seeds every point runs
+//   --episodes n               episodes per run
+//   --out reports/             report directory
+//   --concurrency n            worker threads (1 = serial, in-process)
+//   --set key=value            config override for every point (see cli.mjs)
+//   --force                    retrain points that are in the result cache
+//   --dry-run                  print the points and exit
+//
+// Every point is a named condition of one experiment (sweep-<id>), so points
+// are cached (cache.mjs) and registered (registry.mjs) like any run: an
+// interrupted or extended sweep only trains the points it has not seen.
+
+import { parseArgs } from 'util';
+import { BASE_CONFIG } from './config.mjs';
+import { applySet } from './cli.mjs';
+import { loadSweep, validateSweep, sweepToConfig } from './sweep.mjs';
+import { runExperiment, runExperimentParallel } from './runner.mjs';
+import { generateSweepReport } from './sweep-report.mjs';
+
+const OPTIONS = {
+  method:        { type: 'string' },
+  samples:       { type: 'string' },
+  'sample-seed': { type: 'string' },
+  seeds:         { type: 'string' },
+  episodes:      { type: 'string' },
+  out:           { type: 'string' },
+  concurrency:   { type: 'string' },
+  set:           { type: 'string', multiple: true },
+  force:         { type: 'boolean' },
+  'dry-run':     { type: 'boolean' },
+};
+
+let config, values;
+try {
+  const args = parseArgs({ args: process.argv.slice(2), options: OPTIONS, allowPositionals: true, strict: true });
+  values = args.values;
+  if (args.positionals.length !== 1) throw new Error('Usage: node src/run-sweep.mjs <sweep.json> [--method m] ' +
+    '[--samples n] [--seeds a,b] [--episodes n] [--out dir] [--concurrency n] [--set k=v] [--force] [--dry-run]');
+
+  const { sweep, baseSpec } = loadSweep(args.positionals[0]);
+  if (values.method !== undefined)        sweep.method     = values.method;
+  if (values.samples !== undefined)       sweep.samples    = toInteger(values.samples, '--samples');
+  if (values['sample-seed'] !== undefined) sweep.sampleSeed = toInteger(values['sample-seed'], '--sample-seed');
+  if (values.seeds !== undefined)         sweep.seeds      = values.seeds.split(',').map(v => toInteger(v.trim(), '--seeds'));
+  if (values.episodes !== undefined)      sweep.training   = { ...sweep.training, episodes: toInteger(values.episodes, '--episodes') };
+  validateSweep(sweep, args.positionals[0]);
+
+  config = sweepToConfig(sweep, structuredClone(BASE_CONFIG), baseSpec);
+  for (const assignment of values.set ?? []) applySet(config, assignment, BASE_CONFIG);
+  if (values.out !== undefined) config.outDir = values.out.replace(/\/+$/, '') || '.';
+  if (values.concurrency !== undefined) {
+    config.concurrency = toInteger(values.concurrency, '--concurrency');
+    if (config.concurrency < 1) throw new Error('--concurrency must be at least 1');
+  }
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+
+console.log(`=== ${config.title} ===`);
+console.log(`Sweep: ${config.sweep.method}, ${config.conditions.length} points ` +
+  `(incl. default) × ${config.seeds.length} seeds, condition ${config.sweep.condition}`);
+console.log(`Training: ${config.episodes} ep × ${config.stepsPerEpisode} steps`);
+console.log(`Workers: ${config.concurrency > 1 ? config.concurrency : 'serial'}\n`);
+
+if (values['dry-run']) {
+  for (const name of config.conditions) {
+    const overrides = config.conditionSpecs[name].overrides;
+    console.log(`  ${name}  ${Object.entries(overrides).map(([k, v]) => `${k}=${Number.isInteger(v) ? v : Number(v.toPrecision(4))}`).join('  ') || '(defaults)'}`);
+  }
+  process.exit(0);
+}
+
+const startTime = Date.now();
+const force     = values.force ?? false;
+const allResults = config.concurrency > 1
+  ? await runExperimentParallel(config, { force, concurrency: config.concurrency })
+  : runExperiment(config, { force });
+
+console.log(`\nTotal time: ${((Date.now() - startTime) / 1000).toFixed(1)}s`);
+generateSweepReport(allResults, config, startTime);
+
+function toInteger(text, flag) {
+  const n = Number(text);
+  if (!Number.isInteger(n)) throw new Error(`${flag} expects integers, got "${text}"`);
+  return n;
+}
@@ -0,0 +1,238 @@
+// Experiment runner: trains every (seed, condition) pair of a config and
+// collects the results in seed order for generateReport().
+//
+// config (main.mjs holds the experiment 024 defaults):
+//   conditions      — condition names, e.g. ['maturity', 'epsilon', 'control']; a name
+//                     is a train() condition unless conditionSpecs maps it (spec.mjs)
+//   conditionSpecs  — optional { name: { condition, overrides } } from a spec file
+//   seeds           — each seed builds one network; every condition of that seed
+//                     starts from an identical copy (fresh RNG streams per condition)
+//   checkpointDir   — latest training state per seed/condition; null to skip
+//   checkpointEvery — episodes between checkpoints
+//   cacheDir        — result cache (cache.mjs): a (seed, condition) whose training
+//                     config and training sources match a cached run is reloaded
+//                     instead of trained; null to skip
+//   registryPath    — JSONL run registry (registry.mjs), one record per finished
+//                     (seed, condition), appended in seed order; null to skip
+//   targetCiWidth   — runAdaptive only: add seeds until the 95% CI of ciPair's
+//                     paired accuracy difference (default: the first two
+//                     conditions) is at most this wide, or maxSeeds are run;
+//                     seedBatch new seeds per round (power.mjs nextSeeds)
+// Every other key is passed through to createNetwork() and train().
+//
+// runExperiment(config, { resume, force }) → [{ seed, [condition]: { ...train() result, inference } }]
+// With resume, each (seed, condition) continues from its checkpoint if that was
+// written under the same config; finished ones are reloaded, not retrained.
+// Results are bit-identical to an uninterrupted run. force ignores cached
+// results (the fresh ones replace them).
+//
+// runExperimentParallel(config, { resume, force, concurrency }) → Promise of the same
+// array. Every (seed, condition) is a job on a worker_threads pool (pool.mjs,
+// worker.mjs). Each job depends only on its seed and condition, so results and
+// report equal the serial run's; console output is replayed in seed order.
+//
+// runAdaptive(config, { resume, force, concurrency }) → Promise of { allResults, seeds }:
+// runs config.seeds, then batches of new seeds until the CI is narrow enough.
+
+import { existsSync }          from 'fs';
+import { createRngStreams }    from './rng.mjs';
+import { createNetwork }       from './network.mjs';
+import { train }               from './train.mjs';
+import { runInference }        from './inference.mjs';
+import { trainingPatterns }    from './task.mjs';
+import { analyzeReachability } from './reachability.mjs';
+import { saveCheckpoint, loadCheckpoint } from './checkpoint.mjs';
+import { resolveCondition }    from './spec.mjs';
+import { runPool }             from './pool.mjs';
+import { ciWidth, nextSeeds }  from './power.mjs';
+import { buildRecord, appendRecords } from './registry.mjs';
+import { cacheKey, loadCachedResult, saveCachedResult } from './cache.mjs';
+import { RUN_KEYS }            from './config.mjs';
+
+const WORKER_URL = new URL('./worker.mjs', import.meta.url);
+
+export function runExperiment(config, { resume = false, force = false } = {}) {
+  const allResults = [];
+
+  for (const seed of config.seeds) {
+    logSeedHeader(config, seed);
+    const entry = { seed };
+    for (const condition of config.conditions) {
+      entry[condition] = runCondition(config, seed, condition, { resume, force });
+    }
+    logSeedSummary(config, entry);
+    registerRuns(config, entry);
+    allResults.push(entry);
+  }
+
+  return allResults;
+}
+
+export async function runExperimentParallel(config, { resume = false, force = false, concurrency = 1 } = {}) {
+  const { seeds, conditions } = config;
+  const tasks = seeds.flatMap(seed => conditions.map(name => ({ config, seed, name, resume, force })));
+  const done  = new Array(tasks.length).fill(null);
+  const allResults = [];
+
+  // Print each seed's block once it and every earlier seed have finished
+  const flush = () => {
+    while (allResults.length < seeds.length) {
+      const first = allResults.length * conditions.length;
+      const jobs  = done.slice(first, first + conditions.length);
+      if (jobs.length < conditions.length || jobs.includes(null)) return;
+
+      const seed  = seeds[allResults.length];
+      const entry = { seed };
+      logSeedHeader(config, seed);
+      conditions.forEach((name, i) => {
+        for (const line of jobs[i].log) console.log(line);
+        entry[name] = jobs[i].result;
+      });
+      logSeedSummary(config, entry);
+      registerRuns(config, entry);
+      allResults.push(entry);
+    }
+  };
+
+  await runPool(WORKER_URL, tasks, {
+    concurrency,
+    onResult: (i, job) => { done[i] = job; flush(); },
+  });
+  return allResults;
+}
+
+export async function runAdaptive(config, { resume = false, force = false, concurrency = 1 } = {}) {
+  const run = cfg => concurrency > 1
+    ? runExperimentParallel(cfg, { resume, force, concurrency })
+    : runExperiment(cfg, { resume, force });
+  const [a, b = null] = config.ciPair ?? config.conditions.slice(0, 2);
+  const label = b ? `${a} − ${b}` : a;
+  for (const name of [a, b].filter(Boolean)) {
+    if (!config.conditions.includes(name)) throw new Error(`ciPair condition "${name}" is not being run`);
+  }
+
+  const seeds      = config.seeds.slice();
+  const allResults = await run(config);
+  for (;;) {
+    const width = ciWidth(allResults, a, b);
+    console.log(`\n  95% CI width (${label}): ${width.toFixed(4)} after ${seeds.length} seeds ` +
+      `(target ${config.targetCiWidth})`);
+    if (width <= config.targetCiWidth) break;
+    if (seeds.length >= config.maxSeeds) {
+      console.log(`  Stopping at maxSeeds=${config.maxSeeds}`);
+      break;
+    }
+    const batch = nextSeeds(seeds, Math.min(config.seedBatch, config.maxSeeds - seeds.length));
+    console.log(`  Adding seeds ${batch.join(', ')}`);
+    seeds.push(...batch);
+    allResults.push(...await run({ ...config, seeds: batch }));
+  }
+  return { allResults, seeds };
+}
+
+// Reachability of each condition's own network (condition overrides applied);
+// conditions with the same figures share a line
+function logSeedHeader(config, seed) {
+  console.log(`\n[Seed ${seed}]`);
+  const lines = new Map();
+  for (const name of config.conditions) {
+    const { config: resolved } = resolveCondition(config, name);
+    const reach = analyzeReachability(createNetwork(resolved, createRngStreams(seed).network), trainingPatterns, {
+      thresholdsMutable: resolved.perturbThresholds || resolved.homeostasis,
+    });
+    const line = `Reachable synapses: ${reach.relevantSynapses}/${reach.totalSynapses}  ` +
+      `accuracy upper bound: ${reach.accuracyUpperBound.toFixed(3)}`;
+    lines.set(line, [...(lines.get(line) ?? []), name]);
+  }
+  for (const [line, names] of lines) {
+    console.log(lines.size === 1 ? `  ${line}` : `  ${line}  (${names.join(', ')})`);
+  }
+}
+
+function logSeedSummary(config, entry) {
+  const labelWidth = Math.max(...config.conditions.map(c => c.length));
+  for (const condition of config.conditions) {
+    const r = entry[condition];
+    console.log(
+      `  ${condition.padEnd(labelWidth)} acc=${r.inference.meanAccuracy.toFixed(3)}  ` +
+      `distinct=${r.inference.distinctOutputs}` +
+      (r.trajectory.length === 0 ? '' : `  accepted=${r.totalAccepted}  reverted=${r.totalRejected}`)
+    );
+  }
+}
+
+// One registry record per condition of a finished seed
+function registerRuns(config, entry) {
+  if (!config.registryPath) return;
+  appendRecords(config.registryPath, config.conditions.map(name => {
+    const { condition, config: resolved } = resolveCondition(config, name);
+    const settings = runSettings(resolved);
+    return buildRecord({
+      experiment: config.experiment, seed: entry.seed, condition: name, trainCondition: condition,
+      config: settings, result: entry[name],
+    });
+  }));
+}
+
+// <checkpointDir>/experiment-NNN/seed-S-condition.json
+export function checkpointPath(config, seed, condition) {
+  return `${config.checkpointDir}/experiment-${config.experiment}/seed-${seed}-${condition}.json`;
+}
+
+export function runCondition(experimentConfig, seed, name, { resume = false, force = false } = {}) {
+  const { condition, config } = resolveCondition(experimentConfig, name);
+  const settings = runSettings(config);
+  const key      = config.cacheDir ? cacheKey({ seed, condition, config: settings }) : null;
+  if (key && !force) {
+    const cached = loadCachedResult(config.cacheDir, key);
+    if (cached) {
+      console.log(`  Reusing cached ${name} (${key})`);
+      return cached;
+    }
+  }
+
+  const rng     = createRngStreams(seed);
+  const options = { ...config, rng };
+  const meta    = { experiment: config.experiment, seed, condition: name, config: trainingConfig(config) };
+  const path    = config.checkpointDir ? checkpointPath(config, seed, name) : null;
+
+  let network = null;
+  if (resume && path && existsSync(path)) {
+    const saved = loadCheckpoint(path);
+    if (saved.training && JSON.stringify(saved.meta.config) === JSON.stringify(meta.config)) {
+      console.log(`  Resuming ${name} from episode ${saved.training.episode}`);
+      network            = saved.network;
+      options.astrocytes = saved.astrocytes;
+      options.resume     = saved.training;
+    } else if (saved.training) {
+      console.log(`  ${path} was written with a different config — starting ${name} fresh`);
+    }
+  }
+  if (!network) network = createNetwork(config, rng.network);
+
+  if (path) {
+    options.checkpointEvery = config.checkpointEvery;
+    options.onCheckpoint = ({ network, astrocytes, training }) =>
+      saveCheckpoint(path, network, astrocytes, meta, training);
+  }
+  if (condition !== 'control' && !options.resume) console.log(`  Training ${name}...`);
+  const { astrocytes, ...result } = train(network, condition, options);
+  if (path && condition === 'control') saveCheckpoint(path, network, null, meta);
+
+  const out = { ...result, inference: runInference(network) };
+  if (key) saveCachedResult(config.cacheDir, key, { seed, condition, config: settings, result: out });
+  return out;
+}
+
+function trainingConfig(config) {
+  const out = { ...config };
+  for (const key of RUN_KEYS) delete out[key];
+  return out;
+}
+
+// trainingConfig() without the experiment id: what registry records and cache
+// keys compare, so identical settings match across experiments
+function runSettings(config) {
+  const { experiment, ...settings } = trainingConfig(config);
+  return settings;
+}
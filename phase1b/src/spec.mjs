@@ -0,0 +1,104 @@
+// Experiment spec files (experiments/*.json): one file describes what an
+// experiment runs and how it is judged.
+//
+//   {
+//     "id":              "024",
+//     "title":           "Maturity-Scaled Exploration",
+//     "description":     "...",                          (optional)
+//     "architecture":    { clusters, intraProb, ... },   network config overrides
+//     "training":        { episodes, stepsPerEpisode, ... },
+//     "conditions":      { "<name>": { "condition": "<train() condition>",
+//                                      "overrides": { ...config } } },
+//     "seeds":           [42, 137, ...],
+//     "successCriteria": [{ "type": ..., "label": ..., ... }]   (see criteria.mjs)
+//   }
+//
+// Condition names are the result keys and report labels; several names may map
+// onto the same train() condition with different overrides. "condition"
+// defaults to the name itself. Keys in architecture, training and overrides
+// must be BASE_CONFIG keys that training reads (not UNWIRED_KEYS).
+//
+// specToConfig(spec, defaults) → runner config: defaults + architecture +
+// training, plus experiment/title/description/seeds, conditions (names, in file order),
+// conditionSpecs and successCriteria.
+
+import { readFileSync } from 'fs';
+import { CONDITIONS } from './train.mjs';
+import { validateCriterion, criterionConditions } from './criteria.mjs';
+import { BASE_CONFIG, UNWIRED_KEYS } from './config.mjs';
+
+const SPEC_KEYS = ['id', 'title', 'description', 'architecture', 'training', 'conditions', 'seeds', 'successCriteria'];
+
+export function loadSpec(path) {
+  let spec;
+  try {
+    spec = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read experiment spec ${path}: ${err.message}`);
+  }
+  validateSpec(spec, path);
+  return spec;
+}
+
+export function validateSpec(spec, source = 'spec') {
+  const fail = msg => { throw new Error(`${source}: ${msg}`); };
+
+  for (const key of Object.keys(spec)) {
+    if (!SPEC_KEYS.includes(key)) fail(`unknown key "${key}" (allowed: ${SPEC_KEYS.join(', ')})`);
+  }
+  if (typeof spec.id !== 'string' || spec.id === '') fail('"id" must be a non-empty string');
+
+  const names = Object.keys(spec.conditions ?? {});
+  if (names.length === 0) fail('"conditions" must name at least one condition');
+  for (const name of names) {
+    const c = spec.conditions[name];
+    const trainCondition = c.condition ?? name;
+    if (!CONDITIONS.includes(trainCondition))
+      fail(`condition "${name}" maps to unknown train() condition "${trainCondition}"`);
+  }
+
+  const overrides = [
+    ['architecture', spec.architecture], ['training', spec.training],
+    ...names.map(name => [`condition "${name}" overrides`, spec.conditions[name].overrides]),
+  ];
+  for (const [where, values] of overrides) {
+    for (const key of Object.keys(values ?? {})) {
+      if (!(key in BASE_CONFIG)) fail(`${where}: unknown config key "${key}"`);
+      if (UNWIRED_KEYS.includes(key)) fail(`${where}: training does not read "${key}" yet`);
+    }
+  }
+
+  if (!Array.isArray(spec.seeds) || spec.seeds.length === 0 || !spec.seeds.every(Number.isInteger))
+    fail('"seeds" must be a non-empty array of integers');
+
+  for (const criterion of spec.successCriteria ?? []) {
+    validateCriterion(criterion);
+    for (const name of criterionConditions(criterion)) {
+      if (!names.includes(name)) fail(`criterion "${criterion.label}" refers to unknown condition "${name}"`);
+    }
+  }
+}
+
+export function specToConfig(spec, defaults = {}) {
+  return {
+    ...defaults,
+    ...spec.architecture,
+    ...spec.training,
+    experiment:      spec.id,
+    title:           spec.title ?? defaults.title,
+    description:     spec.description ?? defaults.description,
+    seeds:           spec.seeds.slice(),
+    conditions:      Object.keys(spec.conditions),
+    conditionSpecs:  structuredClone(spec.conditions),
+    successCriteria: structuredClone(spec.successCriteria ?? []),
+  };
+}
+
+// A named condition's train() condition and its config (config + its overrides)
+export function resolveCondition(config, name) {
+  const entry = config.conditionSpecs?.[name] ?? {};
+  return {
+    condition: entry.condition ?? name,
+    config:    { ...config, ...entry.overrides },
+  };
+}
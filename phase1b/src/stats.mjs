@@ -0,0 +1,245 @@
+// Significance tests for comparing conditions across seeds, written from scratch.
+//
+// Inputs are per-seed accuracies in seed order, so a[i] and b[i] come from the
+// same seed (the same initial network) and the tests are paired.
+//
+//   pairedTTest(a, b)         → { n, meanDiff, t, df, p }      two-tailed
+//   studentCritical(alpha, df) → two-tailed critical t
+//   wilcoxonSignedRank(a, b)  → { n, wPlus, wMinus, p }        two-tailed, exact
+//   bootstrapCI(values, opts) → { mean, lo, hi }               percentile interval
+//   cohensD(a, b)             → (mean a − mean b) / pooled sample SD
+//   compareConditions(a, b)   → all of the above for one pair, plus the
+//                               bootstrap interval of the paired difference
+//   spearman(x, y)            → rank correlation (average ranks for ties)
+//
+// p-values are NaN when a test is undefined (fewer than two seeds). The
+// bootstrap draws from its own Mulberry32 generator (default seed 0), so a
+// report is the same every time it is generated from the same results.
+
+import { createRng } from './rng.mjs';
+
+export const BOOTSTRAP_RESAMPLES = 10000;
+export const CONFIDENCE_LEVEL    = 0.95;
+
+// Wilcoxon differences closer than this are ties
+const TIE_PRECISION = 1e-9;
+
+// ─── Paired t-test ────────────────────────────────────────────────────────────
+
+export function pairedTTest(a, b) {
+  const diffs    = differences(a, b);
+  const n        = diffs.length;
+  const meanDiff = mean(diffs);
+  const df       = n - 1;
+  if (n < 2) return { n, meanDiff, t: NaN, df, p: NaN };
+
+  const sd = Math.sqrt(sampleVariance(diffs));
+  if (sd === 0) {
+    // Every seed moved by the same amount: no spread to test against
+    return { n, meanDiff, t: meanDiff === 0 ? 0 : Math.sign(meanDiff) * Infinity, df, p: meanDiff === 0 ? 1 : 0 };
+  }
+  const t = meanDiff / (sd / Math.sqrt(n));
+  return { n, meanDiff, t, df, p: studentTwoTailed(t, df) };
+}
+
+// P(|T| >= |t|) for Student's t with df degrees of freedom
+export function studentTwoTailed(t, df) {
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// Critical value: the t > 0 with P(|T| >= t) = alpha (bisection)
+export function studentCritical(alpha, df) {
+  let lo = 0, hi = 1;
+  while (studentTwoTailed(hi, df) > alpha) hi *= 2;
+  for (let i = 0; i < 100 && hi - lo > 1e-12 * hi; i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTwoTailed(mid, df) > alpha) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// ─── Wilcoxon signed-rank test ────────────────────────────────────────────────
+
+// Differences are rounded to TIE_PRECISION first, so accuracy differences that
+// are equal up to float error (0.675 − 0.5 and 0.7 − 0.525) tie. Zero
+// differences are dropped; tied |differences| share their average rank.
+// The null distribution of W+ is computed exactly (every sign assignment of the
+// observed ranks equally likely), so ties and small n need no normal approximation.
+export function wilcoxonSignedRank(a, b) {
+  const diffs = differences(a, b)
+    .map(d => Math.round(d / TIE_PRECISION) * TIE_PRECISION)
+    .filter(d => d !== 0);
+  const n     = diffs.length;
+  if (n === 0) return { n, wPlus: 0, wMinus: 0, p: 1 };
+
+  const ranks  = averageRanks(diffs.map(Math.abs));
+  const wPlus  = diffs.reduce((s, d, i) => s + (d > 0 ? ranks[i] : 0), 0);
+  const wMinus = n * (n + 1) / 2 - wPlus;
+
+  // Average ranks are multiples of 0.5: work in doubled ranks to stay integral
+  const doubled = ranks.map(r => Math.round(r * 2));
+  const total   = doubled.reduce((s, r) => s + r, 0);
+  let dist = new Float64Array(total + 1);
+  dist[0] = 1;
+  for (const r of doubled) {
+    const next = new Float64Array(total + 1);
+    for (let s = 0; s <= total; s++) {
+      if (dist[s] === 0) continue;
+      next[s]     += dist[s] / 2;
+      next[s + r] += dist[s] / 2;
+    }
+    dist = next;
+  }
+
+  const w = Math.round(wPlus * 2);
+  let lower = 0, upper = 0;
+  for (let s = 0; s <= total; s++) {
+    if (s <= w) lower += dist[s];
+    if (s >= w) upper += dist[s];
+  }
+  return { n, wPlus, wMinus, p: Math.min(1, 2 * Math.min(lower, upper)) };
+}
+
+function averageRanks(values) {
+  const order = values.map((v, i) => i).sort((i, j) => values[i] - values[j]);
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && values[order[end + 1]] === values[order[start]]) end++;
+    const rank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k]] = rank;
+    start = end + 1;
+  }
+  return ranks;
+}
+
+// ─── Bootstrap and effect size ────────────────────────────────────────────────
+
+// Percentile bootstrap interval of the mean: resample the values with replacement
+export function bootstrapCI(values, { resamples = BOOTSTRAP_RESAMPLES, level = CONFIDENCE_LEVEL, seed = 0 } = {}) {
+  const n = values.length;
+  if (n === 0) return { mean: NaN, lo: NaN, hi: NaN };
+
+  const rng   = createRng(seed);
+  const means = new Float64Array(resamples);
+  for (let k = 0; k < resamples; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += values[Math.floor(rng.random() * n)];
+    means[k] = sum / n;
+  }
+  means.sort();
+
+  const tail = (1 - level) / 2;
+  return {
+    mean: mean(values),
+    lo:   means[Math.floor(tail * (resamples - 1))],
+    hi:   means[Math.ceil((1 - tail) * (resamples - 1))],
+  };
+}
+
+// Standardised mean difference with the pooled sample standard deviation
+export function cohensD(a, b) {
+  const diff   = mean(a) - mean(b);
+  const pooled = Math.sqrt((sampleVariance(a) + sampleVariance(b)) / 2);
+  if (!(pooled > 0)) return diff === 0 ? 0 : Math.sign(diff) * Infinity;
+  return diff / pooled;
+}
+
+// Pearson correlation of the average ranks; NaN when either side is constant
+export function spearman(x, y) {
+  if (x.length !== y.length) throw new Error(`Samples differ in length (${x.length} vs ${y.length})`);
+  const rx = averageRanks(x), ry = averageRanks(y);
+  const mx = mean(rx), my = mean(ry);
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    sxy += (rx[i] - mx) * (ry[i] - my);
+    sxx += (rx[i] - mx) ** 2;
+    syy += (ry[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : NaN;
+}
+
+// ─── Condition pairs ──────────────────────────────────────────────────────────
+
+export function compareConditions(a, b, options = {}) {
+  return {
+    tTest:    pairedTTest(a, b),
+    wilcoxon: wilcoxonSignedRank(a, b),
+    diffCI:   bootstrapCI(differences(a, b), options),
+    d:        cohensD(a, b),
+  };
+}
+
+// ─── Special functions ────────────────────────────────────────────────────────
+
+// Regularised incomplete beta I_x(a, b): continued fraction (modified Lentz),
+// evaluated on whichever side of the mean converges quickly
+export function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(a * Math.log(x) + b * Math.log(1 - x) - logBeta(a, b));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaFraction(x, a, b) / a
+    : 1 - front * betaFraction(1 - x, b, a) / b;
+}
+
+function betaFraction(x, a, b) {
+  const TINY = 1e-300;
+  let c = 1, d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let f = d;
+  for (let m = 1; m <= 300; m++) {
+    for (const num of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1)),
+    ]) {
+      d = 1 + num * d;
+      if (Math.abs(d) < TINY) d = TINY;
+      c = 1 + num / c;
+      if (Math.abs(c) < TINY) c = TINY;
+      d = 1 / d;
+      f *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 1e-14) break;
+  }
+  return f;
+}
+
+function logBeta(a, b) {
+  return logGamma(a) + logGamma(b) - logGamma(a + b);
+}
+
+// Lanczos approximation (g = 7)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+  771.32342877765313, -176.61502916214059, 12.507343278686905,
+  -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+export function logGamma(z) {
+  if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - logGamma(1 - z);
+  z -= 1;
+  let x = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) x += LANCZOS[i] / (z + i);
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x);
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function differences(a, b) {
+  if (a.length !== b.length) throw new Error(`Paired samples differ in length (${a.length} vs ${b.length})`);
+  return a.map((v, i) => v - b[i]);
+}
+
+function mean(arr) {
+  return arr.reduce((s, v) => s + v, 0) / arr.length;
+}
+
+export function sampleVariance(arr) {
+  if (arr.length < 2) return 0;
+  const m = mean(arr);
+  return arr.reduce((s, v) => s + (v - m) ** 2, 0) / (arr.length - 1);
+}
@@ -0,0 +1,302 @@
+// Sweep report — Markdown + HTML for a hyperparameter sweep (sweep.mjs).
+//
+// generateSweepReport(allResults, config, startTime) writes
+//   <config.outDir>/sweep-<id>.{md,html}
+// and returns summarizeSweep()'s summary. Sections: parameter ranges, ranked
+// table of points (mean accuracy over seeds with a bootstrap interval),
+// sensitivity per parameter, strongest pairwise interactions, per-seed
+// accuracies and a conclusion. The HTML adds a sensitivity plot per parameter
+// (mean accuracy of every point against its value) and scatter plots of the
+// strongest interacting pairs, coloured by mean accuracy.
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { summarizeSweep, DEFAULT_POINT } from './sweep.mjs';
+import { pairedTTest } from './stats.mjs';
+
+const INTERACTION_ROWS  = 10;
+const INTERACTION_PLOTS = 3;
+
+export function generateSweepReport(allResults, config, startTime) {
+  const outDir = config.outDir ?? './reports';
+  const base   = `${outDir}/${config.experiment}`;
+  mkdirSync(outDir, { recursive: true });
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+  const summary  = summarizeSweep(allResults, config);
+
+  writeFileSync(`${base}.md`,   buildMarkdown(allResults, config, summary, duration));
+  writeFileSync(`${base}.html`, buildHtml(allResults, config, summary, duration));
+
+  console.log(`\nSweep report written to ${base}.md and ${base}.html`);
+  return summary;
+}
+
+// ─── Tables ───────────────────────────────────────────────────────────────────
+
+function fmtValue(v) {
+  return Number.isInteger(v) ? String(v) : String(Number(v.toPrecision(4)));
+}
+
+function fmtSigned(v, digits = 3) {
+  if (Number.isNaN(v)) return '—';
+  return `${v >= 0 ? '+' : ''}${v.toFixed(digits)}`;
+}
+
+function parameterRows(config) {
+  return Object.entries(config.sweep.parameters).map(([name, p]) => [
+    name,
+    p.values ? p.values.map(fmtValue).join(', ') : `${fmtValue(p.min)} – ${fmtValue(p.max)}` +
+      (config.sweep.method === 'grid' ? `, ${p.steps ?? 3} steps` : ''),
+    p.values ? 'values' : `${p.scale ?? 'linear'}${p.integer ? ', integer' : ''}`,
+    fmtValue(config[name]),
+  ]);
+}
+
+function rankingHeader(config) {
+  return ['Rank', 'Point', ...Object.keys(config.sweep.parameters), 'Mean acc', '95% CI', 'SD', 'Min', 'Distinct'];
+}
+
+function rankingRows(config, summary) {
+  const names = Object.keys(config.sweep.parameters);
+  return summary.points.map(p => [
+    p.rank, p.name, ...names.map(n => fmtValue(p.params[n])),
+    p.mean.toFixed(4), `[${p.ci.lo.toFixed(3)}, ${p.ci.hi.toFixed(3)}]`,
+    p.sd.toFixed(4), p.min.toFixed(3), p.distinct.toFixed(1),
+  ]);
+}
+
+function sensitivityRows(summary) {
+  return summary.sensitivity.map(s => [s.name, fmtSigned(s.rho, 2), fmtSigned(s.spread, 4), fmtValue(s.best)]);
+}
+
+function interactionRows(summary) {
+  return summary.interactions.slice(0, INTERACTION_ROWS).map(i =>
+    [`${i.a} × ${i.b}`, fmtSigned(i.coef, 4), Number.isNaN(i.r2Gain) ? '—' : `+${i.r2Gain.toFixed(3)}`]);
+}
+
+function perSeedRows(allResults, summary) {
+  return summary.points.map(p => [p.name, ...allResults.map(r => r[p.name].inference.meanAccuracy.toFixed(3))]);
+}
+
+function describeSweep(config) {
+  const { method, samples, sampleSeed, condition } = config.sweep;
+  const how = method === 'grid' ? `grid of ${samples} points`
+    : `${method === 'lhs' ? 'Latin hypercube' : 'random'} sample of ${samples} points (sample seed ${sampleSeed})`;
+  return `${how} + ${DEFAULT_POINT}, train() condition ${condition}, ` +
+    `${config.seeds.length} seeds × ${config.episodes} episodes`;
+}
+
+// ─── Markdown ─────────────────────────────────────────────────────────────────
+
+function buildMarkdown(allResults, config, summary, duration) {
+  const row   = cells => `| ${cells.join(' | ')} |`;
+  const table = (header, rows) =>
+    [row(header), row(header.map(() => '---')), ...rows.map(row)].join('\n');
+
+  return `# ${config.title}
+
+**Date:** ${new Date().toISOString().slice(0, 10)}
+**Duration:** ${duration}s
+**Design:** ${describeSweep(config)}
+**Seeds:** ${config.seeds.join(', ')}
+${config.sweep.base ? `**Base experiment:** ${config.sweep.base}\n` : ''}${config.description ? `\n## Description\n\n${config.description}\n` : ''}
+## Parameters
+
+${table(['Parameter', 'Range', 'Scale', 'Default'], parameterRows(config))}
+
+## Ranking
+
+${table(rankingHeader(config), rankingRows(config, summary))}
+
+## Sensitivity
+
+Spearman ρ between a parameter's value and the points' mean accuracy; "top − bottom
+third" is the mean accuracy of the points with the highest third of its values minus
+the lowest third.
+
+${table(['Parameter', 'Spearman ρ', 'Top − bottom third', 'Best point'], sensitivityRows(summary))}
+
+## Interactions
+
+Least-squares fit acc ~ x + y + x·y on standardised values (log scale where the range
+is logarithmic): the x·y coefficient and the R² it adds over acc ~ x + y.
+
+${summary.interactions.length === 0 ? '_Only one parameter swept._'
+  : table(['Pair', 'Interaction coef', 'R² added'], interactionRows(summary))}
+
+## Per-Seed Results
+
+${table(['Point', ...allResults.map(r => `Seed ${r.seed}`)], perSeedRows(allResults, summary))}
+
+## Conclusion
+
+${buildConclusion(config, summary)}
+`;
+}
+
+// ─── HTML ─────────────────────────────────────────────────────────────────────
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function buildHtml(allResults, config, summary, duration) {
+  const tr = (cells, tag = 'td') =>
+    `<tr>${cells.map(v => `<${tag}>${escapeHtml(v)}</${tag}>`).join('')}</tr>`;
+  const table = (header, rows) =>
+    `<table>\n  ${tr(header, 'th')}\n  ${rows.map(r => tr(r)).join('\n  ')}\n</table>`;
+
+  const sensitivityPlots = Object.keys(config.sweep.parameters)
+    .map(name => sensitivityPlot(config, summary, name)).join('\n');
+  const interactionPlots = summary.interactions.slice(0, INTERACTION_PLOTS)
+    .filter(i => !Number.isNaN(i.r2Gain))
+    .map(i => interactionPlot(config, summary, i)).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(config.title)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 1000px; margin: 40px auto; padding: 0 24px; color: #222; }
+  h1 { border-bottom: 2px solid #333; padding-bottom: 8px; }
+  h2 { margin-top: 2em; color: #444; }
+  table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 0.88em; }
+  th, td { border: 1px solid #ccc; padding: 4px 9px; text-align: left; }
+  th { background: #f0f0f0; }
+  .meta { color: #666; font-size: 0.9em; }
+  .conclusion { background: #f8f8f8; border-left: 4px solid #555; padding: 12px 16px; white-space: pre-line; }
+  .plots { display: flex; flex-wrap: wrap; gap: 12px; }
+  svg text { font-family: system-ui, sans-serif; font-size: 11px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(config.title)}</h1>
+<p class="meta">Date: ${new Date().toISOString().slice(0, 10)} &nbsp;|&nbsp; Duration: ${duration}s &nbsp;|&nbsp; ${escapeHtml(describeSweep(config))}</p>
+${config.description ? `<p>${escapeHtml(config.description)}</p>` : ''}
+<h2>Parameters</h2>
+${table(['Parameter', 'Range', 'Scale', 'Default'], parameterRows(config))}
+
+<h2>Ranking</h2>
+${table(rankingHeader(config), rankingRows(config, summary))}
+
+<h2>Sensitivity</h2>
+<p>Mean accuracy of every point against each parameter (orange: ${DEFAULT_POINT}; bars: 95% CI).</p>
+<div class="plots">
+${sensitivityPlots}
+</div>
+${table(['Parameter', 'Spearman ρ', 'Top − bottom third', 'Best point'], sensitivityRows(summary))}
+
+<h2>Interactions</h2>
+${summary.interactions.length === 0 ? '<p><em>Only one parameter swept.</em></p>' : `
+<p>Strongest pairs; colour runs from the lowest (light) to the highest (dark) mean accuracy.</p>
+<div class="plots">
+${interactionPlots}
+</div>
+${table(['Pair', 'Interaction coef', 'R² added'], interactionRows(summary))}`}
+
+<h2>Per-Seed Results</h2>
+${table(['Point', ...allResults.map(r => `Seed ${r.seed}`)], perSeedRows(allResults, summary))}
+
+<h2>Conclusion</h2>
+<div class="conclusion">${escapeHtml(buildConclusion(config, summary))}</div>
+
+</body>
+</html>`;
+}
+
+// ─── Plots ────────────────────────────────────────────────────────────────────
+
+const PLOT_W = 310, PLOT_H = 210;
+const PAD_L = 48, PAD_R = 12, PAD_T = 14, PAD_B = 34;
+
+// Axis mapping for one parameter: log-scaled ranges are plotted on a log axis
+function axis(config, summary, name, length) {
+  const log    = config.sweep.parameters[name].scale === 'log';
+  const coord  = v => (log ? Math.log(v) : v);
+  const values = summary.points.map(p => coord(p.params[name]));
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const span = hi - lo || 1;
+  return {
+    pos:   v => ((coord(v) - lo) / span) * length,
+    lo:    log ? Math.exp(lo) : lo,
+    hi:    log ? Math.exp(hi) : hi,
+    label: `${name}${log ? ' (log)' : ''}`,
+  };
+}
+
+function frame(body, xAxis, yLabels) {
+  const w = PLOT_W - PAD_L - PAD_R, h = PLOT_H - PAD_T - PAD_B;
+  return `<svg width="${PLOT_W}" height="${PLOT_H}" style="border:1px solid #ddd;background:#fafafa">
+  <line x1="${PAD_L}" y1="${PAD_T + h}" x2="${PAD_L + w}" y2="${PAD_T + h}" stroke="#999"/>
+  <line x1="${PAD_L}" y1="${PAD_T}" x2="${PAD_L}" y2="${PAD_T + h}" stroke="#999"/>
+  <text x="${PAD_L - 4}" y="${PAD_T + 4}" text-anchor="end">${escapeHtml(yLabels[1])}</text>
+  <text x="${PAD_L - 4}" y="${PAD_T + h + 4}" text-anchor="end">${escapeHtml(yLabels[0])}</text>
+  <text x="${PAD_L}" y="${PAD_T + h + 15}" text-anchor="start">${escapeHtml(fmtValue(xAxis.lo))}</text>
+  <text x="${PAD_L + w}" y="${PAD_T + h + 15}" text-anchor="end">${escapeHtml(fmtValue(xAxis.hi))}</text>
+  <text x="${PAD_L + w / 2}" y="${PLOT_H - 4}" text-anchor="middle" fill="#666">${escapeHtml(xAxis.label)}</text>
+${body}
+</svg>`;
+}
+
+function sensitivityPlot(config, summary, name) {
+  const w = PLOT_W - PAD_L - PAD_R, h = PLOT_H - PAD_T - PAD_B;
+  const x = axis(config, summary, name, w);
+  const yLo = Math.min(...summary.points.map(p => p.ci.lo));
+  const yHi = Math.max(...summary.points.map(p => p.ci.hi));
+  const y   = v => PAD_T + (1 - (v - yLo) / (yHi - yLo || 1)) * h;
+
+  const body = summary.points.map(p => {
+    const px = (PAD_L + x.pos(p.params[name])).toFixed(1);
+    const colour = p.name === DEFAULT_POINT ? '#cc5522' : '#2255cc';
+    return `  <line x1="${px}" y1="${y(p.ci.lo).toFixed(1)}" x2="${px}" y2="${y(p.ci.hi).toFixed(1)}" stroke="${colour}" opacity="0.3"/>\n` +
+      `  <circle cx="${px}" cy="${y(p.mean).toFixed(1)}" r="3" fill="${colour}"><title>${p.name}: ${p.mean.toFixed(4)}</title></circle>`;
+  }).join('\n');
+  return frame(body, x, [yLo.toFixed(3), yHi.toFixed(3)]);
+}
+
+function interactionPlot(config, summary, { a, b }) {
+  const w = PLOT_W - PAD_L - PAD_R, h = PLOT_H - PAD_T - PAD_B;
+  const x = axis(config, summary, a, w);
+  const y = axis(config, summary, b, h);
+  const means = summary.points.map(p => p.mean);
+  const lo = Math.min(...means), hi = Math.max(...means);
+
+  const body = summary.points.map(p => {
+    const t  = (p.mean - lo) / (hi - lo || 1);
+    const px = (PAD_L + x.pos(p.params[a])).toFixed(1);
+    const py = (PAD_T + h - y.pos(p.params[b])).toFixed(1);
+    const fill = `rgb(${Math.round(220 - 186 * t)},${Math.round(228 - 143 * t)},${Math.round(245 - 41 * t)})`;
+    return `  <circle cx="${px}" cy="${py}" r="5" fill="${fill}" stroke="#555" stroke-width="0.5"><title>${p.name}: ${p.mean.toFixed(4)}</title></circle>`;
+  }).join('\n');
+  return frame(body, x, [fmtValue(y.lo), fmtValue(y.hi)]).replace('</svg>',
+    `  <text x="12" y="${PAD_T + h / 2}" text-anchor="middle" fill="#666" transform="rotate(-90 12 ${PAD_T + h / 2})">${escapeHtml(y.label)}</text>\n</svg>`);
+}
+
+// ─── Conclusion ───────────────────────────────────────────────────────────────
+
+function buildConclusion(config, summary) {
+  const { points, sensitivity, interactions } = summary;
+  const best  = points[0];
+  const base  = points.find(p => p.name === DEFAULT_POINT);
+  const lines = [];
+
+  const settings = Object.entries(best.params).map(([k, v]) => `${k}=${fmtValue(v)}`).join(', ');
+  lines.push(`Best point: ${best.name} (${settings}) at ${best.mean.toFixed(4)} mean accuracy over ${best.accs.length} seeds.`);
+  if (best !== base) {
+    const t = pairedTTest(best.accs, base.accs);
+    lines.push(`${DEFAULT_POINT} ranks ${base.rank}/${points.length} at ${base.mean.toFixed(4)}; ` +
+      `best − ${DEFAULT_POINT} = ${fmtSigned(best.mean - base.mean, 4)} (paired t p=${Number.isNaN(t.p) ? '—' : t.p.toFixed(3)}).`);
+  } else {
+    lines.push(`No swept point beats the ${DEFAULT_POINT} settings.`);
+  }
+
+  const top = sensitivity.find(s => !Number.isNaN(s.rho));
+  if (top) lines.push(`Most influential parameter: ${top.name} (Spearman ρ=${fmtSigned(top.rho, 2)}).`);
+  const pair = interactions.find(i => !Number.isNaN(i.r2Gain));
+  if (pair) lines.push(`Strongest interaction: ${pair.a} × ${pair.b} (R² +${pair.r2Gain.toFixed(3)} over the additive fit).`);
+
+  lines.push(`The best of ${points.length} points is an optimistic estimate: confirm it on fresh seeds ` +
+    `before adopting it.`);
+  return lines.join('\n');
+}
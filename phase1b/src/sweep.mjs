@@ -0,0 +1,333 @@
+// Hyperparameter sweeps: one train() condition run at many settings of the
+// config constants (astrocyte, perturbation, ...), ranked across seeds.
+//
+// Sweep spec (experiments/sweep-NNN.json):
+//
+//   {
+//     "id":          "001",
+//     "title":       "Astrocyte and perturbation constants",
+//     "description": "...",                              (optional)
+//     "base":        "experiment-024.json",              (optional) experiment spec
+//                                                       whose architecture and training
+//                                                       the sweep starts from, relative
+//                                                       to the sweep file
+//     "condition":   "maturity",                         train() condition of every point
+//     "method":      "grid" | "random" | "lhs",
+//     "samples":     24,                                 random / lhs: number of points
+//     "sampleSeed":  1,                                  random / lhs draws (default 0)
+//     "seeds":       [42, 137, 271],
+//     "training":    { "episodes": 5000 },               overrides for every point
+//     "parameters":  {
+//       "<config key>": { "min": 2, "max": 5, "scale": "log", "integer": true, "steps": 4 },
+//       "<config key>": { "values": [1, 2, 3] }
+//     }
+//   }
+//
+// Parameters must be config keys that training reads: UNWIRED_KEYS and RUN_KEYS
+// (config.mjs) would give identical points, ranked on noise.
+// Ranges are linear unless "scale" is "log"; "integer" rounds; "steps" is the
+// number of grid values (default 3). Methods:
+//   grid   — every combination of the parameters' grid values
+//   random — independent uniform draws (log-uniform on log scales)
+//   lhs    — Latin hypercube: each range is cut into `samples` strata of equal
+//            probability and every stratum is drawn once per parameter, so a
+//            few points already cover every parameter's whole range
+// A `values` list is sampled by index.
+//
+// sweepToConfig(sweep, defaults, baseSpec) → runner config with one named
+// condition per point ('default' — the unmodified config — then p001, p002, ...),
+// so the runners, the result cache and the registry treat a sweep like any
+// other experiment (experiment id sweep-<id>).
+//
+// summarizeSweep(allResults, config) → { points, sensitivity, interactions }
+//   points       — ranked by mean accuracy over seeds
+//   sensitivity  — per parameter: Spearman ρ of value vs mean accuracy, and the
+//                  mean accuracy of its top third of values minus its bottom third
+//   interactions — per parameter pair: the interaction term of a least-squares fit
+//                  acc ~ x + y + x·y on standardised values, and the R² it adds
+//                  over acc ~ x + y; one-at-a-time changes cannot see these
+
+import { readFileSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { createRng } from './rng.mjs';
+import { CONDITIONS } from './train.mjs';
+import { loadSpec } from './spec.mjs';
+import { UNWIRED_KEYS, RUN_KEYS } from './config.mjs';
+import { bootstrapCI, sampleVariance, spearman } from './stats.mjs';
+
+export const SWEEP_METHODS = ['grid', 'random', 'lhs'];
+export const DEFAULT_POINT = 'default';
+
+const SWEEP_KEYS = [
+  'id', 'title', 'description', 'base', 'condition', 'method', 'samples', 'sampleSeed',
+  'seeds', 'training', 'parameters',
+];
+const PARAMETER_KEYS = ['min', 'max', 'scale', 'integer', 'steps', 'values'];
+const GRID_STEPS     = 3;
+
+// ─── Spec ─────────────────────────────────────────────────────────────────────
+
+// → { sweep, baseSpec }; baseSpec is the loaded "base" experiment spec or null
+export function loadSweep(path) {
+  let sweep;
+  try {
+    sweep = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (err) {
+    throw new Error(`Cannot read sweep spec ${path}: ${err.message}`);
+  }
+  validateSweep(sweep, path);
+  const baseSpec = sweep.base ? loadSpec(resolve(dirname(path), sweep.base)) : null;
+  return { sweep, baseSpec };
+}
+
+export function validateSweep(sweep, source = 'sweep') {
+  const fail = msg => { throw new Error(`${source}: ${msg}`); };
+
+  for (const key of Object.keys(sweep)) {
+    if (!SWEEP_KEYS.includes(key)) fail(`unknown key "${key}" (allowed: ${SWEEP_KEYS.join(', ')})`);
+  }
+  if (typeof sweep.id !== 'string' || sweep.id === '') fail('"id" must be a non-empty string');
+  if (!CONDITIONS.includes(sweep.condition))
+    fail(`"condition" must be a train() condition (${CONDITIONS.join(', ')}), got "${sweep.condition}"`);
+  if (!SWEEP_METHODS.includes(sweep.method))
+    fail(`"method" must be one of ${SWEEP_METHODS.join(', ')}, got "${sweep.method}"`);
+  if (sweep.method !== 'grid' && !(Number.isInteger(sweep.samples) && sweep.samples > 0))
+    fail(`"samples" must be a positive integer for method "${sweep.method}"`);
+  if (!Array.isArray(sweep.seeds) || sweep.seeds.length === 0 || !sweep.seeds.every(Number.isInteger))
+    fail('"seeds" must be a non-empty array of integers');
+
+  validateParameters(sweep.parameters, fail);
+}
+
+// Parameter ranges as in a sweep spec; shared with evolve.mjs
+export function validateParameters(parameters, fail) {
+  const names = Object.keys(parameters ?? {});
+  if (names.length === 0) fail('"parameters" must name at least one config key');
+  for (const name of names) {
+    const p = parameters[name];
+    if (typeof p !== 'object' || p === null) fail(`parameter "${name}" must be an object`);
+    for (const key of Object.keys(p)) {
+      if (!PARAMETER_KEYS.includes(key)) fail(`parameter "${name}": unknown key "${key}"`);
+    }
+    if (p.values !== undefined) {
+      if (!Array.isArray(p.values) || p.values.length === 0 || !p.values.every(v => typeof v === 'number'))
+        fail(`parameter "${name}": "values" must be a non-empty array of numbers`);
+      continue;
+    }
+    if (typeof p.min !== 'number' || typeof p.max !== 'number' || !(p.min <= p.max))
+      fail(`parameter "${name}" needs numbers min <= max, or a "values" list`);
+    if (p.scale !== undefined && p.scale !== 'linear' && p.scale !== 'log')
+      fail(`parameter "${name}": "scale" must be "linear" or "log"`);
+    if (p.scale === 'log' && !(p.min > 0)) fail(`parameter "${name}": a log scale needs min > 0`);
+    if (p.steps !== undefined && !(Number.isInteger(p.steps) && p.steps >= 1))
+      fail(`parameter "${name}": "steps" must be a positive integer`);
+  }
+}
+
+// ─── Sampling ─────────────────────────────────────────────────────────────────
+
+// [{ <parameter>: value, ... }] in a deterministic order
+export function samplePoints(sweep) {
+  const names = Object.keys(sweep.parameters);
+  if (sweep.method === 'grid') {
+    return names.reduce((points, name) => points.flatMap(point =>
+      gridValues(sweep.parameters[name]).map(v => ({ ...point, [name]: v }))), [{}]);
+  }
+
+  const rng = createRng(sweep.sampleSeed ?? 0);
+  const n   = sweep.samples;
+  if (sweep.method === 'random') {
+    return Array.from({ length: n }, () =>
+      Object.fromEntries(names.map(name => [name, unitToValue(sweep.parameters[name], rng.random())])));
+  }
+
+  // lhs: one shuffled stratum order per parameter, a uniform draw within each stratum
+  const strata = names.map(() => shuffle(Array.from({ length: n }, (_, i) => i), rng));
+  return Array.from({ length: n }, (_, i) => Object.fromEntries(names.map((name, j) =>
+    [name, unitToValue(sweep.parameters[name], (strata[j][i] + rng.random()) / n)])));
+}
+
+export function gridValues(param) {
+  if (param.values) return param.values.slice();
+  const steps = param.steps ?? GRID_STEPS;
+  if (steps === 1 || param.min === param.max) return [unitToValue(param, 0)];
+  const values = Array.from({ length: steps }, (_, i) => unitToValue(param, i / (steps - 1)));
+  return [...new Set(values)];   // integer rounding can merge neighbours
+}
+
+// u in [0, 1] → parameter value
+export function unitToValue(param, u) {
+  if (param.values) return param.values[Math.min(param.values.length - 1, Math.floor(u * param.values.length))];
+  const value = u <= 0 ? param.min : u >= 1 ? param.max : param.scale === 'log'
+    ? Math.exp(Math.log(param.min) + u * (Math.log(param.max) - Math.log(param.min)))
+    : param.min + u * (param.max - param.min);
+  // 12 significant digits: log grids give 10, not 10.000000000000002
+  return param.integer ? Math.round(value) : Number(value.toPrecision(12));
+}
+
+// Inverse of unitToValue (a listed value maps to the middle of its slot);
+// values outside the range clamp to 0 or 1
+export function valueToUnit(param, value) {
+  if (param.values) {
+    const nearest = param.values.reduce((best, v, i) =>
+      Math.abs(v - value) < Math.abs(param.values[best] - value) ? i : best, 0);
+    return (nearest + 0.5) / param.values.length;
+  }
+  if (param.max === param.min) return 0;
+  const u = param.scale === 'log'
+    ? (Math.log(value) - Math.log(param.min)) / (Math.log(param.max) - Math.log(param.min))
+    : (value - param.min) / (param.max - param.min);
+  return Math.min(1, Math.max(0, u));
+}
+
+// Fisher–Yates
+function shuffle(arr, rng) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(rng.random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// ─── Runner config ────────────────────────────────────────────────────────────
+
+export function pointName(i) {
+  return `p${String(i + 1).padStart(3, '0')}`;
+}
+
+export function sweepToConfig(sweep, defaults = {}, baseSpec = null) {
+  for (const name of Object.keys(sweep.parameters)) {
+    if (!(name in defaults)) throw new Error(`Sweep parameter "${name}" is not a key of the experiment config`);
+    if (UNWIRED_KEYS.includes(name) || RUN_KEYS.includes(name))
+      throw new Error(`Sweep parameter "${name}" does not affect training`);
+  }
+  const points = samplePoints(sweep);
+  const names  = [DEFAULT_POINT, ...points.map((_, i) => pointName(i))];
+  const params = [{}, ...points];
+
+  return {
+    ...defaults,
+    ...baseSpec?.architecture,
+    ...baseSpec?.training,
+    ...sweep.training,
+    experiment:      `sweep-${sweep.id}`,
+    title:           sweep.title ?? `Sweep ${sweep.id}`,
+    description:     sweep.description ?? '',
+    seeds:           sweep.seeds.slice(),
+    conditions:      names,
+    conditionSpecs:  Object.fromEntries(names.map((name, i) =>
+      [name, { condition: sweep.condition, overrides: params[i] }])),
+    successCriteria: [],
+    sweep: {
+      id:         sweep.id,
+      base:       sweep.base ?? null,
+      condition:  sweep.condition,
+      method:     sweep.method,
+      samples:    sweep.method === 'grid' ? points.length : sweep.samples,
+      sampleSeed: sweep.sampleSeed ?? 0,
+      parameters: structuredClone(sweep.parameters),
+    },
+  };
+}
+
+// ─── Summary ──────────────────────────────────────────────────────────────────
+
+export function summarizeSweep(allResults, config) {
+  const names  = Object.keys(config.sweep.parameters);
+  const points = config.conditions.map(name => {
+    const overrides = config.conditionSpecs[name].overrides;
+    const accs      = allResults.map(r => r[name].inference.meanAccuracy);
+    const ci        = bootstrapCI(accs);
+    return {
+      name,
+      params:   Object.fromEntries(names.map(p => [p, overrides[p] ?? config[p]])),
+      accs,
+      mean:     ci.mean,
+      ci,
+      sd:       Math.sqrt(sampleVariance(accs)),
+      min:      Math.min(...accs),
+      max:      Math.max(...accs),
+      distinct: allResults.reduce((s, r) => s + r[name].inference.distinctOutputs, 0) / allResults.length,
+    };
+  });
+  const ranked = points.slice().sort((a, b) => b.mean - a.mean || b.ci.lo - a.ci.lo);
+  ranked.forEach((p, i) => { p.rank = i + 1; });
+
+  const y     = points.map(p => p.mean);
+  const coord = name => points.map(p => config.sweep.parameters[name].scale === 'log'
+    ? Math.log(p.params[name]) : Number(p.params[name]));
+
+  const sensitivity = names.map(name => {
+    const x = coord(name);
+    return { name, rho: spearman(x, y), spread: thirdsSpread(x, y), best: ranked[0].params[name] };
+  }).sort((a, b) => byMagnitude(a.rho, b.rho));
+
+  const interactions = names.flatMap((a, i) => names.slice(i + 1).map(b => ({
+    a, b, ...interactionFit(coord(a), coord(b), y),
+  }))).sort((p, q) => byMagnitude(p.r2Gain, q.r2Gain));
+
+  return { points: ranked, sensitivity, interactions };
+}
+
+// Larger |v| first; NaN last
+function byMagnitude(a, b) {
+  return (Number.isNaN(b) ? -1 : Math.abs(b)) - (Number.isNaN(a) ? -1 : Math.abs(a));
+}
+
+// Mean y over the points with the top third of x values minus the bottom third
+function thirdsSpread(x, y) {
+  const order = x.map((_, i) => i).sort((i, j) => x[i] - x[j]);
+  const k     = Math.floor(order.length / 3);
+  if (k === 0 || x[order[0]] === x[order[order.length - 1]]) return NaN;
+  const avg = idx => idx.reduce((s, i) => s + y[i], 0) / idx.length;
+  return avg(order.slice(-k)) - avg(order.slice(0, k));
+}
+
+// acc ~ b0 + b1·x + b2·z + b3·x·z on z-scored x and z → { coef: b3, r2Gain }
+function interactionFit(x, z, y) {
+  const sx = standardize(x), sz = standardize(z);
+  if (!sx || !sz || y.length < 5) return { coef: NaN, r2Gain: NaN };
+  const additive = leastSquaresR2(y.map((_, i) => [1, sx[i], sz[i]]), y);
+  const full     = leastSquaresR2(y.map((_, i) => [1, sx[i], sz[i], sx[i] * sz[i]]), y);
+  if (!full) return { coef: NaN, r2Gain: NaN };
+  return { coef: full.beta[3], r2Gain: full.r2 - (additive?.r2 ?? 0) };
+}
+
+function standardize(v) {
+  const m  = v.reduce((s, x) => s + x, 0) / v.length;
+  const sd = Math.sqrt(sampleVariance(v));
+  return sd > 0 ? v.map(x => (x - m) / sd) : null;
+}
+
+// Ordinary least squares via the normal equations → { beta, r2 }, or null if singular
+function leastSquaresR2(rows, y) {
+  const k   = rows[0].length;
+  const xtx = Array.from({ length: k }, (_, i) => Array.from({ length: k }, (_, j) =>
+    rows.reduce((s, r) => s + r[i] * r[j], 0)));
+  const xty = Array.from({ length: k }, (_, i) => rows.reduce((s, r, n) => s + r[i] * y[n], 0));
+  const beta = solve(xtx, xty);
+  if (!beta) return null;
+
+  const m     = y.reduce((s, v) => s + v, 0) / y.length;
+  const ssTot = y.reduce((s, v) => s + (v - m) ** 2, 0);
+  const ssRes = rows.reduce((s, r, n) => s + (y[n] - r.reduce((t, x, i) => t + x * beta[i], 0)) ** 2, 0);
+  return { beta, r2: ssTot > 0 ? 1 - ssRes / ssTot : 0 };
+}
+
+// Gaussian elimination with partial pivoting
+function solve(a, b) {
+  const n = b.length;
+  const m = a.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) < 1e-12) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
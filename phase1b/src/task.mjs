@@ -12,7 +12,7 @@ export const trainingPatterns = [
   { input: [0,0,1,1,0], target: [1,1,0,1,0] },
 ];
 
-export function randomPattern() {
-  const idx = Math.floor(Math.random() * trainingPatterns.length);
+export function randomPattern(rng = Math) {
+  const idx = Math.floor(rng.random() * trainingPatterns.length);
   return { ...trainingPatterns[idx], patternIdx: idx };
 }
@@ -1,75 +1,143 @@
-// Training loop for Experiment 024 (maturity-scaled exploration).
-// Dispatches to conditions: 'maturity', 'epsilon', 'baseline', 'control', etc.
+// Training loop: perturb, then keep or revert on reward, for every train()
+// condition (CONDITIONS: maturity, epsilon, baseline, cursor, control and the
+// astrocyte-* variants). How astrocytes explore, sit, grow, move, divide and
+// couple comes from the options through astrocyteParams() (astrocyte.mjs).
 //
 // Return shape (all conditions):
-//   { trajectory, totalAccepted, totalRejected, weightStart, weightEnd, astrocyteStats }
+//   { trajectory, totalAccepted, totalRejected, weightStart, weightEnd,
+//     thresholdStart, thresholdEnd, coverage, territoryTrajectory, lineage,
+//     populationEvents, calciumWaves, astrocyteStats, astrocytes }
+// trajectory is [] for control (no training). coverage, territoryTrajectory,
+// astrocyteStats and astrocytes are null for cursor/control; lineage and
+// populationEvents need populationDynamics, calciumWaves a coupling.
 //
-// astrocyteStats is null for cursor/control.
-// trajectory is [] for control (no training).
+// options: the experiment config (keys and defaults: BASE_CONFIG in
+// config.mjs; exploration null → the condition's own schedule), plus
+//   rng             — createRngStreams(seed); omitted → Math.random (legacy)
+//   astrocytes      — continue from these instead of createAstrocytes()
+//   checkpointEvery — call onCheckpoint({ network, astrocytes, training }) every
+//                     N episodes and after the last; `training` is plain JSON
+//   resume          — a `training` object from onCheckpoint: with the saved
+//                     network and astrocytes and fresh rng streams, the result
+//                     is bit-identical to an uninterrupted run
 
 import { propagate } from './propagate.mjs';
 import { createCursor, moveCursor, getEligibleSynapses } from './cursor.mjs';
 import {
-  createAstrocytes, logCoverage,
+  createAstrocytes, logCoverage, territoryStats, annealTerritories, territorySize,
+  createAcceptanceTrace, markAccepted, migrateAstrocytes, createLineage, updatePopulation,
+  coupleAstrocytes, updateCalcium, createWaveLog, waveSummary,
   computeActivationScores, computeTrafficScores,
-  selectActiveAstrocytes, getExplorationRate,
-  getEligibleSynapsesFromAstrocytes, adaptAstrocytes,
+  selectActiveAstrocytes, explorationSchedule,
+  getEligibleSynapsesFromAstrocytes, getEligibleNeuronsFromAstrocytes,
+  adaptAstrocytes, astrocyteParams,
 } from './astrocyte.mjs';
 import { saveWeights, perturb, revertWeights } from './perturb.mjs';
+import { runHomeostasis } from './homeostasis.mjs';
 import { computeBinaryReward, computeSoftReward } from './reward.mjs';
 import { randomPattern, trainingPatterns } from './task.mjs';
+import { getStreamStates, setStreamStates } from './rng.mjs';
 
 export const EPISODES          = 20000;
 export const STEPS_PER_EPISODE = 10;
 
 const TRAJECTORY_INTERVAL = 250;
 const LOG_INTERVAL        = 500;
-// Episodes at which to snapshot per-astrocyte mean activation score
-const SCORE_SAMPLE_EPS = new Set([100, 1000, EPISODES - 1]);
-// Episodes at which to snapshot per-astrocyte exploration rates (maturity condition)
-const EXPLORATION_RATE_EPS = new Set([4999, 9999, EPISODES - 1]);
 
 function meanAbsWeight(network) {
   return network.synapses.reduce((s, syn) => s + Math.abs(syn.weight), 0) / network.synapses.length;
 }
 
+// Per-component generators; without options.rng every component shares Math.random
+function resolveStreams(options) {
+  const streams = options.rng ?? {};
+  return {
+    task:        streams.task        ?? Math,
+    perturb:     streams.perturb     ?? Math,
+    exploration: streams.exploration ?? Math,
+    cursor:      streams.cursor      ?? Math,
+    placement:   streams.placement   ?? Math,
+  };
+}
+
+// Resuming restores every stream to where the checkpoint left it
+function resumeStreams(options) {
+  const states = options.resume?.rngStates;
+  if (!states) return;
+  if (!options.rng) throw new Error('Resuming needs options.rng: the checkpoint holds stream states');
+  setStreamStates(options.rng, states);
+}
+
+// Every options.checkpointEvery episodes, and always after the final episode
+function checkpointDue(options, episode, episodes) {
+  if (!options.onCheckpoint) return false;
+  const every = options.checkpointEvery ?? 0;
+  return episode === episodes - 1 || (every > 0 && (episode + 1) % every === 0);
+}
+
+function perturbParams(options) {
+  return { std: options.perturbStd, maxWeight: options.maxWeight, thresholdStd: options.thresholdPerturbStd };
+}
+
+function meanThreshold(network) {
+  const nonInput = network.neurons.filter(n => n.type !== 'input');
+  return nonInput.reduce((s, n) => s + n.threshold, 0) / nonInput.length;
+}
+
 // ─── Public dispatcher ────────────────────────────────────────────────────────
 
-export function train(network, condition) {
+export const CONDITIONS = [
+  'maturity', 'epsilon', 'baseline', 'control', 'cursor',
+  'astrocyte-firing', 'astrocyte-traffic', 'astrocyte',
+];
+
+export function train(network, condition, options = {}) {
   if (condition === 'control') {
     const w = meanAbsWeight(network);
+    const t = meanThreshold(network);
     return { trajectory: [], totalAccepted: 0, totalRejected: 0,
-             weightStart: w, weightEnd: w, astrocyteStats: null };
+             weightStart: w, weightEnd: w, thresholdStart: t, thresholdEnd: t,
+             coverage: null, territoryTrajectory: null, lineage: null, populationEvents: null,
+             calciumWaves: null, astrocyteStats: null, astrocytes: null };
   }
-  if (condition === 'cursor')            return trainCursor(network);
-  if (condition === 'maturity')          return trainAstrocyte(network, 'firing',   'maturity');
-  if (condition === 'epsilon')           return trainAstrocyte(network, 'firing',   'flat');
-  if (condition === 'baseline')          return trainAstrocyte(network, 'firing',   'none');
-  if (condition === 'astrocyte-firing')  return trainAstrocyte(network, 'firing',   'none');
-  if (condition === 'astrocyte-traffic') return trainAstrocyte(network, 'traffic',  'none');
+  if (condition === 'cursor')            return trainCursor(network, options);
+  if (condition === 'maturity')          return trainAstrocyte(network, 'firing',   'maturity', options);
+  if (condition === 'epsilon')           return trainAstrocyte(network, 'firing',   'flat',     options);
+  if (condition === 'baseline')          return trainAstrocyte(network, 'firing',   'none',     options);
+  if (condition === 'astrocyte-firing')  return trainAstrocyte(network, 'firing',   'none',     options);
+  if (condition === 'astrocyte-traffic') return trainAstrocyte(network, 'traffic',  'none',     options);
   // Legacy aliases
-  if (condition === 'astrocyte')         return trainAstrocyte(network, 'firing',   'none');
+  if (condition === 'astrocyte')         return trainAstrocyte(network, 'firing',   'none',     options);
   throw new Error(`Unknown condition: ${condition}`);
 }
 
 // ─── Cursor condition (iter-4 baseline, retained for compatibility) ───────────
 
-function trainCursor(network) {
+function trainCursor(network, options) {
+  const rng      = resolveStreams(options);
+  const resume   = options.resume ?? null;
+  const episodes = options.episodes        ?? EPISODES;
+  const steps    = options.stepsPerEpisode ?? STEPS_PER_EPISODE;
+  resumeStreams(options);
+  const params = perturbParams(options);
   const cursor = createCursor(network);
-  const trajectory = [];
-  let totalAccepted = 0, totalRejected = 0;
-  const weightStart = meanAbsWeight(network);
+  if (resume) Object.assign(cursor, resume.cursor);
+
+  const trajectory = resume ? resume.trajectory.slice() : [];
+  let totalAccepted = resume?.totalAccepted ?? 0, totalRejected = resume?.totalRejected ?? 0;
+  const weightStart    = resume?.weightStart    ?? meanAbsWeight(network);
+  const thresholdStart = resume?.thresholdStart ?? meanThreshold(network);
 
-  for (let episode = 0; episode < EPISODES; episode++) {
+  for (let episode = resume?.episode ?? 0; episode < episodes; episode++) {
     let rewardSum = 0, accepted = 0, rejected = 0, eligibleSum = 0;
 
-    for (let step = 0; step < STEPS_PER_EPISODE; step++) {
-      const { input, target } = randomPattern();
+    for (let step = 0; step < steps; step++) {
+      const { input, target } = randomPattern(rng.task);
 
       const base     = propagate(network, input);
       const baseSoft = computeSoftReward(base.activations, target, network);
 
-      moveCursor(cursor);
+      moveCursor(cursor, rng.cursor);
       const eligible = getEligibleSynapses(cursor, network);
       eligibleSum += eligible.length;
 
@@ -79,7 +147,7 @@ function trainCursor(network) {
       }
 
       const saved = saveWeights(eligible);
-      perturb(eligible);
+      perturb(eligible, [], params, rng.perturb);
 
       const after     = propagate(network, input);
       const afterSoft = computeSoftReward(after.activations, target, network);
@@ -94,64 +162,134 @@ function trainCursor(network) {
       }
     }
 
-    const avgReward  = rewardSum / STEPS_PER_EPISODE;
+    if (options.homeostasis) runHomeostasis(network);
+
+    const avgReward  = rewardSum / steps;
     const acceptRate = accepted / (accepted + rejected || 1);
 
-    if (episode % TRAJECTORY_INTERVAL === 0 || episode === EPISODES - 1)
+    if (episode % TRAJECTORY_INTERVAL === 0 || episode === episodes - 1)
       trajectory.push({ episode, avgReward, acceptRate });
 
-    if (episode % LOG_INTERVAL === 0 || episode === EPISODES - 1)
+    if (episode % LOG_INTERVAL === 0 || episode === episodes - 1)
       console.log(`  [cursor] ep ${String(episode).padStart(4)}: ` +
         `reward=${avgReward.toFixed(3)}  accept=${(acceptRate * 100).toFixed(1)}%  ` +
-        `eligible=${(eligibleSum / STEPS_PER_EPISODE).toFixed(1)}`);
+        `eligible=${(eligibleSum / steps).toFixed(1)}`);
+
+    if (checkpointDue(options, episode, episodes)) {
+      options.onCheckpoint({ network, astrocytes: null, training: {
+        episode: episode + 1,
+        rngStates: options.rng ? getStreamStates(options.rng) : null,
+        trajectory: trajectory.slice(), totalAccepted, totalRejected,
+        weightStart, thresholdStart,
+        cursor: { x: cursor.x, y: cursor.y, z: cursor.z },
+      } });
+    }
   }
 
   return {
     trajectory, totalAccepted, totalRejected,
     weightStart, weightEnd: meanAbsWeight(network),
-    astrocyteStats: null,
+    thresholdStart, thresholdEnd: meanThreshold(network),
+    coverage:            null,
+    territoryTrajectory: null,
+    lineage:             null,
+    populationEvents:    null,
+    calciumWaves:        null,
+    astrocyteStats:      null,
+    astrocytes:          null,
   };
 }
 
 // ─── Astrocyte condition ──────────────────────────────────────────────────────
 // scoringMode: 'firing' | 'traffic'
-// explorationMode: 'none' | 'flat' | 'maturity'
+// explorationMode: the condition's EXPLORATION_SCHEDULES name; options.exploration overrides it
 
-function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
-  const numPatterns = trainingPatterns.length;
-  const astrocytes  = createAstrocytes(network, numPatterns);
+const SCHEDULE_LABELS = { maturity: 'maturity', flat: 'epsilon ', none: 'baseline' };
 
-  const coverage = logCoverage(astrocytes, network);
-  const label = scoringMode === 'traffic' ? 'traffic'
-    : explorationMode === 'maturity' ? 'maturity'
-    : explorationMode === 'flat' ? 'epsilon ' : 'baseline';
+function trainAstrocyte(network, scoringMode, explorationMode = 'none', options = {}) {
+  const rng         = resolveStreams(options);
+  const resume      = options.resume ?? null;
+  const episodes    = options.episodes        ?? EPISODES;
+  const steps       = options.stepsPerEpisode ?? STEPS_PER_EPISODE;
+  resumeStreams(options);
+  const numPatterns = trainingPatterns.length;
+  const params      = astrocyteParams(options);
+  const astrocytes  = options.astrocytes ?? createAstrocytes(network, numPatterns, params, rng.placement);
+
+  const scheduleName = options.exploration ?? explorationMode;
+  const schedule     = explorationSchedule(scheduleName);
+
+  const trajectory = resume ? resume.trajectory.slice() : [];
+  let totalAccepted = resume?.totalAccepted ?? 0;
+  let totalRejected = resume?.totalRejected ?? 0;
+  let totalSteps    = resume?.totalSteps    ?? 0;
+  const territoryTrajectory = resume?.territoryTrajectory?.slice() ?? [];
+
+  // Mobility: acceptance trace ('accepted' rule) and per-astrocyte positions
+  const mobile   = params.mobility !== 'none';
+  const trace    = resume?.acceptanceTrace
+    ? Float64Array.from(resume.acceptanceTrace) : createAcceptanceTrace(network);
+  let positionTrajectories = resume?.positionTrajectories?.map(t => t.map(p => ({ ...p })))
+    ?? astrocytes.map(() => []);
+
+  // Population dynamics: every astrocyte that lived, and the events
+  const dynamic = params.populationDynamics;
+  const lineage = !dynamic ? null
+    : resume?.lineage?.map(l => ({ ...l, parents: l.parents.slice() })) ?? createLineage(astrocytes);
+  const populationEvents = !dynamic ? null : resume?.populationEvents?.map(e => ({ ...e })) ?? [];
+
+  // Calcium waves: the gap junctions (astrocytes from an older checkpoint may
+  // lack them) and the wave statistics
+  const coupled = params.coupling !== 'none';
+  if (coupled) coupleAstrocytes(astrocytes, params);
+  const waveLog = !coupled ? null : resume?.waveLog ? { ...resume.waveLog } : createWaveLog();
+
+  // Territories at the first episode's radius (a no-op for the 'fixed' schedule)
+  annealTerritories(astrocytes, network, params,
+    { episode: resume?.episode ?? 0, step: 0, totalSteps, totalAccepted, totalRejected });
+  // At the run's start: territories may have moved since a checkpoint
+  const coverage = resume?.coverage ?? logCoverage(astrocytes, network);
+  const label = scoringMode === 'traffic' ? 'traffic' : SCHEDULE_LABELS[scheduleName] ?? scheduleName;
   console.log(`  [${label}] coverage: ${coverage.covered}/${coverage.total} neurons ` +
-    `(${(coverage.covered / coverage.total * 100).toFixed(0)}%)`);
+    `(${(coverage.covered / coverage.total * 100).toFixed(0)}%), ` +
+    `non-input ${coverage.nonInputCovered}/${coverage.nonInputTotal}`);
 
-  const trajectory = [];
-  let totalAccepted = 0, totalRejected = 0, totalSteps = 0;
-  const weightStart = meanAbsWeight(network);
+  const weightStart    = resume?.weightStart    ?? meanAbsWeight(network);
+  const thresholdStart = resume?.thresholdStart ?? meanThreshold(network);
+  const noise          = perturbParams(options);
 
   const prevFiredState    = new Uint8Array(network.neurons.length);
   const baselineFiredSnap = new Uint8Array(network.neurons.length);
 
   // Per-astrocyte score tracking: accumulate within each episode, snapshot at checkpoints
-  const epScoreSum   = new Float64Array(astrocytes.length);
-  const scoreSamples = astrocytes.map(() => ({ ep100: 0, ep1000: 0, epFinal: 0 }));
-
-  // Per-astrocyte exploration rate snapshots (maturity condition diagnostics)
-  const explorationRateSamples = astrocytes.map(() => ({ ep5000: 0, ep10000: 0, epFinal: 0 }));
-
-  for (let episode = 0; episode < EPISODES; episode++) {
+  // Episodes at which to snapshot per-astrocyte mean activation score
+  const scoreSampleEps = new Set([100, 1000, episodes - 1]);
+  // Episodes at which to snapshot per-astrocyte exploration rates (the schedule's rate)
+  const explorationRateEps = new Set([4999, 9999, episodes - 1]);
+
+  let epScoreSum   = new Float64Array(astrocytes.length);
+  let scoreSamples = resume
+    ? resume.scoreSamples.map(s => ({ ...s }))
+    : astrocytes.map(() => ({ ep100: 0, ep1000: 0, epFinal: 0 }));
+
+  // Per-astrocyte exploration rate snapshots (schedule diagnostics)
+  let explorationRateSamples = resume
+    ? resume.explorationRateSamples.map(s => ({ ...s }))
+    : astrocytes.map(() => ({ ep5000: 0, ep10000: 0, epFinal: 0 }));
+
+  for (let episode = resume?.episode ?? 0; episode < episodes; episode++) {
     let rewardSum = 0, accepted = 0, rejected = 0, eligibleSum = 0;
     epScoreSum.fill(0);
+    annealTerritories(astrocytes, network, params,
+      { episode, step: 0, totalSteps, totalAccepted, totalRejected });
 
-    for (let step = 0; step < STEPS_PER_EPISODE; step++) {
-      const { input, target, patternIdx } = randomPattern();
+    for (let step = 0; step < steps; step++) {
+      const { input, target, patternIdx } = randomPattern(rng.task);
 
       if (step === 0) {
         prevFiredState.fill(0);
-        for (let i = 0; i < 5; i++) prevFiredState[i] = input[i];
+        network.inputIds.forEach((id, i) => { prevFiredState[id] = input[i]; });
+        for (const id of network.biasIds) prevFiredState[id] = 1;
       }
 
       // 1. SENSE
@@ -162,11 +300,15 @@ function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
       for (let j = 0; j < astrocytes.length; j++) epScoreSum[j] += scores[j];
 
       // 2. ACTIVATE
-      const active = selectActiveAstrocytes(astrocytes, scores, explorationMode);
+      const ctx    = { episode, step, totalSteps, totalAccepted, totalRejected };
+      const active = selectActiveAstrocytes(astrocytes, scores, schedule, rng.exploration, params, ctx, waveLog);
       for (const ast of active) ast.activationsByPattern[patternIdx]++;
+      if (coupled) updateCalcium(astrocytes, active, params);
 
       // 3. COLLECT
       const eligible = getEligibleSynapsesFromAstrocytes(active);
+      const eligibleNeurons = options.perturbThresholds
+        ? getEligibleNeuronsFromAstrocytes(active, network) : [];
       eligibleSum += eligible.length;
 
       // Baseline forward pass
@@ -176,8 +318,8 @@ function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
       for (const n of network.neurons) baselineFiredSnap[n.id] = n.fired ? 1 : 0;
 
       // 4. SNAPSHOT  5. PERTURB
-      const saved = saveWeights(eligible);
-      perturb(eligible);
+      const saved = saveWeights(eligible, eligibleNeurons);
+      perturb(eligible, eligibleNeurons, noise, rng.perturb);
 
       // 6. EVALUATE
       const after     = propagate(network, input);
@@ -189,6 +331,7 @@ function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
         accepted++; totalAccepted++;
         rewardSum += computeBinaryReward(after.binaryOutput, target);
         for (const n of network.neurons) prevFiredState[n.id] = n.fired ? 1 : 0;
+        if (mobile) markAccepted(trace, active);
       } else {
         revertWeights(saved);
         rejected++; totalRejected++;
@@ -198,44 +341,96 @@ function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
 
       // 8. ADAPT
       totalSteps++;
-      adaptAstrocytes(astrocytes, active, kept, totalSteps);
+      adaptAstrocytes(astrocytes, active, kept, totalSteps, params);
+      if (mobile && totalSteps % params.mobilityInterval === 0)
+        migrateAstrocytes(astrocytes, network, trace, params);
     }
 
     // Snapshot per-astrocyte mean score at checkpoint episodes
-    if (SCORE_SAMPLE_EPS.has(episode)) {
+    if (scoreSampleEps.has(episode)) {
       for (let j = 0; j < astrocytes.length; j++) {
-        const epMean = epScoreSum[j] / STEPS_PER_EPISODE;
+        const epMean = epScoreSum[j] / steps;
         if (episode === 100)          scoreSamples[j].ep100  = epMean;
         if (episode === 1000)         scoreSamples[j].ep1000 = epMean;
-        if (episode === EPISODES - 1) scoreSamples[j].epFinal = epMean;
+        if (episode === episodes - 1) scoreSamples[j].epFinal = epMean;
       }
     }
 
     // Snapshot per-astrocyte exploration rate at checkpoint episodes
-    if (EXPLORATION_RATE_EPS.has(episode)) {
+    const endCtx = { episode, step: steps, totalSteps, totalAccepted, totalRejected };
+    if (explorationRateEps.has(episode)) {
       for (let j = 0; j < astrocytes.length; j++) {
-        const rate = getExplorationRate(astrocytes[j]);
+        const rate = schedule(astrocytes[j], endCtx, params);
         if (episode === 4999)          explorationRateSamples[j].ep5000  = rate;
         if (episode === 9999)          explorationRateSamples[j].ep10000 = rate;
-        if (episode === EPISODES - 1)  explorationRateSamples[j].epFinal = rate;
+        if (episode === episodes - 1)  explorationRateSamples[j].epFinal = rate;
       }
     }
 
-    const avgReward  = rewardSum / STEPS_PER_EPISODE;
+    // Population check: per-astrocyte records follow the survivors by id
+    if (dynamic && (episode + 1) % params.populationInterval === 0) {
+      const before = astrocytes.map(a => a.id);
+      const events = updatePopulation(astrocytes, network, lineage, params, episode);
+      if (events.length > 0) {
+        populationEvents.push(...events);
+        const follow = (values, fresh) => {
+          const byId = new Map(before.map((id, j) => [id, values[j]]));
+          return astrocytes.map(a => byId.get(a.id) ?? fresh());
+        };
+        scoreSamples           = follow(scoreSamples, () => ({ ep100: 0, ep1000: 0, epFinal: 0 }));
+        explorationRateSamples = follow(explorationRateSamples, () => ({ ep5000: 0, ep10000: 0, epFinal: 0 }));
+        positionTrajectories   = follow(positionTrajectories, () => []);
+        epScoreSum             = new Float64Array(astrocytes.length);
+      }
+    }
+
+    if (options.homeostasis) runHomeostasis(network);
+
+    const avgReward  = rewardSum / steps;
     const acceptRate = accepted / (accepted + rejected || 1);
 
-    if (episode % TRAJECTORY_INTERVAL === 0 || episode === EPISODES - 1)
+    if (episode % TRAJECTORY_INTERVAL === 0 || episode === episodes - 1) {
       trajectory.push({ episode, avgReward, acceptRate });
+      territoryTrajectory.push({ episode, ...territorySize(astrocytes) });
+      if (mobile) astrocytes.forEach((ast, j) => positionTrajectories[j].push({ episode, ...ast.position }));
+    }
 
-    if (episode % LOG_INTERVAL === 0 || episode === EPISODES - 1)
+    if (episode % LOG_INTERVAL === 0 || episode === episodes - 1)
       console.log(`  [${label}] ep ${String(episode).padStart(4)}: ` +
         `reward=${avgReward.toFixed(3)}  accept=${(acceptRate * 100).toFixed(1)}%  ` +
-        `eligible=${(eligibleSum / STEPS_PER_EPISODE).toFixed(1)}`);
+        `eligible=${(eligibleSum / steps).toFixed(1)}` +
+        (params.radiusSchedule === 'fixed' ? '' : `  radius=${territorySize(astrocytes).meanRadius.toFixed(2)}`) +
+        (coupled ? `  wave-act=${waveLog.activations}` : ''));
+
+    if (checkpointDue(options, episode, episodes)) {
+      options.onCheckpoint({ network, astrocytes, training: {
+        episode: episode + 1,
+        rngStates: options.rng ? getStreamStates(options.rng) : null,
+        trajectory: trajectory.slice(), totalAccepted, totalRejected, totalSteps,
+        weightStart, thresholdStart, coverage,
+        scoreSamples:           scoreSamples.map(s => ({ ...s })),
+        explorationRateSamples: explorationRateSamples.map(s => ({ ...s })),
+        territoryTrajectory:    territoryTrajectory.map(t => ({ ...t })),
+        acceptanceTrace:        Array.from(trace),
+        positionTrajectories:   positionTrajectories.map(t => t.map(p => ({ ...p }))),
+        lineage:                lineage && lineage.map(l => ({ ...l, parents: l.parents.slice() })),
+        populationEvents:       populationEvents && populationEvents.map(e => ({ ...e })),
+        waveLog:                waveLog && { ...waveLog },
+      } });
+    }
   }
 
+  const endCtx    = { episode: episodes - 1, step: steps, totalSteps, totalAccepted, totalRejected };
+  const territory = territoryStats(astrocytes, network);
   return {
     trajectory, totalAccepted, totalRejected,
     weightStart, weightEnd: meanAbsWeight(network),
+    thresholdStart, thresholdEnd: meanThreshold(network),
+    coverage,
+    territoryTrajectory,
+    lineage,
+    populationEvents,
+    calciumWaves: coupled ? waveSummary(waveLog, astrocytes) : null,
     astrocyteStats: astrocytes.map((ast, j) => ({
       id:                   ast.id,
       cluster:              ast.cluster,
@@ -244,12 +439,22 @@ function trainAstrocyte(network, scoringMode, explorationMode = 'none') {
       successCount:         ast.successCount,
       epsilonCount:         ast.epsilonCount,
       finalThreshold:       ast.activationThreshold,
-      finalExplorationRate: getExplorationRate(ast),
+      finalExplorationRate: schedule(ast, endCtx, params),
       activationsByPattern: ast.activationsByPattern.slice(),
       neuronCount:          ast.neuronIds.length,
       synapseCount:         ast.ownedSynapses.length,
+      nonInputNeuronCount:  territory[j].nonInputNeuronCount,
+      sharedNeuronCount:    territory[j].sharedNeuronCount,
+      territoryVolume:      territory[j].territoryVolume,
+      finalRadius:          ast.territoryRadius,
+      moveCount:            ast.moveCount ?? 0,
+      distanceMoved:        ast.distanceMoved ?? 0,
+      positionTrajectory:   mobile ? positionTrajectories[j] : null,
+      waveCount:            ast.waveCount ?? 0,
+      gapJunctions:         (ast.gapJunctions ?? []).slice(),
       scoreSamples:         scoreSamples[j],
       explorationRateSamples: explorationRateSamples[j],
     })),
+    astrocytes,
   };
 }
@@ -0,0 +1,22 @@
+// worker_threads entry for runExperimentParallel(): runs one (seed, condition)
+// per message via runCondition(). Console output is captured and returned with
+// the result so the main thread can print it in seed order, as a serial run would.
+
+import { parentPort } from 'worker_threads';
+import { format } from 'util';
+import { runCondition } from './runner.mjs';
+
+parentPort.on('message', ({ id, task }) => {
+  const { config, seed, name, resume, force } = task;
+  const lines = [];
+  const log   = console.log;
+  console.log = (...args) => lines.push(format(...args));
+  try {
+    const result = runCondition(config, seed, name, { resume, force });
+    parentPort.postMessage({ id, result: { result, log: lines } });
+  } catch (err) {
+    parentPort.postMessage({ id, error: err.stack ?? String(err) });
+  } finally {
+    console.log = log;
+  }
+});
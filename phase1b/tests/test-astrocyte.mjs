@@ -0,0 +1,475 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetwork } from '../src/network.mjs';
+import { createRngStreams, createRng } from '../src/rng.mjs';
+import {
+  astrocyteParams, createAstrocytes, selectActiveAstrocytes, adaptAstrocytes, getExplorationRate,
+  explorationSchedule, placeAstrocytes, logCoverage, ASTROCYTE_DEFAULTS, PLACEMENTS,
+  assignTerritories, territoryDistance, territoryStats, TERRITORIES,
+  annealTerritories, RADIUS_SCHEDULES, createAcceptanceTrace, markAccepted, migrateAstrocytes,
+  LEADER_SEPARATION, createLineage, updatePopulation, coupleAstrocytes, updateCalcium, createWaveLog,
+  waveSummary,
+} from '../src/astrocyte.mjs';
+import { train } from '../src/train.mjs';
+
+const fakeAstrocytes = n => Array.from({ length: n }, (_, id) => ({
+  id, activationThreshold: 0.5, activationCount: 0, epsilonCount: 0, rewardHistory: [],
+  successCount: 0,
+}));
+
+describe('astrocyteParams', () => {
+  it('reads astrocyte keys from a config, defaulting the rest', () => {
+    const params = astrocyteParams({ territoryRadius: 4, maxActive: 5, clusters: 3 });
+    assert.deepEqual(params, { ...ASTROCYTE_DEFAULTS, territoryRadius: 4, maxActive: 5 });
+  });
+
+  it('rejects out-of-range values', () => {
+    assert.throws(() => astrocyteParams({ territoryRadius: 0 }), /territoryRadius must be positive/);
+    assert.throws(() => astrocyteParams({ adaptInterval: 2.5 }), /adaptInterval must be a positive integer/);
+    assert.throws(() => astrocyteParams({ baseEpsilon: 1.5 }), /baseEpsilon must be in \[0, 1\]/);
+  });
+});
+
+describe('injected astrocyte constants', () => {
+  it('territoryRadius sizes the territories', () => {
+    const network = createNetwork({}, createRngStreams(42).network);
+    const small = createAstrocytes(network, 8, astrocyteParams({ territoryRadius: 1 }));
+    const large = createAstrocytes(network, 8, astrocyteParams({ territoryRadius: 6 }));
+    assert.equal(large[0].territoryRadius, 6);
+    assert.ok(large.every((a, i) => a.neuronIds.length >= small[i].neuronIds.length));
+    assert.ok(large.some((a, i) => a.neuronIds.length > small[i].neuronIds.length));
+  });
+
+  it('maxActive caps the active astrocytes', () => {
+    const asts   = fakeAstrocytes(6);
+    const scores = [0.9, 0.8, 0.7, 0.6, 0.55, 0.1];
+    assert.equal(selectActiveAstrocytes(asts, scores, 'none', createRng(1)).length, 3);
+    assert.equal(selectActiveAstrocytes(asts, scores, 'none', createRng(1), astrocyteParams({ maxActive: 5 })).length, 5);
+  });
+
+  it('epsilon and the maturity rate come from params', () => {
+    const asts = fakeAstrocytes(4);
+    const all  = astrocyteParams({ epsilon: 1, maxActive: 4 });
+    assert.equal(selectActiveAstrocytes(asts, [0, 0, 0, 0], 'flat', createRng(1), all).length, 4);
+    const ast = { activationCount: 100 };
+    assert.equal(getExplorationRate(ast, astrocyteParams({ baseEpsilon: 0.2, maturityHorizon: 100 })), 0.1);
+  });
+
+  it('adaptInterval and successHigh set when thresholds move', () => {
+    const asts   = fakeAstrocytes(1);
+    const params = astrocyteParams({ adaptInterval: 3, successHigh: 0.5 });
+    adaptAstrocytes(asts, asts, true, 2, params);
+    assert.equal(asts[0].activationThreshold, 0.5);
+    adaptAstrocytes(asts, asts, true, 3, params);
+    assert.equal(asts[0].activationThreshold, 0.49);
+  });
+});
+
+describe('exploration schedules', () => {
+  const params = astrocyteParams({ epsilon: 0.1, epsilonDecayEpisodes: 100, epsilonHalfLife: 50, ucbScale: 0.2 });
+  const ctx    = episode => ({ episode, step: 0, totalSteps: episode * 10, totalAccepted: 0, totalRejected: 0 });
+  const rate   = (name, ast, episode) => explorationSchedule(name)(ast, ctx(episode), params);
+  const ast    = (activationThreshold, activationCount = 0) => ({ activationThreshold, activationCount });
+
+  it('option A fades as the threshold falls to its minimum', () => {
+    assert.equal(rate('threshold', ast(0.5), 0), 0.1);
+    assert.ok(Math.abs(rate('threshold', ast(0.3), 0) - 0.05) < 1e-12);
+    assert.equal(rate('threshold', ast(0.1), 0), 0);
+    assert.equal(rate('threshold', ast(0.9), 0), 0.1);
+  });
+
+  it('option B decays linearly, C takes the smaller of A and B', () => {
+    assert.equal(rate('linear', ast(0.5), 0), 0.1);
+    assert.ok(Math.abs(rate('linear', ast(0.5), 25) - 0.075) < 1e-12);
+    assert.equal(rate('linear', ast(0.5), 200), 0);
+    assert.ok(Math.abs(rate('hybrid', ast(0.3), 25) - 0.05) < 1e-12);
+    assert.ok(Math.abs(rate('hybrid', ast(0.5), 75) - 0.025) < 1e-12);
+  });
+
+  it('exponential halves every half-life; ucb favours rarely used astrocytes', () => {
+    assert.ok(Math.abs(rate('exponential', ast(0.5), 100) - 0.025) < 1e-12);
+    assert.equal(rate('ucb', ast(0.5, 0), 0), 0);
+    assert.ok(rate('ucb', ast(0.5, 0), 100) > rate('ucb', ast(0.5, 100), 100));
+    assert.ok(rate('ucb', ast(0.5, 0), 1e6) <= 1);
+  });
+
+  it('rejects unknown names and draws nothing at rate 0', () => {
+    assert.throws(() => explorationSchedule('cosine'), /Unknown exploration schedule "cosine"/);
+    const rng = { random: () => assert.fail('no draw expected') };
+    assert.equal(selectActiveAstrocytes(fakeAstrocytes(3), [0, 0, 0], 'none', rng).length, 1);
+    assert.equal(selectActiveAstrocytes(fakeAstrocytes(3), [0, 0, 0], 'linear', rng,
+      params, ctx(100)).length, 1);
+  });
+
+  it('train() takes the schedule from config.exploration', () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const run = exploration => {
+        const rng = createRngStreams(3);
+        return train(createNetwork({}, rng.network), 'epsilon',
+          { rng, episodes: 20, stepsPerEpisode: 5, exploration, epsilonDecayEpisodes: 10 });
+      };
+      const flat   = run(undefined);
+      const linear = run('linear');
+      assert.ok(flat.astrocyteStats.every(a => a.finalExplorationRate === 0.01));
+      assert.ok(linear.astrocyteStats.every(a => a.finalExplorationRate === 0));
+      assert.ok(linear.astrocyteStats.reduce((s, a) => s + a.epsilonCount, 0) <
+        flat.astrocyteStats.reduce((s, a) => s + a.epsilonCount, 0));
+      assert.throws(() => run('cosine'), /Unknown exploration schedule/);
+    } finally {
+      console.log = log;
+    }
+  });
+});
+
+describe('placement', () => {
+  const network = createNetwork({ clusters: 3 }, createRngStreams(9).network);
+  const build   = config => createAstrocytes(network, 8, astrocyteParams(config), createRng(1));
+
+  it('grid with four per cluster is the 2×2 quartile grid', () => {
+    const c0 = network.neurons.filter(n => n.cluster === 0);
+    const xs = c0.map(n => n.x), ys = c0.map(n => n.y), zs = c0.map(n => n.z);
+    const minX = Math.min(...xs), maxX = Math.max(...xs), minY = Math.min(...ys), maxY = Math.max(...ys);
+    const midX = (minX + maxX) / 2, midY = (minY + maxY) / 2, qx = (maxX - minX) / 4, qy = (maxY - minY) / 4;
+    const z = (Math.min(...zs) + Math.max(...zs)) / 2;
+    assert.deepEqual(placeAstrocytes(c0), [
+      { x: midX - qx, y: midY - qy, z }, { x: midX + qx, y: midY - qy, z },
+      { x: midX - qx, y: midY + qy, z }, { x: midX + qx, y: midY + qy, z },
+    ]);
+  });
+
+  it('every strategy places the configured count in every cluster', () => {
+    for (const placement of PLACEMENTS) {
+      for (const astrocytesPerCluster of [1, 6, 9]) {
+        const asts = build({ placement, astrocytesPerCluster });
+        assert.equal(asts.length, 3 * astrocytesPerCluster, `${placement} × ${astrocytesPerCluster}`);
+        for (let c = 0; c < 3; c++) {
+          const inCluster = network.neurons.filter(n => n.cluster === c);
+          const xs = inCluster.map(n => n.x);
+          assert.ok(asts.filter(a => a.cluster === c).every(a =>
+            a.position.x >= Math.min(...xs) && a.position.x <= Math.max(...xs)), placement);
+        }
+      }
+    }
+  });
+
+  it('voronoi cells partition each cluster, so no non-input neuron is left out', () => {
+    const asts = build({ placement: 'voronoi', astrocytesPerCluster: 5, territoryRadius: 0.5 });
+    const owned = asts.flatMap(a => a.neuronIds);
+    assert.equal(new Set(owned).size, owned.length);
+    assert.equal(owned.length, network.neurons.length);
+    const coverage = logCoverage(asts, network);
+    assert.equal(coverage.nonInputCovered, coverage.nonInputTotal);
+    assert.ok(logCoverage(build({ astrocytesPerCluster: 5, territoryRadius: 0.5 }), network).nonInputCovered <
+      coverage.nonInputTotal);
+  });
+
+  it('k-means tightens the grid; poisson is reproducible from its stream', () => {
+    const c0  = network.neurons.filter(n => n.cluster === 0);
+    const sse = positions => c0.reduce((s, n) =>
+      s + Math.min(...positions.map(p => (n.x - p.x) ** 2 + (n.y - p.y) ** 2)), 0);
+    const grid = placeAstrocytes(c0, astrocyteParams({ astrocytesPerCluster: 6 }));
+    assert.ok(sse(placeAstrocytes(c0, astrocyteParams({ placement: 'kmeans', astrocytesPerCluster: 6 }))) < sse(grid));
+    const poisson = astrocyteParams({ placement: 'poisson', astrocytesPerCluster: 6 });
+    assert.deepEqual(placeAstrocytes(c0, poisson, createRng(4)), placeAstrocytes(c0, poisson, createRng(4)));
+    assert.notDeepEqual(placeAstrocytes(c0, poisson, createRng(4)), placeAstrocytes(c0, poisson, createRng(5)));
+  });
+
+  it('rejects unknown strategies and counts', () => {
+    assert.throws(() => astrocyteParams({ placement: 'hex' }), /Unknown placement "hex"/);
+    assert.throws(() => astrocyteParams({ astrocytesPerCluster: 0 }), /astrocytesPerCluster must be a positive integer/);
+  });
+});
+
+describe('territories', () => {
+  const network = createNetwork({ clusters: 2 }, createRngStreams(9).network);
+  const build   = config => createAstrocytes(network, 8, astrocyteParams(config), createRng(1));
+  const ids     = asts => asts.map(a => a.neuronIds);
+
+  it('a disc ignores depth; a sphere of the same radius owns a subset of it', () => {
+    const p = { x: 0, y: 0, z: 0 }, q = { x: 3, y: 4, z: 12 };
+    assert.equal(territoryDistance(p, q, astrocyteParams({})), 5);
+    assert.equal(territoryDistance(p, q, astrocyteParams({ territory: 'sphere' })), 13);
+    const disc = build({}), sphere = build({ territory: 'sphere' });
+    sphere.forEach((a, i) => assert.ok(a.neuronIds.every(id => disc[i].neuronIds.includes(id))));
+    sphere.forEach((a, i) => assert.ok(a.territoryVolume <= disc[i].territoryVolume));
+  });
+
+  it('a unit-axis ellipsoid is the sphere; stretching an axis grows the territory', () => {
+    assert.deepEqual(ids(build({ territory: 'ellipsoid' })), ids(build({ territory: 'sphere' })));
+    const flat = build({ territory: 'ellipsoid' }), deep = build({ territory: 'ellipsoid', territoryAxes: [1, 1, 3] });
+    deep.forEach((a, i) => assert.ok(a.neuronIds.length >= flat[i].neuronIds.length));
+    assert.ok(deep.some((a, i) => a.territoryVolume > flat[i].territoryVolume));
+  });
+
+  it('knearest owns exactly territoryNeighbours neurons of its cluster', () => {
+    const asts = build({ territory: 'knearest', territoryNeighbours: 7 });
+    for (const a of asts) {
+      assert.equal(a.neuronIds.length, 7);
+      assert.ok(a.neuronIds.every(id => network.neurons[id].cluster === a.cluster));
+    }
+  });
+
+  it('reassigns after a move and reports shared and non-input counts', () => {
+    const asts = build({ territory: 'sphere' });
+    const before = asts[0].neuronIds.slice();
+    const far    = network.neurons.find(n => n.cluster === 0 && !before.includes(n.id));
+    asts[0].position = { x: far.x, y: far.y, z: far.z };
+    assignTerritories(asts, network, astrocyteParams({ territory: 'sphere' }));
+    assert.ok(asts[0].neuronIds.includes(far.id));
+    assert.ok(asts[0].ownedSynapses.every(s => asts[0].neuronIds.includes(s.pre) || asts[0].neuronIds.includes(s.post)));
+
+    const stats = territoryStats(asts, network);
+    const owners = id => asts.filter(a => a.neuronIds.includes(id)).length;
+    asts.forEach((a, i) => {
+      assert.equal(stats[i].sharedNeuronCount, a.neuronIds.filter(id => owners(id) > 1).length);
+      assert.equal(stats[i].nonInputNeuronCount, a.neuronIds.filter(id => network.neurons[id].type !== 'input').length);
+    });
+  });
+
+  it('voronoi cells split each cluster\'s volume exactly, before and after a move', () => {
+    const params = astrocyteParams({ placement: 'voronoi', territory: 'sphere', astrocytesPerCluster: 6 });
+    const asts   = createAstrocytes(network, 8, params, createRng(1));
+    const boxVolume = c => {
+      const ns = network.neurons.filter(n => n.cluster === c);
+      const span = k => Math.max(...ns.map(n => n[k])) - Math.min(...ns.map(n => n[k]));
+      return span('x') * span('y') * span('z');
+    };
+    const check = () => {
+      for (const c of [0, 1]) {
+        const volume = asts.filter(a => a.cluster === c).reduce((s, a) => s + a.territoryVolume, 0);
+        assert.ok(Math.abs(volume - boxVolume(c)) < 1e-6 * boxVolume(c));
+      }
+      assert.equal(asts.reduce((s, a) => s + a.neuronIds.length, 0), network.neurons.length);
+    };
+    check();
+    asts[0].position = { ...asts[1].position, x: asts[1].position.x + 0.1 };
+    assignTerritories(asts, network, params);
+    check();
+  });
+
+  it('rejects unknown geometries and malformed axes', () => {
+    assert.deepEqual(TERRITORIES, ['disc', 'sphere', 'ellipsoid', 'knearest']);
+    assert.throws(() => astrocyteParams({ territory: 'cube' }), /Unknown territory "cube"/);
+    assert.throws(() => astrocyteParams({ territoryAxes: [1, 0, 1] }), /territoryAxes must be three positive numbers/);
+    assert.throws(() => astrocyteParams({ territoryNeighbours: 0 }), /territoryNeighbours must be a positive integer/);
+  });
+});
+
+describe('radius schedules', () => {
+  const network = createNetwork({ clusters: 2 }, createRngStreams(9).network);
+  const params  = config => astrocyteParams({ territoryRadiusStart: 5, territoryRadius: 3, radiusAnnealEpisodes: 100,
+                                              radiusHalfLife: 50, maturityHorizon: 100, ...config });
+  const at      = (name, ast, episode) => RADIUS_SCHEDULES[name](ast, { episode }, params({}));
+
+  it('narrows from territoryRadiusStart to territoryRadius', () => {
+    const ast = { activationCount: 0 };
+    assert.deepEqual([0, 50, 100, 200].map(ep => at('linear', ast, ep)), [5, 4, 3, 3]);
+    assert.deepEqual([0, 50, 100].map(ep => at('exponential', ast, ep)), [5, 4, 3.5]);
+    assert.deepEqual([0, 100, 300].map(n => at('maturity', { activationCount: n }, 0)), [5, 4, 3.5]);
+    assert.equal(at('fixed', ast, 0), 3);
+    assert.equal(at('linear', ast, 2), 4.95);   // 4.96, rounded to 1/20
+  });
+
+  it('reassigns territories only when a radius moves', () => {
+    const p    = params({ radiusSchedule: 'linear' });
+    const asts = createAstrocytes(network, 8, p, createRng(1));
+    const size = () => asts.reduce((s, a) => s + a.ownedSynapses.length, 0);
+    const narrow = size();
+    assert.equal(annealTerritories(asts, network, p, { episode: 0 }), true);
+    assert.ok(asts.every(a => a.territoryRadius === 5));
+    const broad = size();
+    assert.ok(broad > narrow);
+    assert.equal(annealTerritories(asts, network, p, { episode: 0 }), false);
+    annealTerritories(asts, network, p, { episode: 100 });
+    assert.equal(size(), narrow);
+    assert.equal(annealTerritories(asts, network, astrocyteParams({}), { episode: 0 }), false);
+  });
+
+  it('rejects unknown schedules', () => {
+    assert.throws(() => astrocyteParams({ radiusSchedule: 'cosine' }), /Unknown radius schedule "cosine"/);
+    assert.throws(() => astrocyteParams({ territoryRadiusStart: 0 }), /territoryRadiusStart must be positive/);
+  });
+});
+
+describe('mobility', () => {
+  const network = createNetwork({ clusters: 2 }, createRngStreams(9).network);
+  const setup   = (mobility, keep) => {
+    const params = astrocyteParams({ mobility, mobilityStep: 0.5 });
+    const asts   = createAstrocytes(network, 8, params, createRng(1));
+    asts.forEach((a, i) => { a.activationCount = 100; a.successCount = keep[i] ?? 50; });
+    return { params, asts };
+  };
+  const dist = (p, q) => Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z);
+
+  it("'accepted' moves low keepers towards kept territories and reassigns them", () => {
+    const { params, asts } = setup('accepted', [50, 5, 50, 50]);
+    const trace = createAcceptanceTrace(network);
+    markAccepted(trace, [asts[0]]);
+    const start = { ...asts[1].position }, before = asts[1].neuronIds.slice();
+    const moved = migrateAstrocytes(asts, network, trace, params);
+    assert.deepEqual(moved, [asts[1]]);
+    assert.ok(Math.abs(dist(start, asts[1].position) - 0.5) < 1e-9);
+    assert.equal(asts[1].moveCount, 1);
+    assert.notDeepEqual(asts[1].neuronIds, before);
+    assert.ok(trace.every(t => t === 0 || t === 0.5));
+  });
+
+  it("'leader' stops short of the best keeper; good and new astrocytes stay", () => {
+    const { params, asts } = setup('leader', [90, 5, 50, 50]);
+    asts[2].activationCount = 3; asts[2].successCount = 0;   // too new to judge
+    const separation = LEADER_SEPARATION * asts[1].territoryRadius;
+    assert.ok(dist(asts[1].position, asts[0].position) > separation);
+    migrateAstrocytes(asts, network, createAcceptanceTrace(network), { ...params, mobilityStep: 100 });
+    assert.ok(Math.abs(dist(asts[1].position, asts[0].position) - separation) < 1e-9);
+    assert.deepEqual([0, 2, 3].map(i => asts[i].moveCount), [0, 0, 0]);
+  });
+
+  it("'leader' keeps the follower apart over repeated migrations", () => {
+    const { params, asts } = setup('leader', [90, 5, 50, 50]);
+    const separation = LEADER_SEPARATION * asts[1].territoryRadius;
+    const trace = createAcceptanceTrace(network);
+    for (let i = 0; i < 50; i++) {
+      migrateAstrocytes(asts, network, trace, params);
+      assert.ok(dist(asts[1].position, asts[0].position) >= separation - 1e-9);
+    }
+    assert.ok(Math.abs(dist(asts[1].position, asts[0].position) - separation) < 1e-9);
+    assert.ok(asts[1].moveCount > 1);
+  });
+
+  it('rejects unknown rules', () => {
+    assert.throws(() => astrocyteParams({ mobility: 'swim' }), /Unknown mobility rule "swim"/);
+    assert.throws(() => astrocyteParams({ mobilityInterval: 0 }), /mobilityInterval must be a positive integer/);
+  });
+});
+
+describe('population dynamics', () => {
+  const network = createNetwork({ clusters: 2 }, createRngStreams(9).network);
+  const QUIET   = { populationDynamics: true, populationInterval: 10, populationPatience: 2,
+                    splitSuccess: 1, mergeUsefulness: 0 };
+  // Every astrocyte useful (20 kept per 10 episodes) at a 0.5 keep rate unless changed
+  const setup = (config = {}) => {
+    const params = astrocyteParams({ ...QUIET, ...config });
+    const asts   = createAstrocytes(network, 8, params, createRng(1));
+    return { params, asts, lineage: createLineage(asts) };
+  };
+  const activity = (asts, rate = 0.5) => asts.forEach(a => { a.activationCount += 40; a.successCount += 40 * rate; });
+  const checks = (n, { params, asts, lineage }, before = () => {}) => {
+    const events = [];
+    for (let k = 1; k <= n; k++) {
+      before(asts);
+      events.push(...updatePopulation(asts, network, lineage, params, k * 10 - 1));
+    }
+    return events;
+  };
+
+  it('does nothing while no condition persists', () => {
+    const world = setup();
+    assert.deepEqual(checks(4, world, activity), []);
+    assert.equal(world.asts.length, 8);
+  });
+
+  it('kills an astrocyte pinned at the maximum threshold; its neighbour absorbs the area', () => {
+    const world = setup();
+    world.asts[1].activationThreshold = world.params.activationThresholdMax;
+    const events = checks(2, world, activity);
+    assert.equal(events.length, 1);
+    const [{ type, from, to }] = events;
+    assert.deepEqual([type, from], ['death', [1]]);
+    const heir = world.asts.find(a => a.id === to[0]);
+    assert.ok(Math.abs(heir.radiusScale - Math.SQRT2) < 1e-12);
+    assert.ok(Math.abs(heir.territoryRadius - 3 * Math.SQRT2) < 1e-12);
+    assert.deepEqual(world.lineage[1], { id: 1, cluster: 0, parents: [], born: 0, died: 19, cause: 'death' });
+    assert.equal(world.asts.length, 7);
+  });
+
+  it('merges idle mutual neighbours and splits productive astrocytes into two halves', () => {
+    const idle  = setup({ mergeUsefulness: 10 });
+    const merges = checks(2, idle, activity);
+    assert.ok(merges.length > 0 && merges.every(e => e.type === 'merge' && e.from.length === 2));
+    assert.ok(idle.asts.length < 8 && idle.asts.length >= 2);
+    const merged = idle.asts.find(a => a.id === merges[0].to[0]);
+    assert.deepEqual(idle.lineage[merged.id].parents, merges[0].from);
+
+    const busy   = setup({ splitSuccess: 0.4, splitMinNeurons: 2, maxAstrocytesPerCluster: 6 });
+    const splits = checks(2, busy, activity);
+    assert.ok(splits.length > 0 && splits.every(e => e.type === 'split' && e.to.length === 2));
+    for (let c = 0; c < 2; c++) assert.ok(busy.asts.filter(a => a.cluster === c).length <= 6);
+    const kid = busy.asts.find(a => a.id === splits[0].to[0]);
+    assert.ok(Math.abs(kid.radiusScale - Math.SQRT1_2) < 1e-12);
+    assert.equal(kid.activationCount, 0);
+    assert.deepEqual(busy.lineage.map(l => l.id), busy.lineage.map((_, i) => i));
+  });
+
+  it('keeps at least one astrocyte per cluster', () => {
+    const world = setup({ populationPatience: 1 });
+    const pin   = asts => asts.forEach(a => { a.activationThreshold = world.params.activationThresholdMax; });
+    checks(3, world, pin);
+    for (let c = 0; c < 2; c++) assert.equal(world.asts.filter(a => a.cluster === c).length, 1);
+  });
+});
+
+describe('calcium waves', () => {
+  const network = createNetwork({ clusters: 2 }, createRngStreams(42).network);
+  const coupled = config => {
+    const params = astrocyteParams(config);
+    return { params, asts: createAstrocytes(network, 8, params, createRng(1)) };
+  };
+  const degree = asts => asts.reduce((s, a) => s + a.gapJunctions.length, 0);
+
+  it('couples astrocytes by territory overlap or distance, optionally within a cluster', () => {
+    assert.equal(degree(coupled({}).asts), 0);
+    const { asts } = coupled({ coupling: 'overlap' });
+    for (const a of asts) {
+      for (const id of a.gapJunctions) assert.ok(asts[id].gapJunctions.includes(a.id));
+    }
+    assert.ok(asts.some(a => a.gapJunctions.some(id => asts[id].cluster !== a.cluster)));
+    const gated = coupled({ coupling: 'overlap', clusterGatedWaves: true }).asts;
+    assert.ok(gated.every(a => a.gapJunctions.every(id => gated[id].cluster === a.cluster)));
+    assert.ok(degree(gated) > 0 && degree(gated) < degree(asts));
+
+    const near = coupled({ coupling: 'distance', couplingRange: 6 }).asts;
+    const far  = coupled({ coupling: 'distance', couplingRange: 100 }).asts;
+    assert.ok(near.every(a => a.gapJunctions.every(id => near[id].cluster === a.cluster)));
+    assert.ok(far.every(a => a.gapJunctions.length === 7));
+  });
+
+  it('spreads an activation to the neighbours through decaying calcium', () => {
+    const { params, asts } = coupled({ coupling: 'distance', couplingRange: 100, couplingStrength: 1,
+                                       calciumDecay: 0.5, maxActive: 8 });
+    const quiet = Array(8).fill(0);
+    const log   = createWaveLog();
+    updateCalcium(asts, [asts[0]], params);
+    assert.deepEqual(asts.map(a => a.calcium), [1, 0, 0, 0, 0, 0, 0, 0]);
+
+    // Drive 1: every neighbour joins, the source is astrocyte 0 (cluster 0)
+    const wave = selectActiveAstrocytes(asts, quiet, 'none', createRng(1), params, undefined, log);
+    assert.equal(wave.length, 7);
+    assert.ok(!wave.includes(asts[0]));
+    assert.ok(wave.every(a => a.waveCount === 1));
+    assert.deepEqual([log.activations, log.crossCluster, log.current], [7, 4, 1]);
+
+    updateCalcium(asts, wave, params);
+    assert.equal(asts[0].calcium, 0.5);
+    for (const a of asts) a.calcium = 0;
+    selectActiveAstrocytes(asts, quiet, 'none', createRng(1), params, undefined, log);
+    const summary = waveSummary(log, asts);
+    assert.deepEqual([summary.edges, summary.crossClusterEdges, summary.meanDegree], [28, 16, 7]);
+    assert.deepEqual([summary.waves, summary.meanLength, summary.maxLength], [1, 1, 1]);
+  });
+
+  it('leaves selection unchanged without a coupling', () => {
+    const { params, asts } = coupled({ maxActive: 8 });
+    updateCalcium(asts, [asts[0]], astrocyteParams({ coupling: 'overlap' }));
+    const picks = selectActiveAstrocytes(asts, Array(8).fill(0), 'none', createRng(1), params);
+    assert.equal(picks.length, 1);
+    assert.ok(asts.every(a => a.waveCount === 0));
+  });
+
+  it('rejects unknown couplings and out-of-range constants', () => {
+    assert.throws(() => astrocyteParams({ coupling: 'ring' }), /Unknown coupling "ring"/);
+    assert.throws(() => astrocyteParams({ couplingStrength: 2 }), /couplingStrength must be in \[0, 1\]/);
+    assert.throws(() => astrocyteParams({ couplingRange: 0 }), /couplingRange must be positive/);
+  });
+});
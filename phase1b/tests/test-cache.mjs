@@ -0,0 +1,111 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { appendFileSync, cpSync, mkdtempSync, rmSync, readdirSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  cacheKey, cachePath, loadCachedResult, saveCachedResult, trainingSourceHash, hashSources,
+} from '../src/cache.mjs';
+import { runExperiment, runExperimentParallel } from '../src/runner.mjs';
+
+describe('cache entries', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'cache-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('keys on seed, condition and config', () => {
+    const base = { seed: 42, condition: 'epsilon', config: { episodes: 10, territoryRadius: 3 } };
+    assert.match(cacheKey(base), /^[0-9a-f]{16}$/);
+    assert.equal(cacheKey(base), cacheKey({ ...base, config: { territoryRadius: 3, episodes: 10 } }));
+    assert.notEqual(cacheKey(base), cacheKey({ ...base, seed: 43 }));
+    assert.notEqual(cacheKey(base), cacheKey({ ...base, condition: 'maturity' }));
+    assert.notEqual(cacheKey(base), cacheKey({ ...base, config: { episodes: 11, territoryRadius: 3 } }));
+    assert.match(trainingSourceHash(), /^[0-9a-f]{16}$/);
+  });
+
+  it('round-trips results and treats unreadable or mismatched entries as misses', () => {
+    const result = { inference: { meanAccuracy: 0.6 }, trajectory: [0.5, 0.6] };
+    assert.equal(loadCachedResult(dir, 'aaaa'), null);
+    saveCachedResult(dir, 'aaaa', { seed: 1, condition: 'epsilon', config: {}, result });
+    assert.deepEqual(loadCachedResult(dir, 'aaaa'), result);
+    assert.deepEqual(readdirSync(dir), ['aaaa.json']);
+
+    writeFileSync(cachePath(dir, 'bbbb'), '{oops');
+    assert.equal(loadCachedResult(dir, 'bbbb'), null);
+    writeFileSync(cachePath(dir, 'cccc'), JSON.stringify({ version: 1, key: 'aaaa', result }));
+    assert.equal(loadCachedResult(dir, 'cccc'), null);
+  });
+});
+
+describe('cache source hash', () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'cache-src-'));
+    cpSync(fileURLToPath(new URL('../src', import.meta.url)), dir, { recursive: true });
+  });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('changes when runCondition() or its imports change, not when the report does', () => {
+    let hash = hashSources(dir);
+    assert.equal(hash, trainingSourceHash());
+    for (const [file, changes] of [
+      ['report.mjs', false], ['runner.mjs', true], ['spec.mjs', true], ['train.mjs', true],
+    ]) {
+      appendFileSync(join(dir, file), '\n// edited\n');
+      const next = hashSources(dir);
+      assert.equal(next !== hash, changes, file);
+      hash = next;
+    }
+  });
+});
+
+describe('runner cache', () => {
+  const log = console.log;
+  let lines = [];
+  let dir;
+  before(() => {
+    console.log = (...args) => lines.push(args.join(' '));
+    dir = mkdtempSync(join(tmpdir(), 'cache-run-'));
+  });
+  after(() => {
+    console.log = log;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const CONFIG = {
+    experiment: 't16', conditions: ['epsilon', 'control'], seeds: [42, 137],
+    episodes: 10, stepsPerEpisode: 5, checkpointDir: null,
+  };
+  const reused = () => lines.filter(l => l.includes('Reusing cached')).length;
+
+  it('reloads unchanged runs across experiments and condition names', async () => {
+    const config = { ...CONFIG, cacheDir: dir };
+    lines = [];
+    const fresh = runExperiment(config);
+    assert.equal(reused(), 0);
+    assert.equal(readdirSync(dir).length, 4);
+
+    lines = [];
+    const renamed = {
+      ...config, experiment: 't16b', conditions: ['flat', 'control'],
+      conditionSpecs: { flat: { condition: 'epsilon', overrides: {} } },
+    };
+    const cached = await runExperimentParallel(renamed, { concurrency: 2 });
+    assert.equal(reused(), 4);
+    assert.deepEqual(cached.map(r => r.flat), fresh.map(r => r.epsilon));
+    assert.deepEqual(cached.map(r => r.control), fresh.map(r => r.control));
+  });
+
+  it('retrains when the config changes or with force', () => {
+    lines = [];
+    runExperiment({ ...CONFIG, cacheDir: dir, episodes: 12 });
+    assert.equal(reused(), 0);
+    assert.equal(readdirSync(dir).length, 8);
+
+    lines = [];
+    const forced = runExperiment({ ...CONFIG, cacheDir: dir }, { force: true });
+    assert.equal(reused(), 0);
+    assert.deepEqual(forced, runExperiment({ ...CONFIG, cacheDir: null }));
+  });
+});
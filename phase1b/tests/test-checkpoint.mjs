@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createNetwork } from '../src/network.mjs';
+import { createAstrocytes } from '../src/astrocyte.mjs';
+import { createRngStreams } from '../src/rng.mjs';
+import { runInference } from '../src/inference.mjs';
+import { trainingPatterns } from '../src/task.mjs';
+import {
+  CHECKPOINT_VERSION, buildCheckpoint, restoreCheckpoint,
+  saveCheckpoint, loadCheckpoint,
+} from '../src/checkpoint.mjs';
+
+function trainedLike(seed) {
+  const rng = createRngStreams(seed);
+  const net = createNetwork({ biasCount: 1 }, rng.network);
+  for (const s of net.synapses) s.weight += (rng.perturb.random() - 0.5) * 1e-3;
+  const astrocytes = createAstrocytes(net, trainingPatterns.length);
+  astrocytes[0].rewardHistory.push(1, 0, 1);
+  astrocytes[0].activationCount = 17;
+  return { net, astrocytes };
+}
+
+describe('checkpoint', () => {
+  it('round-trips weights, thresholds and inference exactly', () => {
+    const { net, astrocytes } = trainedLike(42);
+    net.neurons[12].threshold = 0.123456789012345;
+    const { network } = restoreCheckpoint(JSON.parse(JSON.stringify(buildCheckpoint(net, astrocytes))));
+    assert.deepEqual(network.synapses.map(s => s.weight), net.synapses.map(s => s.weight));
+    assert.deepEqual(network.neurons.map(n => n.threshold), net.neurons.map(n => n.threshold));
+    assert.deepEqual(network.biasIds, net.biasIds);
+    assert.deepEqual(runInference(network), runInference(net));
+  });
+
+  it('re-links astrocyte ownedSynapses to the restored synapse objects', () => {
+    const { net, astrocytes } = trainedLike(7);
+    const data = JSON.parse(JSON.stringify(buildCheckpoint(net, astrocytes, { seed: 7 })));
+    assert.ok(data.astrocytes.every(a => a.ownedSynapses.every(id => typeof id === 'number')));
+
+    const restored = restoreCheckpoint(data);
+    assert.equal(restored.meta.seed, 7);
+    const ast = restored.astrocytes[0];
+    assert.deepEqual(ast.rewardHistory, [1, 0, 1]);
+    assert.equal(ast.activationCount, 17);
+    assert.ok(ast.ownedSynapses.every(s => restored.network.synapses.includes(s)));
+    assert.deepEqual(ast.ownedSynapses.map(s => s.id), astrocytes[0].ownedSynapses.map(s => s.id));
+  });
+
+  it('saves to and loads from disk', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'ckpt-'));
+    try {
+      const { net } = trainedLike(3);
+      const path = join(dir, 'nested', 'net.json');
+      saveCheckpoint(path, net, null, { condition: 'control' }, { episode: 100, trajectory: [] });
+      const loaded = loadCheckpoint(path);
+      assert.equal(loaded.astrocytes, null);
+      assert.deepEqual(loaded.training, { episode: 100, trajectory: [] });
+      assert.equal(loaded.data.version, CHECKPOINT_VERSION);
+      assert.deepEqual(runInference(loaded.network), runInference(net));
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('migrates version 1 files, which had no training state', () => {
+    const { net, astrocytes } = trainedLike(5);
+    const { training, ...v1 } = { ...buildCheckpoint(net, astrocytes), version: 1 };
+    const restored = restoreCheckpoint(JSON.parse(JSON.stringify(v1)));
+    assert.equal(restored.data.version, CHECKPOINT_VERSION);
+    assert.equal(restored.training, null);
+    assert.equal(restored.astrocytes.length, astrocytes.length);
+  });
+
+  it('rejects newer and unversioned files', () => {
+    const { net } = trainedLike(1);
+    const data = buildCheckpoint(net);
+    assert.throws(() => restoreCheckpoint({ ...data, version: CHECKPOINT_VERSION + 1 }), /newer/);
+    const dir = mkdtempSync(join(tmpdir(), 'ckpt-'));
+    try {
+      writeFileSync(join(dir, 'x.json'), '{"network":{}}');
+      assert.throws(() => loadCheckpoint(join(dir, 'x.json')), /missing version/);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
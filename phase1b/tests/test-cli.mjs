@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCli, parseValue } from '../src/cli.mjs';
+
+const DEFAULTS = {
+  experiment: '024',
+  conditions: ['maturity', 'epsilon', 'control'],
+  seeds: [42, 137],
+  episodes: 20000,
+  stepsPerEpisode: 10,
+  territoryRadius: 3.0,
+  biasCount: 0,
+  clusterRoles: { input: 5, output: 5, modulatory: 2, regular: 23 },
+  outDir: './reports',
+};
+
+describe('parseCli', () => {
+  it('returns the defaults unchanged without arguments', () => {
+    const { config, resume } = parseCli([], DEFAULTS);
+    assert.deepEqual(config, DEFAULTS);
+    assert.notEqual(config, DEFAULTS);
+    assert.equal(resume, false);
+  });
+
+  it('reads conditions, seeds, episodes, steps and output directory', () => {
+    const { config } = parseCli([
+      '--conditions', 'epsilon,control', '--seeds', '1,2,3',
+      '--episodes', '500', '--steps-per-episode', '5', '--out', 'out/',
+    ], DEFAULTS);
+    assert.deepEqual(config.conditions, ['epsilon', 'control']);
+    assert.deepEqual(config.seeds, [1, 2, 3]);
+    assert.equal(config.episodes, 500);
+    assert.equal(config.stepsPerEpisode, 5);
+    assert.equal(config.outDir, 'out');
+  });
+
+  it('applies repeated and nested --set overrides without touching the defaults', () => {
+    const { config, resume } = parseCli([
+      '--set', 'biasCount=2', '--set', 'clusterRoles.regular=30',
+      '--set', 'experiment=025', '--resume',
+    ], DEFAULTS);
+    assert.equal(config.biasCount, 2);
+    assert.equal(config.clusterRoles.regular, 30);
+    assert.equal(config.experiment, '025');
+    assert.equal(DEFAULTS.clusterRoles.regular, 23);
+    assert.equal(resume, true);
+  });
+
+  it('rejects unknown conditions, bad integers and malformed --set', () => {
+    assert.throws(() => parseCli(['--conditions', 'nope'], DEFAULTS), /Unknown condition/);
+    assert.throws(() => parseCli(['--seeds', '1,x'], DEFAULTS), /integers/);
+    assert.throws(() => parseCli(['--set', 'territoryRadius'], DEFAULTS), /key=value/);
+    assert.throws(() => parseCli(['--bogus'], DEFAULTS));
+  });
+
+  it('rejects --set for keys that training does not read', () => {
+    assert.throws(() => parseCli(['--set', 'neuronsPerCluster=40'], DEFAULTS), /--set neuronsPerCluster: training does not read/);
+    assert.throws(() => parseCli(['--set', 'numPatterns=3'], DEFAULTS), /--set numPatterns/);
+    const { config } = parseCli(['--set', 'astrocytesPerCluster=6'], { ...DEFAULTS, astrocytesPerCluster: 4 });
+    assert.equal(config.astrocytesPerCluster, 6);
+  });
+});
+
+describe('parseValue', () => {
+  it('parses JSON where possible and falls back to strings', () => {
+    assert.equal(parseValue('0.25'), 0.25);
+    assert.equal(parseValue('false'), false);
+    assert.equal(parseValue('null'), null);
+    assert.deepEqual(parseValue('[[1,0],[0,1]]'), [[1, 0], [0, 1]]);
+    assert.equal(parseValue('layered'), 'layered');
+  });
+});
+
+describe('parseCli adaptive seeding', () => {
+  it('reads --target-ci-width and --max-seeds', () => {
+    const { config } = parseCli(['--target-ci-width', '0.02', '--max-seeds', '30'], DEFAULTS);
+    assert.equal(config.targetCiWidth, 0.02);
+    assert.equal(config.maxSeeds, 30);
+    assert.throws(() => parseCli(['--target-ci-width', '0'], DEFAULTS), /positive number/);
+    assert.throws(() => parseCli(['--max-seeds', '30'], DEFAULTS), /--max-seeds needs --target-ci-width/);
+  });
+});
+
+describe('parseCli --force', () => {
+  it('reads --force, off by default', () => {
+    assert.equal(parseCli([], DEFAULTS).force, false);
+    assert.equal(parseCli(['--force'], DEFAULTS).force, true);
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  validateEvolution, evolutionToConfig, startIndividual, mutate, breed, rankPool,
+  runEvolution, readLineage, ancestry, searchHash,
+} from '../src/evolve.mjs';
+import { createRng } from '../src/rng.mjs';
+import { BASE_CONFIG } from '../src/config.mjs';
+
+const EVOLUTION = {
+  id: 't18', condition: 'maturity', seeds: [1], mu: 2, lambda: 4, generations: 3, sigma: 0.2, searchSeed: 5,
+  parameters: {
+    activationThresholdMin: { min: 0.02, max: 0.3 },
+    historySize:            { min: 5, max: 80, scale: 'log', integer: true },
+    maturityHorizon:        { min: 250, max: 8000, scale: 'log' },
+  },
+};
+
+const DEFAULTS = { ...BASE_CONFIG, episodes: 5, stepsPerEpisode: 5, checkpointDir: null, cacheDir: null, registryPath: null };
+
+describe('validateEvolution', () => {
+  it('accepts a well-formed spec and names what is wrong otherwise', () => {
+    validateEvolution(EVOLUTION);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, mu: 5 }), /"mu" must not exceed "lambda"/);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, generations: 0 }), /"generations"/);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, sigma: 2 }), /"sigma"/);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, seeds: [] }), /"seeds"/);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, start: { radius: 1 } }), /not a parameter/);
+    assert.throws(() => validateEvolution({ ...EVOLUTION, popsize: 4 }), /unknown key "popsize"/);
+  });
+
+  it('rejects parameters the config does not have', () => {
+    assert.throws(() => evolutionToConfig({ ...EVOLUTION, parameters: { radius: { min: 1, max: 2 } } }, DEFAULTS),
+      /"radius" is not a key/);
+    assert.throws(() => evolutionToConfig({ ...EVOLUTION, parameters: { numPatterns: { min: 1, max: 8 } } },
+      { ...DEFAULTS, numPatterns: 8 }), /"numPatterns" does not affect training/);
+  });
+});
+
+describe('mutation', () => {
+  const config = evolutionToConfig(EVOLUTION, DEFAULTS);
+
+  it('starts from the config values unless the spec gives a start', () => {
+    assert.deepEqual(startIndividual(EVOLUTION, config).params,
+      { activationThresholdMin: 0.1, historySize: 20, maturityHorizon: 2000 });
+    const start = startIndividual({ ...EVOLUTION, start: { historySize: 40 } }, config);
+    assert.equal(start.params.historySize, 40);
+    assert.deepEqual(start.sigma, [0.2, 0.2, 0.2]);
+  });
+
+  it('keeps children inside the ranges and step sizes inside their bounds', () => {
+    const rng    = createRng(1);
+    const parent = { ...startIndividual(EVOLUTION, config), sigma: [0.5, 0.5, 0.5] };
+    for (let i = 0; i < 200; i++) {
+      const child = mutate(EVOLUTION, parent, 1, i, rng);
+      assert.equal(child.parent, parent.id);
+      assert.ok(child.u.every(u => u >= 0 && u <= 1));
+      assert.ok(child.sigma.every(s => s >= 1e-3 && s <= 0.5));
+      assert.ok(child.params.historySize >= 5 && child.params.historySize <= 80 && Number.isInteger(child.params.historySize));
+    }
+  });
+
+  it('breeds start + λ in generation 0 and λ round-robin children later', () => {
+    const rng  = createRng(2);
+    const gen0 = breed(EVOLUTION, config, { generation: 0 }, rng);
+    assert.deepEqual(gen0.map(ind => ind.id), ['g00-00', 'g00-01', 'g00-02', 'g00-03', 'g00-04']);
+    const gen1 = breed(EVOLUTION, config, { generation: 1, parents: gen0.slice(0, 2) }, rng);
+    assert.deepEqual(gen1.map(ind => ind.parent), ['g00-00', 'g00-01', 'g00-00', 'g00-01']);
+  });
+
+  it('ranks by score and keeps breeding order on ties', () => {
+    const pool = [{ id: 'a', score: 0.5 }, { id: 'b', score: 0.7 }, { id: 'c', score: 0.5 }];
+    assert.deepEqual(rankPool(pool).map(ind => ind.id), ['b', 'a', 'c']);
+  });
+});
+
+describe('runEvolution', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'evolve-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const quiet = async fn => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      return await fn();
+    } finally {
+      console.log = log;
+    }
+  };
+  const config = evolutionToConfig(EVOLUTION, DEFAULTS);
+  const paths  = name => ({ statePath: join(dir, `${name}.state.json`), lineagePath: join(dir, `${name}.lineage.jsonl`) });
+
+  it('logs every vector and tracks the best one', async () => {
+    const state   = await quiet(() => runEvolution(EVOLUTION, config, paths('full')));
+    const lineage = readLineage(paths('full').lineagePath);
+    assert.equal(state.generation, 3);
+    assert.equal(lineage.length, 5 + 4 + 4);
+    assert.equal(lineage.filter(row => row.selected).length, 3 * 2);
+    assert.equal(state.best.score, Math.max(...lineage.map(row => row.score)));
+    const chain = ancestry(lineage, state.best.id);
+    assert.equal(chain[0].parent, null);
+    assert.equal(chain[chain.length - 1].id, state.best.id);
+  });
+
+  it('resumes to the same search as an uninterrupted run', async () => {
+    const full = readLineage(paths('full').lineagePath);
+    const p    = paths('split');
+    await quiet(() => runEvolution({ ...EVOLUTION, generations: 2 }, config, p));
+    // An unfinished generation's lines are dropped on resume
+    writeFileSync(p.lineagePath, readFileSync(p.lineagePath, 'utf8') + JSON.stringify({ generation: 2, id: 'stale' }) + '\n');
+    const state = await quiet(() => runEvolution(EVOLUTION, config, { ...p, resume: true }));
+    assert.equal(state.generation, 3);
+    assert.deepEqual(readLineage(p.lineagePath), full);
+  });
+
+  it('refuses to resume a different search', async () => {
+    const p = paths('full');
+    assert.notEqual(searchHash({ ...EVOLUTION, mu: 1 }, config), searchHash(EVOLUTION, config));
+    assert.equal(searchHash({ ...EVOLUTION, generations: 9 }, config), searchHash(EVOLUTION, config));
+    await assert.rejects(runEvolution({ ...EVOLUTION, mu: 1 }, config, { ...p, resume: true }), /different search/);
+  });
+});
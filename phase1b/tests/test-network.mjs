@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetwork } from '../src/network.mjs';
+import { seedRandom } from '../src/rng.mjs';
+
+describe('createNetwork', () => {
+  it('defaults to 2 clusters × 35 neurons with ids equal to array index', () => {
+    seedRandom(42);
+    const net = createNetwork();
+    assert.equal(net.neurons.length, 70);
+    assert.ok(net.neurons.every((n, i) => n.id === i));
+    assert.deepEqual(net.inputIds, [0, 1, 2, 3, 4]);
+    assert.deepEqual(net.outputIds, [5, 6, 7, 8, 9]);
+  });
+
+  it('never connects into input neurons', () => {
+    seedRandom(1);
+    const net = createNetwork();
+    assert.ok(net.synapses.every(s => net.neurons[s.post].type !== 'input'));
+  });
+
+  it('honours per-cluster roles and input/output clusters', () => {
+    seedRandom(7);
+    const net = createNetwork({
+      clusters: 3,
+      clusterRoles: [
+        { input: 3, output: 0, modulatory: 0, regular: 4 },
+        { input: 0, output: 0, modulatory: 1, regular: 6 },
+        { input: 0, output: 2, modulatory: 0, regular: 5 },
+      ],
+      outputCluster: 2,
+    });
+    assert.equal(net.neurons.length, 21);
+    assert.equal(net.clusterCount, 3);
+    assert.deepEqual(net.inputIds, [0, 1, 2]);
+    assert.deepEqual(net.outputIds, [14, 15]);
+  });
+
+  it('uses the connection matrix per cluster pair', () => {
+    seedRandom(3);
+    const net = createNetwork({ connectionMatrix: [[1, 0], [0, 0]] });
+    assert.ok(net.synapses.length > 0);
+    assert.ok(net.synapses.every(s => net.neurons[s.pre].cluster === 0 && net.neurons[s.post].cluster === 0));
+  });
+
+  it('places bias neurons after the inputs as input type, outside inputIds', () => {
+    seedRandom(42);
+    const net = createNetwork({ biasCount: 2 });
+    assert.deepEqual(net.biasIds, [5, 6]);
+    assert.deepEqual(net.inputIds, [0, 1, 2, 3, 4]);
+    assert.deepEqual(net.outputIds, [7, 8, 9, 10, 11]);
+    assert.ok(net.biasIds.every(id => net.neurons[id].type === 'input' && net.neurons[id].bias));
+    assert.ok(net.synapses.some(s => s.pre === 5));
+    assert.ok(net.synapses.every(s => !net.biasIds.includes(s.post)));
+  });
+
+  it('rejects a matrix of the wrong size', () => {
+    assert.throws(() => createNetwork({ clusters: 3, connectionMatrix: [[1, 1], [1, 1]] }), /3×3/);
+  });
+});
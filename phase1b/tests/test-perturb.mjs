@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveWeights, perturb, revertWeights } from '../src/perturb.mjs';
+import { seedRandom } from '../src/rng.mjs';
+
+function fixture() {
+  const synapses = [{ id: 0, weight: 0.1 }, { id: 1, weight: -0.2 }];
+  const neurons  = [{ id: 5, threshold: 0.5 }, { id: 6, threshold: 0.5 }];
+  return { synapses, neurons };
+}
+
+describe('perturb', () => {
+  it('leaves thresholds alone when no neurons are eligible', () => {
+    seedRandom(1);
+    const { synapses, neurons } = fixture();
+    perturb(synapses);
+    assert.notEqual(synapses[0].weight, 0.1);
+    assert.ok(neurons.every(n => n.threshold === 0.5));
+  });
+
+  it('perturbs eligible thresholds with their own std', () => {
+    seedRandom(1);
+    const { synapses, neurons } = fixture();
+    perturb(synapses, neurons, { thresholdStd: 0 });
+    assert.ok(neurons.every(n => n.threshold === 0.5));
+    perturb(synapses, neurons, { thresholdStd: 0.05 });
+    assert.ok(neurons.some(n => n.threshold !== 0.5));
+  });
+
+  it('clamps weights to ±2', () => {
+    seedRandom(1);
+    const s = [{ id: 0, weight: 1.9999 }];
+    for (let i = 0; i < 200; i++) perturb(s);
+    assert.ok(Math.abs(s[0].weight) <= 2.0);
+  });
+
+  it('takes the weight std and clamp from params', () => {
+    seedRandom(1);
+    const s = [{ id: 0, weight: 0.5 }];
+    perturb(s, [], { std: 0 });
+    assert.equal(s[0].weight, 0.5);
+    for (let i = 0; i < 200; i++) perturb(s, [], { std: 1, maxWeight: 0.6 });
+    assert.ok(Math.abs(s[0].weight) <= 0.6);
+  });
+});
+
+describe('saveWeights / revertWeights', () => {
+  it('restores both weights and thresholds', () => {
+    seedRandom(2);
+    const { synapses, neurons } = fixture();
+    const saved = saveWeights(synapses, neurons);
+    perturb(synapses, neurons, { thresholdStd: 0.1 });
+    revertWeights(saved);
+    assert.deepEqual(synapses.map(s => s.weight), [0.1, -0.2]);
+    assert.deepEqual(neurons.map(n => n.threshold), [0.5, 0.5]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readPerSeedAccuracies, pairedPower, requiredSeeds, seedsForCiWidth, planSeeds, nextSeeds,
+} from '../src/power.mjs';
+
+const LEGACY_REPORT = `## Per-Seed Results
+
+| Seed | Maturity acc (d) | Epsilon acc (d) | Control acc | M>E |
+|------|------------------|-----------------|-------------|-----|
+| 42 | 0.675 (4d) | 0.650 (6d) | 0.500 | ✅ |
+| 137 | 0.725 (7d) | 0.725 (7d) | 0.500 | — |
+
+## Trajectory
+`;
+
+const CURRENT_REPORT = `| Seed | slow acc (d) | cursor acc (d) | Best | slow keep/revert (%) |
+| --- | --- | --- | --- | --- |
+| 1 | 0.600 (3d) | 0.550 (2d) | slow | 10/20 (33.3%) |
+| 2 | 0.650 (4d) | 0.700 (5d) | cursor | 12/18 (40.0%) |
+`;
+
+describe('readPerSeedAccuracies', () => {
+  it('reads the accuracy columns of legacy and current per-seed tables', () => {
+    assert.deepEqual(readPerSeedAccuracies(LEGACY_REPORT), {
+      seeds: [42, 137],
+      conditions: { maturity: [0.675, 0.725], epsilon: [0.65, 0.725], control: [0.5, 0.5] },
+    });
+    assert.deepEqual(readPerSeedAccuracies(CURRENT_REPORT), {
+      seeds: [1, 2],
+      conditions: { slow: [0.6, 0.65], cursor: [0.55, 0.7] },
+    });
+  });
+
+  it('throws without a per-seed table', () => {
+    assert.throws(() => readPerSeedAccuracies('# Nothing here\n| Seeds | 42 |'), /No per-seed accuracy table/);
+  });
+});
+
+describe('power', () => {
+  it('matches the exact paired t-test sample sizes', () => {
+    assert.equal(requiredSeeds(1, { delta: 0.2 }), 199);
+    assert.equal(requiredSeeds(1, { delta: 0.5 }), 34);
+    assert.equal(requiredSeeds(1, { delta: 0.8 }), 15);
+  });
+
+  it('grows with n and handles degenerate inputs', () => {
+    assert.ok(pairedPower(0.03, 10) < pairedPower(0.03, 40));
+    assert.equal(pairedPower(0.03, 1), 0);
+    assert.equal(pairedPower(0, 5), 1);
+    assert.equal(requiredSeeds(0.03, { delta: 0 }), Infinity);
+  });
+
+  it('finds the seeds for a CI of a given width', () => {
+    // 2 · t(0.975, n − 1) · σ / √n ≤ 1 with σ = 1: n = 18 (2.110 · 2 / √18 = 0.995)
+    assert.equal(seedsForCiWidth(1, 1), 18);
+  });
+
+  it('plans a condition pair from per-seed accuracies', () => {
+    const plan = planSeeds([0.7, 0.72, 0.69, 0.75], [0.68, 0.7, 0.7, 0.72], { ciWidth: 0.02 });
+    assert.equal(plan.n, 4);
+    assert.ok(Math.abs(plan.meanDiff - 0.015) < 1e-12);
+    assert.ok(plan.seedsForDelta > plan.seedsForObserved);
+    assert.equal(typeof plan.seedsForCiWidth, 'number');
+  });
+
+  it('gives no seed counts without a spread estimate', () => {
+    const plan = planSeeds([0.5], [0.4], { ciWidth: 0.02 });
+    assert.match(plan.error, /need ≥2 seeds/);
+    assert.ok(Number.isNaN(plan.sdDiff) && Number.isNaN(plan.currentPower));
+    assert.deepEqual([plan.seedsForDelta, plan.seedsForObserved, plan.seedsForCiWidth], [null, null, null]);
+    assert.equal(planSeeds([0.5, 0.6], [0.4, 0.4]).error, undefined);
+  });
+});
+
+describe('nextSeeds', () => {
+  it('draws new, distinct seeds deterministically from the existing list', () => {
+    const seeds = nextSeeds([42, 137], 5);
+    assert.equal(new Set([42, 137, ...seeds]).size, 7);
+    assert.deepEqual(nextSeeds([42, 137], 5), seeds);
+    assert.notDeepEqual(nextSeeds([42, 138], 5), seeds);
+  });
+});
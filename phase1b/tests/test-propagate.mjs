@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetwork } from '../src/network.mjs';
+import { propagate, getLayers } from '../src/propagate.mjs';
+import { seedRandom } from '../src/rng.mjs';
+
+// Input 0 → hidden (id 12, regular) → output 5; no other synapses
+function chainNetwork(overrides) {
+  seedRandom(5);
+  const net = createNetwork({ connectionMatrix: [[0, 0], [0, 0]], ...overrides });
+  net.synapses.push({ id: 0, pre: 0,  post: 12, weight: 1.0 });
+  net.synapses.push({ id: 1, pre: 12, post: 5,  weight: 1.0 });
+  return net;
+}
+
+describe('propagate', () => {
+  it('drives and reads the network-provided neuron ids', () => {
+    seedRandom(5);
+    const net = createNetwork({ connectionMatrix: [[0, 0], [0, 0]] });
+    net.synapses.push({ id: 0, pre: net.inputIds[1], post: net.outputIds[3], weight: 1.0 });
+    const { binaryOutput } = propagate(net, [0, 1, 0, 0, 0]);
+    assert.deepEqual(binaryOutput, [0, 0, 0, 1, 0]);
+  });
+
+  it('bias neurons fire on every pass, even for an all-zero input', () => {
+    seedRandom(5);
+    const net = createNetwork({ connectionMatrix: [[0, 0], [0, 0]], biasCount: 1 });
+    net.synapses.push({ id: 0, pre: net.biasIds[0], post: net.outputIds[2], weight: 1.0 });
+    const { binaryOutput } = propagate(net, [0, 0, 0, 0, 0]);
+    assert.equal(net.neurons[net.biasIds[0]].fired, true);
+    assert.deepEqual(binaryOutput, [0, 0, 1, 0, 0]);
+  });
+
+  it('single mode: hidden neurons cannot reach outputs', () => {
+    const net = chainNetwork({ propagationMode: 'single' });
+    const { binaryOutput } = propagate(net, [1, 0, 0, 0, 0]);
+    assert.equal(net.neurons[12].fired, true);
+    assert.deepEqual(binaryOutput, [0, 0, 0, 0, 0]);
+  });
+
+  it('settle mode: two cycles carry activity through a hidden neuron', () => {
+    const one = chainNetwork({ propagationMode: 'settle', propagationCycles: 1 });
+    assert.deepEqual(propagate(one, [1, 0, 0, 0, 0]).binaryOutput, [0, 0, 0, 0, 0]);
+    const two = chainNetwork({ propagationMode: 'settle', propagationCycles: 2 });
+    const { binaryOutput, activations } = propagate(two, [1, 0, 0, 0, 0]);
+    assert.deepEqual(binaryOutput, [1, 0, 0, 0, 0]);
+    assert.equal(activations[0], 1.0);
+  });
+
+  it('settle mode counts each call once in fire-rate counters', () => {
+    const net = chainNetwork({ propagationMode: 'settle', propagationCycles: 4 });
+    propagate(net, [1, 0, 0, 0, 0]);
+    assert.equal(net.neurons[5].stepCount, 1);
+    assert.equal(net.neurons[5].fireCount, 1);
+  });
+
+  it('layered mode: one pass in hop order reaches the output', () => {
+    const net = chainNetwork({ propagationMode: 'layered' });
+    const { layers } = getLayers(net);
+    assert.ok(layers[0].includes(12));
+    assert.ok(layers[1].includes(5));
+    assert.deepEqual(propagate(net, [1, 0, 0, 0, 0]).binaryOutput, [1, 0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetwork } from '../src/network.mjs';
+import { analyzeReachability } from '../src/reachability.mjs';
+import { trainingPatterns } from '../src/task.mjs';
+import { seedRandom } from '../src/rng.mjs';
+
+// Input 0 → hidden 12 → output 5, plus a dead synapse inside cluster 1
+function chainNetwork(overrides) {
+  seedRandom(5);
+  const net = createNetwork({ connectionMatrix: [[0, 0], [0, 0]], ...overrides });
+  net.synapses.push({ id: 0, pre: 0,  post: 12, weight: 0.1 });
+  net.synapses.push({ id: 1, pre: 12, post: 5,  weight: 0.1 });
+  net.synapses.push({ id: 2, pre: 40, post: 41, weight: 0.1 });
+  return net;
+}
+
+describe('analyzeReachability', () => {
+  it('single mode: a two-hop chain is not on any usable path', () => {
+    const report = analyzeReachability(chainNetwork({ propagationMode: 'single' }), trainingPatterns);
+    assert.deepEqual(report.relevantSynapseIds, []);
+    assert.deepEqual(report.outputs[0].reachableInputs, []);
+  });
+
+  it('settle mode with 2 cycles: the chain is usable, the cluster 1 synapse is not', () => {
+    const report = analyzeReachability(
+      chainNetwork({ propagationMode: 'settle', propagationCycles: 2 }), trainingPatterns);
+    assert.deepEqual(report.relevantSynapseIds, [0, 1]);
+    assert.deepEqual(report.outputs[0].reachableInputs, [0]);
+  });
+
+  it('layered mode: unreached neurons are not counted as reachable', () => {
+    const report = analyzeReachability(chainNetwork({ propagationMode: 'layered' }), trainingPatterns);
+    assert.deepEqual(report.relevantSynapseIds, [0, 1]);
+    assert.deepEqual(report.outputs[1].reachableInputs, []);
+  });
+
+  it('flags the all-zero pattern P1 as impossible for target-1 bits', () => {
+    seedRandom(42);
+    const report = analyzeReachability(createNetwork(), trainingPatterns);
+    // P1 targets [1,0,1,0,1]: bits 0, 2 and 4 cannot fire without input drive
+    for (const bit of [0, 2, 4]) {
+      assert.equal(report.outputs[bit].patterns[0].achievable, false);
+      assert.equal(report.outputs[bit].mappingAchievable, false);
+    }
+    assert.equal(report.outputs[1].patterns[0].achievable, true);
+    assert.ok(report.accuracyUpperBound < 1);
+  });
+
+  it('a bias neuron reaching an output makes zero-input target-1 bits achievable', () => {
+    seedRandom(42);
+    const report = analyzeReachability(createNetwork({ biasCount: 2 }), trainingPatterns);
+    const biased = report.outputs.filter(o => o.reachableBias.length > 0);
+    assert.ok(biased.length > 0);
+    for (const o of biased) assert.equal(o.patterns[0].achievable, true);
+  });
+
+  it('learnable thresholds lift the zero-input restriction', () => {
+    seedRandom(42);
+    const net = createNetwork();
+    const fixed   = analyzeReachability(net, trainingPatterns);
+    const mutable = analyzeReachability(net, trainingPatterns, { thresholdsMutable: true });
+    assert.equal(mutable.outputs[0].patterns[0].achievable, true);
+    assert.ok(mutable.accuracyUpperBound >= fixed.accuracyUpperBound);
+  });
+
+  it('patterns with identical reaching inputs and different targets bound the bit', () => {
+    const net = chainNetwork({ propagationMode: 'settle', propagationCycles: 2 });
+    const patterns = [
+      { input: [1, 0, 0, 0, 0], target: [1, 0, 0, 0, 0] },
+      { input: [1, 1, 0, 0, 0], target: [0, 0, 0, 0, 0] },
+    ];
+    const report = analyzeReachability(net, patterns);
+    assert.equal(report.outputs[0].maxCorrect, 1);
+  });
+});
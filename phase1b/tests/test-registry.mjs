@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  canonicalJson, configHash, sourceFingerprint, appendRecords, readRegistry, importReport,
+  parseCondition, filterRecords, latestRecords, aggregate, REGISTRY_VERSION,
+} from '../src/registry.mjs';
+import { runExperiment, runExperimentParallel } from '../src/runner.mjs';
+
+const record = (experiment, condition, seed, acc, timestamp = '2026-01-01T00:00:00.000Z', hash = 'h1') => ({
+  version: REGISTRY_VERSION, timestamp, experiment, seed, condition, configHash: hash,
+  config: { territoryRadius: condition === 'wide' ? 4 : 3 }, metrics: { meanAccuracy: acc },
+});
+
+describe('registry hashes', () => {
+  it('hashes configs independently of key order', () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: null } }),
+      '{"a":{"c":null,"d":[1,{"e":3,"f":2}]},"b":1}');
+    assert.equal(configHash({ x: 1, y: 2 }), configHash({ y: 2, x: 1 }));
+    assert.notEqual(configHash({ x: 1 }), configHash({ x: 2 }));
+    assert.match(sourceFingerprint(), /^[0-9a-f]{16}$/);
+  });
+});
+
+describe('registry files', () => {
+  let dir;
+  before(() => { dir = mkdtempSync(join(tmpdir(), 'registry-')); });
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('appends and reads records, creating the directory', () => {
+    const path = join(dir, 'nested', 'runs.jsonl');
+    assert.deepEqual(readRegistry(path), []);
+    appendRecords(path, [record('023', 'a', 1, 0.6)]);
+    appendRecords(path, [record('024', 'a', 1, 0.7), record('024', 'b', 1, 0.65)]);
+    assert.deepEqual(readRegistry(path).map(r => r.metrics.meanAccuracy), [0.6, 0.7, 0.65]);
+  });
+
+  it('reports the line of a corrupt record and rejects newer versions', () => {
+    const path = join(dir, 'bad.jsonl');
+    writeFileSync(path, JSON.stringify(record('024', 'a', 1, 0.7)) + '\n{oops\n');
+    assert.throws(() => readRegistry(path), /bad\.jsonl:2/);
+    writeFileSync(path, JSON.stringify({ ...record('024', 'a', 1, 0.7), version: REGISTRY_VERSION + 1 }) + '\n');
+    assert.throws(() => readRegistry(path), /newer than this code/);
+  });
+
+  it('imports the per-seed accuracies of a rendered report', () => {
+    const path = join(dir, 'experiment-023.md');
+    writeFileSync(path, '| Seed | Epsilon acc (d) | Control acc |\n|---|---|---|\n| 42 | 0.675 (5d) | 0.500 |\n');
+    const records = importReport(path);
+    assert.deepEqual(records.map(r => [r.experiment, r.condition, r.seed, r.metrics.meanAccuracy]),
+      [['023', 'epsilon', 42, 0.675], ['023', 'control', 42, 0.5]]);
+    assert.equal(records[0].imported, path);
+  });
+});
+
+describe('registry queries', () => {
+  const records = [
+    record('023', 'narrow', 1, 0.6),
+    record('024', 'narrow', 1, 0.7),
+    record('024', 'wide', 1, 0.8),
+    record('024', 'wide', 2, 0.6),
+    record('024', 'wide', 2, 0.9, '2026-02-01T00:00:00.000Z'),
+  ];
+
+  it('filters on dotted fields with typed comparisons', () => {
+    assert.deepEqual(parseCondition('config.territoryRadius>=3.5'), { path: 'config.territoryRadius', op: '>=', value: 3.5 });
+    assert.deepEqual(parseCondition('condition=wide'), { path: 'condition', op: '=', value: 'wide' });
+    assert.throws(() => parseCondition('nothing'), /Expected <field><op><value>/);
+    assert.equal(filterRecords(records, [parseCondition('config.territoryRadius>=3.5')]).length, 3);
+    assert.equal(filterRecords(records, [parseCondition('experiment=24')]).length, 4);
+    assert.equal(filterRecords(records, [parseCondition('experiment=024'), parseCondition('condition!=wide')]).length, 1);
+  });
+
+  it('keeps the newest record per run', () => {
+    const latest = latestRecords(records);
+    assert.equal(latest.length, 4);
+    assert.equal(latest.find(r => r.seed === 2).metrics.meanAccuracy, 0.9);
+  });
+
+  it('aggregates a metric per group', () => {
+    const rows = aggregate(latestRecords(records), ['experiment', 'condition']);
+    assert.deepEqual(rows.map(g => [g.key.experiment, g.key.condition, g.n]),
+      [['023', 'narrow', 1], ['024', 'narrow', 1], ['024', 'wide', 2]]);
+    const wide = rows[2];
+    assert.ok(Math.abs(wide.mean - 0.85) < 1e-12);
+    assert.ok(Math.abs(wide.sd - Math.sqrt(0.005)) < 1e-12);
+    assert.deepEqual([wide.min, wide.max], [0.8, 0.9]);
+  });
+});
+
+describe('runner registration', () => {
+  const log = console.log;
+  let dir;
+  before(() => {
+    console.log = () => {};
+    dir = mkdtempSync(join(tmpdir(), 'registry-run-'));
+  });
+  after(() => {
+    console.log = log;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const CONFIG = {
+    experiment: 't15', conditions: ['epsilon', 'control'], seeds: [42, 137],
+    episodes: 10, stepsPerEpisode: 5, checkpointDir: null,
+  };
+  const strip = rs => rs.map(({ timestamp, ...rest }) => rest);
+
+  it('records every (seed, condition) in seed order, serial and parallel alike', async () => {
+    const serialPath = join(dir, 'serial.jsonl'), parallelPath = join(dir, 'parallel.jsonl');
+    const results = runExperiment({ ...CONFIG, registryPath: serialPath });
+    await runExperimentParallel({ ...CONFIG, registryPath: parallelPath }, { concurrency: 2 });
+
+    const serial = readRegistry(serialPath);
+    assert.deepEqual(serial.map(r => [r.experiment, r.seed, r.condition]),
+      [['t15', 42, 'epsilon'], ['t15', 42, 'control'], ['t15', 137, 'epsilon'], ['t15', 137, 'control']]);
+    assert.equal(serial[0].metrics.meanAccuracy, results[0].epsilon.inference.meanAccuracy);
+    assert.deepEqual(serial[0].trajectory, results[0].epsilon.trajectory);
+    assert.equal(serial[1].astrocyteStats, null);
+    assert.equal(serial[0].config.experiment, undefined);
+    assert.equal(serial[0].config.registryPath, undefined);
+    assert.deepEqual(strip(readRegistry(parallelPath)), strip(serial));
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runExperiment } from '../src/runner.mjs';
+import { generateReport } from '../src/report.mjs';
+
+const CONFIG = {
+  experiment: 'r1',
+  title: 'Report test',
+  clusters: 2,
+  conditions: ['slow', 'cursor', 'control'],
+  conditionSpecs: {
+    slow:    { condition: 'epsilon', overrides: { perturbStd: 0.05 } },
+    cursor:  { condition: 'cursor' },
+    control: { condition: 'control' },
+  },
+  successCriteria: [
+    { type: 'meanAccuracyAtLeast', label: 'slow learns something', condition: 'slow', value: 0 },
+    { type: 'meanAccuracyGreater', label: 'maturity beats slow', a: 'maturity', b: 'slow' },
+  ],
+  seeds: [42, 137],
+  episodes: 20,
+  stepsPerEpisode: 5,
+  checkpointDir: null,
+};
+
+describe('generateReport', () => {
+  const log = console.log;
+  let dir, md, html;
+
+  before(() => {
+    console.log = () => {};
+    dir = mkdtempSync(join(tmpdir(), 'report-'));
+    const results = runExperiment(CONFIG);
+    generateReport(results, { ...CONFIG, outDir: dir }, Date.now());
+    md   = readFileSync(join(dir, 'experiment-r1.md'), 'utf8');
+    html = readFileSync(join(dir, 'experiment-r1.html'), 'utf8');
+  });
+  after(() => {
+    console.log = log;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('names the files and title after config.experiment', () => {
+    assert.match(md, /^# Experiment r1 — Report test/);
+    assert.match(html, /<title>Experiment r1 — Report test<\/title>/);
+  });
+
+  it('has a column per condition in the summary, per-seed and inference tables', () => {
+    assert.match(md, /\| Metric \| slow \| cursor \| control \|/);
+    assert.match(md, /\| Seed \| slow acc \(d\) \| cursor acc \(d\) \| control acc \(d\) \| Best \|/);
+    assert.match(md, /\| Pat \| Input \| Target \| slow out\/acc \| cursor out\/acc \| control out\/acc \|/);
+    assert.match(md, /\| slow \| epsilon \| perturbStd=0\.05 \|/);
+  });
+
+  it('shows trajectories for trained conditions and astrocyte tables only where astrocytes exist', () => {
+    assert.match(md, /\| Episode \| slow reward \| slow accept% \| cursor reward \| cursor accept% \|/);
+    assert.doesNotMatch(md, /control reward/);
+    assert.doesNotMatch(md, /## Astrocyte Movement/);
+    assert.doesNotMatch(md, /## Population/);
+    assert.doesNotMatch(md, /## Calcium Waves/);
+    assert.match(md, /\| Seed \| slow C0 \| slow C1 \|/);
+    assert.match(md, /\*\*Seed 137 — slow\*\*/);
+    assert.doesNotMatch(md, /Seed 42 — cursor/);
+    assert.equal((html.match(/<polyline/g) ?? []).length, 4);
+  });
+
+  it('compares every pair of conditions', () => {
+    assert.match(md, /\| Pair \| Mean diff \| 95% CI of diff \| Paired t \| Wilcoxon \| Cohen's d \|/);
+    for (const pair of ['slow − cursor', 'slow − control', 'cursor − control'])
+      assert.match(md, new RegExp(`\\| ${pair} \\| [-+]\\d`));
+    assert.match(md, /\| 95% CI \(bootstrap\) \| \[/);
+  });
+
+  it('judges criteria on conditions that ran and lists the rest as not run', () => {
+    assert.match(md, /\| slow learns something \| .* \| ✅ \|/);
+    assert.match(md, /\| maturity beats slow \| not run \| — \|/);
+    assert.match(md, /Overall: 1\/1 success criteria passed/);
+  });
+});
+
+describe('generateReport with moving astrocytes', () => {
+  const log = console.log;
+  let dir;
+  before(() => { console.log = () => {}; dir = mkdtempSync(join(tmpdir(), 'report-')); });
+  after(() => { console.log = log; rmSync(dir, { recursive: true, force: true }); });
+
+  it('tracks territory size and shows the paths', () => {
+    const config = {
+      ...CONFIG, conditions: ['roam'], successCriteria: [], seeds: [42], outDir: dir,
+      conditionSpecs: { roam: { condition: 'maturity',
+        overrides: { mobility: 'leader', mobilityInterval: 20, mobilityKeepRate: 0.9 } } },
+    };
+    generateReport(runExperiment(config), config, Date.now());
+    const md   = readFileSync(join(dir, 'experiment-r1.md'), 'utf8');
+    const html = readFileSync(join(dir, 'experiment-r1.html'), 'utf8');
+    assert.match(md, /## Territory Size[\s\S]*\| Episode \| roam radius \/ neurons \/ synapses \|/);
+    assert.match(md, /## Astrocyte Movement[\s\S]*\*\*Seed 42 — roam\*\*/);
+    assert.match(html, /<h2>Astrocyte Movement<\/h2>[\s\S]*<polyline/);
+  });
+});
+
+describe('generateReport with population dynamics', () => {
+  const log = console.log;
+  let dir;
+  before(() => { console.log = () => {}; dir = mkdtempSync(join(tmpdir(), 'report-')); });
+  after(() => { console.log = log; rmSync(dir, { recursive: true, force: true }); });
+
+  it('shows population size and the lineage', () => {
+    const config = {
+      ...CONFIG, conditions: ['grow'], successCriteria: [], seeds: [42], outDir: dir,
+      conditionSpecs: { grow: { condition: 'maturity', overrides: {
+        populationDynamics: true, populationInterval: 5, populationPatience: 1, splitSuccess: 0, splitMinNeurons: 2,
+        mergeUsefulness: 0 } } },
+    };
+    generateReport(runExperiment(config), config, Date.now());
+    const md   = readFileSync(join(dir, 'experiment-r1.md'), 'utf8');
+    const html = readFileSync(join(dir, 'experiment-r1.html'), 'utf8');
+    assert.match(md, /## Population[\s\S]*\| Episode \| grow astrocytes \|/);
+    assert.match(md, /\*\*Seed 42 — grow\*\*: 8 → \d+ astrocytes \(\d+ splits/);
+    assert.match(md, /\| \d+ \| split \| \d+ \| \d+, \d+ \|/);
+    assert.match(html, /<h2>Population<\/h2>/);
+  });
+});
+
+describe('generateReport with calcium waves', () => {
+  const log = console.log;
+  let dir;
+  before(() => { console.log = () => {}; dir = mkdtempSync(join(tmpdir(), 'report-')); });
+  after(() => { console.log = log; rmSync(dir, { recursive: true, force: true }); });
+
+  it('shows the gap junctions and wave statistics', () => {
+    const config = {
+      ...CONFIG, conditions: ['wave'], successCriteria: [], seeds: [42], outDir: dir,
+      conditionSpecs: { wave: { condition: 'maturity', overrides: { coupling: 'overlap', couplingStrength: 1 } } },
+    };
+    generateReport(runExperiment(config), config, Date.now());
+    const md   = readFileSync(join(dir, 'experiment-r1.md'), 'utf8');
+    const html = readFileSync(join(dir, 'experiment-r1.html'), 'utf8');
+    assert.match(md, /## Calcium Waves[\s\S]*\| 42 \| wave \| \d+ \(\d+\) \| \d\.\d\d \| [1-9]\d* \|/);
+    assert.match(md, /\| \d+ \+ \d+ε \+ \d+w \|/);
+    assert.match(html, /<h2>Calcium Waves<\/h2>/);
+  });
+});
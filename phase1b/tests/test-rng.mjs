@@ -0,0 +1,64 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRng, createRngStreams, deriveSeed, getStreamStates, setStreamStates, seedRandom,
+} from '../src/rng.mjs';
+import { createNetwork } from '../src/network.mjs';
+
+describe('createRng', () => {
+  it('is deterministic per seed and stays in [0, 1)', () => {
+    const a = createRng(42), b = createRng(42);
+    for (let i = 0; i < 1000; i++) {
+      const v = a.random();
+      assert.equal(v, b.random());
+      assert.ok(v >= 0 && v < 1);
+    }
+  });
+
+  it('setState resumes the exact sequence', () => {
+    const a = createRng(7);
+    for (let i = 0; i < 50; i++) a.random();
+    const state = a.getState();
+    const next = [a.random(), a.random(), a.random()];
+    const b = createRng(999);
+    b.setState(state);
+    assert.deepEqual([b.random(), b.random(), b.random()], next);
+  });
+
+  it('matches the legacy global seedRandom sequence', () => {
+    const orig = Math.random;
+    try {
+      seedRandom(314);
+      const legacy = [Math.random(), Math.random(), Math.random()];
+      const r = createRng(314);
+      assert.deepEqual([r.random(), r.random(), r.random()], legacy);
+    } finally {
+      Math.random = orig;
+    }
+  });
+});
+
+describe('createRngStreams', () => {
+  it('derives distinct seeds per stream name', () => {
+    assert.notEqual(deriveSeed(42, 'network'), deriveSeed(42, 'task'));
+    assert.notEqual(deriveSeed(42, 'network'), deriveSeed(43, 'network'));
+  });
+
+  it('draws in one stream do not disturb another', () => {
+    const a = createRngStreams(42);
+    const b = createRngStreams(42);
+    for (let i = 0; i < 500; i++) b.exploration.random();
+    const netA = createNetwork({}, a.network);
+    const netB = createNetwork({}, b.network);
+    assert.deepEqual(netA.synapses, netB.synapses);
+  });
+
+  it('stream states round-trip', () => {
+    const a = createRngStreams(5);
+    a.task.random(); a.perturb.random(); a.perturb.random();
+    const b = createRngStreams(5);
+    setStreamStates(b, getStreamStates(a));
+    assert.equal(a.perturb.random(), b.perturb.random());
+    assert.equal(a.task.random(), b.task.random());
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { runExperiment, runExperimentParallel, runAdaptive } from '../src/runner.mjs';
+
+const CONFIG = {
+  experiment: 'test',
+  conditions: ['epsilon', 'cursor', 'control'],
+  seeds: [42, 137],
+  episodes: 20,
+  stepsPerEpisode: 5,
+  checkpointDir: null,
+};
+
+describe('runExperimentParallel', () => {
+  const log = console.log;
+  let lines = [];
+  before(() => { console.log = (...args) => lines.push(args.join(' ')); });
+  after(() => { console.log = log; });
+
+  it('returns the serial results, in seed order, with the serial console output', async () => {
+    lines = [];
+    const serial = runExperiment(CONFIG);
+    const serialLog = lines;
+
+    lines = [];
+    const parallel = await runExperimentParallel(CONFIG, { concurrency: 3 });
+    assert.deepEqual(parallel, serial);
+    assert.deepEqual(parallel.map(r => r.seed), [42, 137]);
+    assert.deepEqual(lines, serialLog);
+  });
+
+  it('rejects when a job fails in a worker', async () => {
+    await assert.rejects(
+      runExperimentParallel({ ...CONFIG, conditions: ['epsilon'], propagationMode: 'bogus' }, { concurrency: 2 }),
+      /propagationMode/,
+    );
+  });
+});
+
+describe('seed header', () => {
+  const log = console.log;
+  let lines = [];
+  before(() => { console.log = (...args) => lines.push(args.join(' ')); });
+  after(() => { console.log = log; });
+
+  it('reports reachability for each condition\'s own config', () => {
+    lines = [];
+    runExperiment({
+      ...CONFIG, seeds: [42], conditions: ['epsilon', 'biased', 'control'],
+      conditionSpecs: { biased: { condition: 'epsilon', overrides: { biasCount: 2 } } },
+    });
+    const reach = lines.filter(l => l.includes('Reachable synapses'));
+    assert.equal(reach.length, 2);
+    assert.match(reach[0], /\(epsilon, control\)$/);
+    assert.match(reach[1], /\(biased\)$/);
+  });
+});
+
+describe('runAdaptive', () => {
+  const log = console.log;
+  before(() => { console.log = () => {}; });
+  after(() => { console.log = log; });
+
+  const adaptive = { ...CONFIG, conditions: ['epsilon', 'control'], seeds: [42, 137], seedBatch: 1 };
+
+  it('adds seeds until maxSeeds when the interval stays wide', async () => {
+    const { allResults, seeds } = await runAdaptive({ ...adaptive, targetCiWidth: 1e-9, maxSeeds: 4 });
+    assert.equal(seeds.length, 4);
+    assert.deepEqual(seeds.slice(0, 2), [42, 137]);
+    assert.deepEqual(allResults.map(r => r.seed), seeds);
+    assert.deepEqual(allResults[2], runExperiment({ ...adaptive, seeds: [seeds[2]] })[0]);
+  });
+
+  it('stops as soon as the interval is narrow enough', async () => {
+    const { seeds } = await runAdaptive({ ...adaptive, targetCiWidth: 1, maxSeeds: 4 });
+    assert.deepEqual(seeds, [42, 137]);
+  });
+
+  it('rejects a ciPair that is not being run', async () => {
+    await assert.rejects(runAdaptive({ ...adaptive, ciPair: ['maturity', 'control'], targetCiWidth: 1 }),
+      /ciPair condition "maturity"/);
+  });
+});
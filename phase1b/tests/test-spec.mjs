@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { loadSpec, validateSpec, specToConfig, resolveCondition } from '../src/spec.mjs';
+import { evaluateCriteria } from '../src/criteria.mjs';
+import { parseCli } from '../src/cli.mjs';
+
+const SPEC_024 = fileURLToPath(new URL('../experiments/experiment-024.json', import.meta.url));
+
+const MINIMAL = {
+  id: '900',
+  conditions: { fast: { condition: 'epsilon', overrides: { episodes: 10 } }, control: {} },
+  seeds: [1, 2],
+};
+
+describe('experiment specs', () => {
+  it('loads experiment 024 with its conditions, seeds and criteria', () => {
+    const config = specToConfig(loadSpec(SPEC_024), { outDir: './reports', episodes: 5 });
+    assert.equal(config.experiment, '024');
+    assert.deepEqual(config.conditions, ['maturity', 'epsilon', 'control']);
+    assert.equal(config.seeds.length, 10);
+    assert.equal(config.episodes, 20000);
+    assert.equal(config.outDir, './reports');
+    assert.equal(config.successCriteria.length, 4);
+  });
+
+  it('maps named conditions onto train() conditions with overrides', () => {
+    const config = specToConfig(MINIMAL, { episodes: 20000 });
+    const fast = resolveCondition(config, 'fast');
+    assert.equal(fast.condition, 'epsilon');
+    assert.equal(fast.config.episodes, 10);
+    assert.equal(resolveCondition(config, 'control').condition, 'control');
+    assert.equal(resolveCondition(config, 'control').config.episodes, 20000);
+  });
+
+  it('rejects unknown keys, train() conditions and criterion references', () => {
+    assert.throws(() => validateSpec({ ...MINIMAL, seed: [1] }), /unknown key "seed"/);
+    assert.throws(() => validateSpec({ ...MINIMAL, conditions: { x: { condition: 'nope' } } }), /unknown train\(\) condition/);
+    assert.throws(() => validateSpec({ ...MINIMAL, seeds: [] }), /seeds/);
+    assert.throws(() => validateSpec({
+      ...MINIMAL,
+      successCriteria: [{ type: 'meanAccuracyAtLeast', label: 'x', condition: 'slow', value: 0.5 }],
+    }), /unknown condition "slow"/);
+    assert.throws(() => validateSpec({ ...MINIMAL, successCriteria: [{ type: 'bogus', label: 'x' }] }), /criterion type/);
+  });
+
+  it('rejects misspelt and unwired config keys', () => {
+    assert.throws(() => validateSpec({ ...MINIMAL, architecture: { clusterz: 3 } }), /architecture: unknown config key "clusterz"/);
+    assert.throws(() => validateSpec({ ...MINIMAL, training: { baseEpsilonn: 0.2 } }), /training: unknown config key "baseEpsilonn"/);
+    assert.throws(() => validateSpec({ ...MINIMAL, architecture: { neuronsPerCluster: 99 } }),
+      /architecture: training does not read "neuronsPerCluster"/);
+    assert.throws(() => validateSpec({ ...MINIMAL, conditions: { epsilon: { overrides: { numPatterns: 3 } } } }),
+      /condition "epsilon" overrides: training does not read "numPatterns"/);
+    validateSpec({ ...MINIMAL, training: { episodes: 10 }, conditions: { epsilon: { overrides: { biasCount: 2 } } } });
+  });
+
+  it('is applied by parseCli, with command-line options on top', () => {
+    const { config } = parseCli(['--spec', SPEC_024, '--seeds', '7', '--set', 'biasCount=2'], { biasCount: 0 });
+    assert.equal(config.experiment, '024');
+    assert.deepEqual(config.seeds, [7]);
+    assert.equal(config.biasCount, 2);
+  });
+});
+
+describe('evaluateCriteria', () => {
+  const result = (acc, trajectory = [], astrocyteStats = null) =>
+    ({ inference: { meanAccuracy: acc }, trajectory, astrocyteStats });
+  const traj = rewards => rewards.map((avgReward, i) => ({ episode: i, avgReward, acceptRate: 0 }));
+  const asts = rates => rates.map((finalExplorationRate, i) => ({ cluster: i % 2, finalExplorationRate }));
+
+  const results = [
+    { seed: 1, a: result(0.8, traj([0.5, 0.6, 0.7, 0.7]), asts([0.01, 0.2, 0.02, 0.2])), b: result(0.6) },
+    { seed: 2, a: result(0.6, traj([0.5, 0.6, 0.7, 0.7]), asts([0.05, 0.2, 0.02, 0.05])), b: result(0.7) },
+  ];
+
+  it('judges each criterion type', () => {
+    const out = evaluateCriteria([
+      { type: 'meanAccuracyGreater', label: 'a > b', a: 'a', b: 'b' },
+      { type: 'meanAccuracyGreater', label: 'a > b + 0.1', a: 'a', b: 'b', margin: 0.1 },
+      { type: 'meanAccuracyAtLeast', label: 'a >= 0.7', condition: 'a', value: 0.7 },
+      { type: 'winsAtLeast', label: 'a wins twice', a: 'a', b: 'b', count: 2 },
+      { type: 'astrocyteFraction', label: 'C0 < 0.03', condition: 'a', cluster: 0,
+        field: 'finalExplorationRate', below: 0.03, minFraction: 0.75 },
+      { type: 'astrocyteFraction', label: 'C1 < 0.1', condition: 'a', cluster: 1,
+        field: 'finalExplorationRate', below: 0.1, minFraction: 0.5 },
+      { type: 'noLateDegradation', label: 'stable', condition: 'a' },
+    ], results);
+    assert.deepEqual(out.map(c => c.pass), [true, false, true, false, true, false, true]);
+    assert.equal(out[0].measured, '0.700 vs 0.650');
+    assert.equal(out[4].measured, '3/4 astrocytes');
+  });
+
+  it('requires a significant paired t-test when meanAccuracyGreater has an alpha', () => {
+    const out = evaluateCriteria([
+      { type: 'meanAccuracyGreater', label: 'a > b, p < 0.05', a: 'a', b: 'b', alpha: 0.05 },
+      { type: 'meanAccuracyGreater', label: 'a > b, p < 0.9',  a: 'a', b: 'b', alpha: 0.9 },
+    ], results);
+    assert.deepEqual(out.map(c => c.pass), [false, true]);
+    assert.equal(out[0].measured, '0.700 vs 0.650, paired t p=0.795');
+  });
+});
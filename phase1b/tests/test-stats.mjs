@@ -0,0 +1,105 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  pairedTTest, studentTwoTailed, wilcoxonSignedRank, bootstrapCI, cohensD,
+  compareConditions, logGamma, spearman,
+} from '../src/stats.mjs';
+
+const close = (actual, expected, tol = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tol, `${actual} is not within ${tol} of ${expected}`);
+
+describe('Student t distribution', () => {
+  it('matches tabulated two-tailed critical values', () => {
+    close(studentTwoTailed(12.706205, 1), 0.05);
+    close(studentTwoTailed(2.262157, 9), 0.05);
+    close(studentTwoTailed(3.249836, 9), 0.01);
+    close(studentTwoTailed(1.959964, 1e7), 0.05);
+    close(studentTwoTailed(0, 5), 1);
+  });
+
+  it('logGamma gives log factorials', () => {
+    close(Math.exp(logGamma(5)), 24, 1e-9);
+    close(Math.exp(logGamma(0.5)), Math.sqrt(Math.PI), 1e-12);
+  });
+});
+
+describe('pairedTTest', () => {
+  it('tests the per-seed differences', () => {
+    // diffs 1, 2, 3, 4: mean 2.5, sd 1.2910, t = 3.8730 with 3 df
+    const r = pairedTTest([2, 4, 6, 8], [1, 2, 3, 4]);
+    assert.equal(r.df, 3);
+    close(r.meanDiff, 2.5);
+    close(r.t, 3.872983, 1e-5);
+    close(r.p, 0.030466, 1e-5);
+  });
+
+  it('handles constant differences and single seeds', () => {
+    assert.deepEqual(pairedTTest([1, 2], [1, 2]), { n: 2, meanDiff: 0, t: 0, df: 1, p: 1 });
+    assert.equal(pairedTTest([2, 3], [1, 2]).p, 0);
+    assert.ok(Number.isNaN(pairedTTest([1], [0]).p));
+    assert.throws(() => pairedTTest([1, 2], [1]), /differ in length/);
+  });
+});
+
+describe('wilcoxonSignedRank', () => {
+  it('computes the exact null distribution', () => {
+    // All ten seeds favour a: only 1 of 1024 sign assignments is as extreme, each way
+    const a = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const r = wilcoxonSignedRank(a, a.map(v => v - 0.1 * v));
+    assert.equal(r.wPlus, 55);
+    assert.equal(r.p, 2 / 1024);
+  });
+
+  it('drops zero differences and averages tied ranks', () => {
+    // diffs 0, +1, −1, +2: ranks of |1|, |1|, |2| = 1.5, 1.5, 3
+    const r = wilcoxonSignedRank([5, 6, 6, 9], [5, 5, 7, 7]);
+    assert.equal(r.n, 3);
+    assert.equal(r.wPlus, 4.5);
+    assert.equal(r.wMinus, 1.5);
+    // W+ ≥ 4.5 in 3 of 8 sign assignments (4.5 twice, and 6)
+    assert.equal(r.p, 2 * 3 / 8);
+    assert.equal(wilcoxonSignedRank([1, 2], [1, 2]).p, 1);
+  });
+
+  it('ties float differences that are equal up to rounding error', () => {
+    // 0.675 − 0.5 = 0.17500000000000004 and 0.525 − 0.7 = −0.17499999999999993
+    const r = wilcoxonSignedRank([0.675, 0.525, 0.6, 0.65, 0.7], [0.5, 0.7, 0.5, 0.5, 0.5]);
+    assert.deepEqual(r, wilcoxonSignedRank([27, 21, 24, 26, 28], [20, 28, 20, 20, 20]));
+    assert.equal(r.p, 0.375);
+    assert.equal(wilcoxonSignedRank([0.3, 0.5], [0.1 + 0.2, 0.4]).n, 1);
+  });
+});
+
+describe('bootstrapCI and cohensD', () => {
+  it('brackets the mean and is reproducible', () => {
+    const values = [0.5, 0.6, 0.7, 0.55, 0.65, 0.62, 0.58];
+    const ci = bootstrapCI(values);
+    assert.ok(ci.lo < ci.mean && ci.mean < ci.hi);
+    assert.ok(ci.lo >= 0.5 && ci.hi <= 0.7);
+    assert.deepEqual(bootstrapCI(values), ci);
+    assert.notDeepEqual(bootstrapCI(values, { seed: 1 }), ci);
+    assert.deepEqual(bootstrapCI([0.5, 0.5, 0.5]), { mean: 0.5, lo: 0.5, hi: 0.5 });
+  });
+
+  it('standardises the mean difference by the pooled SD', () => {
+    close(cohensD([1, 2, 3], [2, 3, 4]), -1);
+    close(cohensD([2, 4, 6], [1, 2, 3]), 2 / Math.sqrt(2.5));
+    assert.equal(cohensD([1, 1], [1, 1]), 0);
+  });
+
+  it('compareConditions bundles every test for a pair', () => {
+    const c = compareConditions([0.7, 0.8, 0.6], [0.6, 0.6, 0.5]);
+    assert.deepEqual(Object.keys(c), ['tTest', 'wilcoxon', 'diffCI', 'd']);
+    close(c.diffCI.mean, 0.4 / 3);
+  });
+});
+
+describe('spearman', () => {
+  it('correlates ranks, averaging ties', () => {
+    assert.equal(spearman([1, 2, 3, 4], [10, 100, 1000, 10000]), 1);
+    assert.equal(spearman([1, 2, 3, 4], [4, 3, 2, 1]), -1);
+    // ranks x = 1, 2.5, 2.5, 4 against y = 1, 2, 3, 4: 4.5 / √(4.5 · 5)
+    close(spearman([1, 2, 2, 3], [1, 2, 3, 4]), 4.5 / Math.sqrt(4.5 * 5));
+    assert.ok(Number.isNaN(spearman([1, 1, 1], [1, 2, 3])));
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSweep, samplePoints, gridValues, sweepToConfig, summarizeSweep, DEFAULT_POINT } from '../src/sweep.mjs';
+import { runExperiment } from '../src/runner.mjs';
+
+const SWEEP = {
+  id: 't17', condition: 'epsilon', method: 'lhs', samples: 10, seeds: [1, 2],
+  parameters: {
+    territoryRadius: { min: 2, max: 5 },
+    maxActive:       { values: [1, 2, 3] },
+    baseEpsilon:     { min: 0.01, max: 1, scale: 'log' },
+  },
+};
+
+describe('validateSweep', () => {
+  it('accepts a well-formed sweep and names what is wrong otherwise', () => {
+    validateSweep(SWEEP);
+    assert.throws(() => validateSweep({ ...SWEEP, method: 'bayes' }), /"method" must be one of/);
+    assert.throws(() => validateSweep({ ...SWEEP, samples: 0 }), /"samples"/);
+    assert.throws(() => validateSweep({ ...SWEEP, condition: 'nope' }), /train\(\) condition/);
+    assert.throws(() => validateSweep({ ...SWEEP, parameters: { x: { min: 0, max: 1, scale: 'log' } } }), /log scale needs min > 0/);
+    assert.throws(() => validateSweep({ ...SWEEP, parameters: { x: { min: 2, max: 1 } } }), /min <= max/);
+    assert.throws(() => validateSweep({ ...SWEEP, parameters: { x: { values: ['a'] } } }), /array of numbers/);
+  });
+});
+
+describe('samplePoints', () => {
+  it('grid: every combination, log-spaced and rounded where asked', () => {
+    assert.deepEqual(gridValues({ min: 1, max: 100, scale: 'log' }), [1, 10, 100]);
+    assert.deepEqual(gridValues({ min: 1, max: 2, steps: 5, integer: true }), [1, 2]);
+    const points = samplePoints({ ...SWEEP, method: 'grid' });
+    assert.equal(points.length, 3 * 3 * 3);
+    assert.equal(new Set(points.map(p => JSON.stringify(p))).size, 27);
+  });
+
+  it('lhs: every stratum of every range is used exactly once', () => {
+    const points = samplePoints(SWEEP);
+    assert.equal(points.length, 10);
+    const strata = points.map(p => Math.floor((p.territoryRadius - 2) / 3 * 10)).sort((a, b) => a - b);
+    assert.deepEqual(strata, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+    const logStrata = points.map(p => Math.floor((Math.log(p.baseEpsilon) - Math.log(0.01)) / Math.log(100) * 10));
+    assert.deepEqual(logStrata.sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  it('random and lhs draws are reproducible from sampleSeed', () => {
+    for (const method of ['random', 'lhs']) {
+      const a = samplePoints({ ...SWEEP, method, sampleSeed: 3 });
+      assert.deepEqual(samplePoints({ ...SWEEP, method, sampleSeed: 3 }), a);
+      assert.notDeepEqual(samplePoints({ ...SWEEP, method, sampleSeed: 4 }), a);
+      assert.ok(a.every(p => p.territoryRadius >= 2 && p.territoryRadius <= 5 && [1, 2, 3].includes(p.maxActive)));
+    }
+  });
+});
+
+describe('sweepToConfig', () => {
+  const DEFAULTS = { episodes: 100, territoryRadius: 3, maxActive: 3, baseEpsilon: 0.3 };
+
+  it('turns every point into a named condition after the unmodified default', () => {
+    const config = sweepToConfig(SWEEP, DEFAULTS, { training: { episodes: 50 } });
+    assert.equal(config.experiment, 'sweep-t17');
+    assert.equal(config.episodes, 50);
+    assert.equal(config.conditions.length, 11);
+    assert.deepEqual(config.conditionSpecs[DEFAULT_POINT], { condition: 'epsilon', overrides: {} });
+    assert.deepEqual(config.conditionSpecs.p001.overrides, samplePoints(SWEEP)[0]);
+  });
+
+  it('rejects parameters the config does not have', () => {
+    assert.throws(() => sweepToConfig({ ...SWEEP, parameters: { radius: { min: 1, max: 2 } } }, DEFAULTS),
+      /"radius" is not a key/);
+  });
+
+  it('rejects parameters that training does not read', () => {
+    for (const name of ['numPatterns', 'neuronsPerCluster', 'concurrency', 'cacheDir']) {
+      assert.throws(() => sweepToConfig({ ...SWEEP, parameters: { [name]: { values: [1, 2] } } }, { ...DEFAULTS, [name]: 1 }),
+        new RegExp(`"${name}" does not affect training`));
+    }
+  });
+});
+
+describe('summarizeSweep', () => {
+  // Synthetic results: accuracy rises with x, and z only matters when x is high
+  const sweep = {
+    ...SWEEP, method: 'grid',
+    parameters: { x: { min: 0, max: 1, steps: 4 }, z: { min: 0, max: 1, steps: 4 }, w: { values: [1, 2] } },
+  };
+  const config = sweepToConfig(sweep, { x: 0, z: 0, w: 1 });
+  const accuracy = (p, seed) => 0.5 + 0.1 * p.x + 0.2 * p.x * p.z + 0.001 * seed;
+  const allResults = [1, 2, 3].map(seed => ({
+    seed,
+    ...Object.fromEntries(config.conditions.map(name => {
+      const p = { x: 0, z: 0, w: 1, ...config.conditionSpecs[name].overrides };
+      return [name, { inference: { meanAccuracy: accuracy(p, seed), distinctOutputs: 2 } }];
+    })),
+  }));
+
+  it('ranks points, measures sensitivity and finds the interaction', () => {
+    const { points, sensitivity, interactions } = summarizeSweep(allResults, config);
+    assert.equal(points.length, 33);
+    assert.deepEqual({ x: points[0].params.x, z: points[0].params.z }, { x: 1, z: 1 });
+    assert.ok(Math.abs(points[0].mean - 0.802) < 1e-12);
+    assert.equal(sensitivity[0].name, 'x');
+    assert.ok(sensitivity[0].rho > 0.7);
+    assert.ok(Math.abs(sensitivity.find(s => s.name === 'w').rho) < 0.1);
+    assert.deepEqual([interactions[0].a, interactions[0].b], ['x', 'z']);
+    assert.ok(interactions[0].coef > 0 && interactions[0].r2Gain > 0.05);
+  });
+
+  it('summarizes a real sweep run through the runner', () => {
+    const log = console.log;
+    console.log = () => {};
+    try {
+      const small = sweepToConfig({ ...SWEEP, samples: 2, seeds: [1] },
+        { episodes: 5, stepsPerEpisode: 5, checkpointDir: null, territoryRadius: 3, maxActive: 3, baseEpsilon: 0.3 });
+      const summary = summarizeSweep(runExperiment(small), small);
+      assert.deepEqual(summary.points.map(p => p.name).sort(), ['default', 'p001', 'p002']);
+    } finally {
+      console.log = log;
+    }
+  });
+});
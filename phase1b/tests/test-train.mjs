@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNetwork } from '../src/network.mjs';
+import { createRngStreams } from '../src/rng.mjs';
+import { train } from '../src/train.mjs';
+import { runInference } from '../src/inference.mjs';
+import { buildCheckpoint, restoreCheckpoint } from '../src/checkpoint.mjs';
+
+const OPTIONS = { episodes: 60, stepsPerEpisode: 5 };
+
+function fresh(seed) {
+  const rng = createRngStreams(seed);
+  return { rng, network: createNetwork({}, rng.network) };
+}
+
+describe('train', () => {
+  const log = console.log;
+  before(() => { console.log = () => {}; });
+  after(() => { console.log = log; });
+
+  it('honours options.episodes and options.stepsPerEpisode', () => {
+    const { rng, network } = fresh(42);
+    const r = train(network, 'epsilon', { ...OPTIONS, rng });
+    assert.equal(r.totalAccepted + r.totalRejected, 60 * 5);
+    assert.equal(r.trajectory.at(-1).episode, 59);
+  });
+
+  const ANNEALED = { radiusSchedule: 'linear', radiusAnnealEpisodes: 50 };
+  const MOBILE   = { mobility: 'accepted', mobilityInterval: 20, mobilityKeepRate: 0.9 };
+  const DYNAMIC  = { populationDynamics: true, populationInterval: 10, populationPatience: 1,
+                     splitSuccess: 0.2, splitMinNeurons: 2, mobility: 'leader', mobilityInterval: 20 };
+  const COUPLED  = { coupling: 'overlap', couplingStrength: 0.5 };
+
+  it('anneals territories over the radius schedule', () => {
+    const { rng, network } = fresh(42);
+    const r = train(network, 'maturity', { ...OPTIONS, ...ANNEALED, rng });
+    const [first, last] = [r.territoryTrajectory[0], r.territoryTrajectory.at(-1)];
+    assert.equal(first.meanRadius, 4.5);
+    assert.equal(last.meanRadius, 3);
+    assert.ok(last.meanSynapseCount < first.meanSynapseCount);
+    assert.ok(r.astrocyteStats.every(a => a.finalRadius === 3));
+  });
+
+  it('records the paths of moving astrocytes', () => {
+    const { rng, network } = fresh(42);
+    const r = train(network, 'maturity', { ...OPTIONS, ...MOBILE, rng });
+    assert.ok(r.astrocyteStats.some(a => a.moveCount > 0));
+    for (const a of r.astrocyteStats) {
+      assert.equal(a.positionTrajectory.length, r.trajectory.length);
+      assert.deepEqual(a.positionTrajectory.at(-1), { episode: 59, ...a.position });
+    }
+  });
+
+  it('follows a changing population in the per-astrocyte results', () => {
+    const { rng, network } = fresh(42);
+    const r = train(network, 'maturity', { ...OPTIONS, ...DYNAMIC, rng });
+    assert.ok(r.populationEvents.length > 0);
+    assert.equal(r.astrocyteStats.length, r.territoryTrajectory.at(-1).astrocyteCount);
+    const alive = r.lineage.filter(l => l.died === null).map(l => l.id);
+    assert.deepEqual(r.astrocyteStats.map(a => a.id).sort((a, b) => a - b), alive);
+    for (const a of r.astrocyteStats) assert.equal(a.positionTrajectory.at(-1).episode, 59);
+  });
+
+  it('summarises the calcium waves of a coupled run', () => {
+    const { rng, network } = fresh(42);
+    const r = train(network, 'maturity', { ...OPTIONS, ...COUPLED, rng });
+    const waves = r.calciumWaves;
+    assert.ok(waves.edges > 0 && waves.waves > 0);
+    assert.equal(waves.activations, r.astrocyteStats.reduce((s, a) => s + a.waveCount, 0));
+    const plain = fresh(42);
+    assert.equal(train(plain.network, 'maturity', { ...OPTIONS, rng: plain.rng }).calciumWaves, null);
+  });
+
+  const VARIANTS = [['maturity', {}, ''], ['maturity', ANNEALED, ' (linear radius)'],
+                    ['maturity', MOBILE, ' (accepted mobility)'], ['maturity', DYNAMIC, ' (population dynamics)'],
+                    ['maturity', COUPLED, ' (calcium waves)'], ['cursor', {}, '']];
+  for (const [condition, extra, variant] of VARIANTS) {
+    const name = condition + variant;
+    it(`resumes ${name} from a checkpoint bit-identically`, () => {
+      const whole = fresh(7);
+      const expected = train(whole.network, condition, { ...OPTIONS, ...extra, rng: whole.rng });
+
+      // Keep the episode-40 checkpoint as JSON, then crash the run
+      const part = fresh(7);
+      let saved = null;
+      assert.throws(() => train(part.network, condition, {
+        ...OPTIONS, ...extra, rng: part.rng, checkpointEvery: 20,
+        onCheckpoint: ({ network, astrocytes, training }) => {
+          saved = JSON.parse(JSON.stringify(buildCheckpoint(network, astrocytes, {}, training)));
+          if (training.episode === 40) throw new Error('crash');
+        },
+      }), /crash/);
+      assert.equal(saved.training.episode, 40);
+
+      const { network, astrocytes, training } = restoreCheckpoint(saved);
+      const resumed = train(network, condition, {
+        ...OPTIONS, ...extra, rng: createRngStreams(7), astrocytes, resume: training,
+      });
+
+      const strip = ({ astrocytes, ...r }) => r;
+      assert.deepEqual(strip(resumed), strip(expected));
+      assert.deepEqual(network.synapses.map(s => s.weight), whole.network.synapses.map(s => s.weight));
+      assert.deepEqual(runInference(network), runInference(whole.network));
+    });
+  }
+});